@@ -1,3 +1,13 @@
+// Date.getDay sırası (0 = Pazar)
+const SCHEDULE_DAYS = ['Pazar', 'Pazartesi', 'Salı', 'Çarşamba', 'Perşembe', 'Cuma', 'Cumartesi'];
+// Görüntü sağlığı durumları (services/videoHealth.js)
+const HEALTH_CONDITIONS = {
+    black: 'Görüntü Siyah',
+    frozen: 'Görüntü Donmuş',
+    blurred: 'Bulanık / Kapatılmış',
+    scene_changed: 'Sahne Değişti'
+};
+
 // ==========================================
 // ADMIN PANEL CLASS
 // ==========================================
@@ -8,13 +18,29 @@ class AdminPanel {
         this.categoriesTable = null;
         this.camerasTable = null;
         this.streamsTable = null;
+        this.auditTable = null;
         this.categories = [];
+        this.eventSource = null;
+        this.tokenOptions = null;
+        this.groups = [];
+        this.groupUsers = null;
+        this.schedules = [];
+        this.scheduleTargets = null;
+        this.reloadTimers = {};
+        // Sunucudaki rol izinleri - yetkisiz işlemlerin butonları gösterilmez
+        this.permissions = window.ADMIN_PERMISSIONS || [];
         this.init();
     }
 
     init() {
         this.initEventListeners();
-        this.initUsersTable();
+        // Kullanıcı yönetimi yetkisi olmayanlar yayınlarla başlar
+        this.switchSection(this.can('manage_users') ? 'users' : 'streams');
+        this.initLiveUpdates();
+    }
+
+    can(permission) {
+        return this.permissions.includes(permission);
     }
 
     initEventListeners() {
@@ -42,6 +68,37 @@ class AdminPanel {
         // Stream buttons
         $('#addStreamBtn').on('click', () => this.openStreamModal());
         $('#saveStreamBtn').on('click', () => this.saveStream());
+        $('#loadRecordingsBtn').on('click', () => this.loadRecordings());
+        $('#loadMotionEventsBtn').on('click', () => this.loadMotionEvents());
+        $('#loadConditionsBtn').on('click', () => this.loadConditions());
+        $('#stream_motion_sensitivity').on('input', (e) => $('#streamMotionSensitivityValue').text(e.target.value));
+
+        // API token buttons
+        $('#addTokenBtn').on('click', () => this.openTokenModal());
+        $('#saveTokenBtn').on('click', () => this.saveToken());
+        $('#tokens-tab').on('shown.bs.tab', () => this.loadApiTokens());
+
+        // Two-factor buttons
+        $('#security-tab').on('shown.bs.tab', () => {
+            this.loadTwoFactorStatus();
+            this.loadSessions();
+        });
+        $('#enableTwoFactorBtn').on('click', () => this.enableTwoFactor());
+        $('#disableTwoFactorBtn').on('click', () => this.disableTwoFactor());
+        $('#regenerateRecoveryCodesBtn').on('click', () => this.regenerateRecoveryCodes());
+
+        // Group & access rule buttons
+        $('#addGroupBtn').on('click', () => this.openGroupModal());
+        $('#saveGroupBtn').on('click', () => this.saveGroup());
+        $('#groups-tab').on('shown.bs.tab', () => this.loadGroups());
+        $('#addAccessRuleBtn').on('click', () => this.addAccessRule());
+
+        // Schedule buttons
+        $('#addScheduleBtn').on('click', () => this.openScheduleModal());
+        $('#saveScheduleBtn').on('click', () => this.saveSchedule());
+        $('#addScheduleWindowBtn').on('click', () => this.addScheduleWindowRow());
+        $('#addScheduleExceptionBtn').on('click', () => this.addScheduleExceptionRow());
+        $('#schedule_target_type').on('change', () => this.renderScheduleTargets());
 
         // Form validation
         $('#confirmPassword').on('input', () => this.validatePasswordMatch());
@@ -80,6 +137,11 @@ class AdminPanel {
             this.initCamerasTable();
         } else if (section === 'streams' && !this.streamsTable) {
             this.initStreamsTable();
+        } else if (section === 'logs' && !this.auditTable) {
+            this.initAuditTable();
+        } else if (section === 'schedules') {
+            // Açık/kapalı durumu zamanla değiştiği için her girişte yenilenir
+            this.loadSchedules();
         }
     }
 
@@ -102,8 +164,11 @@ class AdminPanel {
                 { data: 'id', width: '50px' },
                 {
                     data: 'username',
-                    render: function (data) {
-                        return `<strong>${data}</strong>`;
+                    render: function (data, type, row) {
+                        const twoFactor = row.totp_enabled
+                            ? ' <i class="fas fa-mobile-alt text-success" title="İki adımlı doğrulama açık"></i>'
+                            : '';
+                        return `<strong>${data}</strong>${twoFactor}`;
                     }
                 },
                 { data: 'email' },
@@ -148,6 +213,13 @@ class AdminPanel {
                                 <button class="btn btn-sm btn-outline-warning" onclick="adminPanel.openChangePasswordModal('${row.id}', '${row.username}')" title="Şifre Değiştir">
                                     <i class="fas fa-key"></i>
                                 </button>
+                                <button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.forceLogoutUser('${row.id}', '${row.username}')" title="Oturumları Kapat">
+                                    <i class="fas fa-sign-out-alt"></i>
+                                </button>
+                                ${row.totp_enabled ? `
+                                <button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.resetUserTwoFactor('${row.id}', '${row.username}')" title="2FA Sıfırla">
+                                    <i class="fas fa-mobile-alt"></i>
+                                </button>` : ''}
                                 <button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteUser('${row.id}', '${row.username}')" title="Sil">
                                     <i class="fas fa-trash"></i>
                                 </button>
@@ -380,6 +452,8 @@ class AdminPanel {
     // CATEGORIES TABLE & METHODS
     // ==========================================
     initCategoriesTable() {
+        const can = (permission) => this.can(permission);
+
         if (this.categoriesTable) {
             this.categoriesTable.destroy();
         }
@@ -394,8 +468,9 @@ class AdminPanel {
             columns: [
                 {
                     data: 'name',
-                    render: function (data) {
-                        return `<strong>${data}</strong>`;
+                    render: function (data, type, row) {
+                        const lock = row.is_public ? '' : ' <i class="fas fa-lock text-muted" title="Sadece yetkili kullanıcılar"></i>';
+                        return `<strong>${data}</strong>${lock}`;
                     }
                 },
                 {
@@ -444,12 +519,15 @@ class AdminPanel {
                     render: function (data, type, row) {
                         return `
                             <div class="btn-group" role="group">
-                                <button class="btn btn-sm btn-outline-primary" onclick="adminPanel.editCategory('${row.id}')" title="Düzenle">
+                                ${can('edit') ? `<button class="btn btn-sm btn-outline-primary" onclick="adminPanel.editCategory('${row.id}')" title="Düzenle">
                                     <i class="fas fa-edit"></i>
-                                </button>
-                                <button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteCategory('${row.id}', '${row.name}')" title="Sil">
+                                </button>` : ''}
+                                ${can('manage_users') ? `<button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.openAccessModal('category', '${row.id}', '${row.name}')" title="Erişim İzinleri">
+                                    <i class="fas fa-user-lock"></i>
+                                </button>` : ''}
+                                ${can('delete') ? `<button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteCategory('${row.id}', '${row.name}')" title="Sil">
                                     <i class="fas fa-trash"></i>
-                                </button>
+                                </button>` : ''}
                             </div>
                         `;
                     }
@@ -494,6 +572,7 @@ class AdminPanel {
                 $('#category_icon').val(category.icon);
                 $('#category_sort_order').val(category.sort_order);
                 $('#category_active').prop('checked', category.is_active);
+                $('#category_public').prop('checked', category.is_public);
             }
         } catch (error) {
             console.error('Error loading category data:', error);
@@ -641,6 +720,8 @@ class AdminPanel {
     // CAMERAS TABLE & METHODS
     // ==========================================
     initCamerasTable() {
+        const can = (permission) => this.can(permission);
+
         if (this.camerasTable) {
             this.camerasTable.destroy();
         }
@@ -686,6 +767,10 @@ class AdminPanel {
                     orderable: false,
                     searchable: false,
                     render: function (data, type, row) {
+                        if (!can('manage_cameras')) {
+                            return '';
+                        }
+
                         return `
                             <div class="btn-group" role="group">
                                 <button class="btn btn-sm btn-outline-primary" onclick="adminPanel.editCamera('${row.id}')" title="Düzenle">
@@ -708,10 +793,12 @@ class AdminPanel {
         });
     }
 
-    openCameraModal(cameraId = null) {
+    async openCameraModal(cameraId = null) {
         $('#cameraForm')[0].reset();
         $('#cameraId').val(cameraId || '');
 
+        await this.loadBrandOptions();
+
         if (cameraId) {
             $('#cameraModalTitle').text('Kamera Düzenle');
             this.loadCameraData(cameraId);
@@ -722,6 +809,23 @@ class AdminPanel {
         new bootstrap.Modal('#cameraModal').show();
     }
 
+    // Marka listesi sürücü registry'sinden gelir (dosya + marka profilleri)
+    async loadBrandOptions() {
+        try {
+            const response = await fetch('/admin/api/drivers');
+            const result = await response.json();
+
+            if (result.success) {
+                const options = result.data.map(driver =>
+                    `<option value="${driver.name}">${driver.name}</option>`
+                ).join('');
+                $('#camera_brand').html(`<option value="">Marka Seçin</option>${options}`);
+            }
+        } catch (error) {
+            console.error('Error loading drivers:', error);
+        }
+    }
+
     async loadCameraData(cameraId) {
         try {
             const response = await fetch(`/admin/api/cameras/${cameraId}`);
@@ -730,6 +834,10 @@ class AdminPanel {
             if (result.success) {
                 const camera = result.data;
                 $('#camera_name').val(camera.name);
+                // Sürücü listesinde olmayan eski marka değerlerini koru
+                if (!$(`#camera_brand option[value="${camera.brand}"]`).length) {
+                    $('#camera_brand').append(`<option value="${camera.brand}">${camera.brand}</option>`);
+                }
                 $('#camera_brand').val(camera.brand);
                 $('#camera_model').val(camera.model);
                 $('#camera_description').val(camera.description);
@@ -842,6 +950,9 @@ class AdminPanel {
     // STREAMS TABLE & METHODS
     // ==========================================
     initStreamsTable() {
+        const can = (permission) => this.can(permission);
+        const formatTransition = (transition) => this.formatTransition(transition);
+
         if (this.streamsTable) {
             this.streamsTable.destroy();
         }
@@ -856,8 +967,12 @@ class AdminPanel {
             columns: [
                 {
                     data: 'stream_name',
-                    render: function (data) {
-                        return `<strong>${data}</strong>`;
+                    render: function (data, type, row) {
+                        // Çalışan yayınlarda son kare küçük önizleme olarak gösterilir
+                        const thumbnail = row.status === 'streaming'
+                            ? `<img class="stream-thumbnail" src="/api/streams/${row.id}/thumbnail.jpg" alt="" loading="lazy" onerror="this.remove()">`
+                            : '';
+                        return `${thumbnail}<strong>${data}</strong>`;
                     }
                 },
                 {
@@ -880,7 +995,7 @@ class AdminPanel {
                 { data: 'ip_address' },
                 {
                     data: 'status',
-                    render: function (data) {
+                    render: function (data, type, row) {
                         let statusClass = '';
                         let statusText = '';
                         switch (data) {
@@ -898,13 +1013,48 @@ class AdminPanel {
                                 break;
                             case 'error':
                                 statusClass = 'status-error';
-                                statusText = 'Hata';
+                                statusText = row.failure ? `Hata (${row.failure.code})` : 'Hata';
                                 break;
                             default:
                                 statusClass = 'status-stopped';
                                 statusText = 'Bilinmiyor';
                         }
-                        return `<span class="status-badge ${statusClass}">${statusText}</span>`;
+                        let supervision = '';
+                        if (row.supervision && row.supervision.restartCount > 0) {
+                            supervision = ` <small class="text-muted" title="Otomatik yeniden başlatma">↻${row.supervision.restartCount}</small>`;
+                        }
+                        if (row.on_demand) {
+                            supervision += ' <span class="badge bg-secondary" title="İlk izleyicide başlar, izleyici kalmayınca durur">İsteğe Bağlı</span>';
+                        }
+                        if (row.mode === 'copy') {
+                            supervision += ' <span class="badge bg-info text-dark" title="Video yeniden kodlanmadan yayınlanıyor">Kopya</span>';
+                        }
+                        if (row.supervision && row.supervision.flapping) {
+                            supervision += ' <span class="badge bg-warning text-dark" title="Sık sık yeniden başlıyor">Kararsız</span>';
+                        }
+                        (row.health || []).forEach(entry => {
+                            supervision += ` <span class="badge bg-warning text-dark" title="${new Date(entry.since).toLocaleString('tr-TR')} itibarıyla"><i class="fas fa-exclamation-triangle"></i> ${HEALTH_CONDITIONS[entry.condition] || entry.condition}</span>`;
+                        });
+                        if (row.motion && row.motion.active) {
+                            supervision += ' <span class="badge bg-danger" title="Şu anda hareket algılanıyor">Hareket</span>';
+                        }
+                        if (row.motion && row.motion.events_24h > 0) {
+                            supervision += ` <small class="text-muted d-block" title="Son hareket: ${new Date(row.motion.last_event_at).toLocaleString('tr-TR')}"><i class="fas fa-running"></i> 24 saatte ${row.motion.events_24h} hareket</small>`;
+                        }
+                        if (row.next_transition) {
+                            supervision += ` <small class="text-muted d-block" title="Zamanlama"><i class="fas fa-calendar-alt"></i> ${formatTransition(row.next_transition)}</small>`;
+                        }
+                        const title = data === 'error' && row.failure ? ` title="${row.failure.message}"` : '';
+                        return `<span class="status-badge ${statusClass}"${title}>${statusText}</span>${supervision}`;
+                    }
+                },
+                {
+                    data: 'viewers',
+                    orderable: false,
+                    searchable: false,
+                    render: function (data, type, row) {
+                        return `<i class="fas fa-eye text-muted"></i> ${data || 0}
+                            <small class="text-muted d-block" title="Son 24 saatteki en yüksek eşzamanlı izleyici">Zirve: ${row.peak_viewers || 0}</small>`;
                     }
                 },
                 { data: 'resolution' },
@@ -930,8 +1080,15 @@ class AdminPanel {
                                     <i class="fas fa-play"></i>
                                 </button>`;
 
-                        return `
-                                <div class="btn-group" role="group">
+                        const recordBtn = row.is_recording ?
+                            `<button class="btn btn-sm btn-danger" onclick="adminPanel.toggleRecording('${row.id}', false)" title="Kaydı Durdur">
+                                    <i class="fas fa-circle"></i>
+                                </button>` :
+                            `<button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.toggleRecording('${row.id}', true)" title="Kaydı Başlat">
+                                    <i class="fas fa-circle"></i>
+                                </button>`;
+
+                        const editButtons = can('edit') ? `
                                     <button class="btn btn-sm btn-outline-primary" onclick="adminPanel.editStream('${row.id}')" title="Düzenle">
                                         <i class="fas fa-edit"></i>
                                     </button>
@@ -939,9 +1096,29 @@ class AdminPanel {
                                         <i class="fas fa-tags"></i>
                                     </button>
                                     ${startBtn}
-                                    <button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteStream('${row.id}', '${row.stream_name}')" title="Sil">
-                                        <i class="fas fa-trash"></i>
+                                    ${recordBtn}` : '';
+
+                        return `
+                                <div class="btn-group" role="group">
+                                    ${editButtons}
+                                    <button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.showSnapshot('${row.id}', '${row.stream_name}')" title="Anlık Görüntü">
+                                        <i class="fas fa-camera"></i>
+                                    </button>
+                                    <button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.openRecordings('${row.id}', '${row.stream_name}')" title="Kayıtlar">
+                                        <i class="fas fa-film"></i>
+                                    </button>
+                                    <button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.openMotionEvents('${row.id}', '${row.stream_name}')" title="Hareket Olayları">
+                                        <i class="fas fa-running"></i>
                                     </button>
+                                    <button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.openConditions('${row.id}', '${row.stream_name}')" title="Görüntü Sağlığı">
+                                        <i class="fas fa-heartbeat"></i>
+                                    </button>
+                                    ${can('manage_users') ? `<button class="btn btn-sm btn-outline-secondary" onclick="adminPanel.openAccessModal('stream', '${row.id}', '${row.stream_name}')" title="Erişim İzinleri">
+                                        <i class="fas fa-user-lock"></i>
+                                    </button>` : ''}
+                                    ${can('delete') ? `<button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteStream('${row.id}', '${row.stream_name}')" title="Sil">
+                                        <i class="fas fa-trash"></i>
+                                    </button>` : ''}
                                 </div>
                             `;
                     }
@@ -959,6 +1136,7 @@ class AdminPanel {
     async openStreamModal(streamId = null) {
         $('#streamForm')[0].reset();
         $('#streamId').val(streamId || '');
+        $('#streamMotionSensitivityValue').text($('#stream_motion_sensitivity').val());
 
         // Load camera and category lists
         await this.loadCameraList();
@@ -1100,13 +1278,29 @@ class AdminPanel {
                 $('#stream_ip').val(stream.ip_address);
                 $('#stream_port').val(stream.rtsp_port);
                 $('#stream_channel').val(stream.channel);
+                $('#stream_max_restarts').val(stream.max_restarts ?? 5);
                 $('#stream_username').val(stream.username);
                 $('#stream_resolution').val(stream.resolution);
                 $('#stream_fps').val(stream.fps);
                 $('#stream_bitrate').val(stream.bitrate);
                 $('#stream_audio_bitrate').val(stream.audio_bitrate);
+                $('#stream_video_codec').val(stream.video_codec || 'h264');
+                $('#stream_preset').val(stream.preset || 'veryfast');
+                $('#stream_gop_size').val(stream.gop_size || '');
+                $('#stream_audio_enabled').prop('checked', stream.audio_enabled !== false);
+                $('#stream_video_mode').val(stream.video_mode || 'transcode');
+                $('#stream_source_variant').val(stream.source_variant || 'main');
+                const renditions = stream.renditions ? stream.renditions.split(',') : [];
+                $('.stream-rendition').each((index, element) => {
+                    $(element).prop('checked', renditions.includes($(element).val()));
+                });
                 $('#stream_active').prop('checked', stream.is_active);
                 $('#stream_recording').prop('checked', stream.is_recording);
+                $('#stream_on_demand').prop('checked', !!stream.on_demand);
+                $('#stream_motion_enabled').prop('checked', !!stream.motion_enabled);
+                $('#stream_motion_sensitivity').val(stream.motion_sensitivity ?? 50);
+                $('#streamMotionSensitivityValue').text(stream.motion_sensitivity ?? 50);
+                $('#stream_motion_zones').val((stream.motion_zones || '').split(';').join('\n'));
 
                 // Set selected categories
                 if (stream.categories && stream.categories.length > 0) {
@@ -1302,6 +1496,42 @@ class AdminPanel {
         }
     }
 
+    // Yayının son karesi - yayın çalışmıyorsa sunucu kameradan anlık kare alır
+    async showSnapshot(streamId, streamName) {
+        Swal.fire({
+            title: streamName,
+            text: 'Görüntü alınıyor...',
+            allowOutsideClick: false,
+            didOpen: () => Swal.showLoading()
+        });
+
+        try {
+            const response = await fetch(`/api/streams/${streamId}/snapshot.jpg?t=${Date.now()}`);
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.error || result.message || 'Görüntü alınamadı');
+            }
+
+            const imageUrl = URL.createObjectURL(await response.blob());
+            const capturedAt = response.headers.get('Last-Modified');
+
+            Swal.fire({
+                title: streamName,
+                imageUrl,
+                imageAlt: streamName,
+                width: 900,
+                text: capturedAt ? `Çekim zamanı: ${new Date(capturedAt).toLocaleString('tr-TR')}` : '',
+                didClose: () => URL.revokeObjectURL(imageUrl)
+            });
+        } catch (error) {
+            Swal.fire({
+                title: 'Hata!',
+                text: error.message,
+                icon: 'error'
+            });
+        }
+    }
+
     async startStream(streamId) {
         try {
             Swal.fire({
@@ -1328,6 +1558,7 @@ class AdminPanel {
                     showConfirmButton: false
                 });
 
+                // 'streaming' ya da 'error' durumu olay akışıyla gelir
                 this.streamsTable.ajax.reload();
             } else {
                 Swal.fire({
@@ -1381,6 +1612,261 @@ class AdminPanel {
         }
     }
 
+    // ==========================================
+    // RECORDINGS
+    // ==========================================
+    async toggleRecording(streamId, start) {
+        try {
+            const response = await fetch(`/admin/api/streams/${streamId}/recording/${start ? 'start' : 'stop'}`, {
+                method: 'POST'
+            });
+
+            const result = await response.json();
+
+            Swal.fire({
+                title: result.success ? 'Başarılı!' : 'Hata!',
+                text: result.message,
+                icon: result.success ? 'success' : 'error',
+                timer: result.success ? 2000 : undefined,
+                showConfirmButton: !result.success
+            });
+
+            if (result.success) {
+                this.streamsTable.ajax.reload(null, false);
+            }
+        } catch (error) {
+            console.error('Error toggling recording:', error);
+            Swal.fire({
+                title: 'Hata!',
+                text: 'Kayıt durumu değiştirilirken bir hata oluştu.',
+                icon: 'error'
+            });
+        }
+    }
+
+    openRecordings(streamId, streamName) {
+        $('#recordingsStreamId').val(streamId);
+        $('#recordingsModalTitle').text(`${streamName} - Kayıtlar`);
+
+        // Varsayılan: son 24 saat
+        const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+            .toISOString().slice(0, 16);
+        const now = new Date();
+        $('#recordingsFrom').val(toLocalInput(new Date(now.getTime() - 24 * 60 * 60 * 1000)));
+        $('#recordingsTo').val(toLocalInput(now));
+
+        new bootstrap.Modal('#recordingsModal').show();
+        this.loadRecordings();
+    }
+
+    async loadRecordings() {
+        const streamId = $('#recordingsStreamId').val();
+        const from = $('#recordingsFrom').val();
+        const to = $('#recordingsTo').val();
+        const params = new URLSearchParams();
+        if (from) params.set('from', new Date(from).toISOString());
+        if (to) params.set('to', new Date(to).toISOString());
+
+        const tbody = $('#recordingsTable tbody');
+        tbody.html('<tr><td colspan="4" class="text-center text-muted">Yükleniyor...</td></tr>');
+
+        try {
+            const response = await fetch(`/admin/api/streams/${streamId}/recordings?${params}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="4" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            const recordings = result.data.recordings;
+            if (recordings.length === 0) {
+                tbody.html('<tr><td colspan="4" class="text-center text-muted">Bu aralıkta kayıt yok</td></tr>');
+                return;
+            }
+
+            const rangeEnd = params.get('to') ? new Date(params.get('to')) : new Date();
+            tbody.html(recordings.map(rec => {
+                // Oynatma aralığı sunucuda 24 saatle sınırlı
+                const playFrom = new Date(rec.startedAt);
+                const playTo = new Date(Math.min(rangeEnd.getTime(), playFrom.getTime() + 24 * 60 * 60 * 1000));
+                return `
+                <tr>
+                    <td>${new Date(rec.startedAt).toLocaleString('tr-TR')}</td>
+                    <td>${Math.floor(rec.duration / 60)}:${String(rec.duration % 60).padStart(2, '0')}</td>
+                    <td>${(rec.size / 1024 / 1024).toFixed(1)} MB</td>
+                    <td>
+                        <a class="btn btn-sm btn-outline-success" target="_blank" title="Oynat"
+                            href="/static/viewer.html?stream=${streamId}&from=${playFrom.toISOString()}&to=${playTo.toISOString()}">
+                            <i class="fas fa-play"></i>
+                        </a>
+                        <a class="btn btn-sm btn-outline-primary" href="/admin/api/streams/${streamId}/recordings/${rec.file}" title="İndir">
+                            <i class="fas fa-download"></i>
+                        </a>
+                        ${this.can('delete') ? `<button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteRecording('${rec.file}')" title="Sil">
+                            <i class="fas fa-trash"></i>
+                        </button>` : ''}
+                    </td>
+                </tr>
+            `;
+            }).join(''));
+        } catch (error) {
+            console.error('Error loading recordings:', error);
+            tbody.html('<tr><td colspan="4" class="text-center text-danger">Kayıtlar yüklenemedi</td></tr>');
+        }
+    }
+
+    openMotionEvents(streamId, streamName) {
+        $('#motionEventsStreamId').val(streamId);
+        $('#motionEventsModalTitle').text(`${streamName} - Hareket Olayları`);
+
+        // Varsayılan: son 24 saat
+        const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+            .toISOString().slice(0, 16);
+        const now = new Date();
+        $('#motionEventsFrom').val(toLocalInput(new Date(now.getTime() - 24 * 60 * 60 * 1000)));
+        $('#motionEventsTo').val(toLocalInput(now));
+
+        new bootstrap.Modal('#motionEventsModal').show();
+        this.loadMotionEvents();
+    }
+
+    async loadMotionEvents() {
+        const streamId = $('#motionEventsStreamId').val();
+        const from = $('#motionEventsFrom').val();
+        const to = $('#motionEventsTo').val();
+        const params = new URLSearchParams({ limit: 200 });
+        if (from) params.set('from', new Date(from).toISOString());
+        if (to) params.set('to', new Date(to).toISOString());
+
+        const tbody = $('#motionEventsTable tbody');
+        tbody.html('<tr><td colspan="5" class="text-center text-muted">Yükleniyor...</td></tr>');
+
+        try {
+            const response = await fetch(`/admin/api/streams/${streamId}/events?${params}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="5" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            const events = result.data.events;
+            if (events.length === 0) {
+                tbody.html('<tr><td colspan="5" class="text-center text-muted">Bu aralıkta hareket algılanmadı</td></tr>');
+                return;
+            }
+
+            // Bölgeler 0'dan numaralanır, kullanıcıya 1'den gösterilir
+            const formatZones = (zones) => zones
+                ? zones.split(',').map(index => `<span class="badge bg-secondary">${parseInt(index) + 1}</span>`).join(' ')
+                : '<small class="text-muted">Tüm görüntü</small>';
+
+            tbody.html(events.map(event => `
+                <tr>
+                    <td>${event.snapshot_url ? `<a href="${event.snapshot_url}" target="_blank">
+                        <img src="${event.snapshot_url}" alt="" style="width: 96px; height: 54px; object-fit: cover;" loading="lazy">
+                    </a>` : '-'}</td>
+                    <td>${new Date(event.started_at).toLocaleString('tr-TR')}</td>
+                    <td>${event.duration === null
+                        ? '<span class="badge bg-danger">Devam ediyor</span>'
+                        : `${Math.floor(event.duration / 60)}:${String(event.duration % 60).padStart(2, '0')}`}</td>
+                    <td>${Math.round((event.peak_score || 0) * 100)}%</td>
+                    <td>${formatZones(event.zones)}</td>
+                </tr>
+            `).join(''));
+        } catch (error) {
+            console.error('Error loading motion events:', error);
+            tbody.html('<tr><td colspan="5" class="text-center text-danger">Hareket olayları yüklenemedi</td></tr>');
+        }
+    }
+
+    openConditions(streamId, streamName) {
+        $('#conditionsStreamId').val(streamId);
+        $('#conditionsModalTitle').text(`${streamName} - Görüntü Sağlığı`);
+
+        // Varsayılan: son 7 gün
+        const toLocalInput = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+            .toISOString().slice(0, 16);
+        const now = new Date();
+        $('#conditionsFrom').val(toLocalInput(new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000)));
+        $('#conditionsTo').val(toLocalInput(now));
+
+        new bootstrap.Modal('#conditionsModal').show();
+        this.loadConditions();
+    }
+
+    async loadConditions() {
+        const streamId = $('#conditionsStreamId').val();
+        const from = $('#conditionsFrom').val();
+        const to = $('#conditionsTo').val();
+        const params = new URLSearchParams({ limit: 200 });
+        if (from) params.set('from', new Date(from).toISOString());
+        if (to) params.set('to', new Date(to).toISOString());
+
+        const tbody = $('#conditionsTable tbody');
+        tbody.html('<tr><td colspan="3" class="text-center text-muted">Yükleniyor...</td></tr>');
+
+        try {
+            const response = await fetch(`/admin/api/streams/${streamId}/conditions?${params}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="3" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            const conditions = result.data.conditions;
+            if (conditions.length === 0) {
+                tbody.html('<tr><td colspan="3" class="text-center text-muted">Bu aralıkta sorun kaydedilmedi</td></tr>');
+                return;
+            }
+
+            tbody.html(conditions.map(entry => `
+                <tr>
+                    <td><span class="badge bg-warning text-dark">${HEALTH_CONDITIONS[entry.condition] || entry.condition}</span></td>
+                    <td>${new Date(entry.started_at).toLocaleString('tr-TR')}</td>
+                    <td>${entry.duration === null
+                        ? '<span class="badge bg-danger">Devam ediyor</span>'
+                        : `${Math.floor(entry.duration / 60)}:${String(entry.duration % 60).padStart(2, '0')}`}</td>
+                </tr>
+            `).join(''));
+        } catch (error) {
+            console.error('Error loading stream conditions:', error);
+            tbody.html('<tr><td colspan="3" class="text-center text-danger">Görüntü sağlığı geçmişi yüklenemedi</td></tr>');
+        }
+    }
+
+    async deleteRecording(file) {
+        const streamId = $('#recordingsStreamId').val();
+        const confirm = await Swal.fire({
+            title: 'Emin misiniz?',
+            text: `${file} kaydı silinecek.`,
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            confirmButtonText: 'Evet, Sil!',
+            cancelButtonText: 'İptal'
+        });
+
+        if (!confirm.isConfirmed) return;
+
+        try {
+            const response = await fetch(`/admin/api/streams/${streamId}/recordings/${file}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.loadRecordings();
+            } else {
+                Swal.fire({ title: 'Hata!', text: result.message, icon: 'error' });
+            }
+        } catch (error) {
+            console.error('Error deleting recording:', error);
+        }
+    }
+
     async deleteStream(streamId, streamName) {
         const result = await Swal.fire({
             title: 'Emin misiniz?',
@@ -1428,66 +1914,1283 @@ class AdminPanel {
             }
         }
     }
-}
 
-// ==========================================
-// SLIDER MANAGER CLASS
-// ==========================================
-class SliderManager {
-    constructor() {
-        this.sortable = null;
-        this.images = [];
-        this.init();
+    // ==========================================
+    // SCHEDULES
+    // ==========================================
+    async loadSchedules() {
+        const tbody = $('#schedulesTable tbody');
+
+        try {
+            const response = await fetch('/admin/api/schedules');
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="7" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            this.schedules = result.data.schedules;
+            this.scheduleTargets = {
+                stream: result.data.streams.map(stream => ({ id: stream.id, name: stream.stream_name })),
+                category: result.data.categories.map(category => ({ id: category.id, name: category.name }))
+            };
+
+            if (this.schedules.length === 0) {
+                tbody.html('<tr><td colspan="7" class="text-center text-muted">Henüz zamanlama oluşturulmamış</td></tr>');
+                return;
+            }
+
+            tbody.html(this.schedules.map(schedule => {
+                const targetLabel = schedule.target_type === 'stream' ? 'Yayın' : 'Kategori';
+                const windows = schedule.windows.map(window =>
+                    `${SCHEDULE_DAYS[window.day_of_week].slice(0, 3)} ${window.start_time.slice(0, 5)}-${window.end_time.slice(0, 5)}`
+                ).join('<br>') || '<small class="text-muted">Yok</small>';
+
+                let state = '<span class="status-badge status-stopped">Pasif</span>';
+                if (schedule.is_active) {
+                    state = schedule.open
+                        ? '<span class="status-badge status-streaming">Açık</span>'
+                        : '<span class="status-badge status-error">Kapalı</span>';
+                }
+
+                return `
+                    <tr>
+                        <td><strong>${this.escapeHtml(schedule.name)}</strong></td>
+                        <td><span class="role-badge role-user">${targetLabel}</span> ${this.escapeHtml(schedule.target_name || 'Silinmiş')}</td>
+                        <td><small>${windows}</small></td>
+                        <td>${schedule.exceptions.length}</td>
+                        <td>${state}</td>
+                        <td><small>${this.formatTransition(schedule.next_transition)}</small></td>
+                        <td>
+                            <div class="btn-group" role="group">
+                                ${this.can('edit') ? `<button class="btn btn-sm btn-outline-primary" onclick="adminPanel.openScheduleModal('${schedule.id}')" title="Düzenle">
+                                    <i class="fas fa-edit"></i>
+                                </button>` : ''}
+                                ${this.can('delete') ? `<button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteSchedule('${schedule.id}')" title="Sil">
+                                    <i class="fas fa-trash"></i>
+                                </button>` : ''}
+                            </div>
+                        </td>
+                    </tr>
+                `;
+            }).join(''));
+        } catch (error) {
+            console.error('Error loading schedules:', error);
+            tbody.html('<tr><td colspan="7" class="text-center text-danger">Zamanlama listesi alınamadı</td></tr>');
+        }
     }
 
-    init() {
-        this.initEventListeners();
-        this.loadSliderImages();
-        this.loadSliderStats();
+    /**
+     * { at, open } => "Pzt 09:00 açılır"
+     */
+    formatTransition(transition) {
+        if (!transition) return '<span class="text-muted">-</span>';
+
+        const at = new Date(transition.at);
+        const isToday = at.toDateString() === new Date().toDateString();
+        const day = isToday ? 'Bugün' : `${SCHEDULE_DAYS[at.getDay()].slice(0, 3)} ${at.toLocaleDateString('tr-TR')}`;
+        const time = at.toLocaleTimeString('tr-TR', { hour: '2-digit', minute: '2-digit' });
+
+        return `${day} ${time} ${transition.open ? 'açılır' : 'kapanır'}`;
     }
 
-    initEventListeners() {
-        // Upload zone events
-        $('#uploadZone').on('click', () => {
-            $('#imageUpload').click();
-        });
+    renderScheduleTargets(selectedId = null) {
+        const targetType = $('#schedule_target_type').val();
+        const targets = (this.scheduleTargets && this.scheduleTargets[targetType]) || [];
 
-        $('#imageUpload').on('change', (e) => {
-            this.handleFileSelect(e.target.files);
-        });
+        $('#schedule_target_id').html(targets.map(target => `
+            <option value="${target.id}" ${target.id === selectedId ? 'selected' : ''}>${this.escapeHtml(target.name)}</option>
+        `).join(''));
+    }
 
-        // Drag & Drop events
-        $('#uploadZone').on('dragover', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            $('#uploadZone').addClass('dragover');
-        });
+    addScheduleWindowRow(window = { day_of_week: 1, start_time: '09:00', end_time: '18:00' }) {
+        const days = SCHEDULE_DAYS.map((name, index) =>
+            `<option value="${index}" ${index === Number(window.day_of_week) ? 'selected' : ''}>${name}</option>`
+        ).join('');
+
+        $('#scheduleWindows').append(`
+            <div class="input-group input-group-sm mb-2 schedule-window">
+                <select class="form-select" data-field="day_of_week">${days}</select>
+                <input type="time" class="form-control" data-field="start_time" value="${window.start_time.slice(0, 5)}" required>
+                <input type="time" class="form-control" data-field="end_time" value="${window.end_time.slice(0, 5)}" required>
+                <button type="button" class="btn btn-outline-danger" onclick="$(this).closest('.schedule-window').remove()" title="Kaldır">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `);
+    }
 
-        $('#uploadZone').on('dragleave', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            $('#uploadZone').removeClass('dragover');
-        });
+    addScheduleExceptionRow(exception = { date: '', is_open: false, start_time: null, end_time: null, description: '' }) {
+        $('#scheduleExceptions').append(`
+            <div class="input-group input-group-sm mb-2 schedule-exception">
+                <input type="date" class="form-control" data-field="date" value="${exception.date}" required>
+                <select class="form-select" data-field="is_open">
+                    <option value="false" ${exception.is_open ? '' : 'selected'}>Kapalı</option>
+                    <option value="true" ${exception.is_open ? 'selected' : ''}>Açık</option>
+                </select>
+                <input type="time" class="form-control" data-field="start_time" value="${(exception.start_time || '').slice(0, 5)}" title="Başlangıç (açık günler için)">
+                <input type="time" class="form-control" data-field="end_time" value="${(exception.end_time || '').slice(0, 5)}" title="Bitiş (açık günler için)">
+                <input type="text" class="form-control" data-field="description" value="${this.escapeHtml(exception.description || '')}" placeholder="Açıklama">
+                <button type="button" class="btn btn-outline-danger" onclick="$(this).closest('.schedule-exception').remove()" title="Kaldır">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `);
+    }
 
-        $('#uploadZone').on('drop', (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            $('#uploadZone').removeClass('dragover');
+    async openScheduleModal(scheduleId = null) {
+        if (!this.scheduleTargets) {
+            await this.loadSchedules();
+        }
 
-            const files = e.originalEvent.dataTransfer.files;
-            this.handleFileSelect(files);
-        });
+        const schedule = scheduleId ? this.schedules.find(item => item.id === scheduleId) : null;
+
+        $('#scheduleForm')[0].reset();
+        $('#scheduleId').val(schedule ? schedule.id : '');
+        $('#scheduleModalTitle').text(schedule ? 'Zamanlama Düzenle' : 'Yeni Zamanlama Ekle');
+        $('#schedule_name').val(schedule ? schedule.name : '');
+        $('#schedule_is_active').prop('checked', schedule ? schedule.is_active : true);
+        $('#schedule_target_type').val(schedule ? schedule.target_type : 'stream');
+        this.renderScheduleTargets(schedule ? schedule.target_id : null);
+
+        $('#scheduleWindows').empty();
+        $('#scheduleExceptions').empty();
+        if (schedule) {
+            schedule.windows.forEach(window => this.addScheduleWindowRow(window));
+            schedule.exceptions.forEach(exception => this.addScheduleExceptionRow(exception));
+        } else {
+            // Varsayılan: hafta içi mesai saatleri
+            [1, 2, 3, 4, 5].forEach(day => this.addScheduleWindowRow({ day_of_week: day, start_time: '09:00', end_time: '18:00' }));
+        }
+
+        new bootstrap.Modal('#scheduleModal').show();
     }
 
-    async loadSliderImages() {
+    async saveSchedule() {
+        const scheduleId = $('#scheduleId').val();
+        const rowValues = (row) => {
+            const values = {};
+            $(row).find('[data-field]').each((index, input) => {
+                values[$(input).data('field')] = $(input).val();
+            });
+            return values;
+        };
+
+        const payload = {
+            name: $('#schedule_name').val(),
+            target_type: $('#schedule_target_type').val(),
+            target_id: $('#schedule_target_id').val(),
+            is_active: $('#schedule_is_active').is(':checked'),
+            windows: $('#scheduleWindows .schedule-window').toArray().map(rowValues),
+            exceptions: $('#scheduleExceptions .schedule-exception').toArray().map(rowValues)
+        };
+
         try {
-            $('#loading').show();
+            const response = await fetch(scheduleId ? `/admin/api/schedules/${scheduleId}` : '/admin/api/schedules', {
+                method: scheduleId ? 'PUT' : 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            });
 
-            const response = await fetch('/admin/api/slider/images');
             const result = await response.json();
 
             if (result.success) {
-                this.images = result.data;
+                Swal.fire({
+                    title: 'Başarılı!',
+                    text: result.message,
+                    icon: 'success',
+                    timer: 2000,
+                    showConfirmButton: false
+                });
+
+                bootstrap.Modal.getInstance('#scheduleModal').hide();
+                this.loadSchedules();
+            } else {
+                Swal.fire({
+                    title: 'Hata!',
+                    text: result.message,
+                    icon: 'error'
+                });
+            }
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            Swal.fire({
+                title: 'Hata!',
+                text: 'Zamanlama kaydedilirken bir hata oluştu.',
+                icon: 'error'
+            });
+        }
+    }
+
+    async deleteSchedule(scheduleId) {
+        const schedule = (this.schedules || []).find(item => item.id === scheduleId);
+
+        const result = await Swal.fire({
+            title: 'Emin misiniz?',
+            text: `${schedule ? schedule.name : 'Bu'} zamanlamasını silmek istediğinizden emin misiniz? Yayın/kategori mevcut durumunda kalır.`,
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            cancelButtonColor: '#3085d6',
+            confirmButtonText: 'Evet, Sil!',
+            cancelButtonText: 'İptal'
+        });
+
+        if (result.isConfirmed) {
+            try {
+                const response = await fetch(`/admin/api/schedules/${scheduleId}`, {
+                    method: 'DELETE'
+                });
+                const deleteResult = await response.json();
+
+                Swal.fire({
+                    title: deleteResult.success ? 'Silindi!' : 'Hata!',
+                    text: deleteResult.message,
+                    icon: deleteResult.success ? 'success' : 'error',
+                    timer: deleteResult.success ? 2000 : undefined,
+                    showConfirmButton: !deleteResult.success
+                });
+
+                this.loadSchedules();
+            } catch (error) {
+                console.error('Error deleting schedule:', error);
+                Swal.fire({
+                    title: 'Hata!',
+                    text: 'Zamanlama silinirken bir hata oluştu.',
+                    icon: 'error'
+                });
+            }
+        }
+    }
+
+    // ==========================================
+    // GROUPS & ACCESS RULES
+    // ==========================================
+    async loadGroups() {
+        const tbody = $('#groupsTable tbody');
+
+        try {
+            const response = await fetch('/admin/api/groups');
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="4" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            this.groups = result.data.groups;
+            this.groupUsers = result.data.users;
+
+            if (this.groups.length === 0) {
+                tbody.html('<tr><td colspan="4" class="text-center text-muted">Henüz grup oluşturulmamış</td></tr>');
+                return;
+            }
+
+            tbody.html(this.groups.map(group => `
+                <tr>
+                    <td><strong>${this.escapeHtml(group.name)}</strong></td>
+                    <td>${this.escapeHtml(group.description || '-')}</td>
+                    <td>${group.members.map(member => `<span class="role-badge role-user">${this.escapeHtml(member.username)}</span>`).join(' ') || '-'}</td>
+                    <td>
+                        <div class="btn-group" role="group">
+                            <button class="btn btn-sm btn-outline-primary" onclick="adminPanel.openGroupModal('${group.id}')" title="Düzenle">
+                                <i class="fas fa-edit"></i>
+                            </button>
+                            <button class="btn btn-sm btn-outline-danger" onclick="adminPanel.deleteGroup('${group.id}')" title="Sil">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </td>
+                </tr>
+            `).join(''));
+        } catch (error) {
+            console.error('Error loading groups:', error);
+            tbody.html('<tr><td colspan="4" class="text-center text-danger">Grup listesi alınamadı</td></tr>');
+        }
+    }
+
+    async openGroupModal(groupId = null) {
+        if (!this.groupUsers) {
+            await this.loadGroups();
+        }
+
+        const group = groupId ? this.groups.find(item => item.id === groupId) : null;
+        const memberIds = group ? group.members.map(member => member.id) : [];
+
+        $('#groupForm')[0].reset();
+        $('#groupId').val(group ? group.id : '');
+        $('#groupModalTitle').text(group ? 'Grup Düzenle' : 'Yeni Grup Ekle');
+        $('#group_name').val(group ? group.name : '');
+        $('#group_description').val(group ? group.description : '');
+        $('#group_members').html((this.groupUsers || []).map(user => `
+            <option value="${user.id}" ${memberIds.includes(user.id) ? 'selected' : ''}>${this.escapeHtml(user.username)} (${user.role})</option>
+        `).join(''));
+
+        new bootstrap.Modal('#groupModal').show();
+    }
+
+    async saveGroup() {
+        const formData = new FormData($('#groupForm')[0]);
+        const groupId = $('#groupId').val();
+
+        try {
+            const response = await fetch(groupId ? `/admin/api/groups/${groupId}` : '/admin/api/groups', {
+                method: groupId ? 'PUT' : 'POST',
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                Swal.fire({
+                    title: 'Başarılı!',
+                    text: result.message,
+                    icon: 'success',
+                    timer: 2000,
+                    showConfirmButton: false
+                });
+
+                bootstrap.Modal.getInstance('#groupModal').hide();
+                this.loadGroups();
+            } else {
+                Swal.fire({
+                    title: 'Hata!',
+                    text: result.message,
+                    icon: 'error'
+                });
+            }
+        } catch (error) {
+            console.error('Error saving group:', error);
+            Swal.fire({
+                title: 'Hata!',
+                text: 'Grup kaydedilirken bir hata oluştu.',
+                icon: 'error'
+            });
+        }
+    }
+
+    async deleteGroup(groupId) {
+        const group = (this.groups || []).find(item => item.id === groupId);
+
+        const result = await Swal.fire({
+            title: 'Emin misiniz?',
+            text: `${group ? group.name : 'Bu'} grubunu ve gruba verilmiş erişim izinlerini silmek istediğinizden emin misiniz?`,
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            cancelButtonColor: '#3085d6',
+            confirmButtonText: 'Evet, Sil!',
+            cancelButtonText: 'İptal'
+        });
+
+        if (result.isConfirmed) {
+            try {
+                const response = await fetch(`/admin/api/groups/${groupId}`, {
+                    method: 'DELETE'
+                });
+                const deleteResult = await response.json();
+
+                Swal.fire({
+                    title: deleteResult.success ? 'Silindi!' : 'Hata!',
+                    text: deleteResult.message,
+                    icon: deleteResult.success ? 'success' : 'error',
+                    timer: deleteResult.success ? 2000 : undefined,
+                    showConfirmButton: !deleteResult.success
+                });
+
+                this.loadGroups();
+            } catch (error) {
+                console.error('Error deleting group:', error);
+                Swal.fire({
+                    title: 'Hata!',
+                    text: 'Grup silinirken bir hata oluştu.',
+                    icon: 'error'
+                });
+            }
+        }
+    }
+
+    openAccessModal(resourceType, resourceId, resourceName) {
+        $('#accessResourceType').val(resourceType);
+        $('#accessResourceId').val(resourceId);
+        $('#accessModalTitle').text(`Erişim İzinleri - ${resourceName}`);
+
+        this.loadAccessRules();
+        new bootstrap.Modal('#accessModal').show();
+    }
+
+    async loadAccessRules() {
+        const resourceType = $('#accessResourceType').val();
+        const resourceId = $('#accessResourceId').val();
+        const tbody = $('#accessRulesTable tbody');
+
+        try {
+            const response = await fetch(`/admin/api/access-rules?resource_type=${resourceType}&resource_id=${resourceId}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="4" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            const { rules, subjects } = result.data;
+
+            $('#accessSubject').html(`
+                <optgroup label="Gruplar">
+                    ${subjects.groups.map(group => `<option value="group:${group.id}">${this.escapeHtml(group.name)}</option>`).join('')}
+                </optgroup>
+                <optgroup label="Kullanıcılar">
+                    ${subjects.users.map(user => `<option value="user:${user.id}">${this.escapeHtml(user.username)}</option>`).join('')}
+                </optgroup>
+            `);
+
+            if (rules.length === 0) {
+                tbody.html('<tr><td colspan="4" class="text-center text-muted">Özel erişim izni yok</td></tr>');
+                return;
+            }
+
+            tbody.html(rules.map(rule => `
+                <tr>
+                    <td>${rule.subject_type === 'group' ? '<i class="fas fa-user-friends"></i> Grup' : '<i class="fas fa-user"></i> Kullanıcı'}</td>
+                    <td>${this.escapeHtml(rule.subject_name)}</td>
+                    <td>${new Date(rule.created_at).toLocaleString('tr-TR')}</td>
+                    <td>
+                        <button class="btn btn-sm btn-outline-danger" onclick="adminPanel.removeAccessRule('${rule.id}')" title="İzni Kaldır">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join(''));
+        } catch (error) {
+            console.error('Error loading access rules:', error);
+            tbody.html('<tr><td colspan="4" class="text-center text-danger">Erişim izinleri alınamadı</td></tr>');
+        }
+    }
+
+    async addAccessRule() {
+        const [subjectType, subjectId] = ($('#accessSubject').val() || '').split(':');
+        if (!subjectId) return;
+
+        const formData = new FormData();
+        formData.append('subject_type', subjectType);
+        formData.append('subject_id', subjectId);
+        formData.append('resource_type', $('#accessResourceType').val());
+        formData.append('resource_id', $('#accessResourceId').val());
+
+        try {
+            const response = await fetch('/admin/api/access-rules', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                Swal.fire({
+                    title: 'Hata!',
+                    text: result.message,
+                    icon: 'error'
+                });
+            }
+
+            this.loadAccessRules();
+        } catch (error) {
+            console.error('Error adding access rule:', error);
+        }
+    }
+
+    async removeAccessRule(ruleId) {
+        try {
+            const response = await fetch(`/admin/api/access-rules/${ruleId}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                Swal.fire({
+                    title: 'Hata!',
+                    text: result.message,
+                    icon: 'error'
+                });
+            }
+
+            this.loadAccessRules();
+        } catch (error) {
+            console.error('Error removing access rule:', error);
+        }
+    }
+
+    // ==========================================
+    // TWO-FACTOR AUTHENTICATION
+    // ==========================================
+    async loadTwoFactorStatus() {
+        try {
+            const response = await fetch('/admin/api/account/2fa');
+            const result = await response.json();
+
+            if (!result.success) {
+                $('#twoFactorStatus').html(`<span class="text-danger">${result.message}</span>`);
+                return;
+            }
+
+            const { enabled, recovery_codes_remaining } = result.data;
+            $('#twoFactorStatus').html(enabled
+                ? `<span class="status-badge status-active">Açık</span> <small class="text-muted ms-2">${recovery_codes_remaining} kurtarma kodu kaldı</small>`
+                : '<span class="status-badge status-inactive">Kapalı</span>');
+
+            $('#enableTwoFactorBtn').toggle(!enabled);
+            $('#regenerateRecoveryCodesBtn').toggle(enabled);
+            $('#disableTwoFactorBtn').toggle(enabled);
+        } catch (error) {
+            console.error('Error loading 2FA status:', error);
+            $('#twoFactorStatus').html('<span class="text-danger">Durum alınamadı</span>');
+        }
+    }
+
+    async enableTwoFactor() {
+        try {
+            const setupResponse = await fetch('/admin/api/account/2fa/setup', { method: 'POST' });
+            const setup = await setupResponse.json();
+
+            if (!setup.success) {
+                Swal.fire({ title: 'Hata!', text: setup.message, icon: 'error' });
+                return;
+            }
+
+            const { value: code } = await Swal.fire({
+                title: 'İki Adımlı Doğrulama',
+                html: `
+                    <p>Authenticator uygulamanıza aşağıdaki anahtarı ekleyin, ardından üretilen kodu girin.</p>
+                    <input class="form-control mb-2 text-center" readonly value="${setup.data.secret}" onclick="this.select()">
+                    <small class="text-muted d-block mb-2">veya bu adresi QR üretici / uygulamanızla açın:</small>
+                    <input class="form-control form-control-sm" readonly value="${this.escapeHtml(setup.data.otpauth_url)}" onclick="this.select()">
+                `,
+                input: 'text',
+                inputPlaceholder: '123456',
+                inputAttributes: { autocomplete: 'one-time-code', inputmode: 'numeric' },
+                showCancelButton: true,
+                confirmButtonText: 'Doğrula',
+                cancelButtonText: 'Vazgeç',
+                inputValidator: (value) => !value && 'Doğrulama kodu gerekli'
+            });
+
+            if (!code) return;
+
+            const formData = new FormData();
+            formData.append('code', code);
+
+            const response = await fetch('/admin/api/account/2fa/enable', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                await this.showRecoveryCodes(result.message, result.data.recovery_codes);
+                this.loadTwoFactorStatus();
+            } else {
+                Swal.fire({ title: 'Hata!', text: result.message, icon: 'error' });
+            }
+        } catch (error) {
+            console.error('Error enabling 2FA:', error);
+            Swal.fire({ title: 'Hata!', text: 'İki adımlı doğrulama açılırken bir hata oluştu.', icon: 'error' });
+        }
+    }
+
+    // Şifre ve doğrulama kodu ister - kapatma ve kurtarma kodu yenileme için
+    async promptTwoFactorChallenge(title, confirmButtonText) {
+        const { value } = await Swal.fire({
+            title,
+            html: `
+                <input type="password" id="challengePassword" class="form-control mb-2" placeholder="Şifreniz" autocomplete="current-password">
+                <input type="text" id="challengeCode" class="form-control" placeholder="Doğrulama veya kurtarma kodu" autocomplete="one-time-code">
+            `,
+            showCancelButton: true,
+            confirmButtonText,
+            cancelButtonText: 'Vazgeç',
+            preConfirm: () => {
+                const password = $('#challengePassword').val();
+                const code = $('#challengeCode').val();
+                if (!password || !code) {
+                    Swal.showValidationMessage('Şifre ve kod gerekli');
+                    return false;
+                }
+                return { password, code };
+            }
+        });
+
+        if (!value) return null;
+
+        const formData = new FormData();
+        formData.append('password', value.password);
+        formData.append('code', value.code);
+        return formData;
+    }
+
+    async disableTwoFactor() {
+        const formData = await this.promptTwoFactorChallenge('İki Adımlı Doğrulamayı Kapat', 'Kapat');
+        if (!formData) return;
+
+        try {
+            const response = await fetch('/admin/api/account/2fa/disable', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            Swal.fire({
+                title: result.success ? 'Kapatıldı' : 'Hata!',
+                text: result.message,
+                icon: result.success ? 'success' : 'error'
+            });
+            this.loadTwoFactorStatus();
+        } catch (error) {
+            console.error('Error disabling 2FA:', error);
+            Swal.fire({ title: 'Hata!', text: 'İki adımlı doğrulama kapatılırken bir hata oluştu.', icon: 'error' });
+        }
+    }
+
+    async regenerateRecoveryCodes() {
+        const formData = await this.promptTwoFactorChallenge('Kurtarma Kodlarını Yenile', 'Yenile');
+        if (!formData) return;
+
+        try {
+            const response = await fetch('/admin/api/account/2fa/recovery-codes', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                await this.showRecoveryCodes(result.message, result.data.recovery_codes);
+                this.loadTwoFactorStatus();
+            } else {
+                Swal.fire({ title: 'Hata!', text: result.message, icon: 'error' });
+            }
+        } catch (error) {
+            console.error('Error regenerating recovery codes:', error);
+            Swal.fire({ title: 'Hata!', text: 'Kurtarma kodları oluşturulurken bir hata oluştu.', icon: 'error' });
+        }
+    }
+
+    // Kodlar bir daha gösterilmez - kaydedilene kadar kapanmasın
+    showRecoveryCodes(message, codes) {
+        return Swal.fire({
+            title: 'Kurtarma Kodları',
+            html: `<p>${message}</p><textarea class="form-control font-monospace" rows="6" readonly onclick="this.select()">${codes.join('\n')}</textarea>`,
+            icon: 'success',
+            confirmButtonText: 'Kaydettim',
+            allowOutsideClick: false
+        });
+    }
+
+    async resetUserTwoFactor(userId, username) {
+        const result = await Swal.fire({
+            title: 'Emin misiniz?',
+            text: `${username} kullanıcısının iki adımlı doğrulaması kapatılacak.`,
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            cancelButtonColor: '#3085d6',
+            confirmButtonText: 'Evet, Sıfırla!',
+            cancelButtonText: 'Vazgeç'
+        });
+
+        if (!result.isConfirmed) return;
+
+        try {
+            const response = await fetch(`/admin/api/users/${userId}/2fa`, { method: 'DELETE' });
+            const resetResult = await response.json();
+
+            Swal.fire({
+                title: resetResult.success ? 'Sıfırlandı!' : 'Hata!',
+                text: resetResult.message,
+                icon: resetResult.success ? 'success' : 'error'
+            });
+
+            if (resetResult.success) {
+                this.usersTable.ajax.reload(null, false);
+            }
+        } catch (error) {
+            console.error('Error resetting user 2FA:', error);
+            Swal.fire({ title: 'Hata!', text: 'İki adımlı doğrulama sıfırlanırken bir hata oluştu.', icon: 'error' });
+        }
+    }
+
+    // ==========================================
+    // SESSIONS
+    // ==========================================
+    // User-agent'tan kısa cihaz tanımı (ör. "Chrome / Windows")
+    describeDevice(userAgent) {
+        if (!userAgent) return 'Bilinmeyen cihaz';
+
+        const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+        const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iPadOS'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+        const browser = browsers.find(([token]) => userAgent.includes(token));
+        const system = systems.find(([token]) => userAgent.includes(token));
+
+        return `${browser ? browser[1] : 'Tarayıcı'} / ${system ? system[1] : 'Bilinmeyen sistem'}`;
+    }
+
+    async loadSessions() {
+        const tbody = $('#sessionsTable tbody');
+        tbody.html('<tr><td colspan="5" class="text-center text-muted">Yükleniyor...</td></tr>');
+
+        try {
+            const response = await fetch('/admin/api/account/sessions');
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="5" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            tbody.html(result.data.map(session => `
+                <tr>
+                    <td title="${this.escapeHtml(session.user_agent || '')}">
+                        ${this.escapeHtml(this.describeDevice(session.user_agent))}
+                        ${session.current ? '<span class="status-badge status-active ms-1">Bu cihaz</span>' : ''}
+                    </td>
+                    <td>${this.escapeHtml(session.ip_address || '-')}</td>
+                    <td>${session.last_seen_at ? new Date(session.last_seen_at).toLocaleString('tr-TR') : '-'}</td>
+                    <td>${new Date(session.created_at).toLocaleString('tr-TR')}</td>
+                    <td>
+                        ${session.current ? '' : `
+                            <button class="btn btn-sm btn-outline-danger revoke-session-btn" data-id="${session.id}" title="Oturumu Kapat">
+                                <i class="fas fa-sign-out-alt"></i>
+                            </button>`}
+                    </td>
+                </tr>
+            `).join(''));
+
+            tbody.find('.revoke-session-btn').on('click', (e) => {
+                this.revokeSession($(e.currentTarget).data('id'));
+            });
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            tbody.html('<tr><td colspan="5" class="text-center text-danger">Oturum listesi alınamadı</td></tr>');
+        }
+    }
+
+    async revokeSession(sessionId) {
+        try {
+            const response = await fetch(`/admin/api/account/sessions/${sessionId}`, { method: 'DELETE' });
+            const result = await response.json();
+
+            if (result.success) {
+                Swal.fire({
+                    title: 'Kapatıldı!',
+                    text: result.message,
+                    icon: 'success',
+                    timer: 2000,
+                    showConfirmButton: false
+                });
+                this.loadSessions();
+            } else {
+                Swal.fire({ title: 'Hata!', text: result.message, icon: 'error' });
+            }
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            Swal.fire({ title: 'Hata!', text: 'Oturum kapatılırken bir hata oluştu.', icon: 'error' });
+        }
+    }
+
+    async forceLogoutUser(userId, username) {
+        const result = await Swal.fire({
+            title: 'Emin misiniz?',
+            text: `${username} kullanıcısının tüm oturumları kapatılacak.`,
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            cancelButtonColor: '#3085d6',
+            confirmButtonText: 'Evet, Çıkış Yaptır!',
+            cancelButtonText: 'Vazgeç'
+        });
+
+        if (!result.isConfirmed) return;
+
+        try {
+            const response = await fetch(`/admin/api/users/${userId}/logout`, { method: 'POST' });
+            const logoutResult = await response.json();
+
+            Swal.fire({
+                title: logoutResult.success ? 'Tamamlandı!' : 'Hata!',
+                text: logoutResult.message,
+                icon: logoutResult.success ? 'success' : 'error'
+            });
+        } catch (error) {
+            console.error('Error forcing logout:', error);
+            Swal.fire({ title: 'Hata!', text: 'Oturumlar kapatılırken bir hata oluştu.', icon: 'error' });
+        }
+    }
+
+    // ==========================================
+    // AUDIT LOG
+    // ==========================================
+    initAuditTable() {
+        this.loadAuditFilters();
+
+        this.auditTable = $('#auditTable').DataTable({
+            processing: true,
+            serverSide: true,
+            ajax: {
+                url: '/admin/api/audit-logs',
+                type: 'POST',
+                data: (params) => Object.assign(params, this.getAuditFilters())
+            },
+            columns: [
+                {
+                    data: 'created_at',
+                    render: function (data) {
+                        return new Date(data).toLocaleString('tr-TR');
+                    }
+                },
+                {
+                    data: 'actor_username',
+                    render: (data, type, row) => {
+                        if (!data) return '<small class="text-muted">-</small>';
+                        const via = row.api_token_id ? ' <i class="fas fa-key text-muted" title="API token"></i>' : '';
+                        return `${this.escapeHtml(data)}${via}`;
+                    }
+                },
+                {
+                    data: 'action',
+                    render: (data) => `<code>${this.escapeHtml(data)}</code>`
+                },
+                { data: 'target_type', defaultContent: '-' },
+                {
+                    data: 'target_id',
+                    render: (data) => data ? `<small>${this.escapeHtml(data)}</small>` : '-'
+                },
+                {
+                    data: null,
+                    orderable: false,
+                    render: (data, type, row) => this.renderAuditChanges(row)
+                },
+                { data: 'ip_address', defaultContent: '-' }
+            ],
+            order: [[0, 'desc']],
+            pageLength: 25,
+            responsive: true,
+            language: {
+                url: '//cdn.datatables.net/plug-ins/1.13.6/i18n/tr.json'
+            }
+        });
+
+        $('#auditFilters').on('change', 'select, input', () => this.auditTable.ajax.reload());
+        $('#exportAuditBtn').on('click', () => this.exportAuditLog());
+    }
+
+    getAuditFilters() {
+        const filters = {};
+        $('#auditFilters').serializeArray().forEach(({ name, value }) => {
+            if (value) filters[name] = value;
+        });
+        return filters;
+    }
+
+    async loadAuditFilters() {
+        try {
+            const response = await fetch('/admin/api/audit-logs/filters');
+            const result = await response.json();
+            if (!result.success) return;
+
+            const form = $('#auditFilters');
+            const { actions, target_types, actors } = result.data;
+
+            // Aynı kaynağa ait işlemler "stream." gibi önek ile de seçilebilir
+            const prefixes = [...new Set(actions.map(action => action.split('.')[0] + '.'))];
+
+            form.find('[name="actor_id"]').append(actors.map(actor =>
+                `<option value="${actor.actor_id}">${this.escapeHtml(actor.actor_username)}</option>`).join(''));
+            form.find('[name="action"]').append(
+                prefixes.map(prefix => `<option value="${prefix}">${prefix}*</option>`).join('') +
+                actions.map(action => `<option value="${action}">${action}</option>`).join(''));
+            form.find('[name="target_type"]').append(target_types.map(targetType =>
+                `<option value="${targetType}">${targetType}</option>`).join(''));
+        } catch (error) {
+            console.error('Error loading audit filters:', error);
+        }
+    }
+
+    renderAuditChanges(row) {
+        const parts = [];
+        const format = (value) => value === null || value === undefined ? '∅' : this.escapeHtml(String(value).slice(0, 60));
+
+        if (row.changes) {
+            Object.entries(row.changes).forEach(([field, change]) => {
+                parts.push(`<div><strong>${this.escapeHtml(field)}</strong>: ${format(change.from)} → ${format(change.to)}</div>`);
+            });
+        }
+        if (row.details) {
+            parts.push(`<div class="text-muted">${this.escapeHtml(JSON.stringify(row.details).slice(0, 200))}</div>`);
+        }
+
+        return parts.length ? `<small>${parts.join('')}</small>` : '-';
+    }
+
+    exportAuditLog() {
+        const params = new URLSearchParams(this.getAuditFilters());
+        window.location.href = `/admin/api/audit-logs/export.csv?${params.toString()}`;
+    }
+
+    // ==========================================
+    // API TOKENS
+    // ==========================================
+    async loadApiTokens() {
+        const tbody = $('#tokensTable tbody');
+        tbody.html('<tr><td colspan="8" class="text-center text-muted">Yükleniyor...</td></tr>');
+
+        try {
+            const response = await fetch('/admin/api/tokens');
+            const result = await response.json();
+
+            if (!result.success) {
+                tbody.html(`<tr><td colspan="8" class="text-center text-danger">${result.message}</td></tr>`);
+                return;
+            }
+
+            this.tokenOptions = { scopes: result.data.scopes, types: result.data.types };
+
+            const tokens = result.data.tokens;
+            if (tokens.length === 0) {
+                tbody.html('<tr><td colspan="8" class="text-center text-muted">Henüz token oluşturulmamış</td></tr>');
+                return;
+            }
+
+            tbody.html(tokens.map(token => {
+                const expired = token.expires_at && new Date(token.expires_at) < new Date();
+                let validity = token.expires_at ? new Date(token.expires_at).toLocaleString('tr-TR') : 'Süresiz';
+                if (token.revoked_at) {
+                    validity = '<span class="status-badge status-inactive">İptal</span>';
+                } else if (expired) {
+                    validity = '<span class="status-badge status-stopped">Süresi Doldu</span>';
+                }
+
+                return `
+                    <tr>
+                        <td>${this.escapeHtml(token.name)}</td>
+                        <td><code>${token.token_prefix}…</code></td>
+                        <td>${token.type === 'service' ? 'Servis' : 'Kişisel'}</td>
+                        <td>${token.user ? this.escapeHtml(token.user.username) : '-'}</td>
+                        <td>${token.scopes.map(scope => `<span class="role-badge role-user">${scope}</span>`).join(' ')}</td>
+                        <td>${token.last_used_at ? new Date(token.last_used_at).toLocaleString('tr-TR') : 'Hiç'}</td>
+                        <td>${validity}</td>
+                        <td>
+                            ${token.revoked_at ? '' : `
+                                <button class="btn btn-sm btn-outline-danger revoke-token-btn" data-id="${token.id}" title="İptal Et">
+                                    <i class="fas fa-ban"></i>
+                                </button>`}
+                        </td>
+                    </tr>
+                `;
+            }).join(''));
+
+            tbody.find('.revoke-token-btn').on('click', (e) => {
+                this.revokeToken($(e.currentTarget).data('id'));
+            });
+        } catch (error) {
+            console.error('Error loading API tokens:', error);
+            tbody.html('<tr><td colspan="8" class="text-center text-danger">Token listesi alınamadı</td></tr>');
+        }
+    }
+
+    async openTokenModal() {
+        if (!this.tokenOptions) {
+            await this.loadApiTokens();
+        }
+
+        $('#tokenForm')[0].reset();
+
+        const { scopes, types } = this.tokenOptions || { scopes: [], types: ['personal'] };
+        $('#token_type option').each((i, option) => {
+            $(option).prop('disabled', !types.includes(option.value));
+        });
+
+        $('#tokenScopes').html(scopes.map(scope => `
+            <div class="form-check form-check-inline">
+                <input class="form-check-input" type="checkbox" id="token_scope_${scope}" name="scopes"
+                    value="${scope}" ${scope === 'view' ? 'checked' : ''}>
+                <label class="form-check-label" for="token_scope_${scope}">${scope}</label>
+            </div>
+        `).join(''));
+
+        new bootstrap.Modal('#tokenModal').show();
+    }
+
+    async saveToken() {
+        const formData = new FormData($('#tokenForm')[0]);
+
+        try {
+            const response = await fetch('/admin/api/tokens', {
+                method: 'POST',
+                body: formData
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                bootstrap.Modal.getInstance('#tokenModal').hide();
+
+                // Token bir daha gösterilmez - kopyalanana kadar kapanmasın
+                Swal.fire({
+                    title: 'Token Oluşturuldu',
+                    html: `<p>${result.message}</p><input class="form-control" readonly value="${result.data.token}" onclick="this.select()">`,
+                    icon: 'success',
+                    confirmButtonText: 'Kopyaladım',
+                    allowOutsideClick: false
+                });
+
+                this.loadApiTokens();
+            } else {
+                Swal.fire({
+                    title: 'Hata!',
+                    text: result.message,
+                    icon: 'error'
+                });
+            }
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            Swal.fire({
+                title: 'Hata!',
+                text: 'Token oluşturulurken bir hata oluştu.',
+                icon: 'error'
+            });
+        }
+    }
+
+    async revokeToken(tokenId) {
+        const result = await Swal.fire({
+            title: 'Emin misiniz?',
+            text: 'Bu token\'ı kullanan entegrasyonlar erişimini kaybedecek.',
+            icon: 'warning',
+            showCancelButton: true,
+            confirmButtonColor: '#d33',
+            cancelButtonColor: '#3085d6',
+            confirmButtonText: 'Evet, İptal Et!',
+            cancelButtonText: 'Vazgeç'
+        });
+
+        if (result.isConfirmed) {
+            try {
+                const response = await fetch(`/admin/api/tokens/${tokenId}`, {
+                    method: 'DELETE'
+                });
+                const revokeResult = await response.json();
+
+                if (revokeResult.success) {
+                    Swal.fire({
+                        title: 'İptal Edildi!',
+                        text: revokeResult.message,
+                        icon: 'success',
+                        timer: 2000,
+                        showConfirmButton: false
+                    });
+
+                    this.loadApiTokens();
+                } else {
+                    Swal.fire({
+                        title: 'Hata!',
+                        text: revokeResult.message,
+                        icon: 'error'
+                    });
+                }
+            } catch (error) {
+                console.error('Error revoking API token:', error);
+                Swal.fire({
+                    title: 'Hata!',
+                    text: 'Token iptal edilirken bir hata oluştu.',
+                    icon: 'error'
+                });
+            }
+        }
+    }
+
+    escapeHtml(value) {
+        return $('<div>').text(value == null ? '' : value).html();
+    }
+
+    // ==========================================
+    // LIVE UPDATES (SERVER-SENT EVENTS)
+    // ==========================================
+    initLiveUpdates() {
+        this.loadStreamCounters();
+
+        if (!window.EventSource) {
+            $('#liveIndicator .live-indicator-text').text('Desteklenmiyor');
+            return;
+        }
+
+        // EventSource bağlantı koparsa Last-Event-ID ile kendisi yeniden bağlanır
+        this.eventSource = new EventSource('/admin/api/events');
+
+        this.eventSource.onopen = () => {
+            $('#liveIndicator').addClass('connected');
+            $('#liveIndicator .live-indicator-text').text('Canlı');
+            // Bağlantı yokken kaçan değişiklikler için sayaçları tazele
+            this.loadStreamCounters();
+        };
+
+        this.eventSource.onerror = () => {
+            $('#liveIndicator').removeClass('connected');
+            $('#liveIndicator .live-indicator-text').text('Yeniden bağlanıyor');
+        };
+
+        const streamEvents = [
+            'stream.started', 'stream.firstSegment', 'stream.stalled', 'stream.exited',
+            'stream.restarted', 'stream.stopped', 'stream.gaveUp', 'stream.flapping',
+            'stream.status', 'stream.created', 'stream.updated', 'stream.deleted',
+            'stream.categoriesChanged', 'stream.motionStarted', 'stream.motionEnded',
+            'stream.healthChanged'
+        ];
+        const cameraEvents = ['camera.created', 'camera.updated', 'camera.deleted'];
+        const categoryEvents = ['category.created', 'category.updated', 'category.deleted', 'category.reordered'];
+        const scheduleEvents = ['schedule.created', 'schedule.updated', 'schedule.deleted', 'schedule.transition'];
+
+        [...streamEvents, ...cameraEvents, ...categoryEvents, ...scheduleEvents].forEach(type => {
+            this.eventSource.addEventListener(type, (e) => {
+                this.handleLiveEvent(type, JSON.parse(e.data));
+            });
+        });
+    }
+
+    handleLiveEvent(type, data) {
+        const [entity] = type.split('.');
+
+        if (entity === 'stream') {
+            this.scheduleReload('streamsTable');
+            this.scheduleReload('counters');
+
+            // Kategori tablosu yayın sayılarını gösterir
+            if (['stream.created', 'stream.deleted', 'stream.categoriesChanged'].includes(type)) {
+                this.scheduleReload('categoriesTable');
+            }
+        } else if (entity === 'camera') {
+            this.scheduleReload('camerasTable');
+            // Yayın tablosu kamera adını gösterir
+            this.scheduleReload('streamsTable');
+        } else if (entity === 'category') {
+            this.scheduleReload('categoriesTable');
+            this.scheduleReload('streamsTable');
+        } else if (entity === 'schedule') {
+            this.scheduleReload('schedules');
+            // Yayın tablosu sonraki geçiş zamanını gösterir
+            this.scheduleReload('streamsTable');
+        }
+
+        if (type === 'stream.stalled') {
+            this.showWarning(`${data.streamName} yayını takıldı, yeniden başlatılıyor`);
+        } else if (type === 'stream.gaveUp') {
+            this.showWarning(`${data.streamName} yayını durduruldu${data.reason ? ` (${data.reason})` : ''}`);
+        }
+    }
+
+    /**
+     * Art arda gelen olaylarda tabloyu bir kez yeniler
+     */
+    scheduleReload(target) {
+        clearTimeout(this.reloadTimers[target]);
+
+        this.reloadTimers[target] = setTimeout(() => {
+            if (target === 'counters') {
+                this.loadStreamCounters();
+            } else if (target === 'schedules') {
+                if (this.currentSection === 'schedules') this.loadSchedules();
+            } else if (this[target]) {
+                this[target].ajax.reload(null, false);
+            }
+        }, 500);
+    }
+
+    async loadStreamCounters() {
+        try {
+            const response = await fetch('/admin/api/stream-stats');
+            const result = await response.json();
+
+            if (result.success) {
+                const streams = result.data.streams;
+                ['streaming', 'starting', 'error', 'stopped'].forEach(key => {
+                    $(`#streamCounters [data-counter="${key}"]`).text(streams[key] || 0);
+                });
+            }
+        } catch (error) {
+            console.error('Error loading stream counters:', error);
+        }
+    }
+
+    showWarning(message) {
+        Swal.fire({
+            text: message,
+            icon: 'warning',
+            timer: 4000,
+            showConfirmButton: false,
+            toast: true,
+            position: 'top-end'
+        });
+    }
+}
+
+// ==========================================
+// SLIDER MANAGER CLASS
+// ==========================================
+class SliderManager {
+    constructor() {
+        this.sortable = null;
+        this.images = [];
+        this.init();
+    }
+
+    init() {
+        this.initEventListeners();
+        this.loadSliderImages();
+        this.loadSliderStats();
+    }
+
+    initEventListeners() {
+        // Upload zone events
+        $('#uploadZone').on('click', () => {
+            $('#imageUpload').click();
+        });
+
+        $('#imageUpload').on('change', (e) => {
+            this.handleFileSelect(e.target.files);
+        });
+
+        // Drag & Drop events
+        $('#uploadZone').on('dragover', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            $('#uploadZone').addClass('dragover');
+        });
+
+        $('#uploadZone').on('dragleave', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            $('#uploadZone').removeClass('dragover');
+        });
+
+        $('#uploadZone').on('drop', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            $('#uploadZone').removeClass('dragover');
+
+            const files = e.originalEvent.dataTransfer.files;
+            this.handleFileSelect(files);
+        });
+    }
+
+    async loadSliderImages() {
+        try {
+            $('#loading').show();
+
+            const response = await fetch('/admin/api/slider/images');
+            const result = await response.json();
+
+            if (result.success) {
+                this.images = result.data;
                 this.renderSliderImages();
                 this.initSortable();
             } else {
@@ -1774,5 +3477,8 @@ document.addEventListener('visibilitychange', function () {
         if (window.adminPanel.streamsTable && window.adminPanel.currentSection === 'streams') {
             window.adminPanel.streamsTable.ajax.reload(null, false);
         }
+        if (window.adminPanel.currentSection === 'schedules') {
+            window.adminPanel.loadSchedules();
+        }
     }
 });
\ No newline at end of file
@@ -6,6 +6,18 @@ require('dotenv').config();
 const { sequelize, User, Stream, Camera } = require('./models');
 const bcrypt = require('bcryptjs');
 const { getStreamService } = require('./services/stream');
+const { getRecordingService } = require('./services/recording');
+const { getStreamSupervisor } = require('./services/supervisor');
+const { startManagedStream } = require('./services/streamLifecycle');
+const { getDriverRegistry } = require('./services/driverRegistry');
+const { assertKeyConfigured } = require('./services/credentials');
+const { getMigrationRunner } = require('./services/migrations');
+
+const { sessionMiddleware, trackSessionClient, assertSessionSecretConfigured } = require('./middleware/session');
+const { getOnDemandManager } = require('./services/onDemand');
+const { getStreamScheduler } = require('./services/scheduler');
+const { getMotionDetector } = require('./services/motion');
+const { getVideoHealthMonitor } = require('./services/videoHealth');
 
 // Routes
 const adminRoutes = require('./routers/admin');
@@ -17,10 +29,16 @@ const PORT = process.env.PORT || 3000;
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files
-app.use('/static', express.static(path.join(__dirname, '../public')));
+// Static files - HLS dosyaları sadece imzalı token zincirinden geçerek sunulur (bkz. routers/static.js)
+// Oturumdan önce bağlanır: her segment isteğinde oturum veritabanından okunmaz
+const staticRoutes = require('./routers/static');
+app.use('/static', staticRoutes);
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
+// Session - admin paneli ve public sayfalar ortak kullanır
+app.use(sessionMiddleware);
+app.use(trackSessionClient);
+
 // View engine setup
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
@@ -35,6 +53,10 @@ const SERVER_HOST = process.env.USE_NGINX === 'true'
     ? (process.env.NGINX_HOST || 'http://localhost:8080')
     : (process.env.SERVER_HOST + ":" + process.env.PORT || getServerIp() + ":" + process.env.PORT);
 
+// İsteğe bağlı ve zamanlanmış yayınlar başlatılırken hls_url bu adresle kaydedilir
+getOnDemandManager().setServerHost(SERVER_HOST);
+getStreamScheduler().setServerHost(SERVER_HOST);
+
 // API routes
 app.get('/api/health', (req, res) => {
     res.json({
@@ -80,6 +102,9 @@ async function recoverStreams() {
 
         const streamService = getStreamService();
 
+        // Supervisor düşen stream'leri yeniden başlatır
+        getStreamSupervisor();
+
         // Clean up orphaned HLS files first
         await cleanupOrphanedFiles();
 
@@ -114,52 +139,22 @@ async function recoverStreams() {
 
                 console.log(`✅ Stream ${stream.stream_name} status updated to 'stopped'`);
 
+                // İsteğe bağlı yayınlar ilk izleyici geldiğinde başlar
+                if (stream.on_demand) {
+                    continue;
+                }
+
+                // Zamanlaması kapalı yayın bir sonraki açılışta zamanlayıcı tarafından başlatılır
+                if (!getStreamScheduler().isOpen('stream', stream.id)) {
+                    console.log(`⏸️ Stream ${stream.stream_name} is outside its schedule, not restarting`);
+                    continue;
+                }
+
                 // Auto-restart streams
                 try {
                     console.log(`🔄 Auto-restarting stream ${stream.stream_name}`);
 
-                    const streamConfig = {
-                        streamName: stream.stream_name,
-                        brand: stream.camera.brand,
-                        username: stream.username,
-                        password: stream.password,
-                        ip: stream.ip_address,
-                        port: stream.rtsp_port,
-                        channel: stream.channel,
-                        resolution: stream.resolution,
-                        fps: stream.fps,
-                        bitrate: stream.bitrate,
-                        audioBitrate: stream.audio_bitrate
-                    };
-
-                    const result = await streamService.startStream(streamConfig);
-
-                    // Set up callbacks for database updates
-                    streamService.setStreamCallbacks(stream.stream_name, {
-                        onClose: async (code) => {
-                            await stream.update({
-                                status: code === 0 ? 'stopped' : 'error',
-                                last_stopped: new Date(),
-                                error_message: code !== 0 ? `FFmpeg exited with code ${code}` : null,
-                                process_id: null
-                            });
-                        },
-                        onError: async (error) => {
-                            await stream.update({
-                                status: 'error',
-                                error_message: error.message,
-                                process_id: null
-                            });
-                        }
-                    });
-
-                    await stream.update({
-                        status: 'streaming',
-                        last_started: new Date(),
-                        process_id: result.pid,
-                        error_message: null,
-                        hls_url: `${SERVER_HOST}/static/stream/${stream.stream_name}.m3u8`
-                    });
+                    const result = await startManagedStream(stream, { serverHost: SERVER_HOST });
 
                     console.log(`✅ Stream ${stream.stream_name} auto-restarted successfully (PID: ${result.pid})`);
                 } catch (restartError) {
@@ -182,6 +177,49 @@ async function recoverStreams() {
     }
 }
 
+// Yayın/kategori zamanlamalarını yükler ve periyodik uygulamayı başlatır
+async function startScheduler() {
+    try {
+        await getStreamScheduler().start();
+    } catch (error) {
+        console.error('❌ Scheduler could not be started:', error.message);
+    }
+}
+
+// Recording Recovery Function - is_recording işaretli yayınların kaydını yeniden başlatır
+async function recoverRecordings() {
+    try {
+        const recordingService = getRecordingService();
+
+        const recordingStreams = await Stream.findAll({
+            where: {
+                is_recording: true,
+                is_active: true
+            },
+            include: [{
+                model: Camera,
+                as: 'camera',
+                where: { is_active: true }
+            }]
+        });
+
+        console.log(`📼 Found ${recordingStreams.length} streams with continuous recording`);
+
+        for (const stream of recordingStreams) {
+            if (recordingService.isRecording(stream.stream_name)) continue;
+
+            try {
+                await recordingService.startRecording(stream.toStreamConfig());
+                console.log(`✅ Recording ${stream.stream_name} resumed`);
+            } catch (error) {
+                console.error(`❌ Failed to resume recording ${stream.stream_name}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Recording recovery failed:', error);
+    }
+}
+
 // Clean up orphaned HLS files
 async function cleanupOrphanedFiles() {
     try {
@@ -223,6 +261,13 @@ async function gracefulShutdown() {
         console.error('❌ Error stopping streams:', error);
     }
 
+    try {
+        await getRecordingService().stopAllRecordings();
+        console.log('✅ All recordings stopped');
+    } catch (error) {
+        console.error('❌ Error stopping recordings:', error);
+    }
+
     try {
         await sequelize.close();
         console.log('✅ Database connection closed');
@@ -234,24 +279,36 @@ async function gracefulShutdown() {
 }
 
 // Create first admin user
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
 async function createDefaultAdmin() {
     try {
         const adminExists = await User.findOne({ where: { role: 'admin' } });
 
         if (!adminExists) {
-            const hashedPassword = await bcrypt.hash('admin123', 12);
+            const hashedPassword = await bcrypt.hash(DEFAULT_ADMIN_PASSWORD, 12);
 
+            // İlk girişte şifre değişikliği zorunlu
             await User.create({
                 username: 'admin',
                 email: 'admin@arkstream.com',
                 password: hashedPassword,
-                role: 'admin'
+                role: 'admin',
+                must_change_password: true
             });
 
             console.log('✅ Default admin user created:');
             console.log('   Username: admin');
-            console.log('   Password: admin123');
+            console.log(`   Password: ${DEFAULT_ADMIN_PASSWORD} (must be changed on first login)`);
             console.log('   Email: admin@arkstream.com');
+            return;
+        }
+
+        // Önceki sürümlerde oluşturulup şifresi hiç değiştirilmemiş varsayılan yönetici
+        const seededAdmin = await User.findOne({ where: { username: 'admin', must_change_password: false } });
+        if (seededAdmin && await bcrypt.compare(DEFAULT_ADMIN_PASSWORD, seededAdmin.password)) {
+            await seededAdmin.update({ must_change_password: true });
+            console.warn('⚠️  Default admin still uses the default password, a password change will be required on next login');
         }
     } catch (error) {
         console.error('❌ Error creating admin user:', error.message);
@@ -277,18 +334,61 @@ app.use((error, req, res, next) => {
 
 // Database connection and server start
 async function startServer() {
+    // Kamera şifreleri bu anahtar olmadan çözülemez
+    try {
+        assertKeyConfigured();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('\n💡 Generate a key and add it to .env:');
+        console.log('   CREDENTIALS_KEY=$(node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'base64\'))")');
+        process.exit(1);
+    }
+
+    // Oturum çerezleri bu anahtarla imzalanır
+    try {
+        assertSessionSecretConfigured();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('\n💡 Generate a secret and add it to .env:');
+        console.log('   SESSION_SECRET=$(node -e "console.log(require(\'crypto\').randomBytes(48).toString(\'hex\'))")');
+        process.exit(1);
+    }
+
     try {
         console.log('🔄 Connecting to database...');
         await sequelize.authenticate();
         console.log('✅ Database connection successful');
 
-        // Sync database (create tables)
-        await sequelize.sync({ force: false });
-        console.log('✅ Database tables synchronized');
+        // Şema sadece migration'larla değişir - bekleyen varsa uygulama eski şemayla açılmaz
+        const pending = await getMigrationRunner().pending();
+        if (pending.length > 0) {
+            console.error(`❌ ${pending.length} pending database migration(s):`);
+            pending.forEach(name => console.error(`   - ${name}`));
+            console.log('\n💡 Apply them before starting the server:');
+            console.log('   npm run migrate');
+            await sequelize.close();
+            process.exit(1);
+        }
+        console.log('✅ Database schema is up to date');
 
         // Create default admin
         await createDefaultAdmin();
 
+        // Load camera brand drivers from brand_profiles
+        await getDriverRegistry().loadFromDatabase();
+
+        // Önceki çalışmada açık kalan hareket olaylarını kapat - analiz yayınlarla birlikte yeniden başlar
+        const staleMotionEvents = await getMotionDetector().closeStaleEvents();
+        if (staleMotionEvents > 0) {
+            console.log(`🏃 Closed ${staleMotionEvents} unfinished motion event(s)`);
+        }
+
+        // Önceki çalışmadan açık kalan görüntü sağlığı durumlarını kapat - yayınlar başlayınca yeniden değerlendirilir
+        const staleConditions = await getVideoHealthMonitor().closeStaleConditions();
+        if (staleConditions > 0) {
+            console.log(`🩺 Closed ${staleConditions} unfinished video health condition(s)`);
+        }
+
         app.listen(PORT, () => {
             console.log(`\n🚀 Ark Stream Server running on ${SERVER_HOST}`);
             console.log(`📊 Admin Panel: ${SERVER_HOST}/admin`);
@@ -297,7 +397,12 @@ async function startServer() {
             console.log(`📈 API Stats: ${SERVER_HOST}/api/stats\n`);
 
             // Run stream recovery after 3 seconds (ensure database is ready)
-            setTimeout(recoverStreams, 3000);
+            setTimeout(async () => {
+                // Zamanlayıcı önce çalışır: aralığı açık yayınları başlatır, kurtarma kapalı olanları atlar
+                await startScheduler();
+                await recoverStreams();
+                await recoverRecordings();
+            }, 3000);
         });
 
     } catch (error) {
@@ -0,0 +1,18 @@
+// Rol bazlı izinler - checkPermission ve API token kapsamları (scope) bu listeyi kullanır
+const ROLE_PERMISSIONS = {
+    'admin': ['view', 'create', 'edit', 'delete', 'manage_users', 'manage_cameras'],
+    'user': ['view', 'create', 'edit'],
+    'viewer': ['view']
+};
+
+const PERMISSIONS = ROLE_PERMISSIONS.admin;
+
+function getRolePermissions(role) {
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    PERMISSIONS,
+    getRolePermissions
+};
@@ -0,0 +1,12 @@
+// drivers/axis.js
+module.exports = {
+    id: 'axis',
+    name: 'Axis',
+    aliases: [],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        main: '/axis-media/media.amp?camera={channel}',
+        sub: '/axis-media/media.amp?camera={channel}&resolution=640x360'
+    }
+};
@@ -0,0 +1,12 @@
+// drivers/bosch.js
+module.exports = {
+    id: 'bosch',
+    name: 'Bosch',
+    aliases: [],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        main: '/?line={channel}&inst=1',
+        sub: '/?line={channel}&inst=2'
+    }
+};
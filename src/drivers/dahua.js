@@ -0,0 +1,14 @@
+// drivers/dahua.js
+module.exports = {
+    id: 'dahua',
+    name: 'Dahua',
+    aliases: ['amcrest', 'imou'],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        main: '/cam/realmonitor?channel={channel}&subtype=0',
+        sub: '/cam/realmonitor?channel={channel}&subtype=1'
+    },
+    // Port 8080 genellikle web interface, RTSP için 554 kullanılır
+    resolvePort: (port) => (port === 8080 ? 554 : port)
+};
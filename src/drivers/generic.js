@@ -0,0 +1,13 @@
+// drivers/generic.js
+// Bilinmeyen markalar için varsayılan sürücü
+module.exports = {
+    id: 'generic',
+    name: 'Diğer',
+    aliases: ['other'],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        main: '/',
+        sub: '/'
+    }
+};
@@ -0,0 +1,13 @@
+// drivers/hikvision.js
+module.exports = {
+    id: 'hikvision',
+    name: 'Hikvision',
+    aliases: ['hiwatch'],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        // Kanal + stream numarası: 101 = kanal 1 main, 102 = kanal 1 sub
+        main: '/Streaming/Channels/{channel}01/',
+        sub: '/Streaming/Channels/{channel}02/'
+    }
+};
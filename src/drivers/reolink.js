@@ -0,0 +1,13 @@
+// drivers/reolink.js
+module.exports = {
+    id: 'reolink',
+    name: 'Reolink',
+    aliases: [],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        // Kanal iki haneli yazılır: h264Preview_01_main
+        main: '/h264Preview_{channel:2}_main',
+        sub: '/h264Preview_{channel:2}_sub'
+    }
+};
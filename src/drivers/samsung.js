@@ -0,0 +1,12 @@
+// drivers/samsung.js
+module.exports = {
+    id: 'samsung',
+    name: 'Samsung',
+    aliases: ['hanwha', 'wisenet'],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        main: '/profile1/media.smp',
+        sub: '/profile2/media.smp'
+    }
+};
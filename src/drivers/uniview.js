@@ -0,0 +1,12 @@
+// drivers/uniview.js
+module.exports = {
+    id: 'uniview',
+    name: 'Uniview',
+    aliases: ['unv'],
+    defaultPort: 554,
+    channelBase: 1,
+    templates: {
+        main: '/unicast/c{channel}/s0/live',
+        sub: '/unicast/c{channel}/s1/live'
+    }
+};
@@ -0,0 +1,67 @@
+const { recordAudit } = require('../services/audit');
+
+/**
+ * Değişiklik yapan route'ları denetim kaydına yazar
+ *
+ * audit('camera.update', { targetType: 'camera', model: Camera })
+ *  - model verilirse hedef kayıt işlemden önce ve sonra okunup fark çıkarılır
+ *  - hedef id route parametresinden (idParam), yoksa yanıttaki data.id'den alınır;
+ *    idParam fonksiyon da olabilir: (req, body) => id (body işlemden önce null)
+ *  - details(req, body) işleme özel ek bilgi döndürebilir
+ * Sadece başarılı yanıtlar (2xx/3xx ve success !== false) kaydedilir
+ */
+const audit = (action, { targetType = null, model = null, idParam = 'id', details = null } = {}) => {
+    return async (req, res, next) => {
+        const resolveId = typeof idParam === 'function' ? idParam : (request) => request.params[idParam];
+        const paramId = resolveId(req, null);
+        let before = null;
+
+        if (model && paramId) {
+            try {
+                before = await model.findByPk(paramId);
+            } catch (error) {
+                console.error(`Audit snapshot error (${action}):`, error.message);
+            }
+        }
+
+        let responseBody = null;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            responseBody = body;
+            return json(body);
+        };
+
+        res.on('finish', async () => {
+            if (res.statusCode >= 400 || (responseBody && responseBody.success === false)) {
+                return;
+            }
+
+            const data = responseBody && responseBody.data;
+            const targetId = resolveId(req, responseBody) || (data && data.id) || null;
+
+            let after = null;
+            if (model && targetId) {
+                try {
+                    after = await model.findByPk(targetId);
+                } catch (error) {
+                    console.error(`Audit snapshot error (${action}):`, error.message);
+                }
+            }
+
+            await recordAudit(req, {
+                action,
+                targetType,
+                targetId,
+                before,
+                after,
+                details: details ? details(req, responseBody) : null
+            });
+        });
+
+        next();
+    };
+};
+
+module.exports = {
+    audit
+};
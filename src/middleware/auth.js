@@ -1,13 +1,14 @@
 const { User } = require('../models');
+const { getRolePermissions } = require('../config/permissions');
+const { authenticateToken } = require('../services/apiTokens');
 
-// Check if user is authenticated
-const requireAuth = (req, res, next) => {
-    if (req.session && req.session.userId) {
-        return next();
-    }
+// /admin/api/* ve /api/* istekleri JSON yanıt alır
+const isApiRequest = (req) => req.path.startsWith('/api/') || req.baseUrl.startsWith('/api');
 
+// Giriş yapılmamış istek: API'de 401, panelde giriş sayfasına yönlendirme
+const denyUnauthenticated = (req, res) => {
     // If it's an API request, return JSON
-    if (req.path.startsWith('/api/')) {
+    if (isApiRequest(req)) {
         return res.status(401).json({
             success: false,
             message: 'Authentication required'
@@ -18,6 +19,30 @@ const requireAuth = (req, res, next) => {
     res.redirect('/admin/login');
 };
 
+// Check if user is authenticated (session cookie or API token)
+const requireAuth = (req, res, next) => {
+    if (req.apiToken) {
+        return next();
+    }
+
+    if (req.session && req.session.userId) {
+        // Şifre değişikliği zorunluysa paneldeki diğer işlemler kapalı
+        if (!req.session.mustChangePassword) {
+            return next();
+        }
+
+        if (isApiRequest(req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Password change required'
+            });
+        }
+        return res.redirect('/admin/change-password');
+    }
+
+    denyUnauthenticated(req, res);
+};
+
 // Check if user is admin
 const requireAdmin = (req, res, next) => {
     if (req.session && req.session.userId && req.session.role === 'admin') {
@@ -25,7 +50,7 @@ const requireAdmin = (req, res, next) => {
     }
 
     // If it's an API request, return JSON
-    if (req.path.startsWith('/api/')) {
+    if (isApiRequest(req)) {
         return res.status(403).json({
             success: false,
             message: 'Admin access required'
@@ -42,14 +67,62 @@ const requireAdmin = (req, res, next) => {
     });
 };
 
+// Token yönetimi gibi işlemler sadece oturum açmış kullanıcıya açık - token ile token üretilemez
+const requireSession = (req, res, next) => {
+    if (req.apiToken) {
+        return res.status(403).json({
+            success: false,
+            message: 'This action requires an interactive session'
+        });
+    }
+    return requireAuth(req, res, next);
+};
+
+// Authorization: Bearer <token> başlığını doğrular
+const authenticateBearer = async (req, res, next) => {
+    const header = req.headers.authorization;
+    if (!header || !/^Bearer\s+/i.test(header)) {
+        return next();
+    }
+
+    try {
+        const auth = await authenticateToken(header.replace(/^Bearer\s+/i, '').trim(), { ip: req.ip });
+
+        if (!auth) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid, expired or revoked API token'
+            });
+        }
+
+        req.user = auth.user;
+        req.apiToken = auth.token;
+        req.tokenScopes = auth.scopes;
+        res.locals.currentUser = auth.user;
+        next();
+    } catch (error) {
+        console.error('Error authenticating API token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Token authentication failed'
+        });
+    }
+};
+
 // Load current user data
 const loadUser = async (req, res, next) => {
+    // Token ile gelen isteklerde kullanıcı zaten yüklendi
+    if (req.apiToken) {
+        return next();
+    }
+
     if (req.session && req.session.userId) {
         try {
             const user = await User.findByPk(req.session.userId);
             if (user && user.is_active) {
                 req.user = user;
                 res.locals.currentUser = user;
+                req.session.mustChangePassword = user.must_change_password;
             } else {
                 // User doesn't exist or is inactive
                 req.session.destroy();
@@ -65,26 +138,42 @@ const loadUser = async (req, res, next) => {
 
 // Check user permissions
 const checkPermission = (permission) => {
-    return (req, res, next) => {
+    const middleware = (req, res, next) => {
+        // Kullanıcı yüklenmeden izin bilinemez - istek hiçbir durumda geçirilmez
         if (!req.user) {
-            return requireAuth(req, res, next);
+            // Oturum var ama loadUser kullanıcıyı okuyamadı (ör. veritabanı hatası)
+            if (req.session && req.session.userId) {
+                if (isApiRequest(req)) {
+                    return res.status(503).json({
+                        success: false,
+                        message: 'User could not be loaded, try again later'
+                    });
+                }
+                return res.status(503).render('error', {
+                    title: 'Service Unavailable',
+                    error: {
+                        status: 503,
+                        message: 'Your account could not be loaded. Please try again later.'
+                    }
+                });
+            }
+            return denyUnauthenticated(req, res);
         }
 
-        const userRole = req.user.role;
-        const permissions = {
-            'admin': ['view', 'create', 'edit', 'delete', 'manage_users', 'manage_cameras'],
-            'user': ['view', 'create', 'edit'],
-            'viewer': ['view']
-        };
+        const hasRolePermission = getRolePermissions(req.user.role).includes(permission);
+        // Token ile gelen isteklerde token kapsamı da izin vermeli
+        const hasTokenScope = !req.apiToken || req.tokenScopes.includes(permission);
 
-        if (permissions[userRole] && permissions[userRole].includes(permission)) {
+        if (hasRolePermission && hasTokenScope) {
             return next();
         }
 
-        if (req.path.startsWith('/api/')) {
+        if (isApiRequest(req)) {
             return res.status(403).json({
                 success: false,
-                message: `Permission '${permission}' required`
+                message: hasRolePermission
+                    ? `API token scope '${permission}' required`
+                    : `Permission '${permission}' required`
             });
         }
 
@@ -96,11 +185,17 @@ const checkPermission = (permission) => {
             }
         });
     };
+
+    // Rotanın hangi izni istediği dışarıdan okunabilsin (bkz. test/routePermissions.test.js)
+    middleware.permission = permission;
+    return middleware;
 };
 
 module.exports = {
     requireAuth,
     requireAdmin,
+    requireSession,
+    authenticateBearer,
     loadUser,
     checkPermission
-};
\ No newline at end of file
+};
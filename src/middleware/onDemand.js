@@ -0,0 +1,35 @@
+const path = require('path');
+const { getOnDemandManager } = require('../services/onDemand');
+
+// İsteğe bağlı yayınlarda playlist isteğini FFmpeg ilk segmenti yazana kadar bekletir,
+// segment isteklerini boşta kalma süresi için kaydeder
+// (erişim ve oynatma token'ı kontrolünden sonra çalışmalı - yetkisiz istek süreç başlatamaz)
+const startOnDemandStream = async (req, res, next) => {
+    const fileName = path.basename(req.path);
+    if (!req.streamName) {
+        return next();
+    }
+
+    const manager = getOnDemandManager();
+
+    if (fileName.endsWith('.ts')) {
+        manager.recordSegmentFetch(req.streamName);
+        return next();
+    }
+
+    if (!fileName.endsWith('.m3u8')) {
+        return next();
+    }
+
+    try {
+        await manager.whenPlayable(req.streamName, req.onDemandStream || null);
+        next();
+    } catch (error) {
+        console.warn(`[OnDemand] ${req.streamName} could not be started: ${error.message}`);
+        res.status(503).set('Retry-After', '5').end();
+    }
+};
+
+module.exports = {
+    startOnDemandStream
+};
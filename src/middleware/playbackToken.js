@@ -0,0 +1,59 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { verifyPlaybackToken, rewritePlaylist, PlaybackTokenError } = require('../services/playbackTokens');
+
+const STREAM_DIR = path.join(__dirname, '../../public/stream');
+
+function isHlsFile(fileName) {
+    return fileName.endsWith('.m3u8') || fileName.endsWith('.ts');
+}
+
+// HLS playlist ve segment isteklerinde imzalı token zorunludur
+// Zincirin ilk adımıdır: token'sız istek yayın çözümlemesine (veritabanı sorgusuna) ulaşmaz.
+// Yayın adı henüz bilinmediği için token'ın yayına ait olduğu resolveStreamFile'da kontrol edilir
+const requirePlaybackToken = (req, res, next) => {
+    if (!isHlsFile(path.basename(req.path))) {
+        return next();
+    }
+
+    try {
+        req.playbackToken = req.query.token;
+        req.playbackClaims = verifyPlaybackToken(req.playbackToken, { ip: req.ip });
+        next();
+    } catch (error) {
+        if (error instanceof PlaybackTokenError) {
+            return res.status(403).json({ success: false, message: error.message, code: error.code });
+        }
+        console.error('Playback token check error:', error);
+        res.status(500).end();
+    }
+};
+
+// Playlist'i segment URI'lerine token eklenmiş haliyle sunar - segmentler static'e düşer
+const serveSignedPlaylist = async (req, res, next) => {
+    const fileName = path.basename(req.path);
+    if (!fileName.endsWith('.m3u8')) {
+        return next();
+    }
+
+    try {
+        const content = await fs.readFile(path.join(STREAM_DIR, fileName), 'utf8');
+
+        res.set({
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Cache-Control': 'no-cache'
+        });
+        res.send(rewritePlaylist(content, req.playbackToken));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).end();
+        }
+        console.error('Playlist rewrite error:', error);
+        res.status(500).end();
+    }
+};
+
+module.exports = {
+    requirePlaybackToken,
+    serveSignedPlaylist
+};
@@ -0,0 +1,58 @@
+const session = require('express-session');
+const { getSessionStore } = require('../services/sessions');
+
+class SessionConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SessionConfigError';
+    }
+}
+
+/**
+ * Uygulama başlarken oturum anahtarının tanımlı olduğunu kontrol eder
+ * (bilinen bir varsayılan anahtarla oturum çerezleri taklit edilebilir)
+ */
+function assertSessionSecretConfigured() {
+    if (!process.env.SESSION_SECRET) {
+        throw new SessionConfigError('SESSION_SECRET ortam değişkeni tanımlı değil');
+    }
+    if (process.env.SESSION_SECRET.length < 32) {
+        console.warn('⚠️  SESSION_SECRET is shorter than 32 characters, consider using a longer random value');
+    }
+}
+
+// Admin paneli ve public sayfalar aynı oturumu paylaşır (erişim kuralları için giriş yapan kullanıcı bilinmeli)
+// Oturumlar veritabanında saklanır, yeniden başlatmada kaybolmaz
+const sessionMiddleware = session({
+    secret: process.env.SESSION_SECRET,
+    store: getSessionStore(),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: false,
+        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+    }
+});
+
+// Aktif oturumlar listesinde gösterilmek üzere giriş yapan istemcinin IP ve tarayıcı bilgisi
+const trackSessionClient = (req, res, next) => {
+    if (req.session && req.session.userId) {
+        const client = req.session.client || {};
+        const userAgent = req.headers['user-agent'] || '';
+
+        // Sadece değiştiğinde yazılır - aksi halde her istek oturumu yeniden kaydeder
+        if (client.ip !== req.ip || client.userAgent !== userAgent) {
+            req.session.client = { ip: req.ip, userAgent };
+        }
+    }
+    next();
+};
+
+module.exports = {
+    sessionMiddleware,
+    trackSessionClient,
+    assertSessionSecretConfigured,
+    SessionConfigError
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+const { getViewerTracker } = require('../services/viewers');
+const { getOnDemandManager } = require('../services/onDemand');
+const { assertTokenStream } = require('../services/playbackTokens');
+
+// /static/stream altındaki HLS dosyasının ait olduğu yayını çözer ve oynatma token'ının o yayına ait olduğunu kontrol eder
+// requirePlaybackToken'dan sonra çalışır. Erişim kuralları token verilirken (public/admin API) uygulandığı için
+// geçerli token'la gelen istekte oturum ayrıca kontrol edilmez - imzalı URL'ler çerezsiz oynatılabilir
+const resolveStreamFile = async (req, res, next) => {
+    const fileName = path.basename(req.path);
+    if (!fileName.endsWith('.m3u8') && !fileName.endsWith('.ts')) {
+        return next();
+    }
+
+    // Aktif bir yayına ait olmayan dosyalar (eski segmentler vb.) sunulmaz
+    let streamName = getViewerTracker().resolveStreamName(fileName);
+
+    // Çalışmayan isteğe bağlı yayının ana playlist'i istenirse yayın başlatılacak (bkz. middleware/onDemand.js)
+    if (!streamName) {
+        try {
+            req.onDemandStream = await getOnDemandManager().findIdleStream(fileName);
+        } catch (error) {
+            console.error('On-demand stream lookup error:', error);
+            return res.status(500).end();
+        }
+        streamName = req.onDemandStream ? req.onDemandStream.stream_name : null;
+    }
+
+    if (!streamName) {
+        return res.status(404).end();
+    }
+
+    try {
+        assertTokenStream(req.playbackClaims, streamName);
+    } catch (error) {
+        return res.status(403).json({ success: false, message: error.message, code: error.code });
+    }
+
+    // Sonraki middleware'ler (isteğe bağlı başlatma, izleyici sayımı) için
+    req.streamName = streamName;
+    next();
+};
+
+module.exports = {
+    resolveStreamFile
+};
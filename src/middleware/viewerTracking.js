@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const path = require('path');
+const { getViewerTracker } = require('../services/viewers');
+
+const VIEWER_COOKIE = 'ark_vid';
+
+// Cookie header'ından izleyici kimliğini okur
+function readViewerCookie(req) {
+    const header = req.headers.cookie || '';
+    const match = header.split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${VIEWER_COOKIE}=`));
+
+    const value = match ? match.slice(VIEWER_COOKIE.length + 1) : null;
+    return value && /^[a-f0-9]{32}$/.test(value) ? value : null;
+}
+
+// /static/stream altındaki HLS isteklerini izleyici oturumu olarak sayar
+const trackViewers = (req, res, next) => {
+    const fileName = path.basename(req.path);
+    if (!fileName.endsWith('.m3u8') && !fileName.endsWith('.ts')) {
+        return next();
+    }
+
+    let viewerId = readViewerCookie(req);
+
+    // İlk playlist isteğinde kimlik ata - hls.js aynı origin'de cookie'yi sonraki isteklerde gönderir
+    if (!viewerId && fileName.endsWith('.m3u8')) {
+        viewerId = crypto.randomBytes(16).toString('hex');
+        res.cookie(VIEWER_COOKIE, viewerId, {
+            httpOnly: true,
+            sameSite: 'lax',
+            maxAge: 24 * 60 * 60 * 1000
+        });
+    }
+
+    // Cookie gönderilmeyen istemciler için IP + user-agent
+    if (!viewerId) {
+        viewerId = crypto.createHash('sha1')
+            .update(`${req.ip}|${req.headers['user-agent'] || ''}`)
+            .digest('hex')
+            .slice(0, 32);
+    }
+
+    // Sadece başarılı yanıtlar sayılır (404 = yayın yok)
+    res.on('finish', () => {
+        if (res.statusCode < 400) {
+            getViewerTracker().recordFetch(fileName, viewerId);
+        }
+    });
+
+    next();
+};
+
+module.exports = {
+    trackViewers
+};
@@ -0,0 +1,272 @@
+'use strict';
+
+const { createTableIfMissing, addIndexIfMissing } = require('../services/migrations');
+
+// İlk şema: users, cameras, streams, categories, stream_categories
+// Daha önce sync() ile oluşturulmuş tablolar olduğu gibi bırakılır
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const timestamps = {
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        };
+
+        await createTableIfMissing(queryInterface, 'users', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            username: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            email: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            password: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            role: {
+                type: Sequelize.ENUM('admin', 'user', 'viewer'),
+                allowNull: false,
+                defaultValue: 'viewer'
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            last_login: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            avatar: {
+                type: Sequelize.STRING,
+                allowNull: true
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'cameras', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            brand: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            model: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'categories', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            color: {
+                type: Sequelize.STRING(7),
+                allowNull: true,
+                defaultValue: '#007bff'
+            },
+            icon: {
+                type: Sequelize.STRING(50),
+                allowNull: true,
+                defaultValue: 'camera'
+            },
+            sort_order: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'streams', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            stream_name: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            camera_id: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: {
+                    model: 'cameras',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            ip_address: {
+                type: Sequelize.STRING(15),
+                allowNull: false
+            },
+            rtsp_port: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 554
+            },
+            username: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            password: {
+                type: Sequelize.STRING(255),
+                allowNull: false
+            },
+            channel: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            resolution: {
+                type: Sequelize.STRING(20),
+                allowNull: true,
+                defaultValue: '640x480'
+            },
+            fps: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                defaultValue: 30
+            },
+            bitrate: {
+                type: Sequelize.STRING(10),
+                allowNull: true,
+                defaultValue: '800k'
+            },
+            audio_bitrate: {
+                type: Sequelize.STRING(10),
+                allowNull: true,
+                defaultValue: '160k'
+            },
+            status: {
+                type: Sequelize.ENUM('stopped', 'starting', 'streaming', 'error'),
+                defaultValue: 'stopped'
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            is_recording: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: false
+            },
+            last_started: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            last_stopped: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            error_message: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            process_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            hls_url: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'stream_categories', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            stream_id: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: {
+                    model: 'streams',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            category_id: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: {
+                    model: 'categories',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            ...timestamps
+        });
+
+        await addIndexIfMissing(queryInterface, 'categories', ['sort_order']);
+        await addIndexIfMissing(queryInterface, 'categories', ['is_active']);
+        await addIndexIfMissing(queryInterface, 'streams', ['camera_id']);
+        await addIndexIfMissing(queryInterface, 'streams', ['stream_name']);
+        await addIndexIfMissing(queryInterface, 'streams', ['status']);
+        await addIndexIfMissing(queryInterface, 'stream_categories', ['stream_id']);
+        await addIndexIfMissing(queryInterface, 'stream_categories', ['category_id']);
+        // Bir stream bir kategoriye sadece bir kez eklenebilir
+        await addIndexIfMissing(queryInterface, 'stream_categories', ['stream_id', 'category_id'], { unique: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('stream_categories');
+        await queryInterface.dropTable('streams');
+        await queryInterface.dropTable('categories');
+        await queryInterface.dropTable('cameras');
+        await queryInterface.dropTable('users');
+    }
+};
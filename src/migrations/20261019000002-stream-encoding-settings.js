@@ -0,0 +1,58 @@
+'use strict';
+
+const { addColumnIfMissing, removeColumnIfExists } = require('../services/migrations');
+
+// Yayın başına kodlama, kaynak seçimi ve supervisor ayarları
+const COLUMNS = {
+    video_codec: Sequelize => ({
+        type: Sequelize.ENUM('h264'),
+        allowNull: false,
+        defaultValue: 'h264'
+    }),
+    preset: Sequelize => ({
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'veryfast'
+    }),
+    gop_size: Sequelize => ({
+        type: Sequelize.INTEGER,
+        allowNull: true
+    }),
+    audio_enabled: Sequelize => ({
+        type: Sequelize.BOOLEAN,
+        defaultValue: true
+    }),
+    video_mode: Sequelize => ({
+        type: Sequelize.ENUM('transcode', 'copy'),
+        allowNull: false,
+        defaultValue: 'transcode'
+    }),
+    source_variant: Sequelize => ({
+        type: Sequelize.ENUM('main', 'sub'),
+        allowNull: false,
+        defaultValue: 'main'
+    }),
+    renditions: Sequelize => ({
+        type: Sequelize.STRING(100),
+        allowNull: true
+    }),
+    max_restarts: Sequelize => ({
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+    })
+};
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        for (const [column, definition] of Object.entries(COLUMNS)) {
+            await addColumnIfMissing(queryInterface, 'streams', column, definition(Sequelize));
+        }
+    },
+
+    async down(queryInterface) {
+        for (const column of Object.keys(COLUMNS).reverse()) {
+            await removeColumnIfExists(queryInterface, 'streams', column);
+        }
+    }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const { createTableIfMissing } = require('../services/migrations');
+
+// Kod değişikliği gerektirmeyen kamera markası sürücüleri
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await createTableIfMissing(queryInterface, 'brand_profiles', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            brand: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            aliases: {
+                type: Sequelize.STRING(255),
+                allowNull: true,
+                comment: 'Virgülle ayrılmış alternatif marka adları'
+            },
+            default_port: {
+                type: Sequelize.INTEGER,
+                defaultValue: 554
+            },
+            channel_base: {
+                type: Sequelize.INTEGER,
+                defaultValue: 1,
+                comment: 'Cihazın ilk kanal numarası (0 veya 1)'
+            },
+            main_path: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Ana stream yolu, ör. /unicast/c{channel}/s0/live'
+            },
+            sub_path: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('brand_profiles');
+    }
+};
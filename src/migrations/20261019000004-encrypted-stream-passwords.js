@@ -0,0 +1,20 @@
+'use strict';
+
+// Şifreli kamera şifreleri (enc:v1:...) düz metinden uzun - bkz. services/credentials.js
+// Mevcut düz metin şifreler npm run credentials:rotate ile şifrelenir
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.changeColumn('streams', 'password', {
+            type: Sequelize.STRING(512),
+            allowNull: false
+        });
+    },
+
+    // Şifreli değerler 255 karakteri aşabileceği için geri alma öncesi şifreler çözülmeli
+    async down(queryInterface, Sequelize) {
+        await queryInterface.changeColumn('streams', 'password', {
+            type: Sequelize.STRING(255),
+            allowNull: false
+        });
+    }
+};
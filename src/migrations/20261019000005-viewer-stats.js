@@ -0,0 +1,64 @@
+'use strict';
+
+const { createTableIfMissing, addIndexIfMissing } = require('../services/migrations');
+
+// Yayın başına saatlik izleyici istatistikleri
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await createTableIfMissing(queryInterface, 'viewer_stats', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            stream_id: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: {
+                    model: 'streams',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            hour: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            peak_viewers: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            avg_viewers: {
+                type: Sequelize.FLOAT,
+                allowNull: false,
+                defaultValue: 0
+            },
+            unique_viewers: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            samples: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await addIndexIfMissing(queryInterface, 'viewer_stats', ['stream_id', 'hour'], { unique: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('viewer_stats');
+    }
+};
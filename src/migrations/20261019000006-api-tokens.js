@@ -0,0 +1,77 @@
+'use strict';
+
+const { createTableIfMissing } = require('../services/migrations');
+
+// Entegrasyonlar için Bearer token'lar (sadece SHA-256 özeti saklanır)
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await createTableIfMissing(queryInterface, 'api_tokens', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            type: {
+                type: Sequelize.ENUM('personal', 'service'),
+                allowNull: false,
+                defaultValue: 'personal'
+            },
+            token_prefix: {
+                type: Sequelize.STRING(16),
+                allowNull: false
+            },
+            token_hash: {
+                type: Sequelize.STRING(64),
+                allowNull: false,
+                unique: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            scopes: {
+                type: Sequelize.STRING(255),
+                allowNull: false,
+                comment: 'Virgülle ayrılmış izinler (view, create, edit, delete, manage_users, manage_cameras)'
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            last_used_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            last_used_ip: {
+                type: Sequelize.STRING(45),
+                allowNull: true
+            },
+            revoked_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('api_tokens');
+    }
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const {
+    createTableIfMissing,
+    addColumnIfMissing,
+    removeColumnIfExists,
+    addIndexIfMissing
+} = require('../services/migrations');
+
+// Kullanıcı grupları, kategori/yayın erişim kuralları ve anonim izleyiciye açık kategoriler
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const timestamps = {
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        };
+
+        await addColumnIfMissing(queryInterface, 'categories', 'is_public', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: true
+        });
+
+        // 'groups' MySQL'de ayrılmış kelime
+        await createTableIfMissing(queryInterface, 'user_groups', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false,
+                unique: true
+            },
+            description: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'group_members', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            group_id: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: {
+                    model: 'user_groups',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'access_rules', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            subject_type: {
+                type: Sequelize.ENUM('user', 'group'),
+                allowNull: false
+            },
+            subject_id: {
+                type: Sequelize.STRING(36),
+                allowNull: false
+            },
+            resource_type: {
+                type: Sequelize.ENUM('category', 'stream'),
+                allowNull: false
+            },
+            resource_id: {
+                type: Sequelize.UUID,
+                allowNull: false
+            },
+            ...timestamps
+        });
+
+        await addIndexIfMissing(queryInterface, 'group_members', ['group_id', 'user_id'], { unique: true });
+        await addIndexIfMissing(queryInterface, 'group_members', ['user_id']);
+        await addIndexIfMissing(queryInterface, 'access_rules', ['subject_type', 'subject_id', 'resource_type', 'resource_id'], { unique: true });
+        await addIndexIfMissing(queryInterface, 'access_rules', ['resource_type', 'resource_id']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('access_rules');
+        await queryInterface.dropTable('group_members');
+        await queryInterface.dropTable('user_groups');
+        await removeColumnIfExists(queryInterface, 'categories', 'is_public');
+    }
+};
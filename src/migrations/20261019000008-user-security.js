@@ -0,0 +1,47 @@
+'use strict';
+
+const { addColumnIfMissing, removeColumnIfExists } = require('../services/migrations');
+
+// Zorunlu şifre değişikliği ve iki adımlı doğrulama (TOTP) alanları
+const COLUMNS = {
+    must_change_password: Sequelize => ({
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }),
+    password_changed_at: Sequelize => ({
+        type: Sequelize.DATE,
+        allowNull: true
+    }),
+    totp_secret: Sequelize => ({
+        type: Sequelize.STRING(512),
+        allowNull: true
+    }),
+    totp_enabled: Sequelize => ({
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }),
+    totp_last_step: Sequelize => ({
+        type: Sequelize.BIGINT,
+        allowNull: true
+    }),
+    totp_recovery_codes: Sequelize => ({
+        type: Sequelize.TEXT,
+        allowNull: true
+    })
+};
+
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        for (const [column, definition] of Object.entries(COLUMNS)) {
+            await addColumnIfMissing(queryInterface, 'users', column, definition(Sequelize));
+        }
+    },
+
+    async down(queryInterface) {
+        for (const column of Object.keys(COLUMNS).reverse()) {
+            await removeColumnIfExists(queryInterface, 'users', column);
+        }
+    }
+};
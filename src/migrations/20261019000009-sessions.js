@@ -0,0 +1,54 @@
+'use strict';
+
+const { createTableIfMissing, addIndexIfMissing } = require('../services/migrations');
+
+// express-session oturumları - bkz. services/sessions.js
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await createTableIfMissing(queryInterface, 'sessions', {
+            sid: {
+                type: Sequelize.STRING(128),
+                primaryKey: true
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            data: {
+                type: Sequelize.TEXT,
+                allowNull: false
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            ip_address: {
+                type: Sequelize.STRING(45),
+                allowNull: true
+            },
+            user_agent: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            last_seen_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await addIndexIfMissing(queryInterface, 'sessions', ['user_id']);
+        await addIndexIfMissing(queryInterface, 'sessions', ['expires_at']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('sessions');
+    }
+};
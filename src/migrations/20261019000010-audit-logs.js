@@ -0,0 +1,69 @@
+'use strict';
+
+const { createTableIfMissing, addIndexIfMissing } = require('../services/migrations');
+
+// Yönetim işlemlerinin denetim kaydı - bkz. services/audit.js
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await createTableIfMissing(queryInterface, 'audit_logs', {
+            id: {
+                type: Sequelize.INTEGER,
+                primaryKey: true,
+                autoIncrement: true
+            },
+            actor_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            actor_username: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            api_token_id: {
+                type: Sequelize.UUID,
+                allowNull: true
+            },
+            action: {
+                type: Sequelize.STRING(64),
+                allowNull: false
+            },
+            target_type: {
+                type: Sequelize.STRING(32),
+                allowNull: true
+            },
+            target_id: {
+                type: Sequelize.STRING(64),
+                allowNull: true
+            },
+            changes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            details: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            ip_address: {
+                type: Sequelize.STRING(45),
+                allowNull: true
+            },
+            user_agent: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await addIndexIfMissing(queryInterface, 'audit_logs', ['created_at']);
+        await addIndexIfMissing(queryInterface, 'audit_logs', ['action']);
+        await addIndexIfMissing(queryInterface, 'audit_logs', ['actor_id']);
+        await addIndexIfMissing(queryInterface, 'audit_logs', ['target_type', 'target_id']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('audit_logs');
+    }
+};
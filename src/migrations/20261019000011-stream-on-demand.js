@@ -0,0 +1,18 @@
+'use strict';
+
+const { addColumnIfMissing, removeColumnIfExists } = require('../services/migrations');
+
+// İsteğe bağlı yayınlar - FFmpeg sadece izleyici varken çalışır
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await addColumnIfMissing(queryInterface, 'streams', 'on_demand', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        });
+    },
+
+    async down(queryInterface) {
+        await removeColumnIfExists(queryInterface, 'streams', 'on_demand');
+    }
+};
@@ -0,0 +1,119 @@
+'use strict';
+
+const { createTableIfMissing, addIndexIfMissing } = require('../services/migrations');
+
+// Yayın/kategori zamanlamaları: haftalık zaman aralıkları ve tarih istisnaları
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const timestamps = {
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        };
+
+        const scheduleReference = {
+            type: Sequelize.UUID,
+            allowNull: false,
+            references: {
+                model: 'schedules',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'CASCADE'
+        };
+
+        await createTableIfMissing(queryInterface, 'schedules', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            target_type: {
+                type: Sequelize.ENUM('stream', 'category'),
+                allowNull: false
+            },
+            target_id: {
+                type: Sequelize.UUID,
+                allowNull: false
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: true
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'schedule_windows', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            schedule_id: scheduleReference,
+            day_of_week: {
+                type: Sequelize.TINYINT,
+                allowNull: false
+            },
+            start_time: {
+                type: Sequelize.TIME,
+                allowNull: false
+            },
+            end_time: {
+                type: Sequelize.TIME,
+                allowNull: false
+            },
+            ...timestamps
+        });
+
+        await createTableIfMissing(queryInterface, 'schedule_exceptions', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            schedule_id: scheduleReference,
+            date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false
+            },
+            is_open: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            start_time: {
+                type: Sequelize.TIME,
+                allowNull: true
+            },
+            end_time: {
+                type: Sequelize.TIME,
+                allowNull: true
+            },
+            description: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            ...timestamps
+        });
+
+        await addIndexIfMissing(queryInterface, 'schedules', ['target_type', 'target_id'], { unique: true });
+        await addIndexIfMissing(queryInterface, 'schedule_windows', ['schedule_id']);
+        await addIndexIfMissing(queryInterface, 'schedule_exceptions', ['schedule_id', 'date'], { unique: true });
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('schedule_exceptions');
+        await queryInterface.dropTable('schedule_windows');
+        await queryInterface.dropTable('schedules');
+    }
+};
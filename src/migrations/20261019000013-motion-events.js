@@ -0,0 +1,85 @@
+'use strict';
+
+const {
+    createTableIfMissing,
+    addColumnIfMissing,
+    removeColumnIfExists,
+    addIndexIfMissing
+} = require('../services/migrations');
+
+// Yayın başına hareket algılama ayarları ve hareket olayları
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await addColumnIfMissing(queryInterface, 'streams', 'motion_enabled', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        });
+        await addColumnIfMissing(queryInterface, 'streams', 'motion_sensitivity', {
+            type: Sequelize.INTEGER,
+            allowNull: false,
+            defaultValue: 50
+        });
+        await addColumnIfMissing(queryInterface, 'streams', 'motion_zones', {
+            type: Sequelize.STRING(500),
+            allowNull: true
+        });
+
+        await createTableIfMissing(queryInterface, 'motion_events', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            stream_id: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: {
+                    model: 'streams',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            started_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            ended_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            peak_score: {
+                type: Sequelize.FLOAT,
+                allowNull: false,
+                defaultValue: 0
+            },
+            zones: {
+                type: Sequelize.STRING(100),
+                allowNull: true
+            },
+            snapshot: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await addIndexIfMissing(queryInterface, 'motion_events', ['stream_id', 'started_at']);
+        await addIndexIfMissing(queryInterface, 'motion_events', ['started_at']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('motion_events');
+        await removeColumnIfExists(queryInterface, 'streams', 'motion_zones');
+        await removeColumnIfExists(queryInterface, 'streams', 'motion_sensitivity');
+        await removeColumnIfExists(queryInterface, 'streams', 'motion_enabled');
+    }
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+const { createTableIfMissing, addIndexIfMissing } = require('../services/migrations');
+
+// Görüntü sağlığı durumları (siyah, donmuş, bulanık görüntü, sahne değişikliği)
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await createTableIfMissing(queryInterface, 'stream_conditions', {
+            id: {
+                type: Sequelize.UUID,
+                defaultValue: Sequelize.UUIDV4,
+                primaryKey: true
+            },
+            stream_id: {
+                type: Sequelize.UUID,
+                allowNull: false,
+                references: {
+                    model: 'streams',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            condition: {
+                type: Sequelize.ENUM('black', 'frozen', 'blurred', 'scene_changed'),
+                allowNull: false
+            },
+            started_at: {
+                type: Sequelize.DATE,
+                allowNull: false
+            },
+            ended_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            measurement: {
+                type: Sequelize.FLOAT,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE
+            }
+        });
+
+        await addIndexIfMissing(queryInterface, 'stream_conditions', ['stream_id', 'started_at']);
+    },
+
+    async down(queryInterface) {
+        await queryInterface.dropTable('stream_conditions');
+    }
+};
@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// AccessRule Model - Bir kullanıcıya veya gruba kategori/yayın izleme izni verir
+const AccessRule = sequelize.define('AccessRule', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    subject_type: {
+        type: DataTypes.ENUM('user', 'group'),
+        allowNull: false
+    },
+    // users.id (INTEGER) veya user_groups.id (UUID) - string olarak saklanır
+    subject_id: {
+        type: DataTypes.STRING(36),
+        allowNull: false
+    },
+    resource_type: {
+        type: DataTypes.ENUM('category', 'stream'),
+        allowNull: false
+    },
+    resource_id: {
+        type: DataTypes.UUID,
+        allowNull: false
+    }
+}, {
+    tableName: 'access_rules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['subject_type', 'subject_id', 'resource_type', 'resource_id']
+        },
+        {
+            fields: ['resource_type', 'resource_id']
+        }
+    ]
+});
+
+module.exports = AccessRule;
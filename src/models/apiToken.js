@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// ApiToken Model - Entegrasyonlar için Bearer token'lar (token'ın kendisi değil, SHA-256 özeti saklanır)
+const ApiToken = sequelize.define('ApiToken', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            len: [2, 100],
+            notEmpty: true
+        }
+    },
+    // personal: kullanıcı adına, service: entegrasyon adına (sadece yöneticiler oluşturur)
+    type: {
+        type: DataTypes.ENUM('personal', 'service'),
+        defaultValue: 'personal',
+        allowNull: false
+    },
+    // Listede token'ı tanımak için ilk karakterler (ör. ark_1a2b3c4d)
+    token_prefix: {
+        type: DataTypes.STRING(16),
+        allowNull: false
+    },
+    token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+    },
+    // Token sahibi - token bu kullanıcının rolünü aşamaz
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    scopes: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        comment: 'Virgülle ayrılmış izinler (view, create, edit, delete, manage_users, manage_cameras)'
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    last_used_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    last_used_ip: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'api_tokens',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+ApiToken.prototype.getScopes = function () {
+    return this.scopes ? this.scopes.split(',').filter(Boolean) : [];
+};
+
+ApiToken.prototype.isUsable = function () {
+    if (this.revoked_at) return false;
+    return !this.expires_at || new Date(this.expires_at) > new Date();
+};
+
+// Özet bilgisi hiçbir zaman dışarı verilmez
+ApiToken.prototype.toJSON = function () {
+    const values = Object.assign({}, this.get());
+    delete values.token_hash;
+    values.scopes = this.getScopes();
+    return values;
+};
+
+module.exports = ApiToken;
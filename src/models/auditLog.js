@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// AuditLog Model - Yönetim işlemlerinin kaydı (kim, neyi, ne zaman, nereden değiştirdi)
+const AuditLog = sequelize.define('AuditLog', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Kullanıcı silinse de kayıt kalır - kullanıcı adı o anki haliyle saklanır
+    actor_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    actor_username: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // İşlem API token ile yapıldıysa
+    api_token_id: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    // ör. stream.start, camera.delete, user.update
+    action: {
+        type: DataTypes.STRING(64),
+        allowNull: false
+    },
+    target_type: {
+        type: DataTypes.STRING(32),
+        allowNull: true
+    },
+    target_id: {
+        type: DataTypes.STRING(64),
+        allowNull: true
+    },
+    // { alan: { from, to } } - şifre gibi alanların değeri maskelenir
+    changes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    // İşleme özel ek bilgi (yüklenen dosyalar, sıralama vb.)
+    details: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+    },
+    user_agent: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        { fields: ['created_at'] },
+        { fields: ['action'] },
+        { fields: ['actor_id'] },
+        { fields: ['target_type', 'target_id'] }
+    ]
+});
+
+AuditLog.prototype.toJSON = function () {
+    const values = Object.assign({}, this.get());
+    for (const field of ['changes', 'details']) {
+        try {
+            values[field] = values[field] ? JSON.parse(values[field]) : null;
+        } catch (error) {
+            values[field] = null;
+        }
+    }
+    return values;
+};
+
+module.exports = AuditLog;
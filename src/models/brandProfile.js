@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// BrandProfile Model - Kod değişikliği gerektirmeyen kamera markası sürücüleri
+const BrandProfile = sequelize.define('BrandProfile', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    brand: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        validate: {
+            len: [2, 50],
+            notEmpty: true
+        }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        }
+    },
+    aliases: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        comment: 'Virgülle ayrılmış alternatif marka adları'
+    },
+    default_port: {
+        type: DataTypes.INTEGER,
+        defaultValue: 554,
+        validate: {
+            min: 1,
+            max: 65535
+        }
+    },
+    channel_base: {
+        type: DataTypes.INTEGER,
+        defaultValue: 1,
+        validate: {
+            min: 0,
+            max: 1
+        },
+        comment: 'Cihazın ilk kanal numarası (0 veya 1)'
+    },
+    main_path: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        },
+        comment: 'Ana stream yolu, ör. /unicast/c{channel}/s0/live'
+    },
+    sub_path: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    }
+}, {
+    tableName: 'brand_profiles',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+// Sürücü registry'sinin beklediği tanıma çevirir
+BrandProfile.prototype.toDriverDefinition = function () {
+    return {
+        id: this.brand,
+        name: this.name,
+        aliases: this.aliases ? this.aliases.split(',') : [],
+        defaultPort: this.default_port,
+        channelBase: this.channel_base,
+        templates: {
+            main: this.main_path,
+            sub: this.sub_path
+        }
+    };
+};
+
+module.exports = BrandProfile;
@@ -1,6 +1,8 @@
 // Camera Model - Basit kamera bilgileri
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { getDriverRegistry } = require('../services/driverRegistry');
+const { encryptSecret, decryptSecret } = require('../services/credentials');
 
 const Camera = sequelize.define('Camera', {
     id: {
@@ -89,6 +91,12 @@ const Category = sequelize.define('Category', {
     is_active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true
+    },
+    // Giriş yapmamış (anonim) izleyicilere açık - kapalıysa sadece erişim kuralı olanlar görür
+    is_public: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
     }
 }, {
     tableName: 'categories',
@@ -155,8 +163,9 @@ const Stream = sequelize.define('Stream', {
             notEmpty: true
         }
     },
+    // Şifreli saklanır (enc:v1:...) - bkz. services/credentials.js
     password: {
-        type: DataTypes.STRING(255),
+        type: DataTypes.STRING(512),
         allowNull: false,
         validate: {
             notEmpty: true
@@ -196,6 +205,83 @@ const Stream = sequelize.define('Stream', {
         allowNull: true,
         defaultValue: '160k'
     },
+    video_codec: {
+        type: DataTypes.ENUM('h264'),
+        allowNull: false,
+        defaultValue: 'h264'
+    },
+    preset: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'veryfast'
+    },
+    // Keyframe aralığı (frame) - boşsa fps * segment süresi
+    gop_size: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        validate: {
+            min: 1,
+            max: 600
+        }
+    },
+    audio_enabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    },
+    // copy: kamera H.264 gönderiyorsa yeniden kodlamadan remux (probe ile kontrol edilir)
+    video_mode: {
+        type: DataTypes.ENUM('transcode', 'copy'),
+        allowNull: false,
+        defaultValue: 'transcode'
+    },
+    // Tek kalite modunda kullanılan kamera yayını (main/sub)
+    source_variant: {
+        type: DataTypes.ENUM('main', 'sub'),
+        allowNull: false,
+        defaultValue: 'main'
+    },
+    // Adaptive HLS kaliteleri, ör. '720p,360p' veya 'main,sub' (boş = tek kalite)
+    renditions: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    // İsteğe bağlı yayın: FFmpeg ilk izleyicide başlar, izleyici kalmayınca durur (bkz. services/onDemand.js)
+    on_demand: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // Hareket algılama - yayın çalışırken kameranın alt yayınından analiz edilir (bkz. services/motion.js)
+    motion_enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // 1 (sadece belirgin hareket) - 100 (en küçük değişiklik)
+    motion_sensitivity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 50,
+        validate: {
+            min: 1,
+            max: 100
+        }
+    },
+    // Algılama bölgeleri, görüntünün yüzdesi olarak 'x,y,genişlik,yükseklik;...' (boş = tüm görüntü)
+    motion_zones: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    // Supervisor'ın art arda yeniden başlatma deneme sınırı (0 = yeniden başlatma)
+    max_restarts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 5,
+        validate: {
+            min: 0,
+            max: 100
+        }
+    },
     // Durum bilgileri
     status: {
         type: DataTypes.ENUM('stopped', 'starting', 'streaming', 'error'),
@@ -336,20 +422,55 @@ Stream.prototype.toJSON = function () {
     return values;
 };
 
-// Stream için RTSP URL oluşturma metodu
-Stream.prototype.generateRTSPUrl = function () {
-    const brand = this.camera ? this.camera.brand.toLowerCase() : '';
-
-    if (brand === 'dahua') {
-        return `rtsp://${this.username}:${this.password}@${this.ip_address}:${this.rtsp_port}/cam/realmonitor?channel=${this.channel}&subtype=0`;
-    } else if (brand === 'samsung') {
-        return `rtsp://${this.username}:${this.password}@${this.ip_address}:${this.rtsp_port}/profile1/media.smp`;
-    } else if (brand === 'hikvision') {
-        return `rtsp://${this.username}:${this.password}@${this.ip_address}:${this.rtsp_port}/Streaming/Channels/${this.channel}01/`;
-    } else {
-        // Generic RTSP URL
-        return `rtsp://${this.username}:${this.password}@${this.ip_address}:${this.rtsp_port}/`;
+// Kamera şifresini veritabanına yazmadan önce şifrele
+Stream.beforeSave((stream) => {
+    if (stream.changed('password')) {
+        stream.password = encryptSecret(stream.password);
     }
+});
+
+// Stream için RTSP URL oluşturma metodu - StreamService ile aynı sürücü registry'sini kullanır
+// Dönen URL çözülmüş şifre içerir, loglanmamalı
+Stream.prototype.generateRTSPUrl = function (variant = 'main') {
+    return getDriverRegistry().buildRtspUrl({
+        brand: this.camera ? this.camera.brand : '',
+        username: this.username,
+        password: decryptSecret(this.password),
+        ip: this.ip_address,
+        port: this.rtsp_port,
+        channel: this.channel,
+        variant
+    });
+};
+
+// StreamService.startStream için config oluşturur (camera include edilmiş olmalı)
+Stream.prototype.toStreamConfig = function () {
+    return {
+        streamName: this.stream_name,
+        brand: this.camera ? this.camera.brand : '',
+        username: this.username,
+        // Şifreli kalır - StreamService sadece FFmpeg başlatılırken çözer
+        password: this.password,
+        ip: this.ip_address,
+        port: this.rtsp_port,
+        channel: this.channel,
+        resolution: this.resolution,
+        fps: this.fps,
+        bitrate: this.bitrate,
+        audioBitrate: this.audio_bitrate,
+        videoCodec: this.video_codec,
+        preset: this.preset,
+        gop: this.gop_size,
+        audioEnabled: this.audio_enabled,
+        videoMode: this.video_mode,
+        sourceVariant: this.source_variant,
+        renditions: this.renditions,
+        maxRestarts: this.max_restarts,
+        onDemand: this.on_demand,
+        motionEnabled: this.motion_enabled,
+        motionSensitivity: this.motion_sensitivity,
+        motionZones: this.motion_zones
+    };
 };
 
 // Static methods
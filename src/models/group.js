@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Group Model - Erişim kuralları için kullanıcı grupları
+// ('groups' MySQL'de ayrılmış kelime olduğu için tablo adı user_groups)
+const Group = sequelize.define('Group', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        unique: true,
+        validate: {
+            len: [2, 100],
+            notEmpty: true
+        }
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'user_groups',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+});
+
+// Kullanıcı-Grup Many-to-Many ilişkisi için ara tablo
+const GroupMember = sequelize.define('GroupMember', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    group_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Group,
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    }
+}, {
+    tableName: 'group_members',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['group_id', 'user_id']
+        },
+        {
+            fields: ['user_id']
+        }
+    ]
+});
+
+module.exports = { Group, GroupMember };
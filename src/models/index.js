@@ -1,5 +1,15 @@
 const { sequelize } = require('../config/database');
 const User = require('./user');
+const BrandProfile = require('./brandProfile');
+const ViewerStat = require('./viewerStat');
+const ApiToken = require('./apiToken');
+const { Group, GroupMember } = require('./group');
+const AccessRule = require('./accessRule');
+const Session = require('./session');
+const AuditLog = require('./auditLog');
+const { Schedule, ScheduleWindow, ScheduleException } = require('./schedule');
+const MotionEvent = require('./motionEvent');
+const StreamCondition = require('./streamCondition');
 const { Camera } = require('./camera');
 const { Stream } = require('./camera');
 const { Category, StreamCategory } = require('./camera');
@@ -9,6 +19,32 @@ const { Category, StreamCategory } = require('./camera');
 // User.hasMany(Camera);
 // Camera.belongsTo(User);
 
+// İzleyici istatistikleri
+Stream.hasMany(ViewerStat, { foreignKey: 'stream_id', as: 'viewerStats' });
+ViewerStat.belongsTo(Stream, { foreignKey: 'stream_id', as: 'stream' });
+
+// API token'ları
+User.hasMany(ApiToken, { foreignKey: 'user_id', as: 'apiTokens' });
+ApiToken.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
+
+// Erişim grupları
+Group.belongsToMany(User, { through: GroupMember, foreignKey: 'group_id', otherKey: 'user_id', as: 'members' });
+User.belongsToMany(Group, { through: GroupMember, foreignKey: 'user_id', otherKey: 'group_id', as: 'groups' });
+
+// Hareket olayları
+Stream.hasMany(MotionEvent, { foreignKey: 'stream_id', as: 'motionEvents' });
+MotionEvent.belongsTo(Stream, { foreignKey: 'stream_id', as: 'stream' });
+
+// Görüntü sağlığı durumları
+Stream.hasMany(StreamCondition, { foreignKey: 'stream_id', as: 'conditions' });
+StreamCondition.belongsTo(Stream, { foreignKey: 'stream_id', as: 'stream' });
+
+// Zamanlamalar
+Schedule.hasMany(ScheduleWindow, { foreignKey: 'schedule_id', as: 'windows', onDelete: 'CASCADE' });
+ScheduleWindow.belongsTo(Schedule, { foreignKey: 'schedule_id', as: 'schedule' });
+Schedule.hasMany(ScheduleException, { foreignKey: 'schedule_id', as: 'exceptions', onDelete: 'CASCADE' });
+ScheduleException.belongsTo(Schedule, { foreignKey: 'schedule_id', as: 'schedule' });
+
 // Export all models and sequelize instance
 module.exports = {
     sequelize,
@@ -16,5 +52,18 @@ module.exports = {
     User,
     Stream,
     Category,
-    StreamCategory
+    StreamCategory,
+    BrandProfile,
+    ViewerStat,
+    ApiToken,
+    Group,
+    GroupMember,
+    AccessRule,
+    Session,
+    AuditLog,
+    Schedule,
+    ScheduleWindow,
+    ScheduleException,
+    MotionEvent,
+    StreamCondition
 };
\ No newline at end of file
@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// MotionEvent Model - Hareket algılama olayları (bkz. services/motion.js)
+const MotionEvent = sequelize.define('MotionEvent', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    stream_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'streams',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    started_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    // Hareket devam ederken null
+    ended_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Bölgede değişen piksellerin en yüksek oranı (0-1)
+    peak_score: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Tetiklenen bölgelerin sırası, ör. '0,2' (bölge tanımlı değilse null = tüm görüntü)
+    zones: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    // Olay başlangıcındaki görüntünün dosya adı (MOTION_SNAPSHOT_DIR içinde)
+    snapshot: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'motion_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['stream_id', 'started_at']
+        },
+        {
+            fields: ['started_at']
+        }
+    ]
+});
+
+module.exports = MotionEvent;
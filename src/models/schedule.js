@@ -0,0 +1,143 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Schedule Model - Bir yayının çalışacağı veya bir kategorinin herkese açık olacağı zamanlar
+// Her yayın/kategori için en fazla bir zamanlama tanımlanabilir
+const Schedule = sequelize.define('Schedule', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            len: [2, 100],
+            notEmpty: true
+        }
+    },
+    target_type: {
+        type: DataTypes.ENUM('stream', 'category'),
+        allowNull: false
+    },
+    target_id: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'schedules',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['target_type', 'target_id']
+        }
+    ]
+});
+
+// Haftalık zaman aralığı - bitiş başlangıçtan küçük veya eşitse aralık gece yarısını geçer
+// (22:00-06:00 ertesi sabaha kadar, 00:00-00:00 tüm gün)
+const ScheduleWindow = sequelize.define('ScheduleWindow', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    schedule_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Schedule,
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    // 0 = Pazar ... 6 = Cumartesi (Date.getDay ile aynı)
+    day_of_week: {
+        type: DataTypes.TINYINT,
+        allowNull: false,
+        validate: {
+            min: 0,
+            max: 6
+        }
+    },
+    start_time: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+    end_time: {
+        type: DataTypes.TIME,
+        allowNull: false
+    }
+}, {
+    tableName: 'schedule_windows',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['schedule_id']
+        }
+    ]
+});
+
+// Tarih istisnası - o gün için haftalık aralıkların yerine geçer (tatil, özel etkinlik)
+// Saat verilmezse tüm gün açık/kapalı
+const ScheduleException = sequelize.define('ScheduleException', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    schedule_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: Schedule,
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    is_open: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    start_time: {
+        type: DataTypes.TIME,
+        allowNull: true
+    },
+    end_time: {
+        type: DataTypes.TIME,
+        allowNull: true
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'schedule_exceptions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['schedule_id', 'date']
+        }
+    ]
+});
+
+module.exports = { Schedule, ScheduleWindow, ScheduleException };
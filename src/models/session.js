@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Session Model - express-session oturumları (yeniden başlatmada kaybolmaz)
+const Session = sequelize.define('Session', {
+    sid: {
+        type: DataTypes.STRING(128),
+        primaryKey: true
+    },
+    // Giriş yapılmamış oturumlarda boş
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    data: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true
+    },
+    user_agent: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    last_seen_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        { fields: ['user_id'] },
+        { fields: ['expires_at'] }
+    ]
+});
+
+module.exports = Session;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// StreamCondition Model - Görüntü sağlığı sorunları: siyah, donmuş, bulanık görüntü, sahne değişikliği
+// (bkz. services/videoHealth.js)
+const StreamCondition = sequelize.define('StreamCondition', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    stream_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'streams',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    condition: {
+        type: DataTypes.ENUM('black', 'frozen', 'blurred', 'scene_changed'),
+        allowNull: false
+    },
+    started_at: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    // Durum devam ederken null
+    ended_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Durumu tetikleyen ölçüm (siyah/donmuş süre oranı, netlik oranı veya değişen alan oranı)
+    measurement: {
+        type: DataTypes.FLOAT,
+        allowNull: true
+    }
+}, {
+    tableName: 'stream_conditions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['stream_id', 'started_at']
+        }
+    ]
+});
+
+module.exports = StreamCondition;
@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { encryptSecret } = require('../services/credentials');
 
 const User = sequelize.define('User', {
     id: {
@@ -49,6 +50,36 @@ const User = sequelize.define('User', {
     avatar: {
         type: DataTypes.STRING,
         allowNull: true
+    },
+    // Varsayılan yönetici gibi hesaplar ilk girişte şifresini değiştirmek zorunda
+    must_change_password: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+    },
+    password_changed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // İki adımlı doğrulama - gizli anahtar CREDENTIALS_KEY ile şifreli saklanır
+    totp_secret: {
+        type: DataTypes.STRING(512),
+        allowNull: true
+    },
+    totp_enabled: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false
+    },
+    // Aynı kodun tekrar kullanılmasını engellemek için son kabul edilen zaman adımı
+    totp_last_step: {
+        type: DataTypes.BIGINT,
+        allowNull: true
+    },
+    // Kurtarma kodlarının SHA-256 özetleri (JSON dizi), kullanılan kod listeden çıkarılır
+    totp_recovery_codes: {
+        type: DataTypes.TEXT,
+        allowNull: true
     }
 }, {
     tableName: 'users',
@@ -57,10 +88,27 @@ const User = sequelize.define('User', {
     updatedAt: 'updated_at'
 });
 
+User.beforeSave((user) => {
+    if (user.changed('totp_secret')) {
+        user.totp_secret = encryptSecret(user.totp_secret);
+    }
+});
+
 // Instance methods
+User.prototype.getRecoveryCodeHashes = function () {
+    try {
+        return this.totp_recovery_codes ? JSON.parse(this.totp_recovery_codes) : [];
+    } catch (error) {
+        return [];
+    }
+};
+
 User.prototype.toJSON = function () {
     const values = Object.assign({}, this.get());
     delete values.password; // Never return password
+    delete values.totp_secret;
+    delete values.totp_last_step;
+    delete values.totp_recovery_codes;
     return values;
 };
 
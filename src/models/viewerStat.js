@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// ViewerStat Model - Yayın başına saatlik izleyici istatistikleri
+const ViewerStat = sequelize.define('ViewerStat', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    stream_id: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+            model: 'streams',
+            key: 'id'
+        },
+        onDelete: 'CASCADE'
+    },
+    // Saat başlangıcı (ör. 2025-01-01 14:00:00)
+    hour: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    peak_viewers: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Dakikalık örneklerin ortalaması
+    avg_viewers: {
+        type: DataTypes.FLOAT,
+        allowNull: false,
+        defaultValue: 0
+    },
+    unique_viewers: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    samples: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'viewer_stats',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['stream_id', 'hour']
+        }
+    ]
+});
+
+module.exports = ViewerStat;
@@ -1,11 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const session = require('express-session');
-const { requireAuth, requireAdmin, loadUser } = require('../middleware/auth');
+const { requireAuth, requireAdmin, requireSession, authenticateBearer, loadUser, checkPermission } = require('../middleware/auth');
 const { Op } = require('sequelize');
 const os = require('os');
 const multer = require('multer'); // Form data için gerekli
-const { User, Camera, Stream, Category, StreamCategory } = require('../models');
+const { User, Camera, Stream, Category, StreamCategory, BrandProfile, ApiToken, Group, GroupMember, AccessRule, AuditLog, Schedule, ScheduleWindow, ScheduleException, MotionEvent, StreamCondition } = require('../models');
 const fs = require('fs').promises;
 const path = require('path');
 const sharp = require('sharp');
@@ -22,16 +21,8 @@ const SERVER_HOST = process.env.USE_NGINX === 'true'
     ? (process.env.NGINX_HOST || 'http://localhost:8080')
     : (process.env.SERVER_HOST + ":" + process.env.PORT || getServerIp() + ":" + process.env.PORT);
 
-// Session middleware for admin panel
-router.use(session({
-    secret: process.env.SESSION_SECRET || 'default-secret-key',
-    resave: false,
-    saveUninitialized: false,
-    cookie: {
-        secure: false,
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    }
-}));
+// Entegrasyonlar için Authorization: Bearer token desteği
+router.use(authenticateBearer);
 
 // Load user middleware
 router.use(loadUser);
@@ -41,7 +32,48 @@ router.use(express.json());
 router.use(express.urlencoded({ extended: true }));
 
 const { getStreamService } = require('../services/stream');
+const { getRecordingService } = require('../services/recording');
+const { resolveEncodingSettings, resolveRenditions, parseRenditions } = require('../services/encodingProfile');
+const { startManagedStream, updateStreamStatus } = require('../services/streamLifecycle');
+const { parseFailure } = require('../services/ffmpegErrors');
+const { getDriverRegistry } = require('../services/driverRegistry');
+const { getViewerTracker } = require('../services/viewers');
+const { getEventBus } = require('../services/events');
+const { issueToken, TOKEN_TYPES } = require('../services/apiTokens');
+const { getRolePermissions } = require('../config/permissions');
+const { signHlsUrl } = require('../services/playbackTokens');
+const { getLoginGuard } = require('../services/loginGuard');
+const { generateSecret, verifyCode, buildOtpauthUri, generateRecoveryCodes, hashRecoveryCode } = require('../services/totp');
+const { decryptSecret } = require('../services/credentials');
+const { getSessionStore } = require('../services/sessions');
+const { audit } = require('../middleware/audit');
+const { recordAudit } = require('../services/audit');
+const { getMotionDetector, parseMotionZones, formatMotionZones } = require('../services/motion');
+const { getAccessControl } = require('../services/access');
+const { getStreamScheduler, parseSchedulePayload, normalizeSchedule, isOpenAt, nextTransition, ScheduleValidationError } = require('../services/scheduler');
 const streamService = getStreamService();
+const viewerTracker = getViewerTracker();
+const recordingService = getRecordingService();
+const scheduler = getStreamScheduler();
+const motionDetector = getMotionDetector();
+const accessControl = getAccessControl();
+
+// Erişim kuralları panelde de geçerlidir: kamera yönetimi yetkisi olmayan kullanıcılar
+// sadece izin verilen yayınları listeler, izler ve yönetir (bkz. services/access.js)
+function getStreamVisibility(req) {
+    return accessControl.getVisibility(req.user ? req.user.id : null);
+}
+
+// Yayın yoksa veya kullanıcı göremiyorsa null - çağıran 404 döner, kısıtlı yayının varlığı belli edilmez
+async function findVisibleStream(req, id, options = {}) {
+    const stream = await Stream.findByPk(id, options);
+    if (!stream) {
+        return null;
+    }
+
+    const visibility = await getStreamVisibility(req);
+    return visibility.all || visibility.streamIds.has(stream.id) ? stream : null;
+}
 
 // Login page
 router.get('/login', (req, res) => {
@@ -54,9 +86,65 @@ router.get('/login', (req, res) => {
     });
 });
 
+// Kilit mesajı - kalan süre dakika cinsinden
+function lockoutMessage(retryAfter) {
+    const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+    return `Çok fazla başarısız deneme. ${minutes} dakika sonra tekrar deneyin`;
+}
+
+function renderLocked(res, view, retryAfter, locals = {}) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).render(view, {
+        title: 'Admin Login - Ark Stream',
+        ...locals,
+        error: lockoutMessage(retryAfter)
+    });
+}
+
+// Şifre (ve gerekiyorsa 2FA) doğrulandıktan sonra oturumu açar
+function completeLogin(req, res, user) {
+    // Oturum sabitleme saldırılarına karşı yeni oturum kimliği
+    req.session.regenerate(async (err) => {
+        if (err) {
+            console.error('Session regenerate error:', err);
+            return res.render('admin/login', {
+                title: 'Admin Login - Ark Stream',
+                error: 'Giriş sırasında bir hata oluştu'
+            });
+        }
+
+        try {
+            await user.update({ last_login: new Date() });
+        } catch (error) {
+            console.error('Last login update error:', error);
+        }
+
+        req.session.userId = user.id;
+        req.session.username = user.username;
+        req.session.role = user.role;
+        req.session.mustChangePassword = user.must_change_password;
+
+        await recordAudit(req, {
+            action: 'auth.login',
+            targetType: 'user',
+            targetId: user.id,
+            actor: user,
+            details: { two_factor: Boolean(user.totp_enabled) }
+        });
+
+        res.redirect(user.must_change_password ? '/admin/change-password' : '/admin');
+    });
+}
+
 // Login process
 router.post('/login', async (req, res) => {
     const { username, password } = req.body;
+    const loginGuard = getLoginGuard();
+
+    const attempt = loginGuard.check(req.ip, username);
+    if (!attempt.allowed) {
+        return renderLocked(res, 'admin/login', attempt.retryAfter);
+    }
 
     try {
         const user = await User.findOne({
@@ -67,34 +155,37 @@ router.post('/login', async (req, res) => {
                 ],
                 is_active: true
             },
-            attributes: ['id', 'username', 'email', 'password', 'role', 'last_login']
+            attributes: ['id', 'username', 'email', 'password', 'role', 'last_login', 'must_change_password', 'totp_enabled']
         });
 
-        if (!user) {
-            return res.render('admin/login', {
-                title: 'Admin Login - Ark Stream',
-                error: 'Geçersiz kullanıcı adı veya şifre'
-            });
-        }
-
-        const isValidPassword = await bcrypt.compare(password, user.password);
+        const isValidPassword = user ? await bcrypt.compare(password || '', user.password) : false;
 
         if (!isValidPassword) {
+            loginGuard.recordFailure(req.ip, username);
+            await recordAudit(req, {
+                action: 'auth.loginFailed',
+                targetType: 'user',
+                targetId: user ? user.id : null,
+                details: { username: String(username || '').slice(0, 100) }
+            });
             return res.render('admin/login', {
                 title: 'Admin Login - Ark Stream',
                 error: 'Geçersiz kullanıcı adı veya şifre'
             });
         }
 
-        // Update last login
-        await user.update({ last_login: new Date() });
-
-        // Set session
-        req.session.userId = user.id;
-        req.session.username = user.username;
-        req.session.role = user.role;
+        // 2FA açıksa oturum ikinci adım doğrulanana kadar açılmaz
+        if (user.totp_enabled) {
+            req.session.pendingTwoFactor = {
+                userId: user.id,
+                username,
+                startedAt: Date.now()
+            };
+            return res.redirect('/admin/login/2fa');
+        }
 
-        res.redirect('/admin');
+        loginGuard.recordSuccess(username);
+        completeLogin(req, res, user);
     } catch (error) {
         console.error('Login error:', error);
         res.render('admin/login', {
@@ -104,6 +195,171 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// İkinci adımın tamamlanması için süre
+const TWO_FACTOR_PENDING_TTL = 5 * 60 * 1000;
+
+function getPendingTwoFactor(req) {
+    const pending = req.session ? req.session.pendingTwoFactor : null;
+    if (!pending || Date.now() - pending.startedAt > TWO_FACTOR_PENDING_TTL) {
+        return null;
+    }
+    return pending;
+}
+
+// 2FA kod sayfası
+router.get('/login/2fa', (req, res) => {
+    if (!getPendingTwoFactor(req)) {
+        return res.redirect('/admin/login');
+    }
+    res.render('admin/login', {
+        title: 'İki Adımlı Doğrulama - Ark Stream',
+        step: 'twoFactor',
+        error: null
+    });
+});
+
+// 2FA kodu veya kurtarma kodu doğrulama
+router.post('/login/2fa', async (req, res) => {
+    const pending = getPendingTwoFactor(req);
+    if (!pending) {
+        delete req.session.pendingTwoFactor;
+        return res.render('admin/login', {
+            title: 'Admin Login - Ark Stream',
+            error: 'Doğrulama süresi doldu, lütfen tekrar giriş yapın'
+        });
+    }
+
+    const locals = { title: 'İki Adımlı Doğrulama - Ark Stream', step: 'twoFactor' };
+    const loginGuard = getLoginGuard();
+
+    const attempt = loginGuard.check(req.ip, pending.username);
+    if (!attempt.allowed) {
+        return renderLocked(res, 'admin/login', attempt.retryAfter, locals);
+    }
+
+    try {
+        const user = await User.findOne({ where: { id: pending.userId, is_active: true } });
+        if (!user || !user.totp_enabled) {
+            delete req.session.pendingTwoFactor;
+            return res.redirect('/admin/login');
+        }
+
+        const verified = await verifySecondFactor(user, req.body.code);
+        if (!verified) {
+            loginGuard.recordFailure(req.ip, pending.username);
+            await recordAudit(req, {
+                action: 'auth.twoFactorFailed',
+                targetType: 'user',
+                targetId: user.id,
+                actor: user
+            });
+            return res.render('admin/login', { ...locals, error: 'Doğrulama kodu geçersiz' });
+        }
+
+        loginGuard.recordSuccess(pending.username);
+        completeLogin(req, res, user);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.render('admin/login', { ...locals, error: 'Doğrulama sırasında bir hata oluştu' });
+    }
+});
+
+/**
+ * TOTP kodu veya kurtarma kodunu doğrular, kullanılan kodu tüketir
+ */
+async function verifySecondFactor(user, code) {
+    const value = String(code || '').trim();
+    if (!value || !user.totp_secret) {
+        return false;
+    }
+
+    const step = verifyCode(decryptSecret(user.totp_secret), value, {
+        lastStep: user.totp_last_step !== null ? Number(user.totp_last_step) : null
+    });
+    if (step !== null) {
+        await user.update({ totp_last_step: step });
+        return true;
+    }
+
+    const hashes = user.getRecoveryCodeHashes();
+    const index = hashes.indexOf(hashRecoveryCode(value));
+    if (index !== -1) {
+        hashes.splice(index, 1);
+        await user.update({ totp_recovery_codes: JSON.stringify(hashes) });
+        return true;
+    }
+
+    return false;
+}
+
+// Şifre değiştirme sayfası - zorunlu değişiklikte de buraya yönlendirilir
+router.get('/change-password', (req, res) => {
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/admin/login');
+    }
+    res.render('admin/login', {
+        title: 'Şifre Değiştir - Ark Stream',
+        step: 'changePassword',
+        forced: Boolean(req.session.mustChangePassword),
+        error: null
+    });
+});
+
+router.post('/change-password', async (req, res) => {
+    if (!req.session || !req.session.userId) {
+        return res.redirect('/admin/login');
+    }
+
+    const { current_password, new_password, confirm_password } = req.body;
+    const locals = {
+        title: 'Şifre Değiştir - Ark Stream',
+        step: 'changePassword',
+        forced: Boolean(req.session.mustChangePassword)
+    };
+
+    try {
+        const user = await User.findByPk(req.session.userId);
+        if (!user || !user.is_active) {
+            return res.redirect('/admin/logout');
+        }
+
+        if (!(await bcrypt.compare(current_password || '', user.password))) {
+            return res.render('admin/login', { ...locals, error: 'Mevcut şifre hatalı' });
+        }
+        if (!new_password || new_password.length < 6) {
+            return res.render('admin/login', { ...locals, error: 'Yeni şifre en az 6 karakter olmalıdır' });
+        }
+        if (new_password !== confirm_password) {
+            return res.render('admin/login', { ...locals, error: 'Yeni şifreler eşleşmiyor' });
+        }
+        if (await bcrypt.compare(new_password, user.password)) {
+            return res.render('admin/login', { ...locals, error: 'Yeni şifre mevcut şifreden farklı olmalıdır' });
+        }
+
+        await user.update({
+            password: await bcrypt.hash(new_password, 12),
+            must_change_password: false,
+            password_changed_at: new Date()
+        });
+        req.session.mustChangePassword = false;
+
+        // Diğer cihazlardaki oturumlar eski şifreyle açılmıştı
+        await getSessionStore().destroyUserSessions(user.id, { exceptSid: req.sessionID });
+
+        await recordAudit(req, {
+            action: 'account.passwordChange',
+            targetType: 'user',
+            targetId: user.id,
+            actor: user
+        });
+
+        res.redirect('/admin');
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.render('admin/login', { ...locals, error: 'Şifre değiştirilirken bir hata oluştu' });
+    }
+});
+
 // Logout
 router.get('/logout', (req, res) => {
     req.session.destroy((err) => {
@@ -115,7 +371,7 @@ router.get('/logout', (req, res) => {
 });
 
 // Dashboard
-router.get('/', requireAuth, async (req, res) => {
+router.get('/', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const userCount = await User.count();
         const activeUsers = await User.count({ where: { is_active: true } });
@@ -124,6 +380,7 @@ router.get('/', requireAuth, async (req, res) => {
         res.render('admin/dashboard', {
             title: 'Dashboard - Ark Stream Admin',
             user: req.user,
+            permissions: getRolePermissions(req.user.role),
             stats: {
                 totalUsers: userCount,
                 activeUsers: activeUsers,
@@ -145,7 +402,7 @@ router.get('/', requireAuth, async (req, res) => {
 });
 
 // Users management page
-router.get('/users', requireAuth, async (req, res) => {
+router.get('/users', requireAuth, checkPermission('manage_users'), async (req, res) => {
     try {
         res.render('admin/users', {
             title: 'Kullanıcı Yönetimi - Ark Stream Admin',
@@ -168,7 +425,7 @@ router.get('/users', requireAuth, async (req, res) => {
 // ===========================================
 
 // DataTable API for users - DÜZELTME: GET yerine POST
-router.post('/api/users', requireAuth, async (req, res) => {
+router.post('/api/users', requireAuth, checkPermission('manage_users'), async (req, res) => {
     try {
         const { start = 0, length = 10, search = {}, order = [] } = req.body;
 
@@ -213,7 +470,7 @@ router.post('/api/users', requireAuth, async (req, res) => {
             order: orderConditions,
             offset: parseInt(start),
             limit: parseInt(length),
-            attributes: ['id', 'username', 'email', 'role', 'is_active', 'last_login', 'created_at']
+            attributes: ['id', 'username', 'email', 'role', 'is_active', 'last_login', 'created_at', 'totp_enabled']
         });
 
         res.json({
@@ -235,10 +492,10 @@ router.post('/api/users', requireAuth, async (req, res) => {
 });
 
 // Get single user
-router.get('/api/users/:id', requireAuth, async (req, res) => {
+router.get('/api/users/:id', requireAuth, checkPermission('manage_users'), async (req, res) => {
     try {
         const user = await User.findByPk(req.params.id, {
-            attributes: ['id', 'username', 'email', 'role', 'is_active', 'created_at', 'last_login']
+            attributes: ['id', 'username', 'email', 'role', 'is_active', 'created_at', 'last_login', 'totp_enabled']
         });
 
         if (!user) {
@@ -262,7 +519,10 @@ router.get('/api/users/:id', requireAuth, async (req, res) => {
 });
 
 // Create user - DÜZELTME: Multer upload middleware eklendi
-router.post('/api/users/create', upload.none(), requireAuth, async (req, res) => {
+router.post('/api/users/create', upload.none(), requireAuth, checkPermission('manage_users'), audit('user.create', {
+    targetType: 'user',
+    model: User
+}), async (req, res) => {
     try {
         console.log('Create user request body:', req.body); // Debug log
 
@@ -339,7 +599,10 @@ router.post('/api/users/create', upload.none(), requireAuth, async (req, res) =>
 });
 
 // Update user - DÜZELTME: Multer upload middleware eklendi
-router.put('/api/users/:id', upload.none(), requireAuth, async (req, res) => {
+router.put('/api/users/:id', upload.none(), requireAuth, checkPermission('manage_users'), audit('user.update', {
+    targetType: 'user',
+    model: User
+}), async (req, res) => {
     try {
         console.log('Update user request body:', req.body); // Debug log
 
@@ -405,6 +668,11 @@ router.put('/api/users/:id', upload.none(), requireAuth, async (req, res) => {
 
         await user.update(updateData);
 
+        // Pasife alınan kullanıcının açık oturumları hemen kapatılır
+        if (!user.is_active) {
+            await getSessionStore().destroyUserSessions(user.id);
+        }
+
         res.json({
             success: true,
             message: 'Kullanıcı başarıyla güncellendi',
@@ -434,7 +702,10 @@ router.put('/api/users/:id', upload.none(), requireAuth, async (req, res) => {
 });
 
 // Change password
-router.post('/api/users/:id/change-password', requireAuth, async (req, res) => {
+router.post('/api/users/:id/change-password', requireAuth, checkPermission('manage_users'), audit('user.passwordReset', {
+    targetType: 'user',
+    model: User
+}), async (req, res) => {
     try {
         const userId = req.params.id;
         const { password } = req.body;
@@ -479,12 +750,15 @@ router.post('/api/users/:id/change-password', requireAuth, async (req, res) => {
 });
 
 // Delete user
-router.delete('/api/users/:id', requireAuth, async (req, res) => {
+router.delete('/api/users/:id', requireAuth, checkPermission('manage_users'), audit('user.delete', {
+    targetType: 'user',
+    model: User
+}), async (req, res) => {
     try {
         const userId = req.params.id;
 
         // Prevent deleting current user
-        if (userId == req.session.userId) {
+        if (userId == req.user.id) {
             return res.status(400).json({
                 success: false,
                 message: 'Kendi hesabınızı silemezsiniz'
@@ -500,6 +774,9 @@ router.delete('/api/users/:id', requireAuth, async (req, res) => {
             });
         }
 
+        // Kullanıcıya doğrudan verilmiş erişim kuralları da silinir
+        await AccessRule.destroy({ where: { subject_type: 'user', subject_id: String(user.id) } });
+        await getSessionStore().destroyUserSessions(user.id);
         await user.destroy();
 
         res.json({
@@ -515,356 +792,516 @@ router.delete('/api/users/:id', requireAuth, async (req, res) => {
     }
 });
 
-// Get admin statistics
-router.get('/api/stats', requireAuth, async (req, res) => {
+// ============================================
+// API TOKEN ENDPOINTS
+// ============================================
+
+// Token listesi - yöneticiler tüm token'ları, diğer kullanıcılar kendi token'larını görür
+router.get('/api/tokens', requireSession, async (req, res) => {
     try {
-        const totalUsers = await User.count();
-        const activeUsers = await User.count({ where: { is_active: true } });
-        const adminUsers = await User.count({ where: { role: 'admin' } });
-        const userUsers = await User.count({ where: { role: 'user' } });
-        const viewerUsers = await User.count({ where: { role: 'viewer' } });
+        const canManageAll = getRolePermissions(req.user.role).includes('manage_users');
 
-        // Recent users (last 30 days)
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+        const tokens = await ApiToken.findAll({
+            where: canManageAll ? {} : { user_id: req.user.id },
+            include: [{
+                model: User,
+                as: 'user',
+                attributes: ['id', 'username']
+            }],
+            order: [['created_at', 'DESC']]
+        });
 
-        const recentUsers = await User.count({
-            where: {
-                created_at: {
-                    [Op.gte]: thirtyDaysAgo
-                }
+        res.json({
+            success: true,
+            data: {
+                tokens,
+                // Kullanıcının token'a verebileceği kapsamlar
+                scopes: getRolePermissions(req.user.role),
+                types: canManageAll ? TOKEN_TYPES : ['personal']
             }
         });
+    } catch (error) {
+        console.error('API token list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Token listesi alınamadı'
+        });
+    }
+});
 
-        // Users with recent login (last 7 days)
-        const sevenDaysAgo = new Date();
-        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+// Yeni token - düz metin token sadece bu yanıtta gösterilir
+router.post('/api/tokens', upload.none(), requireSession, audit('apiToken.create', {
+    targetType: 'apiToken',
+    model: ApiToken,
+    idParam: (req, body) => body && body.data.record.id
+}), async (req, res) => {
+    try {
+        const { name, type, expires_in_days } = req.body;
 
-        const recentlyActiveUsers = await User.count({
-            where: {
-                last_login: {
-                    [Op.gte]: sevenDaysAgo
-                }
-            }
+        const { token, record } = await issueToken(req.user, {
+            name,
+            type: type || 'personal',
+            scopes: req.body.scopes,
+            expiresInDays: expires_in_days
         });
 
         res.json({
             success: true,
+            message: 'Token oluşturuldu. Bu değer bir daha gösterilmeyecek, güvenli bir yere kaydedin.',
             data: {
-                totalUsers,
-                activeUsers,
-                inactiveUsers: totalUsers - activeUsers,
-                adminUsers,
-                userUsers,
-                viewerUsers,
-                recentUsers,
-                recentlyActiveUsers
+                token,
+                record
             }
         });
     } catch (error) {
-        console.error('Stats API error:', error);
+        if (error.name === 'ApiTokenError') {
+            return res.status(error.status).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        console.error('API token creation error:', error);
         res.status(500).json({
             success: false,
-            message: 'İstatistikler alınamadı'
+            message: 'Token oluşturulurken bir hata oluştu'
         });
     }
 });
-router.post('/api/cameras', requireAuth, async (req, res) => {
+
+// Token iptali - kayıt silinmez, kullanım geçmişi için revoked_at işaretlenir
+router.delete('/api/tokens/:id', requireSession, audit('apiToken.revoke', { targetType: 'apiToken', model: ApiToken }), async (req, res) => {
     try {
-        const { start = 0, length = 10, search = {}, order = [] } = req.body;
+        const token = await ApiToken.findByPk(req.params.id);
+        const canManageAll = getRolePermissions(req.user.role).includes('manage_users');
 
-        let whereCondition = {};
-        if (search && search.value && search.value.trim() !== '') {
-            const searchValue = `%${search.value.trim()}%`;
-            whereCondition = {
-                [Op.or]: [
-                    { name: { [Op.like]: searchValue } },
-                    { brand: { [Op.like]: searchValue } },
-                    { model: { [Op.like]: searchValue } }
-                ]
-            };
+        if (!token || (!canManageAll && token.user_id !== req.user.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Token bulunamadı'
+            });
         }
 
-        const orderConditions = [];
-        const columns = ['name', 'brand', 'model', 'created_at'];
-
-        if (order && order.length > 0) {
-            order.forEach(orderItem => {
-                const columnIndex = parseInt(orderItem.column);
-                const direction = orderItem.dir === 'desc' ? 'DESC' : 'ASC';
-                if (columns[columnIndex]) {
-                    orderConditions.push([columns[columnIndex], direction]);
-                }
+        if (token.revoked_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token zaten iptal edilmiş'
             });
-        } else {
-            orderConditions.push(['created_at', 'DESC']);
         }
 
-        const totalRecords = await Camera.count();
-        const filteredRecords = await Camera.count({ where: whereCondition });
-
-        const cameras = await Camera.findAll({
-            where: whereCondition,
-            order: orderConditions,
-            offset: parseInt(start),
-            limit: parseInt(length),
-            include: [{
-                model: Stream,
-                as: 'streams',
-                attributes: ['id', 'stream_name', 'status']
-            }]
-        });
+        await token.update({ revoked_at: new Date() });
 
         res.json({
-            draw: parseInt(req.body.draw) || 1,
-            recordsTotal: totalRecords,
-            recordsFiltered: filteredRecords,
-            data: cameras
+            success: true,
+            message: 'Token iptal edildi'
         });
     } catch (error) {
-        console.error('DataTable API error (cameras):', error);
+        console.error('API token revoke error:', error);
         res.status(500).json({
-            error: 'Veri yüklenemedi',
-            draw: parseInt(req.body.draw) || 1,
-            recordsTotal: 0,
-            recordsFiltered: 0,
-            data: []
+            success: false,
+            message: 'Token iptal edilirken bir hata oluştu'
         });
     }
 });
 
-// Kamera ekleme
-router.post('/api/cameras/create', upload.none(), requireAuth, async (req, res) => {
-    try {
-        const { name, brand, model, description, is_active } = req.body;
+// ============================================
+// TWO-FACTOR AUTHENTICATION ENDPOINTS
+// ============================================
 
-        if (!name || !brand || !model) {
-            return res.status(400).json({
-                success: false,
-                message: 'Kamera adı, marka ve model alanları zorunludur'
-            });
+// Oturumdaki kullanıcının 2FA durumu
+router.get('/api/account/2fa', requireSession, async (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            enabled: req.user.totp_enabled,
+            recovery_codes_remaining: req.user.totp_enabled ? req.user.getRecoveryCodeHashes().length : 0
         }
+    });
+});
 
-        const existingCamera = await Camera.findOne({
-            where: { name: name.trim() }
-        });
-
-        if (existingCamera) {
+// Kurulum - yeni gizli anahtar üretilir, kod doğrulanana kadar 2FA aktif olmaz
+router.post('/api/account/2fa/setup', requireSession, async (req, res) => {
+    try {
+        if (req.user.totp_enabled) {
             return res.status(400).json({
                 success: false,
-                message: 'Bu kamera adı zaten kullanılıyor'
+                message: 'İki adımlı doğrulama zaten açık'
             });
         }
 
-        const camera = await Camera.create({
-            name: name.trim(),
-            brand: brand.trim(),
-            model: model.trim(),
-            description: description?.trim() || null,
-            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true'
-        });
+        const secret = generateSecret();
+        await req.user.update({ totp_secret: secret, totp_last_step: null });
 
         res.json({
             success: true,
-            message: 'Kamera başarıyla oluşturuldu',
-            data: camera
+            data: {
+                secret,
+                otpauth_url: buildOtpauthUri(secret, req.user.username)
+            }
         });
     } catch (error) {
-        console.error('Camera creation error:', error);
-        res.status(400).json({
+        console.error('2FA setup error:', error);
+        res.status(500).json({
             success: false,
-            message: 'Kamera oluşturulurken bir hata oluştu'
+            message: 'İki adımlı doğrulama kurulumu başlatılamadı'
         });
     }
 });
 
-// Kamera güncelleme
-router.put('/api/cameras/:id', upload.none(), requireAuth, async (req, res) => {
+// Kurulumu onayla - authenticator uygulamasındaki kod ile
+router.post('/api/account/2fa/enable', upload.none(), requireSession, audit('account.twoFactorEnable', {
+    targetType: 'user',
+    idParam: (req) => req.user.id
+}), async (req, res) => {
     try {
-        const cameraId = req.params.id;
-        const { name, brand, model, description, is_active } = req.body;
-
-        const camera = await Camera.findByPk(cameraId);
-        if (!camera) {
-            return res.status(404).json({
+        if (req.user.totp_enabled || !req.user.totp_secret) {
+            return res.status(400).json({
                 success: false,
-                message: 'Kamera bulunamadı'
+                message: req.user.totp_enabled ? 'İki adımlı doğrulama zaten açık' : 'Önce kurulumu başlatın'
             });
         }
 
-        if (!name || !brand || !model) {
+        const step = verifyCode(decryptSecret(req.user.totp_secret), req.body.code);
+        if (step === null) {
             return res.status(400).json({
                 success: false,
-                message: 'Kamera adı, marka ve model alanları zorunludur'
+                message: 'Doğrulama kodu geçersiz'
             });
         }
 
-        const existingCamera = await Camera.findOne({
-            where: {
-                [Op.and]: [
-                    { id: { [Op.ne]: cameraId } },
-                    { name: name.trim() }
-                ]
-            }
+        const { codes, hashes } = generateRecoveryCodes();
+        await req.user.update({
+            totp_enabled: true,
+            totp_last_step: step,
+            totp_recovery_codes: JSON.stringify(hashes)
         });
 
-        if (existingCamera) {
+        res.json({
+            success: true,
+            message: 'İki adımlı doğrulama açıldı. Kurtarma kodlarını güvenli bir yerde saklayın, tekrar gösterilmeyecek.',
+            data: { recovery_codes: codes }
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'İki adımlı doğrulama açılamadı'
+        });
+    }
+});
+
+// Kapatma ve kurtarma kodu yenileme şifre + geçerli kod ister
+async function verifyAccountChallenge(user, { password, code }) {
+    if (!(await bcrypt.compare(password || '', user.password))) {
+        return 'Şifre hatalı';
+    }
+    if (!(await verifySecondFactor(user, code))) {
+        return 'Doğrulama kodu geçersiz';
+    }
+    return null;
+}
+
+router.post('/api/account/2fa/disable', upload.none(), requireSession, audit('account.twoFactorDisable', {
+    targetType: 'user',
+    idParam: (req) => req.user.id
+}), async (req, res) => {
+    try {
+        if (!req.user.totp_enabled) {
             return res.status(400).json({
                 success: false,
-                message: 'Bu kamera adı başka bir kamera tarafından kullanılıyor'
+                message: 'İki adımlı doğrulama zaten kapalı'
             });
         }
 
-        await camera.update({
-            name: name.trim(),
-            brand: brand.trim(),
-            model: model.trim(),
-            description: description?.trim() || null,
-            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true'
+        const challengeError = await verifyAccountChallenge(req.user, req.body);
+        if (challengeError) {
+            return res.status(400).json({
+                success: false,
+                message: challengeError
+            });
+        }
+
+        await req.user.update({
+            totp_enabled: false,
+            totp_secret: null,
+            totp_last_step: null,
+            totp_recovery_codes: null
         });
 
         res.json({
             success: true,
-            message: 'Kamera başarıyla güncellendi',
-            data: camera
+            message: 'İki adımlı doğrulama kapatıldı'
         });
     } catch (error) {
-        console.error('Camera update error:', error);
-        res.status(400).json({
+        console.error('2FA disable error:', error);
+        res.status(500).json({
             success: false,
-            message: 'Kamera güncellenirken bir hata oluştu'
+            message: 'İki adımlı doğrulama kapatılamadı'
         });
     }
 });
 
-// Kamera silme
-router.delete('/api/cameras/:id', requireAuth, async (req, res) => {
+router.post('/api/account/2fa/recovery-codes', upload.none(), requireSession, audit('account.recoveryCodesRegenerate', {
+    targetType: 'user',
+    idParam: (req) => req.user.id
+}), async (req, res) => {
     try {
-        const cameraId = req.params.id;
-        const camera = await Camera.findByPk(cameraId);
+        if (!req.user.totp_enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'İki adımlı doğrulama kapalı'
+            });
+        }
 
-        if (!camera) {
-            return res.status(404).json({
+        const challengeError = await verifyAccountChallenge(req.user, req.body);
+        if (challengeError) {
+            return res.status(400).json({
                 success: false,
-                message: 'Kamera bulunamadı'
+                message: challengeError
             });
         }
 
-        // Aktif stream'leri kontrol et
-        const activeStreamsForCamera = await Stream.findAll({
-            where: {
-                camera_id: cameraId,
-                status: ['streaming', 'starting']
-            }
+        const { codes, hashes } = generateRecoveryCodes();
+        await req.user.update({ totp_recovery_codes: JSON.stringify(hashes) });
+
+        res.json({
+            success: true,
+            message: 'Yeni kurtarma kodları oluşturuldu, eski kodlar geçersiz',
+            data: { recovery_codes: codes }
+        });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Kurtarma kodları oluşturulamadı'
         });
+    }
+});
 
-        if (activeStreamsForCamera.length > 0) {
-            return res.status(400).json({
+// Cihazını kaybeden kullanıcı için yönetici 2FA'yı sıfırlar
+router.delete('/api/users/:id/2fa', requireAuth, checkPermission('manage_users'), audit('user.twoFactorReset', {
+    targetType: 'user'
+}), async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
                 success: false,
-                message: 'Bu kameraya ait aktif yayınlar var. Önce yayınları durdurun.'
+                message: 'Kullanıcı bulunamadı'
             });
         }
 
-        await camera.destroy();
+        await user.update({
+            totp_enabled: false,
+            totp_secret: null,
+            totp_last_step: null,
+            totp_recovery_codes: null
+        });
 
         res.json({
             success: true,
-            message: 'Kamera başarıyla silindi'
+            message: 'Kullanıcının iki adımlı doğrulaması sıfırlandı'
         });
     } catch (error) {
-        console.error('Camera deletion error:', error);
+        console.error('2FA reset error:', error);
         res.status(500).json({
             success: false,
-            message: 'Kamera silinirken bir hata oluştu'
+            message: 'İki adımlı doğrulama sıfırlanamadı'
         });
     }
 });
 
-// STREAM ENDPOINTS
+// ============================================
+// SESSION ENDPOINTS
+// ============================================
 
-// Stream listesi (DataTable için)
-router.post('/api/streams', requireAuth, async (req, res) => {
+// Oturumdaki kullanıcının aktif oturumları
+router.get('/api/account/sessions', requireSession, async (req, res) => {
     try {
-        const { start = 0, length = 10, search = {}, order = [] } = req.body;
+        const sessions = await getSessionStore().listUserSessions(req.user.id);
 
-        let whereCondition = {};
-        if (search && search.value && search.value.trim() !== '') {
-            const searchValue = `%${search.value.trim()}%`;
-            whereCondition = {
-                [Op.or]: [
-                    { stream_name: { [Op.like]: searchValue } },
-                    { ip_address: { [Op.like]: searchValue } },
-                    { '$camera.name$': { [Op.like]: searchValue } },
-                    { '$camera.brand$': { [Op.like]: searchValue } },
-                    { '$categories.name$': { [Op.like]: searchValue } }
-                ]
-            };
-        }
+        res.json({
+            success: true,
+            data: sessions.map(({ sid, ...session }) => ({
+                ...session,
+                current: sid === req.sessionID
+            }))
+        });
+    } catch (error) {
+        console.error('Sessions list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Oturumlar alınırken bir hata oluştu'
+        });
+    }
+});
 
-        const orderConditions = [];
-        const columns = ['stream_name', 'ip_address', 'status', 'created_at'];
+// Başka bir cihazdaki oturumu kapat
+router.delete('/api/account/sessions/:id', requireSession, audit('account.sessionRevoke', { targetType: 'session' }), async (req, res) => {
+    try {
+        const sessionStore = getSessionStore();
+        const sessions = await sessionStore.listUserSessions(req.user.id);
+        const target = sessions.find(session => session.id === req.params.id);
 
-        if (order && order.length > 0) {
-            order.forEach(orderItem => {
-                const columnIndex = parseInt(orderItem.column);
-                const direction = orderItem.dir === 'desc' ? 'DESC' : 'ASC';
-                if (columns[columnIndex]) {
-                    orderConditions.push([columns[columnIndex], direction]);
-                }
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Oturum bulunamadı'
             });
-        } else {
-            orderConditions.push(['created_at', 'DESC']);
         }
 
-        const totalRecords = await Stream.count();
+        if (target.sid === req.sessionID) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mevcut oturumu kapatmak için çıkış yapın'
+            });
+        }
 
-        // Filtered records için subquery kullan (many-to-many arama için)
-        let filteredRecords;
-        if (whereCondition[Op.or]) {
-            filteredRecords = await Stream.count({
-                where: whereCondition,
-                include: [{
-                    model: Camera,
-                    as: 'camera',
-                    required: false
-                }, {
-                    model: Category,
-                    as: 'categories',
-                    required: false
-                }],
-                distinct: true // Many-to-many ilişkide duplicate'ları önler
+        await new Promise((resolve, reject) => {
+            sessionStore.destroy(target.sid, error => error ? reject(error) : resolve());
+        });
+
+        res.json({
+            success: true,
+            message: 'Oturum kapatıldı'
+        });
+    } catch (error) {
+        console.error('Session revoke error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Oturum kapatılırken bir hata oluştu'
+        });
+    }
+});
+
+// Yönetici bir kullanıcının tüm oturumlarını kapatır
+router.post('/api/users/:id/logout', requireAuth, checkPermission('manage_users'), audit('user.forceLogout', {
+    targetType: 'user',
+    details: (req, body) => body.data
+}), async (req, res) => {
+    try {
+        const user = await User.findByPk(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kullanıcı bulunamadı'
             });
-        } else {
-            filteredRecords = totalRecords;
         }
 
-        const streams = await Stream.findAll({
-            where: whereCondition,
+        // Kendi hesabında mevcut oturum açık kalır
+        const count = await getSessionStore().destroyUserSessions(user.id, {
+            exceptSid: user.id === req.user.id ? req.sessionID : null
+        });
+
+        res.json({
+            success: true,
+            message: `${count} oturum kapatıldı`,
+            data: { count }
+        });
+    } catch (error) {
+        console.error('Force logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Oturumlar kapatılırken bir hata oluştu'
+        });
+    }
+});
+
+// ============================================
+// AUDIT LOG ENDPOINTS
+// ============================================
+
+const AUDIT_EXPORT_LIMIT = 50000;
+
+/**
+ * Denetim kaydı filtreleri - DataTable (body) ve CSV (query) aynı alanları kullanır
+ */
+function buildAuditWhere(filters = {}) {
+    const where = {};
+
+    if (filters.actor_id) {
+        where.actor_id = parseInt(filters.actor_id);
+    }
+    // "stream." gibi nokta ile biten değer tüm alt işlemleri kapsar
+    if (filters.action) {
+        where.action = filters.action.endsWith('.')
+            ? { [Op.like]: `${filters.action}%` }
+            : filters.action;
+    }
+    if (filters.target_type) {
+        where.target_type = filters.target_type;
+    }
+    if (filters.target_id) {
+        where.target_id = String(filters.target_id);
+    }
+
+    const range = {};
+    if (filters.date_from && !isNaN(Date.parse(filters.date_from))) {
+        range[Op.gte] = new Date(filters.date_from);
+    }
+    if (filters.date_to && !isNaN(Date.parse(filters.date_to))) {
+        // Gün sonu dahil
+        const to = new Date(filters.date_to);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(filters.date_to)) {
+            to.setHours(23, 59, 59, 999);
+        }
+        range[Op.lte] = to;
+    }
+    if (Object.getOwnPropertySymbols(range).length > 0) {
+        where.created_at = range;
+    }
+
+    if (filters.search && String(filters.search).trim() !== '') {
+        const searchValue = `%${String(filters.search).trim()}%`;
+        where[Op.or] = [
+            { actor_username: { [Op.like]: searchValue } },
+            { action: { [Op.like]: searchValue } },
+            { target_id: { [Op.like]: searchValue } },
+            { ip_address: { [Op.like]: searchValue } }
+        ];
+    }
+
+    return where;
+}
+
+// DataTable
+router.post('/api/audit-logs', requireAuth, checkPermission('manage_users'), async (req, res) => {
+    try {
+        const { start = 0, length = 25, search = {}, order = [] } = req.body;
+        const where = buildAuditWhere({ ...req.body, search: search.value });
+
+        const columns = ['created_at', 'actor_username', 'action', 'target_type', 'target_id', null, 'ip_address'];
+        const orderConditions = [];
+        order.forEach(orderItem => {
+            const column = columns[parseInt(orderItem.column)];
+            if (column) {
+                orderConditions.push([column, orderItem.dir === 'asc' ? 'ASC' : 'DESC']);
+            }
+        });
+        if (orderConditions.length === 0) {
+            orderConditions.push(['created_at', 'DESC']);
+        }
+
+        const totalRecords = await AuditLog.count();
+        const filteredRecords = await AuditLog.count({ where });
+
+        const logs = await AuditLog.findAll({
+            where,
             order: orderConditions,
             offset: parseInt(start),
-            limit: parseInt(length),
-            include: [{
-                model: Camera,
-                as: 'camera',
-                attributes: ['id', 'name', 'brand', 'model']
-            }, {
-                model: Category,
-                as: 'categories',
-                attributes: ['id', 'name', 'color', 'icon'],
-                required: false,
-                through: { attributes: [] } // Junction table attributes'larını dahil etme
-            }],
-            distinct: true // Duplicate stream'leri önle
+            limit: Math.min(parseInt(length) || 25, 500)
         });
 
         res.json({
             draw: parseInt(req.body.draw) || 1,
             recordsTotal: totalRecords,
             recordsFiltered: filteredRecords,
-            data: streams
+            data: logs
         });
     } catch (error) {
-        console.error('DataTable API error (streams):', error);
+        console.error('DataTable API error (audit logs):', error);
         res.status(500).json({
             error: 'Veri yüklenemedi',
             draw: parseInt(req.body.draw) || 1,
@@ -875,94 +1312,1884 @@ router.post('/api/streams', requireAuth, async (req, res) => {
     }
 });
 
-// Stream ekleme
-router.post('/api/streams/create', upload.none(), requireAuth, async (req, res) => {
+// Filtre seçenekleri
+router.get('/api/audit-logs/filters', requireAuth, checkPermission('manage_users'), async (req, res) => {
     try {
-        const {
-            stream_name, camera_id, ip_address, rtsp_port, username, password, channel,
-            resolution, fps, bitrate, audio_bitrate, is_active, is_recording
-        } = req.body;
+        const [actions, targetTypes, actors] = await Promise.all([
+            AuditLog.findAll({ attributes: [[require('sequelize').fn('DISTINCT', require('sequelize').col('action')), 'action']], raw: true }),
+            AuditLog.findAll({ attributes: [[require('sequelize').fn('DISTINCT', require('sequelize').col('target_type')), 'target_type']], raw: true }),
+            AuditLog.findAll({
+                attributes: ['actor_id', 'actor_username'],
+                where: { actor_id: { [Op.ne]: null } },
+                group: ['actor_id', 'actor_username'],
+                raw: true
+            })
+        ]);
 
-        if (!stream_name || !camera_id || !ip_address || !username || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Yayın adı, kamera, IP adresi, kullanıcı adı ve şifre alanları zorunludur'
-            });
-        }
+        res.json({
+            success: true,
+            data: {
+                actions: actions.map(row => row.action).sort(),
+                target_types: targetTypes.map(row => row.target_type).filter(Boolean).sort(),
+                actors: actors.sort((a, b) => String(a.actor_username).localeCompare(String(b.actor_username)))
+            }
+        });
+    } catch (error) {
+        console.error('Audit log filters error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Filtre seçenekleri alınamadı'
+        });
+    }
+});
 
-        // Kameranın var olduğunu kontrol et
-        const camera = await Camera.findByPk(camera_id);
-        if (!camera) {
-            return res.status(400).json({
+/**
+ * CSV hücresi - tırnak kaçışı ve Excel formül enjeksiyonuna karşı önek
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'object' && !(value instanceof Date)
+        ? JSON.stringify(value)
+        : (value instanceof Date ? value.toISOString() : String(value));
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV dışa aktarma - ekrandaki filtrelerle
+router.get('/api/audit-logs/export.csv', requireAuth, checkPermission('manage_users'), async (req, res) => {
+    try {
+        const logs = await AuditLog.findAll({
+            where: buildAuditWhere(req.query),
+            order: [['created_at', 'DESC']],
+            limit: AUDIT_EXPORT_LIMIT
+        });
+
+        const header = ['created_at', 'actor_id', 'actor_username', 'api_token_id', 'action', 'target_type', 'target_id', 'changes', 'details', 'ip_address', 'user_agent'];
+        const rows = logs.map(log => {
+            const values = log.toJSON();
+            return header.map(field => csvCell(values[field])).join(',');
+        });
+
+        const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+        res.set({
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        // BOM - Excel'de Türkçe karakterler doğru görünsün
+        res.send('\uFEFF' + [header.join(','), ...rows].join('\r\n'));
+    } catch (error) {
+        console.error('Audit log export error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Denetim kaydı dışa aktarılamadı'
+        });
+    }
+});
+
+// ============================================
+// ACCESS CONTROL ENDPOINTS
+// ============================================
+
+// Grup listesi - üye seçimi için kullanıcı listesi de döner
+router.get('/api/groups', requireAuth, checkPermission('manage_users'), async (req, res) => {
+    try {
+        const groups = await Group.findAll({
+            include: [{
+                model: User,
+                as: 'members',
+                attributes: ['id', 'username'],
+                through: { attributes: [] }
+            }],
+            order: [['name', 'ASC']]
+        });
+
+        const users = await User.findAll({
+            attributes: ['id', 'username', 'role'],
+            order: [['username', 'ASC']]
+        });
+
+        res.json({
+            success: true,
+            data: { groups, users }
+        });
+    } catch (error) {
+        console.error('Group list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Grup listesi alınamadı'
+        });
+    }
+});
+
+// Formdan gelen üye listesini id dizisine çevirir
+function parseMemberIds(value) {
+    const list = Array.isArray(value) ? value : (value ? [value] : []);
+    return [...new Set(list.map(id => parseInt(id)).filter(id => !isNaN(id)))];
+}
+
+async function setGroupMembers(group, memberIds) {
+    await GroupMember.destroy({ where: { group_id: group.id } });
+
+    const users = await User.findAll({ where: { id: memberIds }, attributes: ['id'] });
+    if (users.length > 0) {
+        await GroupMember.bulkCreate(users.map(user => ({
+            group_id: group.id,
+            user_id: user.id
+        })));
+    }
+}
+
+// Grup oluşturma
+router.post('/api/groups', upload.none(), requireAuth, checkPermission('manage_users'), audit('group.create', {
+    targetType: 'group',
+    model: Group
+}), async (req, res) => {
+    try {
+        const { name, description } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Grup adı zorunludur'
+            });
+        }
+
+        const existingGroup = await Group.findOne({ where: { name: name.trim() } });
+        if (existingGroup) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu grup adı zaten kullanılıyor'
+            });
+        }
+
+        const group = await Group.create({
+            name: name.trim(),
+            description: description?.trim() || null
+        });
+        await setGroupMembers(group, parseMemberIds(req.body.member_ids));
+
+        getEventBus().publish('group.created', { id: group.id, name: group.name });
+
+        res.json({
+            success: true,
+            message: 'Grup başarıyla oluşturuldu',
+            data: group
+        });
+    } catch (error) {
+        console.error('Group creation error:', error);
+        res.status(400).json({
+            success: false,
+            message: 'Grup oluşturulurken bir hata oluştu'
+        });
+    }
+});
+
+// Grup güncelleme - üye listesi tamamen değiştirilir
+router.put('/api/groups/:id', upload.none(), requireAuth, checkPermission('manage_users'), audit('group.update', {
+    targetType: 'group',
+    model: Group
+}), async (req, res) => {
+    try {
+        const group = await Group.findByPk(req.params.id);
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grup bulunamadı'
+            });
+        }
+
+        const { name, description } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Grup adı zorunludur'
+            });
+        }
+
+        const existingGroup = await Group.findOne({
+            where: {
+                id: { [Op.ne]: group.id },
+                name: name.trim()
+            }
+        });
+        if (existingGroup) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu grup adı başka bir grup tarafından kullanılıyor'
+            });
+        }
+
+        await group.update({
+            name: name.trim(),
+            description: description?.trim() || null
+        });
+        await setGroupMembers(group, parseMemberIds(req.body.member_ids));
+
+        getEventBus().publish('group.updated', { id: group.id, name: group.name });
+
+        res.json({
+            success: true,
+            message: 'Grup başarıyla güncellendi',
+            data: group
+        });
+    } catch (error) {
+        console.error('Group update error:', error);
+        res.status(400).json({
+            success: false,
+            message: 'Grup güncellenirken bir hata oluştu'
+        });
+    }
+});
+
+// Grup silme - gruba verilmiş erişim kuralları da silinir
+router.delete('/api/groups/:id', requireAuth, checkPermission('manage_users'), audit('group.delete', {
+    targetType: 'group',
+    model: Group
+}), async (req, res) => {
+    try {
+        const group = await Group.findByPk(req.params.id);
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Grup bulunamadı'
+            });
+        }
+
+        await AccessRule.destroy({ where: { subject_type: 'group', subject_id: group.id } });
+        await GroupMember.destroy({ where: { group_id: group.id } });
+        await group.destroy();
+
+        getEventBus().publish('group.deleted', { id: group.id, name: group.name });
+
+        res.json({
+            success: true,
+            message: 'Grup başarıyla silindi'
+        });
+    } catch (error) {
+        console.error('Group deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Grup silinirken bir hata oluştu'
+        });
+    }
+});
+
+// Bir kategori veya yayının erişim kuralları
+router.get('/api/access-rules', requireAuth, checkPermission('manage_users'), async (req, res) => {
+    try {
+        const { resource_type, resource_id } = req.query;
+
+        if (!['category', 'stream'].includes(resource_type) || !resource_id) {
+            return res.status(400).json({
+                success: false,
+                message: 'resource_type (category/stream) ve resource_id zorunludur'
+            });
+        }
+
+        const rules = await AccessRule.findAll({
+            where: { resource_type, resource_id },
+            order: [['created_at', 'ASC']]
+        });
+
+        const users = await User.findAll({ attributes: ['id', 'username'], order: [['username', 'ASC']] });
+        const groups = await Group.findAll({ attributes: ['id', 'name'], order: [['name', 'ASC']] });
+
+        const subjectNames = {};
+        users.forEach(user => { subjectNames[`user:${user.id}`] = user.username; });
+        groups.forEach(group => { subjectNames[`group:${group.id}`] = group.name; });
+
+        res.json({
+            success: true,
+            data: {
+                rules: rules.map(rule => ({
+                    ...rule.toJSON(),
+                    subject_name: subjectNames[`${rule.subject_type}:${rule.subject_id}`] || '(silinmiş)'
+                })),
+                subjects: { users, groups }
+            }
+        });
+    } catch (error) {
+        console.error('Access rule list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erişim kuralları alınamadı'
+        });
+    }
+});
+
+// Erişim kuralı ekleme
+router.post('/api/access-rules', upload.none(), requireAuth, checkPermission('manage_users'), audit('access.grant', {
+    targetType: 'accessRule',
+    model: AccessRule
+}), async (req, res) => {
+    try {
+        const { subject_type, subject_id, resource_type, resource_id } = req.body;
+
+        if (!['user', 'group'].includes(subject_type) || !['category', 'stream'].includes(resource_type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Geçersiz kural tipi'
+            });
+        }
+
+        const subject = subject_type === 'user'
+            ? await User.findByPk(subject_id)
+            : await Group.findByPk(subject_id);
+        const resource = resource_type === 'category'
+            ? await Category.findByPk(resource_id)
+            : await Stream.findByPk(resource_id);
+
+        if (!subject || !resource) {
+            return res.status(404).json({
+                success: false,
+                message: subject ? 'Kategori veya yayın bulunamadı' : 'Kullanıcı veya grup bulunamadı'
+            });
+        }
+
+        const [rule, created] = await AccessRule.findOrCreate({
+            where: {
+                subject_type,
+                subject_id: String(subject.id),
+                resource_type,
+                resource_id: resource.id
+            }
+        });
+
+        if (!created) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu erişim kuralı zaten mevcut'
+            });
+        }
+
+        getEventBus().publish('access.granted', { id: rule.id, resourceType: resource_type, resourceId: resource.id });
+
+        res.json({
+            success: true,
+            message: 'Erişim izni verildi',
+            data: rule
+        });
+    } catch (error) {
+        console.error('Access rule creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erişim kuralı eklenirken bir hata oluştu'
+        });
+    }
+});
+
+// Erişim kuralı silme
+router.delete('/api/access-rules/:id', requireAuth, checkPermission('manage_users'), audit('access.revoke', {
+    targetType: 'accessRule',
+    model: AccessRule
+}), async (req, res) => {
+    try {
+        const rule = await AccessRule.findByPk(req.params.id);
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Erişim kuralı bulunamadı'
+            });
+        }
+
+        await rule.destroy();
+
+        getEventBus().publish('access.revoked', { id: rule.id, resourceType: rule.resource_type, resourceId: rule.resource_id });
+
+        res.json({
+            success: true,
+            message: 'Erişim izni kaldırıldı'
+        });
+    } catch (error) {
+        console.error('Access rule deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Erişim kuralı silinirken bir hata oluştu'
+        });
+    }
+});
+
+// ============================================
+// SCHEDULE ENDPOINTS
+// ============================================
+
+const scheduleInclude = [
+    { model: ScheduleWindow, as: 'windows' },
+    { model: ScheduleException, as: 'exceptions' }
+];
+
+// Zamanlamanın bağlanacağı yayın/kategori
+async function findScheduleTarget(req, targetType, targetId) {
+    return targetType === 'stream'
+        ? findVisibleStream(req, targetId, { attributes: ['id', 'stream_name'] })
+        : Category.findByPk(targetId, { attributes: ['id', 'name'] });
+}
+
+// Zamanlama ve hedefi - hedef kullanıcıya görünmüyorsa zamanlama yokmuş gibi null döner
+async function findVisibleSchedule(req, id, options = {}) {
+    const schedule = await Schedule.findByPk(id, options);
+    if (!schedule) {
+        return null;
+    }
+
+    const target = await findScheduleTarget(req, schedule.target_type, schedule.target_id);
+    return target ? { schedule, target } : null;
+}
+
+// Haftalık aralıklar ve istisnalar tamamen değiştirilir
+async function setScheduleRules(schedule, { windows, exceptions }) {
+    await ScheduleWindow.destroy({ where: { schedule_id: schedule.id } });
+    await ScheduleException.destroy({ where: { schedule_id: schedule.id } });
+
+    if (windows.length > 0) {
+        await ScheduleWindow.bulkCreate(windows.map(window => ({ ...window, schedule_id: schedule.id })));
+    }
+    if (exceptions.length > 0) {
+        await ScheduleException.bulkCreate(exceptions.map(exception => ({ ...exception, schedule_id: schedule.id })));
+    }
+}
+
+// Silinen yayın/kategorinin zamanlaması da silinir (aralık/istisnalar FK ile silinir)
+async function removeTargetSchedule(targetType, targetId) {
+    const schedule = await Schedule.findOne({ where: { target_type: targetType, target_id: targetId } });
+    if (!schedule) return;
+
+    await schedule.destroy();
+    getEventBus().publish('schedule.deleted', {
+        id: schedule.id,
+        name: schedule.name,
+        targetType,
+        targetId
+    });
+}
+
+// Anlık durum ve sonraki geçiş kayıttan hesaplanır (pasif zamanlamada null)
+function serializeSchedule(schedule, targetName = null) {
+    const data = schedule.toJSON();
+    data.windows = (data.windows || []).sort((a, b) => a.day_of_week - b.day_of_week || a.start_time.localeCompare(b.start_time));
+    data.exceptions = (data.exceptions || []).sort((a, b) => a.date.localeCompare(b.date));
+    data.target_name = targetName;
+
+    const normalized = normalizeSchedule(schedule);
+    data.open = schedule.is_active ? isOpenAt(normalized, new Date()) : null;
+    data.next_transition = schedule.is_active ? nextTransition(normalized) : null;
+    return data;
+}
+
+// Zamanlama listesi - hedef seçimi için yayın ve kategori listesi de döner
+router.get('/api/schedules', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const schedules = await Schedule.findAll({
+            include: scheduleInclude,
+            order: [['name', 'ASC']]
+        });
+
+        const visibility = await getStreamVisibility(req);
+        const streams = await Stream.findAll({
+            attributes: ['id', 'stream_name', 'on_demand'],
+            where: accessControl.streamWhere(visibility),
+            order: [['stream_name', 'ASC']]
+        });
+        const categories = await Category.findAll({
+            attributes: ['id', 'name'],
+            order: [['sort_order', 'ASC']]
+        });
+
+        const targetName = (schedule) => {
+            const target = schedule.target_type === 'stream'
+                ? streams.find(stream => stream.id === schedule.target_id)
+                : categories.find(category => category.id === schedule.target_id);
+            if (!target) return null;
+            return schedule.target_type === 'stream' ? target.stream_name : target.name;
+        };
+
+        // Görünmeyen yayınların zamanlamaları listelenmez
+        const visibleSchedules = schedules.filter(schedule =>
+            schedule.target_type !== 'stream' || streams.some(stream => stream.id === schedule.target_id));
+
+        res.json({
+            success: true,
+            data: {
+                schedules: visibleSchedules.map(schedule => serializeSchedule(schedule, targetName(schedule))),
+                streams,
+                categories
+            }
+        });
+    } catch (error) {
+        console.error('Schedule list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Zamanlama listesi alınamadı'
+        });
+    }
+});
+
+router.get('/api/schedules/:id', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const found = await findVisibleSchedule(req, req.params.id, { include: scheduleInclude });
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Zamanlama bulunamadı'
+            });
+        }
+
+        const { schedule, target } = found;
+        res.json({
+            success: true,
+            data: serializeSchedule(schedule, target.stream_name || target.name)
+        });
+    } catch (error) {
+        console.error('Schedule fetch error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Zamanlama bilgileri alınamadı'
+        });
+    }
+});
+
+// Formdan gelen zamanlamayı doğrular, hedefin varlığını ve tekliğini kontrol eder
+// Hata varsa yanıtı gönderip null döner
+async function validateSchedulePayload(req, res, scheduleId = null) {
+    let payload;
+    try {
+        payload = parseSchedulePayload(req.body);
+    } catch (error) {
+        if (error instanceof ScheduleValidationError) {
+            res.status(400).json({ success: false, message: error.message });
+            return null;
+        }
+        throw error;
+    }
+
+    const target = await findScheduleTarget(req, payload.target_type, payload.target_id);
+    if (!target) {
+        res.status(400).json({
+            success: false,
+            message: payload.target_type === 'stream' ? 'Yayın bulunamadı' : 'Kategori bulunamadı'
+        });
+        return null;
+    }
+
+    const existing = await Schedule.findOne({
+        where: {
+            target_type: payload.target_type,
+            target_id: payload.target_id,
+            ...(scheduleId ? { id: { [Op.ne]: scheduleId } } : {})
+        }
+    });
+    if (existing) {
+        res.status(400).json({
+            success: false,
+            message: `Bu ${payload.target_type === 'stream' ? 'yayın' : 'kategori'} için zaten bir zamanlama var (${existing.name})`
+        });
+        return null;
+    }
+
+    return payload;
+}
+
+// Kural değişiklikleri model farkında görünmez - sayıları kayda eklenir
+const scheduleAuditDetails = (req) => ({
+    windows: Array.isArray(req.body.windows) ? req.body.windows.length : 0,
+    exceptions: Array.isArray(req.body.exceptions) ? req.body.exceptions.length : 0
+});
+
+// Zamanlama oluşturma
+router.post('/api/schedules', requireAuth, checkPermission('create'), audit('schedule.create', {
+    targetType: 'schedule',
+    model: Schedule,
+    details: scheduleAuditDetails
+}), async (req, res) => {
+    try {
+        const payload = await validateSchedulePayload(req, res);
+        if (!payload) return;
+
+        const schedule = await Schedule.create({
+            name: payload.name,
+            target_type: payload.target_type,
+            target_id: payload.target_id,
+            is_active: payload.is_active
+        });
+        await setScheduleRules(schedule, payload);
+
+        getEventBus().publish('schedule.created', {
+            id: schedule.id,
+            name: schedule.name,
+            targetType: schedule.target_type,
+            targetId: schedule.target_id
+        });
+
+        res.json({
+            success: true,
+            message: 'Zamanlama başarıyla oluşturuldu',
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Schedule creation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Zamanlama oluşturulurken bir hata oluştu'
+        });
+    }
+});
+
+// Zamanlama güncelleme - aralıklar ve istisnalar tamamen değiştirilir
+router.put('/api/schedules/:id', requireAuth, checkPermission('edit'), audit('schedule.update', {
+    targetType: 'schedule',
+    model: Schedule,
+    details: scheduleAuditDetails
+}), async (req, res) => {
+    try {
+        const found = await findVisibleSchedule(req, req.params.id);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Zamanlama bulunamadı'
+            });
+        }
+        const { schedule } = found;
+
+        const payload = await validateSchedulePayload(req, res, schedule.id);
+        if (!payload) return;
+
+        await schedule.update({
+            name: payload.name,
+            target_type: payload.target_type,
+            target_id: payload.target_id,
+            is_active: payload.is_active
+        });
+        await setScheduleRules(schedule, payload);
+
+        getEventBus().publish('schedule.updated', {
+            id: schedule.id,
+            name: schedule.name,
+            targetType: schedule.target_type,
+            targetId: schedule.target_id
+        });
+
+        res.json({
+            success: true,
+            message: 'Zamanlama başarıyla güncellendi',
+            data: schedule
+        });
+    } catch (error) {
+        console.error('Schedule update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Zamanlama güncellenirken bir hata oluştu'
+        });
+    }
+});
+
+// Zamanlama silme - yayın/kategori mevcut durumunda bırakılır
+router.delete('/api/schedules/:id', requireAuth, checkPermission('delete'), audit('schedule.delete', {
+    targetType: 'schedule',
+    model: Schedule
+}), async (req, res) => {
+    try {
+        const found = await findVisibleSchedule(req, req.params.id);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Zamanlama bulunamadı'
+            });
+        }
+        const { schedule } = found;
+
+        await ScheduleWindow.destroy({ where: { schedule_id: schedule.id } });
+        await ScheduleException.destroy({ where: { schedule_id: schedule.id } });
+        await schedule.destroy();
+
+        getEventBus().publish('schedule.deleted', {
+            id: schedule.id,
+            name: schedule.name,
+            targetType: schedule.target_type,
+            targetId: schedule.target_id
+        });
+
+        res.json({
+            success: true,
+            message: 'Zamanlama başarıyla silindi'
+        });
+    } catch (error) {
+        console.error('Schedule deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Zamanlama silinirken bir hata oluştu'
+        });
+    }
+});
+
+// Get admin statistics
+router.get('/api/stats', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const totalUsers = await User.count();
+        const activeUsers = await User.count({ where: { is_active: true } });
+        const adminUsers = await User.count({ where: { role: 'admin' } });
+        const userUsers = await User.count({ where: { role: 'user' } });
+        const viewerUsers = await User.count({ where: { role: 'viewer' } });
+
+        // Recent users (last 30 days)
+        const thirtyDaysAgo = new Date();
+        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+
+        const recentUsers = await User.count({
+            where: {
+                created_at: {
+                    [Op.gte]: thirtyDaysAgo
+                }
+            }
+        });
+
+        // Users with recent login (last 7 days)
+        const sevenDaysAgo = new Date();
+        sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+
+        const recentlyActiveUsers = await User.count({
+            where: {
+                last_login: {
+                    [Op.gte]: sevenDaysAgo
+                }
+            }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                totalUsers,
+                activeUsers,
+                inactiveUsers: totalUsers - activeUsers,
+                adminUsers,
+                userUsers,
+                viewerUsers,
+                recentUsers,
+                recentlyActiveUsers
+            }
+        });
+    } catch (error) {
+        console.error('Stats API error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'İstatistikler alınamadı'
+        });
+    }
+});
+router.post('/api/cameras', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const { start = 0, length = 10, search = {}, order = [] } = req.body;
+
+        let whereCondition = {};
+        if (search && search.value && search.value.trim() !== '') {
+            const searchValue = `%${search.value.trim()}%`;
+            whereCondition = {
+                [Op.or]: [
+                    { name: { [Op.like]: searchValue } },
+                    { brand: { [Op.like]: searchValue } },
+                    { model: { [Op.like]: searchValue } }
+                ]
+            };
+        }
+
+        const orderConditions = [];
+        const columns = ['name', 'brand', 'model', 'created_at'];
+
+        if (order && order.length > 0) {
+            order.forEach(orderItem => {
+                const columnIndex = parseInt(orderItem.column);
+                const direction = orderItem.dir === 'desc' ? 'DESC' : 'ASC';
+                if (columns[columnIndex]) {
+                    orderConditions.push([columns[columnIndex], direction]);
+                }
+            });
+        } else {
+            orderConditions.push(['created_at', 'DESC']);
+        }
+
+        const totalRecords = await Camera.count();
+        const filteredRecords = await Camera.count({ where: whereCondition });
+
+        const cameras = await Camera.findAll({
+            where: whereCondition,
+            order: orderConditions,
+            offset: parseInt(start),
+            limit: parseInt(length),
+            include: [{
+                model: Stream,
+                as: 'streams',
+                attributes: ['id', 'stream_name', 'status']
+            }]
+        });
+
+        res.json({
+            draw: parseInt(req.body.draw) || 1,
+            recordsTotal: totalRecords,
+            recordsFiltered: filteredRecords,
+            data: cameras
+        });
+    } catch (error) {
+        console.error('DataTable API error (cameras):', error);
+        res.status(500).json({
+            error: 'Veri yüklenemedi',
+            draw: parseInt(req.body.draw) || 1,
+            recordsTotal: 0,
+            recordsFiltered: 0,
+            data: []
+        });
+    }
+});
+
+// Kamera ekleme
+router.post('/api/cameras/create', upload.none(), requireAuth, checkPermission('manage_cameras'), audit('camera.create', {
+    targetType: 'camera',
+    model: Camera
+}), async (req, res) => {
+    try {
+        const { name, brand, model, description, is_active } = req.body;
+
+        if (!name || !brand || !model) {
+            return res.status(400).json({
+                success: false,
+                message: 'Kamera adı, marka ve model alanları zorunludur'
+            });
+        }
+
+        const existingCamera = await Camera.findOne({
+            where: { name: name.trim() }
+        });
+
+        if (existingCamera) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu kamera adı zaten kullanılıyor'
+            });
+        }
+
+        const camera = await Camera.create({
+            name: name.trim(),
+            brand: brand.trim(),
+            model: model.trim(),
+            description: description?.trim() || null,
+            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true'
+        });
+
+        getEventBus().publish('camera.created', { id: camera.id, name: camera.name });
+
+        res.json({
+            success: true,
+            message: 'Kamera başarıyla oluşturuldu',
+            data: camera
+        });
+    } catch (error) {
+        console.error('Camera creation error:', error);
+        res.status(400).json({
+            success: false,
+            message: 'Kamera oluşturulurken bir hata oluştu'
+        });
+    }
+});
+
+// Kamera güncelleme
+router.put('/api/cameras/:id', upload.none(), requireAuth, checkPermission('manage_cameras'), audit('camera.update', {
+    targetType: 'camera',
+    model: Camera
+}), async (req, res) => {
+    try {
+        const cameraId = req.params.id;
+        const { name, brand, model, description, is_active } = req.body;
+
+        const camera = await Camera.findByPk(cameraId);
+        if (!camera) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kamera bulunamadı'
+            });
+        }
+
+        if (!name || !brand || !model) {
+            return res.status(400).json({
+                success: false,
+                message: 'Kamera adı, marka ve model alanları zorunludur'
+            });
+        }
+
+        const existingCamera = await Camera.findOne({
+            where: {
+                [Op.and]: [
+                    { id: { [Op.ne]: cameraId } },
+                    { name: name.trim() }
+                ]
+            }
+        });
+
+        if (existingCamera) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu kamera adı başka bir kamera tarafından kullanılıyor'
+            });
+        }
+
+        await camera.update({
+            name: name.trim(),
+            brand: brand.trim(),
+            model: model.trim(),
+            description: description?.trim() || null,
+            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true'
+        });
+
+        getEventBus().publish('camera.updated', { id: camera.id, name: camera.name });
+
+        res.json({
+            success: true,
+            message: 'Kamera başarıyla güncellendi',
+            data: camera
+        });
+    } catch (error) {
+        console.error('Camera update error:', error);
+        res.status(400).json({
+            success: false,
+            message: 'Kamera güncellenirken bir hata oluştu'
+        });
+    }
+});
+
+// Kamera silme
+router.delete('/api/cameras/:id', requireAuth, checkPermission('manage_cameras'), audit('camera.delete', {
+    targetType: 'camera',
+    model: Camera
+}), async (req, res) => {
+    try {
+        const cameraId = req.params.id;
+        const camera = await Camera.findByPk(cameraId);
+
+        if (!camera) {
+            return res.status(404).json({
+                success: false,
+                message: 'Kamera bulunamadı'
+            });
+        }
+
+        // Aktif stream'leri kontrol et
+        const activeStreamsForCamera = await Stream.findAll({
+            where: {
+                camera_id: cameraId,
+                status: ['streaming', 'starting']
+            }
+        });
+
+        if (activeStreamsForCamera.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu kameraya ait aktif yayınlar var. Önce yayınları durdurun.'
+            });
+        }
+
+        await camera.destroy();
+
+        getEventBus().publish('camera.deleted', { id: camera.id, name: camera.name });
+
+        res.json({
+            success: true,
+            message: 'Kamera başarıyla silindi'
+        });
+    } catch (error) {
+        console.error('Camera deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Kamera silinirken bir hata oluştu'
+        });
+    }
+});
+
+// ============================================
+// CAMERA DRIVER ENDPOINTS
+// ============================================
+
+// Kamera markası sürücüleri (dosya + brand_profiles tablosu)
+router.get('/api/drivers', requireAuth, checkPermission('view'), (req, res) => {
+    res.json({
+        success: true,
+        data: getDriverRegistry().listDrivers()
+    });
+});
+
+// brand_profiles formundan gelen alanları doğrular
+function parseBrandProfileFields(body) {
+    const { brand, name, aliases, default_port, channel_base, main_path, sub_path, is_active } = body;
+
+    if (!brand || !name || !main_path) {
+        return { error: 'Marka, görünen ad ve ana stream yolu zorunludur' };
+    }
+
+    return {
+        fields: {
+            brand: brand.trim().toLowerCase(),
+            name: name.trim(),
+            aliases: aliases ? aliases.split(',').map(alias => alias.trim()).filter(Boolean).join(',') : null,
+            default_port: parseInt(default_port) || 554,
+            channel_base: channel_base !== undefined && channel_base !== '' ? parseInt(channel_base) : 1,
+            main_path: main_path.trim(),
+            sub_path: sub_path?.trim() || null,
+            is_active: is_active === undefined || is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true'
+        }
+    };
+}
+
+// Marka profili listesi
+router.get('/api/brand-profiles', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const profiles = await BrandProfile.findAll({ order: [['name', 'ASC']] });
+
+        res.json({
+            success: true,
+            data: profiles
+        });
+    } catch (error) {
+        console.error('Brand profile list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Marka profilleri alınırken bir hata oluştu'
+        });
+    }
+});
+
+// Marka profili ekleme
+router.post('/api/brand-profiles', upload.none(), requireAuth, checkPermission('manage_cameras'), audit('brandProfile.create', {
+    targetType: 'brandProfile',
+    model: BrandProfile
+}), async (req, res) => {
+    try {
+        const { fields, error } = parseBrandProfileFields(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const existing = await BrandProfile.findOne({ where: { brand: fields.brand } });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu marka için zaten bir profil var'
+            });
+        }
+
+        const profile = await BrandProfile.create(fields);
+        await getDriverRegistry().loadFromDatabase();
+
+        res.json({
+            success: true,
+            message: 'Marka profili oluşturuldu',
+            data: profile
+        });
+    } catch (error) {
+        console.error('Brand profile creation error:', error);
+        res.status(400).json({
+            success: false,
+            message: 'Marka profili oluşturulurken bir hata oluştu'
+        });
+    }
+});
+
+// Marka profili güncelleme
+router.put('/api/brand-profiles/:id', upload.none(), requireAuth, checkPermission('manage_cameras'), audit('brandProfile.update', {
+    targetType: 'brandProfile',
+    model: BrandProfile
+}), async (req, res) => {
+    try {
+        const profile = await BrandProfile.findByPk(req.params.id);
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Marka profili bulunamadı'
+            });
+        }
+
+        const { fields, error } = parseBrandProfileFields(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await profile.update(fields);
+        await getDriverRegistry().loadFromDatabase();
+
+        res.json({
+            success: true,
+            message: 'Marka profili güncellendi',
+            data: profile
+        });
+    } catch (error) {
+        console.error('Brand profile update error:', error);
+        res.status(400).json({
+            success: false,
+            message: 'Marka profili güncellenirken bir hata oluştu'
+        });
+    }
+});
+
+// Marka profili silme
+router.delete('/api/brand-profiles/:id', requireAuth, checkPermission('manage_cameras'), audit('brandProfile.delete', {
+    targetType: 'brandProfile',
+    model: BrandProfile
+}), async (req, res) => {
+    try {
+        const profile = await BrandProfile.findByPk(req.params.id);
+        if (!profile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Marka profili bulunamadı'
+            });
+        }
+
+        await profile.destroy();
+        await getDriverRegistry().loadFromDatabase();
+
+        res.json({
+            success: true,
+            message: 'Marka profili silindi'
+        });
+    } catch (error) {
+        console.error('Brand profile deletion error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Marka profili silinirken bir hata oluştu'
+        });
+    }
+});
+
+// STREAM ENDPOINTS
+
+// Stream listesi (DataTable için)
+router.post('/api/streams', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const { start = 0, length = 10, search = {}, order = [] } = req.body;
+
+        // Kullanıcının göremediği yayınlar listeye ve sayılara girmez
+        const accessWhere = accessControl.streamWhere(await getStreamVisibility(req));
+
+        let whereCondition = { ...accessWhere };
+        if (search && search.value && search.value.trim() !== '') {
+            const searchValue = `%${search.value.trim()}%`;
+            whereCondition = {
+                ...accessWhere,
+                [Op.or]: [
+                    { stream_name: { [Op.like]: searchValue } },
+                    { ip_address: { [Op.like]: searchValue } },
+                    { '$camera.name$': { [Op.like]: searchValue } },
+                    { '$camera.brand$': { [Op.like]: searchValue } },
+                    { '$categories.name$': { [Op.like]: searchValue } }
+                ]
+            };
+        }
+
+        const orderConditions = [];
+        const columns = ['stream_name', 'ip_address', 'status', 'created_at'];
+
+        if (order && order.length > 0) {
+            order.forEach(orderItem => {
+                const columnIndex = parseInt(orderItem.column);
+                const direction = orderItem.dir === 'desc' ? 'DESC' : 'ASC';
+                if (columns[columnIndex]) {
+                    orderConditions.push([columns[columnIndex], direction]);
+                }
+            });
+        } else {
+            orderConditions.push(['created_at', 'DESC']);
+        }
+
+        const totalRecords = await Stream.count({ where: accessWhere });
+
+        // Filtered records için subquery kullan (many-to-many arama için)
+        let filteredRecords;
+        if (whereCondition[Op.or]) {
+            filteredRecords = await Stream.count({
+                where: whereCondition,
+                include: [{
+                    model: Camera,
+                    as: 'camera',
+                    required: false
+                }, {
+                    model: Category,
+                    as: 'categories',
+                    required: false
+                }],
+                distinct: true // Many-to-many ilişkide duplicate'ları önler
+            });
+        } else {
+            filteredRecords = totalRecords;
+        }
+
+        const streams = await Stream.findAll({
+            where: whereCondition,
+            order: orderConditions,
+            offset: parseInt(start),
+            limit: parseInt(length),
+            include: [{
+                model: Camera,
+                as: 'camera',
+                attributes: ['id', 'name', 'brand', 'model']
+            }, {
+                model: Category,
+                as: 'categories',
+                attributes: ['id', 'name', 'color', 'icon'],
+                required: false,
+                through: { attributes: [] } // Junction table attributes'larını dahil etme
+            }],
+            distinct: true // Duplicate stream'leri önle
+        });
+
+        // Son 24 saatin zirve izleyici sayıları
+        const peaks = await viewerTracker.getPeaks({
+            from: new Date(Date.now() - 24 * 60 * 60 * 1000),
+            to: new Date()
+        });
+
+        // Son 24 saatin hareket olayı sayıları
+        const motionCounts = await MotionEvent.findAll({
+            where: {
+                stream_id: streams.map(stream => stream.id),
+                started_at: { [Op.gte]: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+            },
+            attributes: [
+                'stream_id',
+                [MotionEvent.sequelize.fn('COUNT', MotionEvent.sequelize.col('id')), 'count'],
+                [MotionEvent.sequelize.fn('MAX', MotionEvent.sequelize.col('started_at')), 'last_at']
+            ],
+            group: ['stream_id'],
+            raw: true
+        });
+
+        // Süreç tarafındaki supervisor, hata ve izleyici bilgilerini ekle
+        const data = streams.map(stream => {
+            const streamData = stream.toJSON();
+            const serviceStatus = streamService.getStreamStatus(stream.stream_name);
+            streamData.supervision = serviceStatus ? serviceStatus.supervision : null;
+            streamData.failure = parseFailure(stream.error_message);
+            streamData.mode = serviceStatus ? serviceStatus.mode : null;
+            streamData.health = serviceStatus ? serviceStatus.health : [];
+            streamData.viewers = viewerTracker.getCount(stream.stream_name);
+            const peak = peaks.find(entry => entry.streamId === stream.id);
+            streamData.peak_viewers = peak ? peak.peakViewers : 0;
+            streamData.next_transition = scheduler.getNextTransition('stream', stream.id);
+            const motion = motionCounts.find(entry => entry.stream_id === stream.id);
+            const motionState = motionDetector.getState(stream.stream_name);
+            streamData.motion = {
+                analyzing: !!motionState,
+                active: motionState ? motionState.active : false,
+                events_24h: motion ? parseInt(motion.count) : 0,
+                last_event_at: motion ? motion.last_at : null
+            };
+            return streamData;
+        });
+
+        res.json({
+            draw: parseInt(req.body.draw) || 1,
+            recordsTotal: totalRecords,
+            recordsFiltered: filteredRecords,
+            data
+        });
+    } catch (error) {
+        console.error('DataTable API error (streams):', error);
+        res.status(500).json({
+            error: 'Veri yüklenemedi',
+            draw: parseInt(req.body.draw) || 1,
+            recordsTotal: 0,
+            recordsFiltered: 0,
+            data: []
+        });
+    }
+});
+
+// Stream ekleme
+router.post('/api/streams/create', upload.none(), requireAuth, checkPermission('create'), audit('stream.create', {
+    targetType: 'stream',
+    model: Stream
+}), async (req, res) => {
+    try {
+        const {
+            stream_name, camera_id, ip_address, rtsp_port, username, password, channel,
+            max_restarts, is_active, is_recording, on_demand
+        } = req.body;
+
+        if (!stream_name || !camera_id || !ip_address || !username || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Yayın adı, kamera, IP adresi, kullanıcı adı ve şifre alanları zorunludur'
+            });
+        }
+
+        const encodingFields = parseEncodingFields(req.body, { audioEnabled: !isFormSubmission(req) });
+        const motionFields = parseMotionFields(req.body);
+
+        // Kameranın var olduğunu kontrol et
+        const camera = await Camera.findByPk(camera_id);
+        if (!camera) {
+            return res.status(400).json({
+                success: false,
+                message: 'Seçilen kamera bulunamadı'
+            });
+        }
+
+        // Stream adının benzersiz olduğunu kontrol et
+        const existingStream = await Stream.findOne({
+            where: { stream_name: stream_name.trim() }
+        });
+
+        if (existingStream) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu yayın adı zaten kullanılıyor'
+            });
+        }
+
+        const stream = await Stream.create({
+            stream_name: stream_name.trim(),
+            camera_id,
+            ip_address: ip_address.trim(),
+            rtsp_port: rtsp_port ? parseInt(rtsp_port) : 554,
+            username: username.trim(),
+            password: password.trim(),
+            channel: channel ? parseInt(channel) : 1,
+            ...encodingFields,
+            ...motionFields,
+            max_restarts: max_restarts !== undefined && max_restarts !== '' ? parseInt(max_restarts) : 5,
+            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true',
+            is_recording: is_recording === 'on' || is_recording === true || is_recording === '1' || is_recording === 'true',
+            on_demand: on_demand === 'on' || on_demand === true || on_demand === '1' || on_demand === 'true',
+            hls_url: `${SERVER_HOST}/static/stream/${stream_name.trim()}.m3u8`
+        });
+
+        if (stream.is_recording) {
+            await syncRecording(stream);
+        }
+
+        getEventBus().publish('stream.created', { id: stream.id, streamName: stream.stream_name });
+
+        res.json({
+            success: true,
+            message: 'Yayın başarıyla oluşturuldu',
+            data: stream
+        });
+    } catch (error) {
+        console.error('Stream creation error:', error);
+        res.status(400).json({
+            success: false,
+            message: ['EncodingProfileError', 'MotionConfigError'].includes(error.name)
+                ? error.message
+                : 'Yayın oluşturulurken bir hata oluştu'
+        });
+    }
+});
+
+// Form'dan gelen hareket algılama ayarları - bölgeler yanlışsa MotionConfigError fırlatır
+function parseMotionFields(body) {
+    const { motion_enabled, motion_sensitivity, motion_zones } = body;
+    const sensitivity = parseInt(motion_sensitivity);
+    const zones = parseMotionZones(motion_zones);
+
+    return {
+        motion_enabled: motion_enabled === 'on' || motion_enabled === true || motion_enabled === '1' || motion_enabled === 'true',
+        motion_sensitivity: isNaN(sensitivity) ? 50 : Math.min(100, Math.max(1, sensitivity)),
+        motion_zones: zones.length ? formatMotionZones(zones) : null
+    };
+}
+
+// HTML formunda işaretlenmemiş checkbox hiç gönderilmez; JSON isteğinde eksik alan mevcut değerin korunması demektir
+function isFormSubmission(req) {
+    return !!req.is('multipart/form-data', 'application/x-www-form-urlencoded');
+}
+
+// Form'dan gelen yayın ayarlarını doğrular ve model alanlarına çevirir
+// defaults.audioEnabled: audio_enabled alanı hiç gönderilmediğinde kullanılacak değer
+function parseEncodingFields(body, defaults = {}) {
+    const { resolution, fps, bitrate, audio_bitrate, video_codec, preset, gop_size, audio_enabled, source_variant, video_mode } = body;
+
+    const fields = {
+        resolution: resolution || '640x480',
+        fps: fps ? parseInt(fps) : 30,
+        bitrate: bitrate || '800k',
+        audio_bitrate: audio_bitrate || '160k',
+        video_codec: video_codec || 'h264',
+        preset: preset || 'veryfast',
+        gop_size: gop_size ? parseInt(gop_size) : null,
+        audio_enabled: audio_enabled === undefined
+            ? defaults.audioEnabled !== false
+            : audio_enabled === 'on' || audio_enabled === true || audio_enabled === '1' || audio_enabled === 'true',
+        source_variant: source_variant || 'main',
+        video_mode: video_mode || 'transcode'
+    };
+
+    // Checkbox grubundan dizi ya da virgüllü metin gelebilir
+    const renditions = parseRenditions(body.renditions);
+    fields.renditions = renditions.length ? renditions.join(',') : null;
+
+    // EncodingProfileError fırlatır
+    resolveRenditions({
+        resolution: fields.resolution,
+        fps: fields.fps,
+        bitrate: fields.bitrate,
+        audioBitrate: fields.audio_bitrate,
+        videoCodec: fields.video_codec,
+        preset: fields.preset,
+        gop: fields.gop_size,
+        audioEnabled: fields.audio_enabled,
+        sourceVariant: fields.source_variant,
+        renditions: fields.renditions
+    });
+    resolveEncodingSettings({
+        resolution: fields.resolution,
+        fps: fields.fps,
+        bitrate: fields.bitrate,
+        audioBitrate: fields.audio_bitrate,
+        videoCodec: fields.video_codec,
+        preset: fields.preset,
+        gop: fields.gop_size,
+        audioEnabled: fields.audio_enabled,
+        videoMode: fields.video_mode
+    });
+
+    return fields;
+}
+
+function getServerIp() {
+    const interfaces = os.networkInterfaces();
+    for (const name of Object.keys(interfaces)) {
+        for (const iface of interfaces[name]) {
+            if (iface.family === 'IPv4' && !iface.internal) {
+                return iface.address;
+            }
+        }
+    }
+    return 'localhost';
+}
+// Stream başlatma
+router.post('/api/streams/:id/start', requireAuth, checkPermission('edit'), audit('stream.start', {
+    targetType: 'stream',
+    model: Stream
+}), async (req, res) => {
+    try {
+        const streamId = req.params.id;
+        const stream = await findVisibleStream(req, streamId, {
+            include: [{
+                model: Camera,
+                as: 'camera'
+            }]
+        });
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        // Supervisor'ın vazgeçtiği (süreci ölmüş) kayıt varsa temizle
+        const currentStatus = streamService.getStreamStatus(stream.stream_name);
+        if (currentStatus && currentStatus.status === 'error') {
+            await streamService.stopStream(stream.stream_name);
+        }
+
+        // Stream zaten aktif mi?
+        if (streamService.isStreamActive(stream.stream_name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu yayın zaten aktif'
+            });
+        }
+
+        // Stream servisini başlat - callback'ler ve database durumu lifecycle tarafından yönetilir
+        const result = await startManagedStream(stream, { serverHost: SERVER_HOST });
+
+        res.json({
+            success: true,
+            message: 'Yayın başlatılıyor, ilk segment bekleniyor',
+            data: {
+                stream_name: stream.stream_name,
+                hls_url: `${result.hlsUrl}`,
+                playback_url: signHlsUrl(result.hlsUrl, stream.stream_name, { ip: req.ip }).url,
+                status: result.status,
+                pid: result.pid
+            }
+        });
+
+    } catch (error) {
+        console.error('Stream start error:', error);
+        res.status(error.name === 'EncodingProfileError' ? 400 : 500).json({
+            success: false,
+            message: 'Yayın başlatılırken bir hata oluştu: ' + error.message
+        });
+    }
+});
+
+// Stream durdurma
+router.post('/api/streams/:id/stop', requireAuth, checkPermission('edit'), audit('stream.stop', {
+    targetType: 'stream',
+    model: Stream
+}), async (req, res) => {
+    try {
+        const streamId = req.params.id;
+        const stream = await findVisibleStream(req, streamId);
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        // Stream aktif değilse
+        if (!streamService.isStreamActive(stream.stream_name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu yayın zaten aktif değil'
+            });
+        }
+
+        try {
+            // Stream servisini durdur
+            await streamService.stopStream(stream.stream_name);
+
+            // Database'i güncelle
+            await updateStreamStatus(stream, {
+                status: 'stopped',
+                last_stopped: new Date(),
+                process_id: null,
+                error_message: null
+            });
+
+            res.json({
+                success: true,
+                message: 'Yayın durduruldu'
+            });
+
+        } catch (streamError) {
+            // Stream durdurma hatası
+            await updateStreamStatus(stream, {
+                status: 'error',
+                error_message: streamError.message
+            });
+
+            throw streamError;
+        }
+
+    } catch (error) {
+        console.error('Stream stop error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Yayın durdurulurken bir hata oluştu: ' + error.message
+        });
+    }
+});
+
+// ============================================
+// RECORDING ENDPOINTS
+// ============================================
+
+// Tek bir oynatma listesine girebilecek en uzun kayıt aralığı
+const PLAYBACK_MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Zaman çizelgesi ve oynatma listesi aralığı - geçersizse kullanıcıya gösterilecek mesaj döner
+function validatePlaybackRange(from, to) {
+    if (from >= to) {
+        return 'Başlangıç zamanı bitişten önce olmalıdır';
+    }
+    if (to - from > PLAYBACK_MAX_WINDOW_MS) {
+        return `Oynatma aralığı en fazla ${PLAYBACK_MAX_WINDOW_MS / (60 * 60 * 1000)} saat olabilir`;
+    }
+    return null;
+}
+
+// Stream'in is_recording alanına göre kayıt sürecini başlatır/durdurur
+async function syncRecording(stream) {
+    const isRecording = recordingService.isRecording(stream.stream_name);
+
+    if (isRecording) {
+        // Ayarlar değişmiş olabilir - mevcut kaydı kapat
+        await recordingService.stopRecording(stream.stream_name);
+    }
+
+    if (stream.is_recording && stream.is_active) {
+        if (!stream.camera) {
+            await stream.reload({ include: [{ model: Camera, as: 'camera' }] });
+        }
+        await recordingService.startRecording(stream.toStreamConfig());
+    }
+}
+
+// Query string'deki tarih parametresini çözer
+function parseDateParam(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Kayıt başlatma
+router.post('/api/streams/:id/recording/start', requireAuth, checkPermission('edit'), audit('stream.recordingStart', {
+    targetType: 'stream'
+}), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id, {
+            include: [{ model: Camera, as: 'camera' }]
+        });
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        if (recordingService.isRecording(stream.stream_name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bu yayın için kayıt zaten aktif'
+            });
+        }
+
+        const result = await recordingService.startRecording(stream.toStreamConfig());
+        await stream.update({ is_recording: true });
+
+        res.json({
+            success: true,
+            message: 'Kayıt başlatıldı',
+            data: result
+        });
+    } catch (error) {
+        console.error('Recording start error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Kayıt başlatılırken bir hata oluştu: ' + error.message
+        });
+    }
+});
+
+// Kayıt durdurma
+router.post('/api/streams/:id/recording/stop', requireAuth, checkPermission('edit'), audit('stream.recordingStop', {
+    targetType: 'stream'
+}), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id);
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        if (recordingService.isRecording(stream.stream_name)) {
+            await recordingService.stopRecording(stream.stream_name);
+        }
+
+        await stream.update({ is_recording: false });
+
+        res.json({
+            success: true,
+            message: 'Kayıt durduruldu'
+        });
+    } catch (error) {
+        console.error('Recording stop error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Kayıt durdurulurken bir hata oluştu: ' + error.message
+        });
+    }
+});
+
+// Kayıtları zaman aralığına göre listele (?from=ISO&to=ISO)
+router.get('/api/streams/:id/recordings', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id);
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        const recordings = recordingService.listRecordings(stream.stream_name, { from, to });
+
+        res.json({
+            success: true,
+            data: {
+                stream_name: stream.stream_name,
+                recording: recordingService.getRecordingStatus(stream.stream_name),
+                recordings
+            }
+        });
+    } catch (error) {
+        console.error('Recording list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Kayıt listesi alınamadı'
+        });
+    }
+});
+
+// Kayıt zaman çizelgesi - segmentler ve boşluklar (?from=ISO&to=ISO)
+router.get('/api/streams/:id/timeline', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id);
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        const to = parseDateParam(req.query.to) || new Date();
+        const from = parseDateParam(req.query.from) || new Date(to.getTime() - 60 * 60 * 1000);
+
+        const rangeError = validatePlaybackRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                message: rangeError
+            });
+        }
+
+        const timeline = recordingService.buildTimeline(stream.stream_name, { from, to });
+
+        res.json({
+            success: true,
+            data: {
+                stream_id: stream.id,
+                stream_name: stream.stream_name,
+                playback_url: `/admin/api/streams/${stream.id}/playback.m3u8?from=${from.toISOString()}&to=${to.toISOString()}`,
+                ...timeline
+            }
+        });
+    } catch (error) {
+        console.error('Recording timeline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Kayıt zaman çizelgesi alınamadı'
+        });
+    }
+});
+
+// Zaman aralığı için VOD HLS playlist
+router.get('/api/streams/:id/playback.m3u8', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id);
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        const to = parseDateParam(req.query.to) || new Date();
+        const from = parseDateParam(req.query.from) || new Date(to.getTime() - 60 * 60 * 1000);
+
+        const rangeError = validatePlaybackRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                message: rangeError
+            });
+        }
+
+        const timeline = recordingService.buildTimeline(stream.stream_name, { from, to });
+
+        if (timeline.segments.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Bu aralıkta oynatılabilir kayıt yok'
+            });
+        }
+
+        const playlist = recordingService.buildPlaybackPlaylist(timeline,
+            (file) => `/admin/api/streams/${stream.id}/recordings/${file}?inline=1`);
+
+        res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.send(playlist);
+    } catch (error) {
+        console.error('Recording playback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Oynatma listesi oluşturulamadı'
+        });
+    }
+});
+
+// Kayıt dosyası indir (?inline=1 ile HLS oynatıcı için doğrudan gönderilir)
+router.get('/api/streams/:id/recordings/:file', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id);
+        const filePath = stream && recordingService.getRecordingPath(stream.stream_name, req.params.file);
+
+        if (!filePath) {
+            return res.status(404).json({
                 success: false,
-                message: 'Seçilen kamera bulunamadı'
+                message: 'Kayıt bulunamadı'
             });
         }
 
-        // Stream adının benzersiz olduğunu kontrol et
-        const existingStream = await Stream.findOne({
-            where: { stream_name: stream_name.trim() }
+        if (req.query.inline) {
+            res.setHeader('Content-Type', req.params.file.endsWith('.ts') ? 'video/mp2t' : 'video/mp4');
+            return res.sendFile(filePath);
+        }
+
+        res.download(filePath, `${stream.stream_name}_${req.params.file}`);
+    } catch (error) {
+        console.error('Recording download error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Kayıt indirilemedi'
         });
+    }
+});
 
-        if (existingStream) {
-            return res.status(400).json({
+// Kayıt dosyası sil
+router.delete('/api/streams/:id/recordings/:file', requireAuth, checkPermission('delete'), audit('recording.delete', {
+    targetType: 'stream',
+    details: (req) => ({ file: req.params.file })
+}), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id);
+
+        if (!stream || !recordingService.deleteRecording(stream.stream_name, req.params.file)) {
+            return res.status(404).json({
                 success: false,
-                message: 'Bu yayın adı zaten kullanılıyor'
+                message: 'Kayıt bulunamadı'
             });
         }
 
-        const stream = await Stream.create({
-            stream_name: stream_name.trim(),
-            camera_id,
-            ip_address: ip_address.trim(),
-            rtsp_port: rtsp_port ? parseInt(rtsp_port) : 554,
-            username: username.trim(),
-            password: password.trim(),
-            channel: channel ? parseInt(channel) : 1,
-            resolution: resolution || '640x480',
-            fps: fps ? parseInt(fps) : 30,
-            bitrate: bitrate || '800k',
-            audio_bitrate: audio_bitrate || '160k',
-            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true',
-            is_recording: is_recording === 'on' || is_recording === true || is_recording === '1' || is_recording === 'true',
-            hls_url: `${SERVER_HOST}/static/stream/${stream_name.trim()}.m3u8`
-        });
-
         res.json({
             success: true,
-            message: 'Yayın başarıyla oluşturuldu',
-            data: stream
+            message: 'Kayıt silindi'
         });
     } catch (error) {
-        console.error('Stream creation error:', error);
-        res.status(400).json({
+        console.error('Recording delete error:', error);
+        res.status(500).json({
             success: false,
-            message: 'Yayın oluşturulurken bir hata oluştu'
+            message: 'Kayıt silinirken bir hata oluştu'
         });
     }
 });
 
-function getServerIp() {
-    const interfaces = os.networkInterfaces();
-    for (const name of Object.keys(interfaces)) {
-        for (const iface of interfaces[name]) {
-            if (iface.family === 'IPv4' && !iface.internal) {
-                return iface.address;
-            }
-        }
-    }
-    return 'localhost';
-}
-// Stream başlatma
-router.post('/api/streams/:id/start', requireAuth, async (req, res) => {
+// ============================================
+// MOTION EVENT ENDPOINTS
+// ============================================
+
+// Hareket olayları (?from=ISO&to=ISO&limit=50&offset=0) - en yeni olay önce
+router.get('/api/streams/:id/events', requireAuth, checkPermission('view'), async (req, res) => {
     try {
-        const streamId = req.params.id;
-        const stream = await Stream.findByPk(streamId, {
-            include: [{
-                model: Camera,
-                as: 'camera'
-            }]
-        });
+        const stream = await findVisibleStream(req, req.params.id);
 
         if (!stream) {
             return res.status(404).json({
@@ -971,102 +3198,81 @@ router.post('/api/streams/:id/start', requireAuth, async (req, res) => {
             });
         }
 
-        // Stream zaten aktif mi?
-        if (streamService.isStreamActive(stream.stream_name)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Bu yayın zaten aktif'
-            });
-        }
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+        const offset = Math.max(0, parseInt(req.query.offset) || 0);
 
-        // Stream config hazırla
-        const streamConfig = {
-            streamName: stream.stream_name,
-            brand: stream.camera.brand,
-            username: stream.username,
-            password: stream.password,
-            ip: stream.ip_address,
-            port: stream.rtsp_port,
-            channel: stream.channel,
-            resolution: stream.resolution,
-            fps: stream.fps,
-            bitrate: stream.bitrate,
-            audioBitrate: stream.audio_bitrate
-        };
+        const where = { stream_id: stream.id };
+        if (from || to) {
+            where.started_at = {
+                ...(from ? { [Op.gte]: from } : {}),
+                ...(to ? { [Op.lte]: to } : {})
+            };
+        }
 
-        // Database durumunu güncelle - starting
-        await stream.update({
-            status: 'starting',
-            last_started: new Date(),
-            error_message: null
+        const { count, rows } = await MotionEvent.findAndCountAll({
+            where,
+            order: [['started_at', 'DESC']],
+            limit,
+            offset
         });
 
-        try {
-            // Stream servisini başlat
-            const result = await streamService.startStream(streamConfig);
-
-            // Callback'leri ayarla - database güncellemeleri için
-            streamService.setStreamCallbacks(stream.stream_name, {
-                onClose: async (code) => {
-                    await stream.update({
-                        status: code === 0 ? 'stopped' : 'error',
-                        last_stopped: new Date(),
-                        error_message: code !== 0 ? `FFmpeg exited with code ${code}` : null,
-                        process_id: null
-                    });
-                },
-                onError: async (error) => {
-                    await stream.update({
-                        status: 'error',
-                        error_message: error.message,
-                        process_id: null
-                    });
-                }
-            });
-
-            // Database'de final durumu güncelle
-            await stream.update({
-                status: 'streaming',
-                process_id: result.pid,
-                hls_url: `${SERVER_HOST}${result.hlsUrl}`
-            });
+        res.json({
+            success: true,
+            data: {
+                stream_name: stream.stream_name,
+                motion: motionDetector.getState(stream.stream_name),
+                zones: parseMotionZones(stream.motion_zones),
+                total: count,
+                events: rows.map(event => ({
+                    ...event.toJSON(),
+                    // Devam eden olayda null
+                    duration: event.ended_at ? Math.round((event.ended_at - event.started_at) / 1000) : null,
+                    snapshot_url: event.snapshot ? `/admin/api/streams/${stream.id}/events/${event.id}/snapshot.jpg` : null
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Motion event list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Hareket olayları alınamadı'
+        });
+    }
+});
 
-            res.json({
-                success: true,
-                message: 'Yayın başlatıldı',
-                data: {
-                    stream_name: stream.stream_name,
-                    hls_url: `${result.hlsUrl}`,
-                    status: 'streaming',
-                    pid: result.pid
-                }
-            });
+// Hareket olayının başlangıç görüntüsü
+router.get('/api/streams/:id/events/:eventId/snapshot.jpg', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id, { attributes: ['id', 'stream_name'] });
+        const event = stream && await MotionEvent.findOne({
+            where: { id: req.params.eventId, stream_id: stream.id }
+        });
+        const filePath = event && motionDetector.getSnapshotPath(event.snapshot);
 
-        } catch (streamError) {
-            // Stream başlatma hatası - database'i güncelle
-            await stream.update({
-                status: 'error',
-                error_message: streamError.message,
-                process_id: null
+        if (!filePath) {
+            return res.status(404).json({
+                success: false,
+                message: 'Görüntü bulunamadı'
             });
-
-            throw streamError;
         }
 
+        res.setHeader('Cache-Control', 'private, max-age=86400');
+        res.sendFile(filePath);
     } catch (error) {
-        console.error('Stream start error:', error);
+        console.error('Motion snapshot error:', error);
         res.status(500).json({
             success: false,
-            message: 'Yayın başlatılırken bir hata oluştu: ' + error.message
+            message: 'Görüntü alınamadı'
         });
     }
 });
 
-// Stream durdurma
-router.post('/api/streams/:id/stop', requireAuth, async (req, res) => {
+// Görüntü sağlığı durumlarının geçmişi (siyah, donmuş, bulanık görüntü, sahne değişikliği)
+router.get('/api/streams/:id/conditions', requireAuth, checkPermission('view'), async (req, res) => {
     try {
-        const streamId = req.params.id;
-        const stream = await Stream.findByPk(streamId);
+        const stream = await findVisibleStream(req, req.params.id);
 
         if (!stream) {
             return res.status(404).json({
@@ -1075,54 +3281,94 @@ router.post('/api/streams/:id/stop', requireAuth, async (req, res) => {
             });
         }
 
-        // Stream aktif değilse
-        if (!streamService.isStreamActive(stream.stream_name)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Bu yayın zaten aktif değil'
-            });
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 50));
+        const offset = Math.max(0, parseInt(req.query.offset) || 0);
+
+        const where = { stream_id: stream.id };
+        if (from || to) {
+            where.started_at = {
+                ...(from ? { [Op.gte]: from } : {}),
+                ...(to ? { [Op.lte]: to } : {})
+            };
         }
 
-        try {
-            // Stream servisini durdur
-            await streamService.stopStream(stream.stream_name);
+        const { count, rows } = await StreamCondition.findAndCountAll({
+            where,
+            order: [['started_at', 'DESC']],
+            limit,
+            offset
+        });
 
-            // Database'i güncelle
-            await stream.update({
-                status: 'stopped',
-                last_stopped: new Date(),
-                process_id: null,
-                error_message: null
-            });
+        const serviceStatus = streamService.getStreamStatus(stream.stream_name);
 
-            res.json({
-                success: true,
-                message: 'Yayın durduruldu'
-            });
+        res.json({
+            success: true,
+            data: {
+                stream_name: stream.stream_name,
+                active: serviceStatus ? serviceStatus.health : [],
+                total: count,
+                conditions: rows.map(condition => ({
+                    ...condition.toJSON(),
+                    // Devam eden durumda null
+                    duration: condition.ended_at ? Math.round((condition.ended_at - condition.started_at) / 1000) : null
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Stream condition list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Görüntü sağlığı geçmişi alınamadı'
+        });
+    }
+});
 
-        } catch (streamError) {
-            // Stream durdurma hatası
-            await stream.update({
-                status: 'error',
-                error_message: streamError.message
-            });
+// İmzalı oynatma URL'i - entegrasyonlar ve harici oynatıcılar için
+router.get('/api/streams/:id/playback-url', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id, {
+            attributes: ['id', 'stream_name', 'hls_url', 'status']
+        });
 
-            throw streamError;
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
         }
 
+        // İsteğe bağlı süre (sn), 60 sn - 24 saat arası
+        const ttl = parseInt(req.query.ttl);
+        const signed = signHlsUrl(stream.hls_url, stream.stream_name, {
+            ip: req.ip,
+            ttlSeconds: isNaN(ttl) ? undefined : Math.min(Math.max(ttl, 60), 24 * 60 * 60)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                stream_name: stream.stream_name,
+                status: stream.status,
+                playback_url: signed.url,
+                token: signed.token,
+                expires_at: signed.expiresAt
+            }
+        });
     } catch (error) {
-        console.error('Stream stop error:', error);
+        console.error('Playback url error:', error);
         res.status(500).json({
             success: false,
-            message: 'Yayın durdurulurken bir hata oluştu: ' + error.message
+            message: 'Oynatma adresi oluşturulurken bir hata oluştu'
         });
     }
 });
 
-router.get('/api/streams/:id/status', requireAuth, async (req, res) => {
+router.get('/api/streams/:id/status', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const streamId = req.params.id;
-        const stream = await Stream.findByPk(streamId);
+        const stream = await findVisibleStream(req, streamId);
 
         if (!stream) {
             return res.status(404).json({
@@ -1148,7 +3394,10 @@ router.get('/api/streams/:id/status', requireAuth, async (req, res) => {
                 service_status: streamStatus,
                 last_started: stream.last_started,
                 last_stopped: stream.last_stopped,
-                hls_url: stream.hls_url
+                hls_url: stream.hls_url,
+                playback_url: signHlsUrl(stream.hls_url, stream.stream_name, { ip: req.ip }).url,
+                // Zamanlamaya göre sonraki başlatma/durdurma: { at, open } veya null
+                next_transition: scheduler.getNextTransition('stream', stream.id)
             }
         });
 
@@ -1162,13 +3411,20 @@ router.get('/api/streams/:id/status', requireAuth, async (req, res) => {
 });
 
 // Tüm aktif stream'leri listele
-router.get('/api/streams/active', requireAuth, async (req, res) => {
+router.get('/api/streams/active', requireAuth, checkPermission('view'), async (req, res) => {
     try {
+        const visibility = await getStreamVisibility(req);
         const activeStreams = streamService.getActiveStreams();
 
+        // Kullanıcının göremediği yayınları çıkar
+        const data = visibility.all
+            ? activeStreams
+            : Object.fromEntries(Object.entries(activeStreams)
+                .filter(([streamName]) => visibility.streamNames.has(streamName)));
+
         res.json({
             success: true,
-            data: activeStreams
+            data
         });
 
     } catch (error) {
@@ -1181,15 +3437,18 @@ router.get('/api/streams/active', requireAuth, async (req, res) => {
 });
 
 // Stream güncelleme
-router.put('/api/streams/:id', upload.none(), requireAuth, async (req, res) => {
+router.put('/api/streams/:id', upload.none(), requireAuth, checkPermission('edit'), audit('stream.update', {
+    targetType: 'stream',
+    model: Stream
+}), async (req, res) => {
     try {
         const streamId = req.params.id;
         const {
             stream_name, camera_id, ip_address, rtsp_port, username, password, channel,
-            resolution, fps, bitrate, audio_bitrate, is_active, is_recording
+            max_restarts, is_active, is_recording, on_demand
         } = req.body;
 
-        const stream = await Stream.findByPk(streamId);
+        const stream = await findVisibleStream(req, streamId);
         if (!stream) {
             return res.status(404).json({
                 success: false,
@@ -1231,6 +3490,11 @@ router.put('/api/streams/:id', upload.none(), requireAuth, async (req, res) => {
             });
         }
 
+        const encodingFields = parseEncodingFields(req.body, {
+            audioEnabled: isFormSubmission(req) ? false : stream.audio_enabled
+        });
+        const motionFields = parseMotionFields(req.body);
+
         const updateData = {
             stream_name: stream_name.trim(),
             camera_id,
@@ -1238,12 +3502,12 @@ router.put('/api/streams/:id', upload.none(), requireAuth, async (req, res) => {
             rtsp_port: rtsp_port ? parseInt(rtsp_port) : 554,
             username: username.trim(),
             channel: channel ? parseInt(channel) : 1,
-            resolution: resolution || '640x480',
-            fps: fps ? parseInt(fps) : 30,
-            bitrate: bitrate || '800k',
-            audio_bitrate: audio_bitrate || '160k',
+            ...encodingFields,
+            ...motionFields,
+            max_restarts: max_restarts !== undefined && max_restarts !== '' ? parseInt(max_restarts) : 5,
             is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true',
             is_recording: is_recording === 'on' || is_recording === true || is_recording === '1' || is_recording === 'true',
+            on_demand: on_demand === 'on' || on_demand === true || on_demand === '1' || on_demand === 'true',
             hls_url: `${SERVER_HOST}/static/stream/${stream_name.trim()}.m3u8`
         };
 
@@ -1252,8 +3516,21 @@ router.put('/api/streams/:id', upload.none(), requireAuth, async (req, res) => {
             updateData.password = password.trim();
         }
 
+        const previousName = stream.stream_name;
+        const wasRecording = recordingService.isRecording(previousName);
+
         await stream.update(updateData);
 
+        // Kayıt süreci yeni ayarlarla senkronize edilir
+        if (wasRecording && previousName !== stream.stream_name) {
+            await recordingService.stopRecording(previousName);
+        }
+        if (wasRecording || stream.is_recording) {
+            await syncRecording(stream);
+        }
+
+        getEventBus().publish('stream.updated', { id: stream.id, streamName: stream.stream_name });
+
         res.json({
             success: true,
             message: 'Yayın başarıyla güncellendi',
@@ -1263,16 +3540,21 @@ router.put('/api/streams/:id', upload.none(), requireAuth, async (req, res) => {
         console.error('Stream update error:', error);
         res.status(400).json({
             success: false,
-            message: 'Yayın güncellenirken bir hata oluştu'
+            message: ['EncodingProfileError', 'MotionConfigError'].includes(error.name)
+                ? error.message
+                : 'Yayın güncellenirken bir hata oluştu'
         });
     }
 });
 
 // Stream silme
-router.delete('/api/streams/:id', requireAuth, async (req, res) => {
+router.delete('/api/streams/:id', requireAuth, checkPermission('delete'), audit('stream.delete', {
+    targetType: 'stream',
+    model: Stream
+}), async (req, res) => {
     try {
         const streamId = req.params.id;
-        const stream = await Stream.findByPk(streamId);
+        const stream = await findVisibleStream(req, streamId);
 
         if (!stream) {
             return res.status(404).json({
@@ -1289,8 +3571,17 @@ router.delete('/api/streams/:id', requireAuth, async (req, res) => {
             });
         }
 
+        // Kayıt dosyaları korunur, sadece süreç durdurulur
+        if (recordingService.isRecording(stream.stream_name)) {
+            await recordingService.stopRecording(stream.stream_name);
+        }
+
+        await AccessRule.destroy({ where: { resource_type: 'stream', resource_id: stream.id } });
+        await removeTargetSchedule('stream', stream.id);
         await stream.destroy();
 
+        getEventBus().publish('stream.deleted', { id: stream.id, streamName: stream.stream_name });
+
         res.json({
             success: true,
             message: 'Yayın başarıyla silindi'
@@ -1305,7 +3596,7 @@ router.delete('/api/streams/:id', requireAuth, async (req, res) => {
 });
 
 // Aktif kameralar listesi (Stream oluştururken kullanmak için)
-router.get('/api/cameras/list', requireAuth, async (req, res) => {
+router.get('/api/cameras/list', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const cameras = await Camera.findAll({
             where: { is_active: true },
@@ -1327,9 +3618,9 @@ router.get('/api/cameras/list', requireAuth, async (req, res) => {
 });
 
 // Tek stream bilgisi
-router.get('/api/streams/:id', requireAuth, async (req, res) => {
+router.get('/api/streams/:id', requireAuth, checkPermission('view'), async (req, res) => {
     try {
-        const stream = await Stream.findByPk(req.params.id, {
+        const stream = await findVisibleStream(req, req.params.id, {
             include: [{
                 model: Camera,
                 as: 'camera'
@@ -1362,7 +3653,7 @@ router.get('/api/streams/:id', requireAuth, async (req, res) => {
 });
 
 // Tek kamera bilgisi
-router.get('/api/cameras/:id', requireAuth, async (req, res) => {
+router.get('/api/cameras/:id', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const camera = await Camera.findByPk(req.params.id, {
             include: [{
@@ -1392,14 +3683,77 @@ router.get('/api/cameras/:id', requireAuth, async (req, res) => {
     }
 });
 
+// Olay gelmeden değişen görünürlük (ör. kullanıcının rolü) en geç bu sürede yeniden hesaplanır
+const EVENT_VISIBILITY_MAX_AGE_MS = 15 * 1000;
+
+/**
+ * SSE istemcisinin olay filtresi: kısıtlı kullanıcı sadece görebildiği yayınların olaylarını alır,
+ * grup ve erişim kuralı olayları sadece kullanıcı yönetimi yetkisi olanlara gider
+ */
+function createEventFilter(req, initialVisibility) {
+    const canManageUsers = getRolePermissions(req.user.role).includes('manage_users')
+        && (!req.apiToken || req.tokenScopes.includes('manage_users'));
+    let visibility = initialVisibility;
+    let loadedAt = Date.now();
+
+    return async (event) => {
+        const [entity] = event.type.split('.');
+
+        if (entity === 'group' || entity === 'access') {
+            return canManageUsers;
+        }
+
+        // Erişimi değiştirebilecek olayda görünürlük bu olay süzülmeden önce yenilenir
+        const previous = visibility;
+        if (accessControl.affectsVisibility(event.type) || Date.now() - loadedAt > EVENT_VISIBILITY_MAX_AGE_MS) {
+            visibility = await getStreamVisibility(req);
+            loadedAt = Date.now();
+        }
+
+        if (visibility.all) {
+            return true;
+        }
+
+        if (entity === 'stream') {
+            // Silinen yayın sadece önceki, yeni görünür olan yayın sadece güncel görünürlükte bulunur
+            const { streamName } = event.data;
+            return !!streamName && (previous.streamNames.has(streamName) || visibility.streamNames.has(streamName));
+        }
+
+        if (entity === 'schedule' && event.data.targetType === 'stream') {
+            return visibility.streamIds.has(event.data.targetId);
+        }
+
+        return true;
+    };
+}
+
+// Anlık olay akışı (Server-Sent Events) - yayın durumları ve kamera/kategori değişiklikleri
+router.get('/api/events', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const visibility = await getStreamVisibility(req);
+
+        getEventBus().subscribe(req, res, {
+            filter: createEventFilter(req, visibility)
+        });
+    } catch (error) {
+        console.error('Event stream error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Olay akışı başlatılamadı'
+        });
+    }
+});
+
 // İstatistikler
-router.get('/api/stream-stats', requireAuth, async (req, res) => {
+router.get('/api/stream-stats', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const totalCameras = await Camera.count();
         const activeCameras = await Camera.count({ where: { is_active: true } });
         const totalStreams = await Stream.count();
         const activeStreams = await Stream.count({ where: { is_active: true } });
         const streamingStreams = await Stream.count({ where: { status: 'streaming' } });
+        const startingStreams = await Stream.count({ where: { status: 'starting' } });
         const stoppedStreams = await Stream.count({ where: { status: 'stopped' } });
         const errorStreams = await Stream.count({ where: { status: 'error' } });
 
@@ -1455,6 +3809,7 @@ router.get('/api/stream-stats', requireAuth, async (req, res) => {
                     total: totalStreams,
                     active: activeStreams,
                     streaming: streamingStreams,
+                    starting: startingStreams,
                     stopped: stoppedStreams,
                     error: errorStreams,
                     categorized: categorizedStreams,
@@ -1559,12 +3914,81 @@ const sliderUpload = multer({
     }
 });
 
+// ============================================
+// VIEWER ANALYTICS ENDPOINTS
+// ============================================
+
+// Yayın başına zirve izleyici (varsayılan: son 24 saat)
+router.get('/api/analytics/viewers', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const to = parseDateParam(req.query.to) || new Date();
+        const from = parseDateParam(req.query.from) || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+        const visibility = await getStreamVisibility(req);
+        const canView = (streamName) => visibility.all || visibility.streamNames.has(streamName);
+
+        const peaks = await viewerTracker.getPeaks({ from, to });
+        const current = Object.fromEntries(Object.entries(viewerTracker.getCounts())
+            .filter(([streamName]) => canView(streamName)));
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                current,
+                streams: peaks.filter(peak => canView(peak.streamName))
+            }
+        });
+    } catch (error) {
+        console.error('Viewer analytics error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'İzleyici istatistikleri alınamadı'
+        });
+    }
+});
+
+// Tek yayının saatlik izleyici geçmişi
+router.get('/api/streams/:id/viewers', requireAuth, checkPermission('view'), async (req, res) => {
+    try {
+        const stream = await findVisibleStream(req, req.params.id);
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        const to = parseDateParam(req.query.to) || new Date();
+        const from = parseDateParam(req.query.from) || new Date(to.getTime() - 24 * 60 * 60 * 1000);
+
+        const history = await viewerTracker.getHistory(stream.id, { from, to });
+
+        res.json({
+            success: true,
+            data: {
+                stream_name: stream.stream_name,
+                current: viewerTracker.getCount(stream.stream_name),
+                peak: history.reduce((max, row) => Math.max(max, row.peak_viewers), 0),
+                history
+            }
+        });
+    } catch (error) {
+        console.error('Stream viewer history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'İzleyici geçmişi alınamadı'
+        });
+    }
+});
+
 // ============================================
 // SLIDER API ENDPOINTS
 // ============================================
 
 // Slider resimlerini listele
-router.get('/api/slider/images', requireAuth, async (req, res) => {
+router.get('/api/slider/images', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const images = await readSliderData();
 
@@ -1585,7 +4009,10 @@ router.get('/api/slider/images', requireAuth, async (req, res) => {
 });
 
 // Slider resim yükleme
-router.post('/api/slider/upload', requireAuth, sliderUpload.array('images', 10), async (req, res) => {
+router.post('/api/slider/upload', requireAuth, checkPermission('create'), audit('slider.upload', {
+    targetType: 'slider',
+    details: (req, body) => ({ files: (req.files || []).map(file => file.originalname), uploaded: body.data.uploaded })
+}), sliderUpload.array('images', 10), async (req, res) => {
     try {
         if (!req.files || req.files.length === 0) {
             return res.status(400).json({
@@ -1678,7 +4105,10 @@ router.post('/api/slider/upload', requireAuth, sliderUpload.array('images', 10),
 });
 
 // Slider resmi silme
-router.delete('/api/slider/images/:id', requireAuth, async (req, res) => {
+router.delete('/api/slider/images/:id', requireAuth, checkPermission('delete'), audit('slider.delete', {
+    targetType: 'slider',
+    details: (req, body) => ({ file: body.data.deleted })
+}), async (req, res) => {
     try {
         const imageId = req.params.id;
         const images = await readSliderData();
@@ -1730,7 +4160,10 @@ router.delete('/api/slider/images/:id', requireAuth, async (req, res) => {
 });
 
 // Slider resim sıralamasını değiştir
-router.post('/api/slider/reorder', requireAuth, async (req, res) => {
+router.post('/api/slider/reorder', requireAuth, checkPermission('edit'), audit('slider.reorder', {
+    targetType: 'slider',
+    details: (req) => ({ from_index: req.body.fromIndex, to_index: req.body.toIndex })
+}), async (req, res) => {
     try {
         const { fromIndex, toIndex } = req.body;
 
@@ -1780,7 +4213,10 @@ router.post('/api/slider/reorder', requireAuth, async (req, res) => {
 });
 
 // Slider resim bilgilerini güncelle
-router.put('/api/slider/images/:id', requireAuth, async (req, res) => {
+router.put('/api/slider/images/:id', requireAuth, checkPermission('edit'), audit('slider.update', {
+    targetType: 'slider',
+    details: (req, body) => body.data
+}), async (req, res) => {
     try {
         const imageId = req.params.id;
         const { original_name } = req.body;
@@ -1819,7 +4255,7 @@ router.put('/api/slider/images/:id', requireAuth, async (req, res) => {
 });
 
 // Slider istatistikleri
-router.get('/api/slider/stats', requireAuth, async (req, res) => {
+router.get('/api/slider/stats', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const images = await readSliderData();
 
@@ -1893,7 +4329,7 @@ router.get('/api/slider-images', async (req, res) => {
     }
 })();
 
-router.get('/categories', requireAuth, async (req, res) => {
+router.get('/categories', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         res.render('admin/categories', {
             title: 'Kategori Yönetimi - Ark Stream Admin',
@@ -1912,7 +4348,7 @@ router.get('/categories', requireAuth, async (req, res) => {
 });
 
 // DataTable API for categories
-router.post('/api/categories', requireAuth, async (req, res) => {
+router.post('/api/categories', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const { start = 0, length = 10, search = {}, order = [] } = req.body;
 
@@ -2000,7 +4436,7 @@ router.post('/api/categories', requireAuth, async (req, res) => {
 });
 
 // Aktif kategoriler listesi (Stream oluştururken kullanmak için)
-router.get('/api/categories/list', requireAuth, async (req, res) => {
+router.get('/api/categories/list', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const categories = await Category.findAll({
             where: { is_active: true },
@@ -2024,7 +4460,7 @@ router.get('/api/categories/list', requireAuth, async (req, res) => {
 });
 
 // Kategori istatistikleri
-router.get('/api/category-stats', requireAuth, async (req, res) => {
+router.get('/api/category-stats', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const totalCategories = await Category.count();
         const activeCategories = await Category.count({ where: { is_active: true } });
@@ -2084,7 +4520,7 @@ router.get('/api/category-stats', requireAuth, async (req, res) => {
 
 
 // Tek kategori getir
-router.get('/api/categories/:id', requireAuth, async (req, res) => {
+router.get('/api/categories/:id', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const category = await Category.findByPk(req.params.id, {
             include: [{
@@ -2116,11 +4552,14 @@ router.get('/api/categories/:id', requireAuth, async (req, res) => {
 });
 
 // Yeni kategori oluştur
-router.post('/api/categories/create', upload.none(), requireAuth, async (req, res) => {
+router.post('/api/categories/create', upload.none(), requireAuth, checkPermission('create'), audit('category.create', {
+    targetType: 'category',
+    model: Category
+}), async (req, res) => {
     try {
         console.log('Create category request body:', req.body);
 
-        const { name, description, color, icon, sort_order, is_active } = req.body;
+        const { name, description, color, icon, sort_order, is_active, is_public } = req.body;
 
         // Validasyon
         if (!name || name.trim().length < 2) {
@@ -2148,9 +4587,12 @@ router.post('/api/categories/create', upload.none(), requireAuth, async (req, re
             color: color || '#007bff',
             icon: icon || 'camera',
             sort_order: sort_order ? parseInt(sort_order) : 0,
-            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true'
+            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true',
+            is_public: is_public === 'on' || is_public === true || is_public === '1' || is_public === 'true'
         });
 
+        getEventBus().publish('category.created', { id: category.id, name: category.name });
+
         res.json({
             success: true,
             message: 'Kategori başarıyla oluşturuldu',
@@ -2174,12 +4616,15 @@ router.post('/api/categories/create', upload.none(), requireAuth, async (req, re
 });
 
 // Kategori güncelle
-router.put('/api/categories/:id', upload.none(), requireAuth, async (req, res) => {
+router.put('/api/categories/:id', upload.none(), requireAuth, checkPermission('edit'), audit('category.update', {
+    targetType: 'category',
+    model: Category
+}), async (req, res) => {
     try {
         console.log('Update category request body:', req.body);
 
         const categoryId = req.params.id;
-        const { name, description, color, icon, sort_order, is_active } = req.body;
+        const { name, description, color, icon, sort_order, is_active, is_public } = req.body;
 
         const category = await Category.findByPk(categoryId);
 
@@ -2213,9 +4658,12 @@ router.put('/api/categories/:id', upload.none(), requireAuth, async (req, res) =
             color: color || category.color,
             icon: icon || category.icon,
             sort_order: sort_order !== undefined ? parseInt(sort_order) : category.sort_order,
-            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true'
+            is_active: is_active === 'on' || is_active === true || is_active === '1' || is_active === 'true',
+            is_public: is_public === 'on' || is_public === true || is_public === '1' || is_public === 'true'
         });
 
+        getEventBus().publish('category.updated', { id: category.id, name: category.name });
+
         res.json({
             success: true,
             message: 'Kategori başarıyla güncellendi',
@@ -2239,7 +4687,10 @@ router.put('/api/categories/:id', upload.none(), requireAuth, async (req, res) =
 });
 
 // Kategori sil
-router.delete('/api/categories/:id', requireAuth, async (req, res) => {
+router.delete('/api/categories/:id', requireAuth, checkPermission('delete'), audit('category.delete', {
+    targetType: 'category',
+    model: Category
+}), async (req, res) => {
     try {
         const categoryId = req.params.id;
         const { force = false } = req.query; // ?force=true ile zorunlu silme
@@ -2276,8 +4727,12 @@ router.delete('/api/categories/:id', requireAuth, async (req, res) => {
             });
         }
 
+        await AccessRule.destroy({ where: { resource_type: 'category', resource_id: category.id } });
+        await removeTargetSchedule('category', category.id);
         await category.destroy();
 
+        getEventBus().publish('category.deleted', { id: category.id, name: category.name });
+
         res.json({
             success: true,
             message: 'Kategori başarıyla silindi',
@@ -2296,7 +4751,10 @@ router.delete('/api/categories/:id', requireAuth, async (req, res) => {
 });
 
 // Kategori sıralamasını güncelle
-router.post('/api/categories/reorder', upload.none(), requireAuth, async (req, res) => {
+router.post('/api/categories/reorder', upload.none(), requireAuth, checkPermission('edit'), audit('category.reorder', {
+    targetType: 'category',
+    details: (req) => ({ categories: req.body.categories })
+}), async (req, res) => {
     try {
         const { categories } = req.body; // [{ id, sort_order }, ...]
 
@@ -2316,6 +4774,8 @@ router.post('/api/categories/reorder', upload.none(), requireAuth, async (req, r
 
         await Promise.all(updatePromises);
 
+        getEventBus().publish('category.reordered', { count: categories.length });
+
         res.json({
             success: true,
             message: 'Kategori sıralaması güncellendi'
@@ -2334,12 +4794,16 @@ router.post('/api/categories/reorder', upload.none(), requireAuth, async (req, r
 // ============================================
 
 // Stream'e kategori ekle
-router.post('/api/streams/:streamId/categories/:categoryId', requireAuth, async (req, res) => {
+router.post('/api/streams/:streamId/categories/:categoryId', requireAuth, checkPermission('edit'), audit('stream.categoryAdd', {
+    targetType: 'stream',
+    idParam: 'streamId',
+    details: (req) => ({ category_id: req.params.categoryId })
+}), async (req, res) => {
     try {
         const { streamId, categoryId } = req.params;
 
         // Stream ve kategori var mı kontrol et
-        const stream = await Stream.findByPk(streamId);
+        const stream = await findVisibleStream(req, streamId);
         const category = await Category.findByPk(categoryId);
 
         if (!stream) {
@@ -2374,6 +4838,8 @@ router.post('/api/streams/:streamId/categories/:categoryId', requireAuth, async
             category_id: categoryId
         });
 
+        getEventBus().publish('stream.categoriesChanged', { id: stream.id, streamName: stream.stream_name });
+
         res.json({
             success: true,
             message: 'Yayın kategoriye başarıyla eklendi'
@@ -2389,10 +4855,23 @@ router.post('/api/streams/:streamId/categories/:categoryId', requireAuth, async
 });
 
 // Stream'den kategori çıkar
-router.delete('/api/streams/:streamId/categories/:categoryId', requireAuth, async (req, res) => {
+router.delete('/api/streams/:streamId/categories/:categoryId', requireAuth, checkPermission('edit'), audit('stream.categoryRemove', {
+    targetType: 'stream',
+    idParam: 'streamId',
+    details: (req) => ({ category_id: req.params.categoryId })
+}), async (req, res) => {
     try {
         const { streamId, categoryId } = req.params;
 
+        // Kategorisiz kalan yayın herkese açılır - görülemeyen yayının kategorileri değiştirilemez
+        const stream = await findVisibleStream(req, streamId, { attributes: ['id', 'stream_name'] });
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
         const deleted = await StreamCategory.destroy({
             where: {
                 stream_id: streamId,
@@ -2407,6 +4886,8 @@ router.delete('/api/streams/:streamId/categories/:categoryId', requireAuth, asyn
             });
         }
 
+        getEventBus().publish('stream.categoriesChanged', { id: stream.id, streamName: stream.stream_name });
+
         res.json({
             success: true,
             message: 'Yayın kategoriden başarıyla çıkarıldı'
@@ -2422,12 +4903,16 @@ router.delete('/api/streams/:streamId/categories/:categoryId', requireAuth, asyn
 });
 
 // Stream'in kategorilerini toplu güncelle
-router.put('/api/streams/:streamId/categories', upload.none(), requireAuth, async (req, res) => {
+router.put('/api/streams/:streamId/categories', upload.none(), requireAuth, checkPermission('edit'), audit('stream.categoriesUpdate', {
+    targetType: 'stream',
+    idParam: 'streamId',
+    details: (req, body) => body.data || null
+}), async (req, res) => {
     try {
         const { streamId } = req.params;
         const { category_ids } = req.body; // Array of category IDs
 
-        const stream = await Stream.findByPk(streamId);
+        const stream = await findVisibleStream(req, streamId);
         if (!stream) {
             return res.status(404).json({
                 success: false,
@@ -2461,6 +4946,8 @@ router.put('/api/streams/:streamId/categories', upload.none(), requireAuth, asyn
             }
         }
 
+        getEventBus().publish('stream.categoriesChanged', { id: stream.id, streamName: stream.stream_name });
+
         res.json({
             success: true,
             message: 'Yayın kategorileri başarıyla güncellendi',
@@ -2479,11 +4966,11 @@ router.put('/api/streams/:streamId/categories', upload.none(), requireAuth, asyn
 });
 
 // Stream'in kategorilerini getir
-router.get('/api/streams/:streamId/categories', requireAuth, async (req, res) => {
+router.get('/api/streams/:streamId/categories', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const { streamId } = req.params;
 
-        const stream = await Stream.findByPk(streamId, {
+        const stream = await findVisibleStream(req, streamId, {
             include: [{
                 model: Category,
                 as: 'categories',
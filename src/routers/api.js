@@ -1,7 +1,9 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const { User } = require('../models');
-const { requireAuth, checkPermission } = require('../middleware/auth');
+const { requireAuth, checkPermission, authenticateBearer, loadUser } = require('../middleware/auth');
+const { getSessionStore } = require('../services/sessions');
+const { audit } = require('../middleware/audit');
 const path = require('path'); // Bu satırı ekle
 const fs = require('fs'); // Bu satırı ekle
 const { Op } = require('sequelize'); // Bu da eksik
@@ -14,6 +16,12 @@ router.use((req, res, next) => {
     next();
 });
 
+// Authorization: Bearer token ile kimlik doğrulama
+router.use(authenticateBearer);
+
+// Oturumla gelen isteklerde kullanıcıyı yükle - checkPermission rolü req.user'dan okur
+router.use(loadUser);
+
 // Health check endpoint
 router.get('/health', (req, res) => {
     res.json({
@@ -28,7 +36,7 @@ router.get('/health', (req, res) => {
 // Mevcut kullanıcı bilgilerini getir
 router.get('/user', requireAuth, async (req, res) => {
     try {
-        const user = await User.findByPk(req.session.userId);
+        const user = await User.findByPk(req.user.id);
 
         if (!user) {
             return res.status(404).json({
@@ -124,7 +132,7 @@ router.get('/users/:id', requireAuth, checkPermission('manage_users'), async (re
 });
 
 // Yeni kullanıcı oluştur
-router.post('/users', requireAuth, checkPermission('manage_users'), async (req, res) => {
+router.post('/users', requireAuth, checkPermission('manage_users'), audit('user.create', { targetType: 'user', model: User }), async (req, res) => {
     try {
         const { username, email, password, role, is_active } = req.body;
 
@@ -191,7 +199,7 @@ router.post('/users', requireAuth, checkPermission('manage_users'), async (req,
 });
 
 // Kullanıcı güncelle
-router.put('/users/:id', requireAuth, checkPermission('manage_users'), async (req, res) => {
+router.put('/users/:id', requireAuth, checkPermission('manage_users'), audit('user.update', { targetType: 'user', model: User }), async (req, res) => {
     try {
         const user = await User.findByPk(req.params.id);
 
@@ -233,6 +241,11 @@ router.put('/users/:id', requireAuth, checkPermission('manage_users'), async (re
 
         await user.update(updateData);
 
+        // Pasife alınan kullanıcının açık oturumları hemen kapatılır
+        if (!user.is_active) {
+            await getSessionStore().destroyUserSessions(user.id);
+        }
+
         res.json({
             success: true,
             message: 'User updated successfully',
@@ -261,12 +274,12 @@ router.put('/users/:id', requireAuth, checkPermission('manage_users'), async (re
 });
 
 // Kullanıcı sil
-router.delete('/users/:id', requireAuth, checkPermission('manage_users'), async (req, res) => {
+router.delete('/users/:id', requireAuth, checkPermission('manage_users'), audit('user.delete', { targetType: 'user', model: User }), async (req, res) => {
     try {
         const userId = req.params.id;
 
         // Kendi hesabını silmeyi engelle
-        if (userId == req.session.userId) {
+        if (userId == req.user.id) {
             return res.status(400).json({
                 success: false,
                 message: 'You cannot delete your own account'
@@ -293,6 +306,7 @@ router.delete('/users/:id', requireAuth, checkPermission('manage_users'), async
             }
         }
 
+        await getSessionStore().destroyUserSessions(user.id);
         await user.destroy();
 
         res.json({
@@ -310,7 +324,10 @@ router.delete('/users/:id', requireAuth, checkPermission('manage_users'), async
 });
 
 // Kullanıcı durumunu değiştir (aktif/pasif)
-router.patch('/users/:id/status', requireAuth, checkPermission('manage_users'), async (req, res) => {
+router.patch('/users/:id/status', requireAuth, checkPermission('manage_users'), audit('user.statusChange', {
+    targetType: 'user',
+    model: User
+}), async (req, res) => {
     try {
         const user = await User.findByPk(req.params.id);
 
@@ -322,7 +339,7 @@ router.patch('/users/:id/status', requireAuth, checkPermission('manage_users'),
         }
 
         // Kendi hesabını deaktif etmeyi engelle
-        if (req.params.id == req.session.userId) {
+        if (req.params.id == req.user.id) {
             return res.status(400).json({
                 success: false,
                 message: 'You cannot deactivate your own account'
@@ -333,6 +350,11 @@ router.patch('/users/:id/status', requireAuth, checkPermission('manage_users'),
 
         await user.update({ is_active });
 
+        // Pasife alınan kullanıcı zorla çıkış yapar
+        if (!user.is_active) {
+            await getSessionStore().destroyUserSessions(user.id);
+        }
+
         res.json({
             success: true,
             message: `User ${is_active ? 'activated' : 'deactivated'} successfully`,
@@ -349,7 +371,7 @@ router.patch('/users/:id/status', requireAuth, checkPermission('manage_users'),
 });
 
 // Sistem istatistikleri
-router.get('/stats', requireAuth, async (req, res) => {
+router.get('/stats', requireAuth, checkPermission('view'), async (req, res) => {
     try {
         const totalUsers = await User.count();
         const activeUsers = await User.count({ where: { is_active: true } });
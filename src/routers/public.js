@@ -1,10 +1,59 @@
 const express = require('express');
 const path = require('path');
+const { Op } = require('sequelize');
 const { Stream, Camera, Category, StreamCategory } = require('../models');
 const { getStreamService } = require('../services/stream');
+const { getViewerTracker } = require('../services/viewers');
+const { getAccessControl } = require('../services/access');
+const { signHlsUrl } = require('../services/playbackTokens');
+const { getSnapshotService } = require('../services/snapshots');
+const { getStreamScheduler } = require('../services/scheduler');
 
 const router = express.Router();
 const streamService = getStreamService();
+const viewerTracker = getViewerTracker();
+const accessControl = getAccessControl();
+const snapshotService = getSnapshotService();
+const scheduler = getStreamScheduler();
+
+// Giriş yapmış kullanıcı erişim kuralları kapsamındaki yayınları da görür
+function getVisibility(req) {
+    return accessControl.getVisibility(req.session ? req.session.userId : null);
+}
+
+// Listelenen yayınlar: çalışanlar ve ilk izleyicide başlayan isteğe bağlı yayınlar
+// Zamanlaması o an kapalı olan yayınlar listelenmez
+function playableWhere() {
+    const closedStreamIds = scheduler.closedStreamIds();
+    return {
+        is_active: true,
+        [Op.or]: [{ status: 'streaming' }, { on_demand: true }],
+        ...(closedStreamIds.length > 0 ? { [Op.and]: [{ id: { [Op.notIn]: closedStreamIds } }] } : {})
+    };
+}
+
+// Çalışan yayın 'live', henüz başlatılmamış isteğe bağlı yayın 'available'
+function publicStatus(stream) {
+    return stream.status === 'streaming' ? 'live' : 'available';
+}
+
+// Oynatma bilgisi - HLS URL'i istemciye özel, süreli token ile imzalanır
+function playbackFields(stream, req) {
+    const signed = signHlsUrl(stream.hls_url, stream.stream_name, { ip: req.ip });
+    return {
+        streamUrl: signed.url,
+        playbackToken: signed.token,
+        tokenExpiresAt: signed.expiresAt
+    };
+}
+
+// Önizleme görüntüsü URL'leri - kartlarda oynatıcı başlatmadan kameranın ne gösterdiği görülür
+function previewFields(stream) {
+    return {
+        snapshotUrl: `/api/streams/${stream.id}/snapshot.jpg`,
+        thumbnailUrl: `/api/streams/${stream.id}/thumbnail.jpg`
+    };
+}
 
 // Ana sayfa
 router.get('/', (req, res) => {
@@ -15,34 +64,38 @@ router.get('/', (req, res) => {
 // Kategorileri listele - PUBLIC API
 router.get('/api/categories/public', async (req, res) => {
     try {
+        const visibility = await getVisibility(req);
+
         const categories = await Category.findAll({
             where: { is_active: true },
             include: [{
                 model: Stream,
                 as: 'streams',
-                attributes: [],
+                attributes: ['id'],
                 where: {
-                    is_active: true,
-                    status: 'streaming'
+                    ...playableWhere(),
+                    ...accessControl.streamWhere(visibility)
                 },
+                through: { attributes: [] },
                 required: false
             }],
-            attributes: [
-                'id', 'name', 'description', 'color', 'icon', 'sort_order',
-                [require('sequelize').fn('COUNT', require('sequelize').col('streams.id')), 'stream_count']
-            ],
-            group: ['Category.id'],
+            attributes: ['id', 'name', 'description', 'color', 'icon', 'sort_order'],
             order: [['sort_order', 'ASC']]
         });
 
-        const publicCategories = categories.map(category => ({
-            id: category.id,
-            name: category.name,
-            description: category.description,
-            color: category.color,
-            icon: category.icon,
-            streamCount: parseInt(category.getDataValue('stream_count')) || 0
-        }));
+        // Kullanıcının erişebildiği kategoriler ve görebildiği yayın içeren kategoriler listelenir
+        const publicCategories = categories
+            .filter(category => visibility.all ||
+                visibility.categoryIds.has(category.id) ||
+                category.streams.length > 0)
+            .map(category => ({
+                id: category.id,
+                name: category.name,
+                description: category.description,
+                color: category.color,
+                icon: category.icon,
+                streamCount: category.streams.length
+            }));
 
         res.json({
             success: true,
@@ -61,10 +114,11 @@ router.get('/api/categories/public', async (req, res) => {
 router.get('/api/streams/public', async (req, res) => {
     try {
         const { category } = req.query; // ?category=uuid şeklinde
+        const visibility = await getVisibility(req);
 
         let whereCondition = {
-            is_active: true,
-            status: 'streaming'
+            ...playableWhere(),
+            ...accessControl.streamWhere(visibility)
         };
 
         let includeConditions = [{
@@ -101,12 +155,13 @@ router.get('/api/streams/public', async (req, res) => {
             id: stream.id,
             name: stream.stream_name,
             location: stream.camera.name,
-            status: 'live', // Sadece streaming olanları aldığımız için
-            streamUrl: stream.hls_url,
+            status: publicStatus(stream),
+            ...playbackFields(stream, req),
+            ...previewFields(stream),
             brand: stream.camera.brand,
             model: stream.camera.model,
             resolution: stream.resolution,
-            viewers: 0,
+            viewers: viewerTracker.getCount(stream.stream_name),
             categories: stream.categories ? stream.categories.map(cat => ({
                 id: cat.id,
                 name: cat.name,
@@ -129,15 +184,47 @@ router.get('/api/streams/public', async (req, res) => {
     }
 });
 
+// Eşzamanlı izleyici sayıları - PUBLIC API (stream id => izleyici)
+router.get('/api/streams/viewers/public', async (req, res) => {
+    try {
+        const visibility = await getVisibility(req);
+
+        const streams = await Stream.findAll({
+            where: {
+                ...playableWhere(),
+                ...accessControl.streamWhere(visibility)
+            },
+            attributes: ['id', 'stream_name']
+        });
+
+        const viewers = {};
+        streams.forEach(stream => {
+            viewers[stream.id] = viewerTracker.getCount(stream.stream_name);
+        });
+
+        res.json({
+            success: true,
+            data: viewers
+        });
+    } catch (error) {
+        console.error('Public viewers API error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'İzleyici sayıları alınamadı'
+        });
+    }
+});
+
 // Kategoriye göre yayın sayısı - PUBLIC API
 router.get('/api/categories/:categoryId/streams/count', async (req, res) => {
     try {
         const { categoryId } = req.params;
+        const visibility = await getVisibility(req);
 
         const count = await Stream.count({
             where: {
-                is_active: true,
-                status: 'streaming'
+                ...playableWhere(),
+                ...accessControl.streamWhere(visibility)
             },
             include: [{
                 model: Camera,
@@ -179,10 +266,12 @@ router.post('/api/streams/by-categories', async (req, res) => {
             });
         }
 
+        const visibility = await getVisibility(req);
+
         const streams = await Stream.findAll({
             where: {
-                is_active: true,
-                status: 'streaming'
+                ...playableWhere(),
+                ...accessControl.streamWhere(visibility)
             },
             include: [{
                 model: Camera,
@@ -204,12 +293,13 @@ router.post('/api/streams/by-categories', async (req, res) => {
             id: stream.id,
             name: stream.stream_name,
             location: stream.camera.name,
-            status: 'live',
-            streamUrl: stream.hls_url,
+            status: publicStatus(stream),
+            ...playbackFields(stream, req),
+            ...previewFields(stream),
             brand: stream.camera.brand,
             model: stream.camera.model,
             resolution: stream.resolution,
-            viewers: 0,
+            viewers: viewerTracker.getCount(stream.stream_name),
             categories: stream.categories.map(cat => ({
                 id: cat.id,
                 name: cat.name,
@@ -232,4 +322,54 @@ router.post('/api/streams/by-categories', async (req, res) => {
     }
 });
 
+// Yayının son karesi (snapshot.jpg) veya küçük önizlemesi (thumbnail.jpg) - PUBLIC API
+// Erişim kurallarına tabidir; çalışmayan yayınlar için kameraya sadece giriş yapmış kullanıcılar bağlanabilir
+router.get('/api/streams/:id/:variant(snapshot|thumbnail).jpg', async (req, res) => {
+    try {
+        const userId = req.session ? req.session.userId : null;
+        const stream = await Stream.findByPk(req.params.id, {
+            include: [{ model: Camera, as: 'camera', attributes: ['brand'] }]
+        });
+
+        if (!stream) {
+            return res.status(404).json({
+                success: false,
+                message: 'Yayın bulunamadı'
+            });
+        }
+
+        if (!await accessControl.canViewStream(userId, stream.stream_name)) {
+            return res.status(userId ? 403 : 401).json({
+                success: false,
+                message: 'Bu yayını görüntüleme yetkiniz yok'
+            });
+        }
+
+        const snapshot = await snapshotService.getSnapshot(stream, { allowRtsp: !!userId });
+        const image = req.params.variant === 'thumbnail' ? snapshot.thumbnail : snapshot.image;
+
+        res.set({
+            'Content-Type': 'image/jpeg',
+            'Cache-Control': `private, max-age=${snapshotService.refreshSeconds}`,
+            'Last-Modified': snapshot.capturedAt.toUTCString(),
+            'X-Snapshot-Source': snapshot.source
+        });
+        res.send(image);
+    } catch (error) {
+        if (error.name === 'SnapshotError') {
+            return res.status(error.code === 'NOT_AVAILABLE' ? 404 : 503).json({
+                success: false,
+                message: 'Önizleme görüntüsü alınamadı',
+                error: error.message
+            });
+        }
+
+        console.error('Stream snapshot API error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Önizleme görüntüsü alınamadı'
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,37 @@
+const express = require('express');
+const path = require('path');
+const { resolveStreamFile } = require('../middleware/streamAccess');
+const { trackViewers } = require('../middleware/viewerTracking');
+const { requirePlaybackToken, serveSignedPlaylist } = require('../middleware/playbackToken');
+const { startOnDemandStream } = require('../middleware/onDemand');
+
+const router = express.Router();
+
+const PUBLIC_DIR = path.join(__dirname, '../../public');
+const STREAM_DIR = path.join(PUBLIC_DIR, 'stream');
+
+// Genel public bağlantısı stream klasörünü sunmaz: /static/./stream/... veya /static//stream/...
+// gibi yollar express.static'te normalize edilip token zincirini atlayarak sunulurdu
+const blockStreamDirectory = (req, res, next) => {
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(req.path);
+    } catch (error) {
+        return res.status(400).end();
+    }
+
+    const normalized = path.posix.normalize(`/${decodedPath}`);
+    if (normalized === '/stream' || normalized.startsWith('/stream/')) {
+        return res.status(404).end();
+    }
+    next();
+};
+
+// HLS istekleri önce imzalı token doğrulamasından ve yayın çözümlemesinden,
+// sonra isteğe bağlı yayın başlatma ve izleyici sayımından geçer; playlist'ler token eklenerek yeniden yazılır
+// (erişim kuralları token verilirken uygulanır, token yayın adına bağlıdır). Segmentler zincirin sonunda sunulur
+router.use('/stream', requirePlaybackToken, resolveStreamFile, startOnDemandStream, trackViewers, serveSignedPlaylist,
+    express.static(STREAM_DIR));
+router.use(blockStreamDirectory, express.static(PUBLIC_DIR));
+
+module.exports = router;
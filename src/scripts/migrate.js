@@ -0,0 +1,66 @@
+// scripts/migrate.js
+// Veritabanı şema migration'larını çalıştırır (src/migrations).
+//
+// Kullanım:
+//   npm run migrate                        bekleyen tüm migration'ları çalıştırır
+//   npm run migrate -- --to <dosya>        verilen migration dahil olmak üzere çalıştırır
+//   npm run migrate:down                   son migration'ı geri alır
+//   npm run migrate:down -- --to <dosya>   verilen migration dahil sonrakilerin hepsini geri alır
+//   npm run migrate:status                 migration durumlarını listeler
+require('dotenv').config();
+
+const { sequelize } = require('../config/database');
+const { getMigrationRunner } = require('../services/migrations');
+
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const toIndex = rest.indexOf('--to');
+    return {
+        command,
+        to: toIndex !== -1 ? rest[toIndex + 1] || null : null
+    };
+}
+
+const logMigrated = verb => ({ name, duration }) => console.log(`✅ ${verb} ${name} (${duration}ms)`);
+
+async function main() {
+    const { command, to } = parseArgs(process.argv.slice(2));
+    const runner = getMigrationRunner();
+
+    if (command === 'up') {
+        const done = await runner.up({ to, onMigrated: logMigrated('Migrated') });
+        console.log(done.length ? `✅ ${done.length} migration(s) executed` : '✅ Database schema is up to date');
+        return 0;
+    }
+
+    if (command === 'down') {
+        const done = await runner.down({ to, onMigrated: logMigrated('Reverted') });
+        console.log(done.length ? `✅ ${done.length} migration(s) reverted` : '✅ No executed migrations to revert');
+        return 0;
+    }
+
+    if (command === 'status') {
+        const icons = { executed: '✅', pending: '⏳', missing: '❓' };
+        const migrations = await runner.status();
+        for (const { name, state } of migrations) {
+            console.log(`${icons[state]} ${state.padEnd(8)} ${name}`);
+        }
+        const pending = migrations.filter(migration => migration.state === 'pending').length;
+        console.log(`\n${migrations.length} migration(s), ${pending} pending`);
+        return 0;
+    }
+
+    console.error(`❌ Unknown command: ${command} (expected up, down or status)`);
+    return 1;
+}
+
+main()
+    .then(async (code) => {
+        await sequelize.close();
+        process.exit(code);
+    })
+    .catch(async (error) => {
+        console.error('❌ Migration failed:', error.message);
+        await sequelize.close();
+        process.exit(1);
+    });
@@ -0,0 +1,63 @@
+// scripts/rotateCredentialsKey.js
+// Kamera şifrelerini ve 2FA gizli anahtarlarını CREDENTIALS_KEY ile yeniden sarar.
+//
+// Rotasyon:
+//   CREDENTIALS_KEY=<yeni> CREDENTIALS_KEY_PREVIOUS=<eski> npm run credentials:rotate
+// Eski düz metin kayıtlar da aynı komutla şifrelenir.
+require('dotenv').config();
+
+const { Op } = require('sequelize');
+const { sequelize, Stream, User } = require('../models');
+const { rewrapSecret, isEncrypted } = require('../services/credentials');
+
+/**
+ * Kayıtların şifreli alanını yeniden sarar
+ * Dönen değer: { checked, rewrapped, encrypted, failed }
+ */
+async function rotateField(records, field, label) {
+    const result = { checked: records.length, rewrapped: 0, encrypted: 0, failed: 0 };
+
+    for (const record of records) {
+        try {
+            const wasEncrypted = isEncrypted(record[field]);
+            const value = rewrapSecret(record[field]);
+
+            if (value === record[field]) continue;
+
+            // beforeSave hook'u şifreli değeri tekrar şifrelemez
+            await record.update({ [field]: value });
+            wasEncrypted ? result.rewrapped++ : result.encrypted++;
+        } catch (error) {
+            result.failed++;
+            console.error(`❌ ${label(record)}: ${error.message}`);
+        }
+    }
+
+    return result;
+}
+
+async function rotate() {
+    const streams = await Stream.findAll({ attributes: ['id', 'stream_name', 'password'] });
+    const streamResult = await rotateField(streams, 'password', stream => stream.stream_name);
+    console.log(`✅ ${streamResult.checked} streams checked: ${streamResult.rewrapped} re-wrapped, ${streamResult.encrypted} plaintext encrypted, ${streamResult.failed} failed`);
+
+    const users = await User.findAll({
+        where: { totp_secret: { [Op.ne]: null } },
+        attributes: ['id', 'username', 'totp_secret']
+    });
+    const userResult = await rotateField(users, 'totp_secret', user => user.username);
+    console.log(`✅ ${userResult.checked} 2FA secrets checked: ${userResult.rewrapped} re-wrapped, ${userResult.encrypted} plaintext encrypted, ${userResult.failed} failed`);
+
+    return streamResult.failed + userResult.failed;
+}
+
+rotate()
+    .then(async (failed) => {
+        await sequelize.close();
+        process.exit(failed ? 1 : 0);
+    })
+    .catch(async (error) => {
+        console.error('❌ Credential rotation failed:', error.message);
+        await sequelize.close();
+        process.exit(1);
+    });
@@ -0,0 +1,170 @@
+// services/access.js
+// Kategori/yayın erişim kuralları - hangi kullanıcının hangi yayınları izleyebileceğini hesaplar
+const { Op } = require('sequelize');
+const { getRolePermissions } = require('../config/permissions');
+const { getEventBus } = require('./events');
+
+// HLS segment istekleri sık geldiği için sonuçlar kısa süre önbelleğe alınır
+const CACHE_TTL_MS = parseInt(process.env.ACCESS_CACHE_TTL_MS) || 15000;
+
+// Bu olaylardan sonra görünürlük değişmiş olabilir
+const INVALIDATING_EVENTS = /^(category\.|access\.|group\.|stream\.(created|updated|deleted|categoriesChanged))/;
+
+class AccessControl {
+    constructor(eventBus) {
+        // 'anon' veya kullanıcı id => { visibility, expiresAt }
+        this.cache = new Map();
+
+        eventBus.on('event', ({ type }) => {
+            if (this.affectsVisibility(type)) {
+                this.invalidate();
+            }
+        });
+    }
+
+    affectsVisibility(eventType) {
+        return INVALIDATING_EVENTS.test(eventType);
+    }
+
+    invalidate() {
+        this.cache.clear();
+    }
+
+    /**
+     * Kullanıcının görebildiği yayınlar
+     * Dönen değer: { all, streamIds: Set, streamNames: Set, categoryIds: Set }
+     * all=true ise (kamera yönetimi yetkisi) kısıtlama yoktur
+     */
+    async getVisibility(userId) {
+        const key = userId ? String(userId) : 'anon';
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.visibility;
+        }
+
+        const visibility = await this.computeVisibility(userId);
+        this.cache.set(key, {
+            visibility,
+            expiresAt: Date.now() + CACHE_TTL_MS
+        });
+
+        return visibility;
+    }
+
+    async computeVisibility(userId) {
+        const { User, Category, Stream, StreamCategory, GroupMember, AccessRule } = require('../models');
+
+        let user = null;
+        if (userId) {
+            user = await User.findByPk(userId, { attributes: ['id', 'role', 'is_active'] });
+            if (user && !user.is_active) {
+                user = null;
+            }
+        }
+
+        if (user && getRolePermissions(user.role).includes('manage_cameras')) {
+            return { all: true, streamIds: new Set(), streamNames: new Set(), categoryIds: new Set() };
+        }
+
+        const categoryIds = new Set();
+        const streamIds = new Set();
+
+        // Anonim kategoriler herkese açık
+        const publicCategories = await Category.findAll({
+            where: { is_active: true, is_public: true },
+            attributes: ['id']
+        });
+        publicCategories.forEach(category => categoryIds.add(category.id));
+
+        // Hiçbir kategoriye bağlı olmayan yayınlar kural gelmeden önceki gibi herkese açık kalır;
+        // kısıtlamak için yayını herkese açık olmayan bir kategoriye bağlamak yeterli
+        const uncategorizedStreams = await Stream.findAll({
+            attributes: ['id'],
+            include: [{
+                model: Category,
+                as: 'categories',
+                attributes: [],
+                through: { attributes: [] },
+                required: false
+            }],
+            where: { '$categories.id$': null }
+        });
+        uncategorizedStreams.forEach(stream => streamIds.add(stream.id));
+
+        if (user) {
+            const memberships = await GroupMember.findAll({
+                where: { user_id: user.id },
+                attributes: ['group_id']
+            });
+
+            const rules = await AccessRule.findAll({
+                where: {
+                    [Op.or]: [
+                        { subject_type: 'user', subject_id: String(user.id) },
+                        { subject_type: 'group', subject_id: memberships.map(member => member.group_id) }
+                    ]
+                }
+            });
+
+            const grantedCategoryIds = rules
+                .filter(rule => rule.resource_type === 'category')
+                .map(rule => rule.resource_id);
+
+            if (grantedCategoryIds.length > 0) {
+                const activeCategories = await Category.findAll({
+                    where: { id: grantedCategoryIds, is_active: true },
+                    attributes: ['id']
+                });
+                activeCategories.forEach(category => categoryIds.add(category.id));
+            }
+
+            rules
+                .filter(rule => rule.resource_type === 'stream')
+                .forEach(rule => streamIds.add(rule.resource_id));
+        }
+
+        if (categoryIds.size > 0) {
+            const relations = await StreamCategory.findAll({
+                where: { category_id: [...categoryIds] },
+                attributes: ['stream_id']
+            });
+            relations.forEach(relation => streamIds.add(relation.stream_id));
+        }
+
+        const streams = streamIds.size > 0
+            ? await Stream.findAll({ where: { id: [...streamIds] }, attributes: ['id', 'stream_name'] })
+            : [];
+
+        return {
+            all: false,
+            streamIds: new Set(streams.map(stream => stream.id)),
+            streamNames: new Set(streams.map(stream => stream.stream_name)),
+            categoryIds
+        };
+    }
+
+    /**
+     * Sequelize where koşulu - kısıtlama yoksa boş nesne
+     */
+    streamWhere(visibility) {
+        return visibility.all ? {} : { id: [...visibility.streamIds] };
+    }
+
+    async canViewStream(userId, streamName) {
+        const visibility = await this.getVisibility(userId);
+        return visibility.all || visibility.streamNames.has(streamName);
+    }
+}
+
+// Singleton pattern
+let accessControlInstance = null;
+
+module.exports = {
+    getAccessControl: () => {
+        if (!accessControlInstance) {
+            accessControlInstance = new AccessControl(getEventBus());
+        }
+        return accessControlInstance;
+    },
+    AccessControl
+};
@@ -0,0 +1,138 @@
+// services/apiTokens.js
+// Makine istemcileri için Bearer token üretimi ve doğrulaması
+const crypto = require('crypto');
+const { PERMISSIONS, getRolePermissions } = require('../config/permissions');
+
+const TOKEN_PREFIX = 'ark_';
+const TOKEN_TYPES = ['personal', 'service'];
+// last_used_at her istekte değil, en fazla bu aralıkta bir yazılır
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+
+class ApiTokenError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ApiTokenError';
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Formdan gelen scope değerini diziye çevirir ('view,create' veya ['view', 'create'])
+ */
+function parseScopes(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(list.map(scope => String(scope).trim()).filter(Boolean))];
+}
+
+/**
+ * Token'ın geçerli izinleri: kapsamlar ile sahibinin güncel rolünün kesişimi
+ * (rolü düşürülen kullanıcının token'ları da otomatik daralır)
+ */
+function getEffectiveScopes(token, user) {
+    const rolePermissions = getRolePermissions(user.role);
+    return token.getScopes().filter(scope => rolePermissions.includes(scope));
+}
+
+/**
+ * Yeni token oluşturur - düz metin token sadece bu çağrıda döner, veritabanında özeti saklanır
+ */
+async function issueToken(user, { name, type = 'personal', scopes, expiresInDays } = {}) {
+    const { ApiToken } = require('../models');
+
+    if (!name || !String(name).trim()) {
+        throw new ApiTokenError('Token adı zorunludur');
+    }
+    if (!TOKEN_TYPES.includes(type)) {
+        throw new ApiTokenError(`Geçersiz token tipi: ${type}`);
+    }
+
+    const rolePermissions = getRolePermissions(user.role);
+    if (type === 'service' && !rolePermissions.includes('manage_users')) {
+        throw new ApiTokenError('Servis token\'ı oluşturmak için yönetici yetkisi gerekli', 403);
+    }
+
+    const scopeList = parseScopes(scopes);
+    if (scopeList.length === 0) {
+        throw new ApiTokenError('En az bir yetki kapsamı seçilmelidir');
+    }
+
+    const unknown = scopeList.filter(scope => !PERMISSIONS.includes(scope));
+    if (unknown.length > 0) {
+        throw new ApiTokenError(`Geçersiz yetki kapsamı: ${unknown.join(', ')}`);
+    }
+
+    const exceeding = scopeList.filter(scope => !rolePermissions.includes(scope));
+    if (exceeding.length > 0) {
+        throw new ApiTokenError(`Rolünüz bu kapsamlara sahip değil: ${exceeding.join(', ')}`, 403);
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null && expiresInDays !== '') {
+        const days = parseInt(expiresInDays);
+        if (isNaN(days) || days < 1 || days > 3650) {
+            throw new ApiTokenError('Geçerlilik süresi 1-3650 gün arasında olmalıdır');
+        }
+        expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const plainToken = TOKEN_PREFIX + crypto.randomBytes(30).toString('base64url');
+
+    const record = await ApiToken.create({
+        name: String(name).trim(),
+        type,
+        token_prefix: plainToken.slice(0, 12),
+        token_hash: hashToken(plainToken),
+        user_id: user.id,
+        scopes: scopeList.join(','),
+        expires_at: expiresAt
+    });
+
+    return { token: plainToken, record };
+}
+
+/**
+ * Authorization başlığındaki token'ı doğrular
+ * Geçersiz, iptal edilmiş, süresi dolmuş veya sahibi pasif token'larda null döner
+ */
+async function authenticateToken(plainToken, { ip } = {}) {
+    const { ApiToken, User } = require('../models');
+
+    if (!plainToken || !plainToken.startsWith(TOKEN_PREFIX)) {
+        return null;
+    }
+
+    const token = await ApiToken.findOne({
+        where: { token_hash: hashToken(plainToken) },
+        include: [{ model: User, as: 'user' }]
+    });
+
+    if (!token || !token.isUsable() || !token.user || !token.user.is_active) {
+        return null;
+    }
+
+    const lastUsed = token.last_used_at ? new Date(token.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > LAST_USED_THROTTLE_MS) {
+        token.update({ last_used_at: new Date(), last_used_ip: ip || null })
+            .catch(error => console.error('API token usage update error:', error.message));
+    }
+
+    return {
+        token,
+        user: token.user,
+        scopes: getEffectiveScopes(token, token.user)
+    };
+}
+
+module.exports = {
+    issueToken,
+    authenticateToken,
+    getEffectiveScopes,
+    parseScopes,
+    hashToken,
+    ApiTokenError,
+    TOKEN_TYPES
+};
@@ -0,0 +1,86 @@
+// services/audit.js
+// Yönetim işlemlerini denetim kaydına yazar, değişiklik farkını hesaplar
+
+// Değeri hiçbir zaman kayda geçmeyen alanlar - sadece değiştiği bilgisi tutulur
+const SENSITIVE_FIELDS = ['password', 'token_hash', 'totp_secret', 'totp_recovery_codes', 'totp_last_step'];
+// Her güncellemede değişen, farka gürültü katan alanlar
+const IGNORED_FIELDS = ['updated_at', 'created_at', 'last_login', 'last_used_at', 'last_used_ip'];
+const MASK = '***';
+
+/**
+ * Model örneği veya düz nesneyi karşılaştırılabilir düz nesneye çevirir
+ */
+function toPlain(value) {
+    if (!value) return null;
+    if (typeof value.get === 'function') {
+        return value.get({ plain: true });
+    }
+    return JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Önceki ve sonraki durum arasındaki fark: { alan: { from, to } }
+ * Oluşturmada before, silmede after boştur
+ */
+function diff(before, after) {
+    const from = toPlain(before) || {};
+    const to = toPlain(after) || {};
+    const changes = {};
+
+    for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const oldValue = from[field];
+        const newValue = to[field];
+        // İlişkili kayıtlar (include) farka girmez
+        if ((oldValue && typeof oldValue === 'object' && !(oldValue instanceof Date)) ||
+            (newValue && typeof newValue === 'object' && !(newValue instanceof Date))) {
+            continue;
+        }
+        if (isEqual(oldValue, newValue)) continue;
+
+        changes[field] = SENSITIVE_FIELDS.includes(field)
+            ? { from: oldValue == null ? null : MASK, to: newValue == null ? null : MASK }
+            : { from: oldValue === undefined ? null : oldValue, to: newValue === undefined ? null : newValue };
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Denetim kaydı oluşturur - kayıt hatası işlemi bozmaz, sadece loglanır
+ */
+async function recordAudit(req, { action, targetType = null, targetId = null, before = null, after = null, details = null, actor = null }) {
+    const { AuditLog } = require('../models');
+    const user = actor || req.user || null;
+
+    try {
+        const changes = diff(before, after);
+
+        return await AuditLog.create({
+            actor_id: user ? user.id : null,
+            actor_username: user ? user.username : null,
+            api_token_id: req.apiToken ? req.apiToken.id : null,
+            action,
+            target_type: targetType,
+            target_id: targetId !== null && targetId !== undefined ? String(targetId) : null,
+            changes: changes ? JSON.stringify(changes) : null,
+            details: details ? JSON.stringify(details) : null,
+            ip_address: req.ip || null,
+            user_agent: req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null
+        });
+    } catch (error) {
+        console.error(`Audit log error (${action}):`, error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    recordAudit,
+    diff,
+    SENSITIVE_FIELDS
+};
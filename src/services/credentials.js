@@ -0,0 +1,175 @@
+// services/credentials.js
+// Kamera şifreleri için envelope encryption:
+// her değer rastgele bir veri anahtarıyla (DEK) şifrelenir, DEK de ortamdaki ana anahtarla (KEK) sarılır.
+// Anahtar rotasyonunda sadece DEK yeniden sarılır, veri tekrar şifrelenmez.
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+class CredentialsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CredentialsError';
+    }
+}
+
+/**
+ * Ortam değişkenindeki anahtarı 32 byte'a çevirir (base64 veya hex, 32 byte)
+ */
+function parseKey(value) {
+    const raw = String(value).trim();
+    const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+
+    if (key.length !== 32) {
+        throw new CredentialsError('Şifreleme anahtarı 32 byte olmalıdır (base64 veya 64 karakter hex)');
+    }
+    return key;
+}
+
+/**
+ * Anahtar kimliği - şifreli değerin hangi KEK ile sarıldığını belirtir
+ */
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * CREDENTIALS_KEY (güncel) ve CREDENTIALS_KEY_PREVIOUS (virgülle ayrılmış eski anahtarlar)
+ */
+function loadKeys() {
+    if (!process.env.CREDENTIALS_KEY) {
+        throw new CredentialsError('CREDENTIALS_KEY ortam değişkeni tanımlı değil');
+    }
+
+    const current = parseKey(process.env.CREDENTIALS_KEY);
+    const previous = (process.env.CREDENTIALS_KEY_PREVIOUS || '')
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean)
+        .map(parseKey);
+
+    const keys = {};
+    [current, ...previous].forEach(key => {
+        keys[keyId(key)] = key;
+    });
+
+    return { current, currentId: keyId(current), keys };
+}
+
+function seal(key, plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+}
+
+function open(key, sealed) {
+    const buffer = Buffer.from(sealed, 'base64');
+    const iv = buffer.subarray(0, IV_LENGTH);
+    const tag = buffer.subarray(IV_LENGTH, IV_LENGTH + 16);
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + 16)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Düz metni şifreler: enc:v1:<kid>:<sarılmış DEK>:<şifreli veri>
+ */
+function encryptSecret(plaintext) {
+    if (plaintext === null || plaintext === undefined || isEncrypted(plaintext)) {
+        return plaintext;
+    }
+
+    const { current, currentId } = loadKeys();
+    const dataKey = crypto.randomBytes(32);
+
+    return [
+        PREFIX,
+        currentId,
+        seal(current, dataKey),
+        seal(dataKey, Buffer.from(String(plaintext), 'utf8'))
+    ].join(':');
+}
+
+function unwrapDataKey(value) {
+    const [, , kid, wrappedKey, payload] = value.split(':');
+    const { keys } = loadKeys();
+
+    if (!keys[kid]) {
+        throw new CredentialsError(`Şifreli değer bilinmeyen bir anahtarla (${kid}) sarılmış`);
+    }
+
+    try {
+        return { kid, dataKey: open(keys[kid], wrappedKey), payload };
+    } catch (error) {
+        throw new CredentialsError('Veri anahtarı çözülemedi - anahtar hatalı veya değer bozuk');
+    }
+}
+
+/**
+ * Şifreli değeri çözer - eski düz metin kayıtlar olduğu gibi döner
+ */
+function decryptSecret(value) {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const { dataKey, payload } = unwrapDataKey(value);
+    try {
+        return open(dataKey, payload).toString('utf8');
+    } catch (error) {
+        throw new CredentialsError('Şifreli değer çözülemedi');
+    }
+}
+
+/**
+ * Değerin DEK'ini güncel anahtarla yeniden sarar (rotasyon); düz metni şifreler
+ * Değişiklik yoksa aynı değeri döner
+ */
+function rewrapSecret(value) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (!isEncrypted(value)) {
+        return encryptSecret(value);
+    }
+
+    const { current, currentId } = loadKeys();
+    const { kid, dataKey, payload } = unwrapDataKey(value);
+    if (kid === currentId) {
+        return value;
+    }
+
+    return [PREFIX, currentId, seal(current, dataKey), payload].join(':');
+}
+
+/**
+ * Uygulama başlarken anahtarın tanımlı ve geçerli olduğunu kontrol eder
+ */
+function assertKeyConfigured() {
+    loadKeys();
+}
+
+/**
+ * URL içindeki kimlik bilgilerini gizler: rtsp://admin:secret@ip => rtsp://admin:***@ip
+ */
+function maskRtspUrl(url) {
+    if (!url) return url;
+    return String(url).replace(/(rtsps?:\/\/)([^:@\/\s]+):(\S*)@/gi, '$1$2:***@');
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    rewrapSecret,
+    isEncrypted,
+    assertKeyConfigured,
+    maskRtspUrl,
+    CredentialsError
+};
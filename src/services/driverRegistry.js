@@ -0,0 +1,217 @@
+// services/driverRegistry.js
+// Kamera markası sürücüleri - RTSP URL şablonları, varsayılan port ve kanal numaralandırması
+const path = require('path');
+const fs = require('fs');
+
+const BUILTIN_DRIVERS_DIR = path.join(__dirname, '../drivers');
+const FALLBACK_DRIVER = 'generic';
+const VARIANTS = ['main', 'sub'];
+
+class DriverError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DriverError';
+    }
+}
+
+/**
+ * Marka adını karşılaştırma için normalize eder ("Hikvision " => "hikvision")
+ */
+function normalizeBrand(brand) {
+    return String(brand || '').trim().toLowerCase();
+}
+
+/**
+ * Formdan URL-encoded gelmiş şifreleri çözer - geçersiz encoding'de olduğu gibi bırakır
+ */
+function decodeCredential(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Şablondaki {değişken} veya {değişken:genişlik} alanlarını doldurur
+ * Örn: '/h264Preview_{channel:2}_main' + { channel: 1 } => '/h264Preview_01_main'
+ */
+function renderTemplate(template, values) {
+    return template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, key, width) => {
+        if (values[key] === undefined || values[key] === null) {
+            return match;
+        }
+        const value = String(values[key]);
+        return width ? value.padStart(parseInt(width), '0') : value;
+    });
+}
+
+class DriverRegistry {
+    constructor() {
+        this.loadFileDrivers();
+    }
+
+    /**
+     * Yerleşik ve DRIVERS_DIR klasöründeki sürücüleri sıfırdan yükler
+     */
+    loadFileDrivers() {
+        this.drivers = {};
+        this.aliases = {};
+
+        this.loadDirectory(BUILTIN_DRIVERS_DIR, 'builtin');
+
+        // Ek sürücü klasörü - kod değişikliği olmadan yeni marka eklemek için
+        if (process.env.DRIVERS_DIR) {
+            this.loadDirectory(path.resolve(process.env.DRIVERS_DIR), 'directory');
+        }
+    }
+
+    /**
+     * Sürücü tanımını doğrular ve kaydeder (aynı id'li önceki sürücüyü ezer)
+     */
+    register(definition, source = 'builtin') {
+        const id = normalizeBrand(definition.id);
+        if (!id) {
+            throw new DriverError('Sürücü id alanı zorunludur');
+        }
+        if (!definition.templates || !definition.templates.main) {
+            throw new DriverError(`${id} sürücüsü için main URL şablonu zorunludur`);
+        }
+
+        const driver = {
+            id,
+            name: definition.name || definition.id,
+            aliases: (definition.aliases || []).map(normalizeBrand).filter(Boolean),
+            defaultPort: parseInt(definition.defaultPort) || 554,
+            channelBase: definition.channelBase !== undefined ? parseInt(definition.channelBase) : 1,
+            templates: {
+                main: definition.templates.main,
+                sub: definition.templates.sub || definition.templates.main
+            },
+            resolvePort: typeof definition.resolvePort === 'function' ? definition.resolvePort : null,
+            source
+        };
+
+        this.drivers[id] = driver;
+        driver.aliases.forEach(alias => {
+            this.aliases[alias] = id;
+        });
+
+        return driver;
+    }
+
+    /**
+     * Klasördeki her .js dosyasını bir sürücü olarak yükler
+     */
+    loadDirectory(directory, source) {
+        if (!fs.existsSync(directory)) {
+            console.warn(`[Drivers] Directory not found: ${directory}`);
+            return [];
+        }
+
+        const loaded = [];
+        for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.js')).sort()) {
+            try {
+                loaded.push(this.register(require(path.join(directory, file)), source).id);
+            } catch (error) {
+                console.error(`[Drivers] Failed to load ${file}:`, error.message);
+            }
+        }
+
+        return loaded;
+    }
+
+    /**
+     * brand_profiles tablosundaki aktif profilleri yükler - dosya sürücülerini ezer
+     */
+    async loadFromDatabase() {
+        const { BrandProfile } = require('../models');
+
+        const profiles = await BrandProfile.findAll({ where: { is_active: true } });
+
+        // Silinmiş/pasifleştirilmiş profiller kalmasın diye baştan yükle
+        this.loadFileDrivers();
+
+        for (const profile of profiles) {
+            try {
+                this.register(profile.toDriverDefinition(), 'database');
+            } catch (error) {
+                console.error(`[Drivers] Invalid brand profile ${profile.brand}:`, error.message);
+            }
+        }
+
+        console.log(`[Drivers] ${Object.keys(this.drivers).length} drivers loaded (${profiles.length} from database)`);
+        return this.listDrivers();
+    }
+
+    /**
+     * Markaya uygun sürücüyü döner - bulunamazsa generic
+     */
+    getDriver(brand) {
+        const key = normalizeBrand(brand);
+        return this.drivers[key] ||
+            this.drivers[this.aliases[key]] ||
+            this.drivers[FALLBACK_DRIVER];
+    }
+
+    /**
+     * Sürücü şablonundan RTSP URL'i oluşturur
+     */
+    buildRtspUrl({ brand, username, password, ip, port, channel = 1, variant = 'main' }) {
+        if (!VARIANTS.includes(variant)) {
+            throw new DriverError(`Geçersiz stream varyantı: ${variant}`);
+        }
+
+        const driver = this.getDriver(brand);
+        let rtspPort = parseInt(port) || driver.defaultPort;
+        if (driver.resolvePort) {
+            rtspPort = driver.resolvePort(rtspPort);
+        }
+
+        // Kayıtlarda kanal 1'den başlar, sürücü farklı numaralandırıyorsa kaydır
+        const deviceChannel = (parseInt(channel) || 1) - 1 + driver.channelBase;
+
+        const streamPath = renderTemplate(driver.templates[variant], {
+            channel: deviceChannel,
+            ip,
+            port: rtspPort
+        });
+
+        const credentials = username ? `${username}:${decodeCredential(password || '')}@` : '';
+        const normalizedPath = streamPath.startsWith('/') ? streamPath : `/${streamPath}`;
+
+        return `rtsp://${credentials}${ip}:${rtspPort}${normalizedPath}`;
+    }
+
+    /**
+     * Admin arayüzü için sürücü listesi
+     */
+    listDrivers() {
+        return Object.values(this.drivers)
+            .map(driver => ({
+                id: driver.id,
+                name: driver.name,
+                aliases: driver.aliases,
+                defaultPort: driver.defaultPort,
+                channelBase: driver.channelBase,
+                templates: driver.templates,
+                source: driver.source
+            }))
+            .sort((a, b) => a.name.localeCompare(b.name, 'tr'));
+    }
+}
+
+// Singleton pattern
+let registryInstance = null;
+
+module.exports = {
+    getDriverRegistry: () => {
+        if (!registryInstance) {
+            registryInstance = new DriverRegistry();
+        }
+        return registryInstance;
+    },
+    DriverRegistry,
+    DriverError,
+    renderTemplate
+};
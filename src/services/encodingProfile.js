@@ -0,0 +1,371 @@
+// services/encodingProfile.js
+// Stream kayıtlarındaki yayın ayarlarını FFmpeg argümanlarına çevirir
+
+// Çıktı web oynatıcıya (hls.js) gider - H.265 tarayıcıların çoğunda oynatılamadığı için sunulmaz
+const VIDEO_CODECS = {
+    h264: 'libx264'
+};
+
+// transcode: her zaman yeniden kodla, copy: kamera H.264 gönderiyorsa remux et
+const VIDEO_MODES = ['transcode', 'copy'];
+
+// HLS (MPEG-TS) içinde tarayıcıların oynatabildiği, kopyalanabilir codec'ler
+const COPY_COMPATIBLE_CODECS = ['h264'];
+
+const PRESETS = [
+    'ultrafast', 'superfast', 'veryfast', 'faster', 'fast',
+    'medium', 'slow', 'slower', 'veryslow'
+];
+
+const DEFAULT_PROFILE = {
+    resolution: '1280x720',
+    fps: 25,
+    bitrate: '800k',
+    audioBitrate: '128k',
+    videoCodec: 'h264',
+    preset: 'veryfast',
+    gop: null, // null => fps * hls_time (her segment bir keyframe ile başlar)
+    audioEnabled: true,
+    videoMode: 'transcode'
+};
+
+// Çoklu kalite (adaptive HLS) için hazır profiller - kaynak yayından ölçeklenir
+const RENDITION_PRESETS = {
+    '1080p': { resolution: '1920x1080', bitrate: '4000k' },
+    '720p': { resolution: '1280x720', bitrate: '2000k' },
+    '480p': { resolution: '854x480', bitrate: '1000k' },
+    '360p': { resolution: '640x360', bitrate: '600k' }
+};
+
+// Kameranın ana/alt yayını - rendition olarak kullanılırsa yeniden kodlanmadan kopyalanır
+const SOURCE_VARIANTS = ['main', 'sub'];
+
+const LIMITS = {
+    maxWidth: 3840,
+    maxHeight: 2160,
+    fps: [1, 60],
+    bitrateKbps: [100, 20000],
+    audioBitrateKbps: [32, 320],
+    gop: [1, 600]
+};
+
+class EncodingProfileError extends Error {
+    constructor(message, field) {
+        super(message);
+        this.name = 'EncodingProfileError';
+        this.field = field;
+    }
+}
+
+/**
+ * '800k', '2M', '1500' veya 800 gibi değerleri kbps'e çevirir
+ */
+function parseBitrate(value) {
+    if (typeof value === 'number') {
+        return Math.round(value);
+    }
+
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([kKmM]?)$/);
+    if (!match) {
+        return NaN;
+    }
+
+    const amount = parseFloat(match[1]);
+    return Math.round(match[2].toLowerCase() === 'm' ? amount * 1000 : amount);
+}
+
+function parseResolution(value) {
+    const match = String(value).trim().match(/^(\d{2,4})x(\d{2,4})$/);
+    if (!match) {
+        return null;
+    }
+    return { width: parseInt(match[1]), height: parseInt(match[2]) };
+}
+
+function parseBoolean(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 1 || value === '1' || value === 'true' || value === 'on';
+}
+
+/**
+ * Yayın ayarlarını doğrular ve varsayılanlarla birleştirilmiş efektif ayarları döner
+ */
+function resolveEncodingSettings(config = {}, options = {}) {
+    const segmentDuration = options.segmentDuration || 2;
+
+    const pick = (key) => (config[key] !== undefined && config[key] !== null && config[key] !== ''
+        ? config[key]
+        : DEFAULT_PROFILE[key]);
+
+    // Çözünürlük
+    const resolution = parseResolution(pick('resolution'));
+    if (!resolution) {
+        throw new EncodingProfileError(`Geçersiz çözünürlük: ${config.resolution} (ör. 1280x720)`, 'resolution');
+    }
+    if (resolution.width > LIMITS.maxWidth || resolution.height > LIMITS.maxHeight) {
+        throw new EncodingProfileError(`Çözünürlük en fazla ${LIMITS.maxWidth}x${LIMITS.maxHeight} olabilir`, 'resolution');
+    }
+    if (resolution.width % 2 !== 0 || resolution.height % 2 !== 0) {
+        throw new EncodingProfileError('Çözünürlük genişlik ve yüksekliği çift sayı olmalıdır', 'resolution');
+    }
+
+    // FPS
+    const fps = parseInt(pick('fps'));
+    if (isNaN(fps) || fps < LIMITS.fps[0] || fps > LIMITS.fps[1]) {
+        throw new EncodingProfileError(`FPS ${LIMITS.fps[0]}-${LIMITS.fps[1]} arasında olmalıdır`, 'fps');
+    }
+
+    // Video bitrate
+    const bitrateKbps = parseBitrate(pick('bitrate'));
+    if (isNaN(bitrateKbps) || bitrateKbps < LIMITS.bitrateKbps[0] || bitrateKbps > LIMITS.bitrateKbps[1]) {
+        throw new EncodingProfileError(`Video bitrate ${LIMITS.bitrateKbps[0]}k-${LIMITS.bitrateKbps[1]}k arasında olmalıdır`, 'bitrate');
+    }
+
+    // Codec ve preset
+    const videoCodec = String(pick('videoCodec')).toLowerCase();
+    if (!VIDEO_CODECS[videoCodec]) {
+        throw new EncodingProfileError(`Desteklenmeyen video codec: ${videoCodec}`, 'video_codec');
+    }
+
+    const preset = String(pick('preset')).toLowerCase();
+    if (!PRESETS.includes(preset)) {
+        throw new EncodingProfileError(`Geçersiz preset: ${preset}`, 'preset');
+    }
+
+    // GOP (keyframe aralığı)
+    let gop = pick('gop');
+    if (gop === null) {
+        gop = fps * segmentDuration;
+    } else {
+        gop = parseInt(gop);
+        if (isNaN(gop) || gop < LIMITS.gop[0] || gop > LIMITS.gop[1]) {
+            throw new EncodingProfileError(`GOP ${LIMITS.gop[0]}-${LIMITS.gop[1]} frame arasında olmalıdır`, 'gop');
+        }
+    }
+
+    // Video işleme modu
+    const videoMode = String(pick('videoMode')).toLowerCase();
+    if (!VIDEO_MODES.includes(videoMode)) {
+        throw new EncodingProfileError(`Geçersiz video modu: ${videoMode}`, 'video_mode');
+    }
+
+    // Ses
+    const audioEnabled = parseBoolean(config.audioEnabled, DEFAULT_PROFILE.audioEnabled);
+    const audioBitrateKbps = parseBitrate(pick('audioBitrate'));
+    if (audioEnabled && (isNaN(audioBitrateKbps) ||
+        audioBitrateKbps < LIMITS.audioBitrateKbps[0] || audioBitrateKbps > LIMITS.audioBitrateKbps[1])) {
+        throw new EncodingProfileError(`Ses bitrate ${LIMITS.audioBitrateKbps[0]}k-${LIMITS.audioBitrateKbps[1]}k arasında olmalıdır`, 'audio_bitrate');
+    }
+
+    return {
+        resolution: `${resolution.width}x${resolution.height}`,
+        width: resolution.width,
+        height: resolution.height,
+        fps,
+        videoCodec,
+        encoder: VIDEO_CODECS[videoCodec],
+        preset,
+        gop,
+        bitrate: `${bitrateKbps}k`,
+        maxrate: `${Math.round(bitrateKbps * 1.5)}k`,
+        bufsize: `${Math.round(bitrateKbps * 3)}k`,
+        audioEnabled,
+        audioBitrate: audioEnabled ? `${audioBitrateKbps}k` : null,
+        videoMode
+    };
+}
+
+/**
+ * Efektif ayarlardan FFmpeg video/ses argümanlarını üretir
+ */
+function buildEncodingArgs(settings) {
+    const videoArgs = [
+        '-c:v', settings.encoder,
+        '-preset', settings.preset,
+        '-tune', 'zerolatency',
+        '-b:v', settings.bitrate,
+        '-maxrate', settings.maxrate,
+        '-bufsize', settings.bufsize,
+        '-r', String(settings.fps),
+        '-s', settings.resolution,
+        '-g', String(settings.gop),
+        '-keyint_min', String(settings.gop),
+        '-sc_threshold', '0',
+        '-pix_fmt', 'yuv420p'
+    ];
+
+    return [...videoArgs, ...buildAudioArgs(settings)];
+}
+
+function buildAudioArgs(settings) {
+    return settings.audioEnabled
+        ? ['-c:a', 'aac', '-b:a', settings.audioBitrate, '-ar', '44100']
+        : ['-an'];
+}
+
+/**
+ * Kopya modunda video yeniden kodlanmaz - sadece ses AAC'ye çevrilir
+ */
+function buildCopyProfile(config, options) {
+    const settings = resolveEncodingSettings(config, options);
+    return {
+        settings,
+        args: ['-c:v', 'copy', ...buildAudioArgs(settings)]
+    };
+}
+
+/**
+ * '720p,360p' veya 'main,sub' gibi rendition listesini doğrular
+ */
+function parseRenditions(value) {
+    if (!value) {
+        return [];
+    }
+
+    const names = (Array.isArray(value) ? value : String(value).split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
+
+    for (const name of names) {
+        if (!RENDITION_PRESETS[name] && !SOURCE_VARIANTS.includes(name)) {
+            throw new EncodingProfileError(`Geçersiz kalite: ${name} (${[...Object.keys(RENDITION_PRESETS), ...SOURCE_VARIANTS].join(', ')})`, 'renditions');
+        }
+    }
+
+    if (new Set(names).size !== names.length) {
+        throw new EncodingProfileError('Aynı kalite birden fazla seçilemez', 'renditions');
+    }
+
+    // Tek rendition için master playlist gereksiz - normal mod kullanılır
+    return names.length > 1 ? names : [];
+}
+
+/**
+ * Rendition listesini efektif ayarlara çevirir
+ */
+function resolveRenditions(config = {}, options = {}) {
+    const sourceVariant = config.sourceVariant || 'main';
+    if (!SOURCE_VARIANTS.includes(sourceVariant)) {
+        throw new EncodingProfileError(`Geçersiz kaynak yayın: ${sourceVariant}`, 'source_variant');
+    }
+
+    return parseRenditions(config.renditions).map(name => {
+        if (SOURCE_VARIANTS.includes(name)) {
+            return { name, source: name, passthrough: true, settings: null };
+        }
+
+        return {
+            name,
+            source: sourceVariant,
+            passthrough: false,
+            settings: resolveEncodingSettings({ ...config, ...RENDITION_PRESETS[name] }, options)
+        };
+    });
+}
+
+/**
+ * Her rendition'ı ayrı video çıktısı olarak üretir, var_stream_map ile master playlist'e bağlar
+ * sources: FFmpeg'e sırayla -i olarak verilecek kamera yayınları (main/sub)
+ * options.audioSources: ses içeren kaynaklar (probe sonucu) - verilmezse hepsinde ses olduğu varsayılır
+ */
+function buildAdaptiveProfile(config, options) {
+    const base = resolveEncodingSettings(config, options);
+    const renditions = resolveRenditions(config, options);
+    const sources = [...new Set(renditions.map(rendition => rendition.source))];
+
+    const filters = [];
+    const mapArgs = [];
+    const codecArgs = [];
+    const streamMap = [];
+    // Sessiz kaynaktan gelen varyantlar ses taşımaz, çıktı ses sırası ayrı sayılır
+    let audioIndex = 0;
+
+    renditions.forEach((rendition, index) => {
+        const input = sources.indexOf(rendition.source);
+        const settings = rendition.settings;
+
+        if (rendition.passthrough) {
+            mapArgs.push('-map', `${input}:v:0`);
+            codecArgs.push(`-c:v:${index}`, 'copy');
+        } else {
+            filters.push(`[${input}:v:0]fps=${settings.fps},scale=${settings.width}:${settings.height},format=yuv420p[v${index}]`);
+            mapArgs.push('-map', `[v${index}]`);
+            codecArgs.push(
+                `-c:v:${index}`, settings.encoder,
+                `-preset:v:${index}`, settings.preset,
+                `-tune:v:${index}`, 'zerolatency',
+                `-b:v:${index}`, settings.bitrate,
+                `-maxrate:v:${index}`, settings.maxrate,
+                `-bufsize:v:${index}`, settings.bufsize,
+                `-g:v:${index}`, String(settings.gop),
+                `-keyint_min:v:${index}`, String(settings.gop),
+                `-sc_threshold:v:${index}`, '0'
+            );
+        }
+
+        // Her varyant kendi ses kopyasını taşır - kalite değişiminde ses kesilmez
+        const hasAudio = base.audioEnabled && (!options || !options.audioSources || options.audioSources.includes(rendition.source));
+        if (hasAudio) {
+            mapArgs.push('-map', `${input}:a:0`);
+            streamMap.push(`v:${index},a:${audioIndex},name:${rendition.name}`);
+            audioIndex++;
+        } else {
+            streamMap.push(`v:${index},name:${rendition.name}`);
+        }
+    });
+
+    const audioArgs = audioIndex > 0
+        ? ['-c:a', 'aac', '-b:a', base.audioBitrate, '-ar', '44100']
+        : [];
+
+    return {
+        settings: {
+            ...base,
+            renditions: renditions.map(rendition => ({
+                name: rendition.name,
+                source: rendition.source,
+                passthrough: rendition.passthrough,
+                resolution: rendition.settings ? rendition.settings.resolution : null,
+                bitrate: rendition.settings ? rendition.settings.bitrate : null
+            }))
+        },
+        sources,
+        varStreamMap: streamMap.join(' '),
+        args: [
+            ...(filters.length ? ['-filter_complex', filters.join(';')] : []),
+            ...mapArgs,
+            ...codecArgs,
+            ...audioArgs
+        ]
+    };
+}
+
+/**
+ * Stream config'inden encoding profili oluşturur
+ */
+function buildEncodingProfile(config, options) {
+    const settings = resolveEncodingSettings(config, options);
+    return {
+        settings,
+        args: buildEncodingArgs(settings)
+    };
+}
+
+module.exports = {
+    buildEncodingProfile,
+    resolveEncodingSettings,
+    buildEncodingArgs,
+    parseBitrate,
+    parseRenditions,
+    resolveRenditions,
+    buildAdaptiveProfile,
+    buildCopyProfile,
+    EncodingProfileError,
+    VIDEO_MODES,
+    COPY_COMPATIBLE_CODECS,
+    RENDITION_PRESETS,
+    SOURCE_VARIANTS,
+    VIDEO_CODECS,
+    PRESETS,
+    DEFAULT_PROFILE
+};
@@ -0,0 +1,155 @@
+// services/events.js
+// Admin paneline Server-Sent Events ile anlık olay yayını
+const EventEmitter = require('events');
+const { getStreamService } = require('./stream');
+const { getStreamSupervisor } = require('./supervisor');
+
+const REPLAY_LIMIT = 100;
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+class EventBus extends EventEmitter {
+    constructor(streamService, supervisor) {
+        super();
+        // res => { filter (null ise tüm olaylar), queue }
+        this.clients = new Map();
+        this.history = [];
+        this.lastId = 0;
+
+        this.bridgeStreamEvents(streamService, supervisor);
+        this.startHeartbeat();
+    }
+
+    /**
+     * StreamService ve supervisor olaylarını stream.* olarak yayınlar
+     */
+    bridgeStreamEvents(streamService, supervisor) {
+        streamService.on('started', ({ streamName, pid }) => {
+            this.publish('stream.started', { streamName, pid });
+        });
+        streamService.on('firstSegment', ({ streamName, pid, firstSegmentAt }) => {
+            this.publish('stream.firstSegment', { streamName, pid, firstSegmentAt });
+        });
+        streamService.on('stalled', ({ streamName, reason, message }) => {
+            this.publish('stream.stalled', { streamName, reason, message });
+        });
+        streamService.on('exit', ({ streamName, code, signal, failure }) => {
+            this.publish('stream.exited', {
+                streamName,
+                code,
+                signal,
+                reason: failure ? failure.code : null
+            });
+        });
+        streamService.on('restarted', ({ streamName, pid }) => {
+            this.publish('stream.restarted', { streamName, pid });
+        });
+        streamService.on('stopped', ({ streamName }) => {
+            this.publish('stream.stopped', { streamName });
+        });
+
+        supervisor.on('gaveUp', ({ streamName, attempts, reason }) => {
+            this.publish('stream.gaveUp', { streamName, attempts, reason: reason || null });
+        });
+        supervisor.on('flapping', ({ streamName, restarts }) => {
+            this.publish('stream.flapping', { streamName, restarts });
+        });
+    }
+
+    /**
+     * Olayı bağlı tüm istemcilere gönderir ve tekrar oynatma için saklar
+     */
+    publish(type, data = {}) {
+        const event = {
+            id: ++this.lastId,
+            type,
+            data,
+            at: new Date()
+        };
+
+        this.history.push(event);
+        if (this.history.length > REPLAY_LIMIT) {
+            this.history.shift();
+        }
+
+        for (const [client, entry] of this.clients) {
+            this.deliver(client, entry, event);
+        }
+
+        this.emit('event', event);
+        return event;
+    }
+
+    /**
+     * Filtre async olabilir (ör. erişim kurallarını yeniden yükler); olaylar istemciye yine yayın sırasıyla yazılır
+     */
+    deliver(res, entry, event) {
+        if (!entry.filter) {
+            this.write(res, event);
+            return;
+        }
+
+        entry.queue = entry.queue
+            .then(() => entry.filter(event))
+            .then(allowed => {
+                if (allowed && this.clients.has(res)) {
+                    this.write(res, event);
+                }
+            })
+            .catch(error => console.error(`Event filter error (${event.type}):`, error.message));
+    }
+
+    write(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+    }
+
+    /**
+     * SSE bağlantısını açar; Last-Event-ID verilirse kaçırılan olayları gönderir
+     * filter verilirse sadece true (veya true'ya çözülen promise) döndüğü olaylar bu istemciye yazılır
+     */
+    subscribe(req, res, { filter = null } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Nginx arkasında buffer'lamayı kapat
+            'X-Accel-Buffering': 'no'
+        });
+        res.write('retry: 5000\n\n');
+
+        const entry = { filter, queue: Promise.resolve() };
+        this.clients.set(res, entry);
+
+        const lastEventId = parseInt(req.headers['last-event-id']);
+        if (!isNaN(lastEventId)) {
+            this.history
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.deliver(res, entry, event));
+        }
+
+        req.on('close', () => {
+            this.clients.delete(res);
+        });
+    }
+
+    startHeartbeat() {
+        // Proxy'lerin boşta bağlantıyı kapatmaması için yorum satırı gönder
+        setInterval(() => {
+            for (const client of this.clients.keys()) {
+                client.write(': ping\n\n');
+            }
+        }, HEARTBEAT_INTERVAL);
+    }
+}
+
+// Singleton pattern
+let eventBusInstance = null;
+
+module.exports = {
+    getEventBus: () => {
+        if (!eventBusInstance) {
+            eventBusInstance = new EventBus(getStreamService(), getStreamSupervisor());
+        }
+        return eventBusInstance;
+    },
+    EventBus
+};
@@ -0,0 +1,119 @@
+// services/ffmpegErrors.js
+// FFmpeg stderr çıktısını yapılandırılmış hata sebeplerine çevirir
+
+/**
+ * Bilinen hata kalıpları - ilk eşleşen kazanır
+ * retryable: false olan hatalarda supervisor yeniden denemez (şifre, yanlış path vb.)
+ */
+const ERROR_PATTERNS = [
+    {
+        code: 'AUTH_FAILED',
+        pattern: /401 Unauthorized|Unauthorized|authorization failed/i,
+        message: 'Kamera kimlik doğrulaması başarısız (kullanıcı adı/şifre hatalı)',
+        retryable: false
+    },
+    {
+        code: 'STREAM_NOT_FOUND',
+        pattern: /404 Not Found|Stream not found|method DESCRIBE failed: 404/i,
+        message: 'Kamerada istenen RTSP yolu/kanal bulunamadı',
+        retryable: false
+    },
+    {
+        code: 'CONNECTION_REFUSED',
+        pattern: /Connection refused/i,
+        message: 'Kamera bağlantıyı reddetti (port kapalı veya RTSP devre dışı)',
+        retryable: true
+    },
+    {
+        code: 'HOST_UNREACHABLE',
+        pattern: /No route to host|Network is unreachable|Name or service not known/i,
+        message: 'Kameraya ağ üzerinden ulaşılamıyor',
+        retryable: true
+    },
+    {
+        code: 'TIMEOUT',
+        pattern: /Connection timed out|timed out|Operation timed out/i,
+        message: 'Kamera bağlantısı zaman aşımına uğradı',
+        retryable: true
+    }
+];
+
+/**
+ * Hata koduna göre yapılandırılmış sebep nesnesi oluşturur
+ */
+function createFailure(code, message, { retryable = true, detail = null, exitCode = null } = {}) {
+    return {
+        code,
+        message,
+        retryable,
+        detail,
+        exitCode,
+        at: new Date()
+    };
+}
+
+/**
+ * stderr satırlarından hata sebebini çıkarır
+ */
+function classifyFFmpegError(stderrLines = [], exitCode = null) {
+    const output = Array.isArray(stderrLines) ? stderrLines.join('\n') : String(stderrLines);
+
+    for (const entry of ERROR_PATTERNS) {
+        const match = output.split('\n').find(line => entry.pattern.test(line));
+        if (match) {
+            return createFailure(entry.code, entry.message, {
+                retryable: entry.retryable,
+                detail: match.trim(),
+                exitCode
+            });
+        }
+    }
+
+    const lastLine = output.trim().split('\n').pop() || null;
+    return createFailure('FFMPEG_EXIT', `FFmpeg beklenmedik şekilde kapandı (kod ${exitCode})`, {
+        detail: lastLine,
+        exitCode
+    });
+}
+
+/**
+ * error_message kolonuna yazılacak JSON metni
+ */
+function serializeFailure(failure) {
+    return JSON.stringify({
+        code: failure.code,
+        message: failure.message,
+        detail: failure.detail || null,
+        exitCode: failure.exitCode !== undefined ? failure.exitCode : null,
+        at: failure.at || new Date(),
+        ...(failure.flapping ? { flapping: true } : {})
+    });
+}
+
+/**
+ * error_message kolonundaki değeri okur - eski düz metin kayıtları da desteklenir
+ */
+function parseFailure(errorMessage) {
+    if (!errorMessage) {
+        return null;
+    }
+
+    try {
+        const parsed = JSON.parse(errorMessage);
+        if (parsed && parsed.code) {
+            return parsed;
+        }
+    } catch (error) {
+        // Düz metin
+    }
+
+    return { code: 'UNKNOWN', message: errorMessage };
+}
+
+module.exports = {
+    classifyFFmpegError,
+    createFailure,
+    serializeFailure,
+    parseFailure,
+    ERROR_PATTERNS
+};
@@ -0,0 +1,127 @@
+// services/loginGuard.js
+// Giriş denemeleri için IP ve hesap bazında hız sınırı ve kademeli kilitleme
+// Durum bellekte tutulur; bilinmeyen kullanıcı adları da aynı şekilde sayılır (hesap varlığı sızdırılmaz)
+
+const IP_RATE_LIMIT = parseInt(process.env.LOGIN_IP_RATE_LIMIT) || 10;
+const IP_RATE_WINDOW_MS = 60 * 1000;
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES) || 5;
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const LOCKOUT_MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600) * 1000;
+// Son hatalı denemeden bu kadar süre sonra sayaç sıfırlanır
+const FAILURE_RESET_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+class LoginGuard {
+    constructor() {
+        // anahtar => { failures, lockedUntil, lastFailureAt }
+        this.accounts = new Map();
+        this.ips = new Map();
+        // ip => deneme zamanları (hız sınırı)
+        this.attempts = new Map();
+
+        setInterval(() => this.prune(), PRUNE_INTERVAL_MS).unref();
+    }
+
+    accountKey(username) {
+        return String(username || '').trim().toLowerCase();
+    }
+
+    /**
+     * Deneme yapılabilir mi?
+     * Dönen değer: { allowed, retryAfter (sn), reason: 'rate' | 'ip' | 'account' }
+     */
+    check(ip, username) {
+        const now = Date.now();
+
+        const recent = (this.attempts.get(ip) || []).filter(at => at > now - IP_RATE_WINDOW_MS);
+        recent.push(now);
+        this.attempts.set(ip, recent);
+
+        if (recent.length > IP_RATE_LIMIT) {
+            return this.blocked('rate', recent[0] + IP_RATE_WINDOW_MS - now);
+        }
+
+        const ipRecord = this.ips.get(ip);
+        if (ipRecord && ipRecord.lockedUntil > now) {
+            return this.blocked('ip', ipRecord.lockedUntil - now);
+        }
+
+        const accountRecord = username ? this.accounts.get(this.accountKey(username)) : null;
+        if (accountRecord && accountRecord.lockedUntil > now) {
+            return this.blocked('account', accountRecord.lockedUntil - now);
+        }
+
+        return { allowed: true, retryAfter: 0, reason: null };
+    }
+
+    blocked(reason, remainingMs) {
+        return { allowed: false, retryAfter: Math.ceil(remainingMs / 1000), reason };
+    }
+
+    /**
+     * Hatalı şifre veya 2FA kodu - eşik aşılınca kilit süresi her hatada ikiye katlanır
+     */
+    recordFailure(ip, username) {
+        this.fail(this.ips, ip, IP_MAX_FAILURES);
+        if (username) {
+            this.fail(this.accounts, this.accountKey(username), ACCOUNT_MAX_FAILURES);
+        }
+    }
+
+    fail(map, key, threshold) {
+        const now = Date.now();
+        let record = map.get(key);
+        if (!record || now - record.lastFailureAt > FAILURE_RESET_MS) {
+            record = { failures: 0, lockedUntil: 0, lastFailureAt: now };
+        }
+
+        record.failures++;
+        record.lastFailureAt = now;
+
+        if (record.failures >= threshold) {
+            const duration = LOCKOUT_BASE_MS * 2 ** (record.failures - threshold);
+            record.lockedUntil = now + Math.min(duration, LOCKOUT_MAX_MS);
+        }
+
+        map.set(key, record);
+    }
+
+    /**
+     * Başarılı giriş hesabın sayacını sıfırlar (IP sayacı kendiliğinden sönümlenir)
+     */
+    recordSuccess(username) {
+        this.accounts.delete(this.accountKey(username));
+    }
+
+    prune() {
+        const now = Date.now();
+
+        for (const map of [this.accounts, this.ips]) {
+            for (const [key, record] of map) {
+                if (record.lockedUntil < now && now - record.lastFailureAt > FAILURE_RESET_MS) {
+                    map.delete(key);
+                }
+            }
+        }
+
+        for (const [ip, times] of this.attempts) {
+            if (!times.some(at => at > now - IP_RATE_WINDOW_MS)) {
+                this.attempts.delete(ip);
+            }
+        }
+    }
+}
+
+// Singleton pattern
+let loginGuardInstance = null;
+
+module.exports = {
+    getLoginGuard: () => {
+        if (!loginGuardInstance) {
+            loginGuardInstance = new LoginGuard();
+        }
+        return loginGuardInstance;
+    },
+    LoginGuard
+};
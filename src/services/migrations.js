@@ -0,0 +1,218 @@
+// services/migrations.js
+// Veritabanı şema migration'larını sırayla çalıştırır, çalışanları SequelizeMeta tablosunda tutar
+//
+// Migration dosyaları src/migrations/YYYYMMDDHHMMSS-aciklama.js biçimindedir ve
+// sequelize-cli ile aynı arayüzü kullanır: { up(queryInterface, Sequelize), down(queryInterface, Sequelize) }
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, DataTypes } = require('sequelize');
+
+const META_TABLE = 'SequelizeMeta';
+const MIGRATION_FILE_PATTERN = /^\d{14}-[\w-]+\.js$/;
+
+class MigrationError extends Error {
+    constructor(message, migration = null) {
+        super(message);
+        this.name = 'MigrationError';
+        this.migration = migration;
+    }
+}
+
+class MigrationRunner {
+    constructor(sequelize, directory) {
+        this.sequelize = sequelize;
+        this.directory = directory;
+    }
+
+    get queryInterface() {
+        return this.sequelize.getQueryInterface();
+    }
+
+    async ensureMetaTable() {
+        await this.queryInterface.createTable(META_TABLE, {
+            name: {
+                type: DataTypes.STRING(255),
+                allowNull: false,
+                primaryKey: true
+            }
+        });
+    }
+
+    /**
+     * Dizindeki migration dosyaları (isme, dolayısıyla tarihe göre sıralı)
+     */
+    listFiles() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        return fs.readdirSync(this.directory)
+            .filter(file => MIGRATION_FILE_PATTERN.test(file))
+            .sort();
+    }
+
+    async executed() {
+        await this.ensureMetaTable();
+        const rows = await this.sequelize.query(`SELECT name FROM \`${META_TABLE}\` ORDER BY name ASC`, {
+            type: Sequelize.QueryTypes.SELECT
+        });
+        return rows.map(row => row.name);
+    }
+
+    async pending() {
+        const executed = new Set(await this.executed());
+        return this.listFiles().filter(file => !executed.has(file));
+    }
+
+    /**
+     * Her migration'ın durumu - dosyası silinmiş ama çalışmış kayıtlar missing olarak döner
+     */
+    async status() {
+        const executed = await this.executed();
+        const files = this.listFiles();
+        const result = files.map(name => ({ name, state: executed.includes(name) ? 'executed' : 'pending' }));
+
+        for (const name of executed) {
+            if (!files.includes(name)) {
+                result.push({ name, state: 'missing' });
+            }
+        }
+
+        return result.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    load(name) {
+        const migration = require(path.join(this.directory, name));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+            throw new MigrationError(`${name} must export up() and down()`, name);
+        }
+        return migration;
+    }
+
+    // MySQL'de DDL komutları transaction içinde geri alınamaz; hata veren migration kayda geçmez,
+    // yarım kalan değişiklikler elle düzeltilmelidir
+    async run(name, direction) {
+        const migration = this.load(name);
+        const started = Date.now();
+
+        try {
+            await migration[direction](this.queryInterface, Sequelize);
+        } catch (error) {
+            throw new MigrationError(`${name} (${direction}) failed: ${error.message}`, name);
+        }
+
+        if (direction === 'up') {
+            await this.queryInterface.bulkInsert(META_TABLE, [{ name }]);
+        } else {
+            await this.queryInterface.bulkDelete(META_TABLE, { name });
+        }
+
+        return { name, duration: Date.now() - started };
+    }
+
+    /**
+     * Bekleyen migration'ları çalıştırır (to verilirse o migration dahil durur)
+     */
+    async up({ to = null, onMigrated = null } = {}) {
+        const pending = await this.pending();
+        if (to && !pending.includes(to)) {
+            throw new MigrationError(`${to} is not a pending migration`, to);
+        }
+
+        const targets = to ? pending.slice(0, pending.indexOf(to) + 1) : pending;
+        const done = [];
+        for (const name of targets) {
+            const result = await this.run(name, 'up');
+            done.push(result);
+            if (onMigrated) onMigrated(result);
+        }
+        return done;
+    }
+
+    /**
+     * Son migration'ı geri alır; to verilirse o migration dahil sonrakilerin hepsi geri alınır
+     */
+    async down({ to = null, onMigrated = null } = {}) {
+        const executed = await this.executed();
+        if (executed.length === 0) {
+            return [];
+        }
+        if (to && !executed.includes(to)) {
+            throw new MigrationError(`${to} has not been executed`, to);
+        }
+
+        const targets = (to ? executed.slice(executed.indexOf(to)) : executed.slice(-1)).reverse();
+        const files = this.listFiles();
+        const missing = targets.find(name => !files.includes(name));
+        if (missing) {
+            throw new MigrationError(`${missing} is recorded as executed but its file is missing`, missing);
+        }
+
+        const done = [];
+        for (const name of targets) {
+            const result = await this.run(name, 'down');
+            done.push(result);
+            if (onMigrated) onMigrated(result);
+        }
+        return done;
+    }
+}
+
+// Migration yardımcıları - sync() ile oluşturulmuş mevcut veritabanlarında da güvenle çalışır
+// (sync eksik tabloları oluşturur ama var olan tablolara sütun eklemez)
+
+async function createTableIfMissing(queryInterface, table, attributes, options = {}) {
+    if (await queryInterface.tableExists(table)) {
+        return false;
+    }
+    await queryInterface.createTable(table, attributes, options);
+    return true;
+}
+
+async function addColumnIfMissing(queryInterface, table, column, definition) {
+    const columns = await queryInterface.describeTable(table);
+    if (columns[column]) {
+        return false;
+    }
+    await queryInterface.addColumn(table, column, definition);
+    return true;
+}
+
+async function removeColumnIfExists(queryInterface, table, column) {
+    const columns = await queryInterface.describeTable(table);
+    if (!columns[column]) {
+        return false;
+    }
+    await queryInterface.removeColumn(table, column);
+    return true;
+}
+
+// İsim verilmezse Sequelize'ın sync() ile aynı isimlendirmesi kullanılır (tablo_alan1_alan2)
+async function addIndexIfMissing(queryInterface, table, fields, options = {}) {
+    const name = options.name || `${table}_${fields.join('_')}`;
+    const indexes = await queryInterface.showIndex(table);
+    if (indexes.some(index => index.name === name)) {
+        return false;
+    }
+    await queryInterface.addIndex(table, fields, { ...options, name });
+    return true;
+}
+
+// Singleton pattern
+let migrationRunnerInstance = null;
+
+module.exports = {
+    getMigrationRunner: () => {
+        if (!migrationRunnerInstance) {
+            const { sequelize } = require('../config/database');
+            migrationRunnerInstance = new MigrationRunner(sequelize, path.join(__dirname, '..', 'migrations'));
+        }
+        return migrationRunnerInstance;
+    },
+    createTableIfMissing,
+    addColumnIfMissing,
+    removeColumnIfExists,
+    addIndexIfMissing,
+    MigrationRunner,
+    MigrationError,
+    META_TABLE
+};
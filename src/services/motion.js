@@ -0,0 +1,463 @@
+// services/motion.js
+// CPU ile hareket algılama: hareket algılaması açık her canlı yayın için kameranın alt yayınından (sub)
+// küçültülmüş gri kareler okuyan ayrı bir FFmpeg süreci çalışır; ardışık kareler arasındaki fark
+// algılama bölgeleri bazında ölçülür ve hareket olayları (motion_events) olarak kaydedilir
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { Op } = require('sequelize');
+const { getStreamService } = require('./stream');
+const { getEventBus } = require('./events');
+const { getSnapshotService } = require('./snapshots');
+const { maskRtspUrl } = require('./credentials');
+
+// Tüm görüntünün bu orandan fazlası aynı anda değişirse (ışık açılıp kapanması, gece moduna geçiş)
+// hareket sayılmaz
+const LIGHTING_CHANGE_RATIO = 0.6;
+
+class MotionConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MotionConfigError';
+        this.code = 'INVALID_MOTION_CONFIG';
+    }
+}
+
+/**
+ * Algılama bölgelerini çözer: her satır veya ';' ile ayrılmış parça bir dikdörtgendir,
+ * 'x,y,genişlik,yükseklik' görüntünün yüzdesi olarak (0-100). Boş değer tüm görüntü demektir
+ */
+function parseMotionZones(value) {
+    if (!value) return [];
+
+    return String(value)
+        .split(/[;\n]/)
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map((part, index) => {
+            const numbers = part.split(',').map(number => Number(number.trim()));
+            if (numbers.length !== 4 || numbers.some(number => !Number.isFinite(number))) {
+                throw new MotionConfigError(`${index + 1}. bölge "x,y,genişlik,yükseklik" biçiminde olmalıdır`);
+            }
+
+            const [x, y, width, height] = numbers;
+            if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > 100 || y + height > 100) {
+                throw new MotionConfigError(`${index + 1}. bölge görüntünün dışına taşıyor (değerler yüzde olarak 0-100)`);
+            }
+            return { x, y, width, height };
+        });
+}
+
+function formatMotionZones(zones) {
+    return zones.map(zone => [zone.x, zone.y, zone.width, zone.height].join(',')).join(';');
+}
+
+/**
+ * Hassasiyet (1-100) => piksel parlaklık farkı eşiği ve hareket sayılan değişen alan oranı
+ */
+function motionThresholds(sensitivity) {
+    const level = Math.min(100, Math.max(1, parseInt(sensitivity) || 50)) / 100;
+    return {
+        pixel: Math.round(60 - level * 50),
+        area: 0.002 + (1 - level) * 0.1
+    };
+}
+
+/**
+ * İki gri kare arasındaki fark: tüm karede ve her bölgede değişen piksel oranı
+ */
+function compareFrames(previous, current, { width, height, zones, pixelThreshold }) {
+    const changed = new Uint8Array(width * height);
+    let changedTotal = 0;
+
+    for (let i = 0; i < changed.length; i++) {
+        if (Math.abs(current[i] - previous[i]) >= pixelThreshold) {
+            changed[i] = 1;
+            changedTotal++;
+        }
+    }
+
+    const rects = zones.length > 0 ? zones : [{ x: 0, y: 0, width: 100, height: 100 }];
+    const zoneRatios = rects.map(zone => {
+        const x0 = Math.floor(zone.x / 100 * width);
+        const y0 = Math.floor(zone.y / 100 * height);
+        const x1 = Math.max(x0 + 1, Math.round((zone.x + zone.width) / 100 * width));
+        const y1 = Math.max(y0 + 1, Math.round((zone.y + zone.height) / 100 * height));
+
+        let count = 0;
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                count += changed[y * width + x];
+            }
+        }
+        return count / ((x1 - x0) * (y1 - y0));
+    });
+
+    return {
+        frame: changedTotal / changed.length,
+        zones: zoneRatios
+    };
+}
+
+class MotionDetector {
+    constructor(streamService, eventBus, snapshotService) {
+        this.streamService = streamService;
+        this.eventBus = eventBus;
+        this.snapshotService = snapshotService;
+        // streamName => analiz durumu
+        this.detectors = {};
+
+        this.snapshotDir = process.env.MOTION_SNAPSHOT_DIR
+            ? path.resolve(process.env.MOTION_SNAPSHOT_DIR)
+            : path.join(__dirname, '../../motion');
+        this.frameWidth = parseInt(process.env.MOTION_FRAME_WIDTH) || 160;
+        this.frameHeight = parseInt(process.env.MOTION_FRAME_HEIGHT) || 90;
+        this.fps = parseFloat(process.env.MOTION_FPS) || 2;
+        // Tek karelik gürültü (sıkıştırma hatası, böcek) olay açmaz
+        this.triggerFrames = parseInt(process.env.MOTION_TRIGGER_FRAMES) || 2;
+        this.cooldownMs = (parseInt(process.env.MOTION_COOLDOWN_SECONDS) || 10) * 1000;
+        this.retentionDays = parseFloat(process.env.MOTION_RETENTION_DAYS) || 30;
+        this.sourceVariant = process.env.MOTION_SOURCE_VARIANT === 'main' ? 'main' : 'sub';
+        this.restartDelay = 10000;
+
+        if (!fs.existsSync(this.snapshotDir)) {
+            fs.mkdirSync(this.snapshotDir, { recursive: true });
+        }
+
+        // Analiz yayınla birlikte başlar ve durur; ayarlar sadece yayın durmuşken değiştirilebilir
+        this.streamService.on('started', ({ streamName }) => {
+            const streamInfo = this.streamService.activeStreams[streamName];
+            if (streamInfo && streamInfo.config.motionEnabled) {
+                this.start(streamName, streamInfo.config)
+                    .catch(error => console.error(`[Motion ${streamName}] Could not start: ${error.message}`));
+            }
+        });
+        this.streamService.on('stopped', ({ streamName }) => {
+            this.stop(streamName)
+                .catch(error => console.error(`[Motion ${streamName}] Could not stop: ${error.message}`));
+        });
+
+        this.startRetentionJob();
+    }
+
+    async start(streamName, config) {
+        if (this.detectors[streamName]) {
+            return;
+        }
+
+        const { Stream } = require('../models');
+        const stream = await Stream.findOne({ where: { stream_name: streamName }, attributes: ['id'] });
+        if (!stream) {
+            return;
+        }
+
+        let zones = [];
+        try {
+            zones = parseMotionZones(config.motionZones);
+        } catch (error) {
+            console.warn(`[Motion ${streamName}] ${error.message}, using the whole frame`);
+        }
+
+        const detector = {
+            streamName,
+            streamId: stream.id,
+            config,
+            zones,
+            thresholds: motionThresholds(config.motionSensitivity),
+            process: null,
+            buffer: Buffer.alloc(0),
+            previous: null,
+            motionFrames: 0,
+            lastMotionAt: 0,
+            event: null,
+            lastEventAt: null,
+            restartTimer: null,
+            stopping: false
+        };
+        this.detectors[streamName] = detector;
+
+        this.spawnAnalyzer(detector);
+    }
+
+    // Alt yayın tanımlı olmayan markalarda ana yayın kullanılır
+    buildRtspUrl(config) {
+        const args = [config.brand, config.username, config.password, config.ip, config.port, config.channel || 1];
+        try {
+            return this.streamService.generateRTSPUrl(...args, this.sourceVariant);
+        } catch (error) {
+            return this.streamService.generateRTSPUrl(...args, 'main');
+        }
+    }
+
+    spawnAnalyzer(detector) {
+        const { streamName } = detector;
+        const frameSize = this.frameWidth * this.frameHeight;
+
+        const ffmpegArgs = [
+            '-loglevel', 'error',
+
+            '-rtsp_transport', 'tcp',
+            '-i', this.buildRtspUrl(detector.config),
+
+            // Saniyede birkaç küçük gri kare - bulanıklaştırma sensör gürültüsünü azaltır
+            '-an',
+            '-vf', `fps=${this.fps},scale=${this.frameWidth}:${this.frameHeight},format=gray,boxblur=2:1`,
+            '-f', 'rawvideo',
+            '-pix_fmt', 'gray',
+            'pipe:1'
+        ];
+
+        console.log(`[Motion ${streamName}] Starting analyzer (${this.sourceVariant}, ${this.fps} fps)`);
+
+        const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+        detector.process = ffmpegProcess;
+        detector.buffer = Buffer.alloc(0);
+        detector.previous = null;
+
+        ffmpegProcess.stdout.on('data', (chunk) => {
+            detector.buffer = Buffer.concat([detector.buffer, chunk]);
+            while (detector.buffer.length >= frameSize) {
+                const frame = Buffer.from(detector.buffer.subarray(0, frameSize));
+                detector.buffer = detector.buffer.subarray(frameSize);
+                this.analyzeFrame(detector, frame);
+            }
+        });
+
+        ffmpegProcess.stderr.on('data', (data) => {
+            console.log(`[Motion ${streamName}] ${maskRtspUrl(data.toString().trim())}`);
+        });
+
+        ffmpegProcess.on('error', (error) => {
+            console.error(`[Motion ${streamName}] FFmpeg could not be started: ${error.message}`);
+        });
+
+        ffmpegProcess.on('close', (code) => {
+            // Analiz durdurulduysa veya yerine yenisi geldiyse bir şey yapma
+            if (this.detectors[streamName] !== detector || detector.stopping) {
+                return;
+            }
+
+            console.log(`[Motion ${streamName}] analyzer exited with code ${code}, restarting in ${this.restartDelay / 1000}s`);
+            if (detector.event) {
+                this.closeEvent(detector);
+            }
+            detector.restartTimer = setTimeout(() => {
+                if (this.detectors[streamName] === detector && !detector.stopping) {
+                    this.spawnAnalyzer(detector);
+                }
+            }, this.restartDelay);
+        });
+    }
+
+    analyzeFrame(detector, frame, now = Date.now()) {
+        const previous = detector.previous;
+        detector.previous = frame;
+        if (!previous) {
+            return;
+        }
+
+        const result = compareFrames(previous, frame, {
+            width: this.frameWidth,
+            height: this.frameHeight,
+            zones: detector.zones,
+            pixelThreshold: detector.thresholds.pixel
+        });
+
+        const triggered = result.zones
+            .map((ratio, index) => (ratio >= detector.thresholds.area ? index : -1))
+            .filter(index => index >= 0);
+
+        if (triggered.length > 0 && result.frame < LIGHTING_CHANGE_RATIO) {
+            const score = Math.max(...result.zones);
+            detector.motionFrames++;
+            detector.lastMotionAt = now;
+
+            if (detector.event) {
+                detector.event.peakScore = Math.max(detector.event.peakScore, score);
+                triggered.forEach(index => detector.event.zones.add(index));
+            } else if (detector.motionFrames >= this.triggerFrames) {
+                this.openEvent(detector, score, triggered, frame);
+            }
+            return;
+        }
+
+        detector.motionFrames = 0;
+        if (detector.event && now - detector.lastMotionAt >= this.cooldownMs) {
+            this.closeEvent(detector);
+        }
+    }
+
+    openEvent(detector, score, zones, frame) {
+        const { MotionEvent } = require('../models');
+        const event = {
+            startedAt: new Date(),
+            peakScore: score,
+            zones: new Set(zones),
+            record: null
+        };
+        detector.event = event;
+
+        // Kayıt ve görüntü arka planda yazılır, kare analizi beklemez
+        event.ready = (async () => {
+            event.record = await MotionEvent.create({
+                stream_id: detector.streamId,
+                started_at: event.startedAt,
+                peak_score: score,
+                zones: detector.zones.length > 0 ? zones.join(',') : null
+            });
+
+            this.eventBus.publish('stream.motionStarted', {
+                id: event.record.id,
+                streamName: detector.streamName
+            });
+
+            const image = await this.captureSnapshot(detector, frame);
+            const fileName = `${event.record.id}.jpg`;
+            await fs.promises.writeFile(path.join(this.snapshotDir, fileName), image);
+            await event.record.update({ snapshot: fileName });
+        })().catch(error => {
+            console.error(`[Motion ${detector.streamName}] Could not save event: ${error.message}`);
+        });
+    }
+
+    async closeEvent(detector) {
+        const event = detector.event;
+        if (!event) return;
+
+        detector.event = null;
+        detector.lastEventAt = new Date();
+        const endedAt = new Date();
+
+        await event.ready;
+        if (!event.record) return;
+
+        try {
+            await event.record.update({
+                ended_at: endedAt,
+                peak_score: event.peakScore,
+                zones: detector.zones.length > 0 ? [...event.zones].sort((a, b) => a - b).join(',') : null
+            });
+
+            this.eventBus.publish('stream.motionEnded', {
+                id: event.record.id,
+                streamName: detector.streamName,
+                duration: Math.round((endedAt - event.startedAt) / 1000)
+            });
+        } catch (error) {
+            console.error(`[Motion ${detector.streamName}] Could not close event: ${error.message}`);
+        }
+    }
+
+    /**
+     * Olay görüntüsü - yayının son segmentinden renkli kare, alınamazsa analiz karesi
+     */
+    async captureSnapshot(detector, frame) {
+        try {
+            const entry = await this.snapshotService.refresh(detector.streamName, 'output');
+            return entry.image;
+        } catch (error) {
+            return sharp(frame, {
+                raw: { width: this.frameWidth, height: this.frameHeight, channels: 1 }
+            }).jpeg().toBuffer();
+        }
+    }
+
+    async stop(streamName) {
+        const detector = this.detectors[streamName];
+        if (!detector) {
+            return;
+        }
+
+        detector.stopping = true;
+        clearTimeout(detector.restartTimer);
+        delete this.detectors[streamName];
+
+        if (detector.process) {
+            detector.process.kill('SIGTERM');
+        }
+        await this.closeEvent(detector);
+
+        console.log(`[Motion ${streamName}] Analyzer stopped`);
+    }
+
+    /**
+     * Yayının hareket algılama durumu (analiz çalışmıyorsa null)
+     */
+    getState(streamName) {
+        const detector = this.detectors[streamName];
+        if (!detector) {
+            return null;
+        }
+
+        return {
+            active: !!detector.event,
+            since: detector.event ? detector.event.startedAt : null,
+            lastEventAt: detector.lastEventAt,
+            zones: detector.zones.length
+        };
+    }
+
+    getSnapshotPath(fileName) {
+        if (!fileName) return null;
+        const filePath = path.join(this.snapshotDir, path.basename(fileName));
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    /**
+     * Uygulama kapanırken açık kalan olayları kapatır (bitiş bilinmediği için başlangıç zamanı yazılır)
+     */
+    async closeStaleEvents() {
+        const { MotionEvent, sequelize } = require('../models');
+        const [count] = await MotionEvent.update(
+            { ended_at: sequelize.col('started_at') },
+            { where: { ended_at: null } }
+        );
+        return count;
+    }
+
+    // Eski olaylar ve görüntüleri saatlik olarak silinir
+    startRetentionJob() {
+        setInterval(async () => {
+            try {
+                const { MotionEvent } = require('../models');
+                const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+                const expired = await MotionEvent.findAll({
+                    where: { started_at: { [Op.lt]: cutoff } },
+                    attributes: ['id', 'snapshot']
+                });
+                if (expired.length === 0) return;
+
+                for (const event of expired) {
+                    const filePath = this.getSnapshotPath(event.snapshot);
+                    if (filePath) {
+                        await fs.promises.unlink(filePath).catch(() => {});
+                    }
+                }
+                await MotionEvent.destroy({ where: { id: expired.map(event => event.id) } });
+
+                console.log(`[Motion] Removed ${expired.length} motion event(s) older than ${this.retentionDays} days`);
+            } catch (error) {
+                console.error('Motion retention error:', error.message);
+            }
+        }, 60 * 60 * 1000).unref();
+    }
+}
+
+// Singleton pattern
+let motionDetectorInstance = null;
+
+module.exports = {
+    getMotionDetector: () => {
+        if (!motionDetectorInstance) {
+            motionDetectorInstance = new MotionDetector(getStreamService(), getEventBus(), getSnapshotService());
+        }
+        return motionDetectorInstance;
+    },
+    MotionDetector,
+    MotionConfigError,
+    parseMotionZones,
+    formatMotionZones,
+    motionThresholds,
+    compareFrames
+};
@@ -0,0 +1,255 @@
+// services/onDemand.js
+// İsteğe bağlı (on-demand) yayınlar: FFmpeg ilk playlist isteğinde başlar,
+// belirli bir süre segment istenmezse otomatik durdurulur
+const fs = require('fs');
+const path = require('path');
+const { getStreamService } = require('./stream');
+const { startManagedStream, updateStreamStatus } = require('./streamLifecycle');
+const { getStreamScheduler } = require('./scheduler');
+const { getEventBus } = require('./events');
+
+// Bulunamayan playlist adları kısa süre önbelleğe alınır - aynı adla gelen istekler her seferinde veritabanına gitmez
+const LOOKUP_CACHE_TTL_MS = parseInt(process.env.ON_DEMAND_LOOKUP_CACHE_MS) || 5000;
+const LOOKUP_CACHE_LIMIT = 1000;
+
+// Bu olaylardan sonra bulunamayan yayın artık başlatılabilir olabilir
+const LOOKUP_INVALIDATING_EVENTS = /^(stream|camera|schedule)\./;
+
+class OnDemandError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'OnDemandError';
+        this.code = code;
+    }
+}
+
+class OnDemandManager {
+    constructor(streamService, eventBus) {
+        this.streamService = streamService;
+        // Başlatılan yayının hls_url'i için (app.js ayarlar)
+        this.serverHost = '';
+        // streamName => son segment isteği zamanı
+        this.lastFetch = new Map();
+        // streamName => devam eden başlatma (aynı anda gelen izleyiciler tek süreci bekler)
+        this.starting = new Map();
+        // playlist adı => bulunamadı önbelleğinin bitiş zamanı
+        this.missingLookups = new Map();
+
+        this.idleTimeout = (parseInt(process.env.ON_DEMAND_IDLE_SECONDS) || 60) * 1000;
+        // İlk segmenti bekleme süresi - StreamService başlatma limitinden biraz uzun
+        this.waitTimeout = parseInt(process.env.ON_DEMAND_START_WAIT_MS) || this.streamService.startTimeout + 5000;
+
+        this.streamService.on('stopped', ({ streamName }) => {
+            this.lastFetch.delete(streamName);
+        });
+
+        eventBus.on('event', ({ type }) => {
+            if (LOOKUP_INVALIDATING_EVENTS.test(type)) {
+                this.missingLookups.clear();
+            }
+        });
+
+        this.startIdleJob();
+    }
+
+    setServerHost(serverHost) {
+        this.serverHost = serverHost;
+    }
+
+    isOnDemandActive(streamName) {
+        const streamInfo = this.streamService.activeStreams[streamName];
+        return !!streamInfo && !!streamInfo.config.onDemand;
+    }
+
+    /**
+     * Çalışmayan isteğe bağlı yayını ana playlist adından bulur ('kamera1.m3u8' => kamera1)
+     * Zamanlaması kapalı olan yayın için null döner
+     */
+    async findIdleStream(fileName) {
+        if (!fileName.endsWith('.m3u8')) {
+            return null;
+        }
+
+        const missingUntil = this.missingLookups.get(fileName);
+        if (missingUntil && missingUntil > Date.now()) {
+            return null;
+        }
+
+        const { Stream, Camera } = require('../models');
+        const stream = await Stream.findOne({
+            where: {
+                stream_name: fileName.slice(0, -'.m3u8'.length),
+                on_demand: true,
+                is_active: true
+            },
+            include: [{
+                model: Camera,
+                as: 'camera',
+                where: { is_active: true }
+            }]
+        });
+
+        // Zamanlaması kapalı olan yayın izleyici gelse de başlatılmaz
+        if (!stream || !getStreamScheduler().isOpen('stream', stream.id)) {
+            this.rememberMissing(fileName);
+            return null;
+        }
+
+        this.missingLookups.delete(fileName);
+        return stream;
+    }
+
+    rememberMissing(fileName) {
+        // Rastgele adlarla gelen isteklerde önbellek sınırsız büyümesin
+        if (this.missingLookups.size >= LOOKUP_CACHE_LIMIT) {
+            const now = Date.now();
+            for (const [name, expiresAt] of this.missingLookups) {
+                if (expiresAt <= now) {
+                    this.missingLookups.delete(name);
+                }
+            }
+            if (this.missingLookups.size >= LOOKUP_CACHE_LIMIT) {
+                this.missingLookups.clear();
+            }
+        }
+
+        this.missingLookups.set(fileName, Date.now() + LOOKUP_CACHE_TTL_MS);
+    }
+
+    recordSegmentFetch(streamName) {
+        if (this.isOnDemandActive(streamName)) {
+            this.lastFetch.set(streamName, Date.now());
+        }
+    }
+
+    // İlk segment yazılmış olsa da playlist dosyası oluşana kadar istemciye verilecek bir şey yok
+    isPlayable(streamName) {
+        const status = this.streamService.getStreamStatus(streamName);
+        return !!status && status.status === 'streaming' &&
+            fs.existsSync(path.join(this.streamService.publicPath, `${streamName}.m3u8`));
+    }
+
+    /**
+     * Playlist isteğini yayın oynatılabilir olana kadar bekletir
+     *  - stream verilirse (çalışmayan isteğe bağlı yayın) önce yayın başlatılır
+     *  - başlamakta olan isteğe bağlı yayında ilk segment beklenir
+     * İsteğe bağlı olmayan yayınlarda hemen döner
+     */
+    async whenPlayable(streamName, stream = null) {
+        if (this.isPlayable(streamName)) {
+            return;
+        }
+        if (this.starting.has(streamName)) {
+            return this.starting.get(streamName);
+        }
+        if (stream) {
+            const start = this.start(stream).finally(() => this.starting.delete(streamName));
+            this.starting.set(streamName, start);
+            return start;
+        }
+        if (this.isOnDemandActive(streamName)) {
+            return this.waitUntilPlayable(streamName);
+        }
+    }
+
+    async start(stream) {
+        const streamName = stream.stream_name;
+
+        // Supervisor'ın vazgeçtiği (süreci ölmüş) kayıt varsa temizle
+        const current = this.streamService.getStreamStatus(streamName);
+        if (current && current.status === 'error') {
+            await this.streamService.stopStream(streamName);
+        }
+
+        if (!this.streamService.isStreamActive(streamName)) {
+            console.log(`[OnDemand] Starting ${streamName} for the first viewer`);
+            await startManagedStream(stream, { serverHost: this.serverHost });
+        }
+
+        // Başlatma süresi boşta kalma süresinden sayılmaz
+        this.lastFetch.set(streamName, Date.now());
+        await this.waitUntilPlayable(streamName);
+    }
+
+    waitUntilPlayable(streamName) {
+        return new Promise((resolve, reject) => {
+            const startedAt = Date.now();
+
+            const timer = setInterval(() => {
+                if (this.isPlayable(streamName)) {
+                    clearInterval(timer);
+                    return resolve();
+                }
+
+                const status = this.streamService.getStreamStatus(streamName);
+                if (!status || status.status === 'error') {
+                    clearInterval(timer);
+                    const reason = status && status.failure ? status.failure.message : 'Yayın başlatılamadı';
+                    return reject(new OnDemandError(reason, 'START_FAILED'));
+                }
+
+                if (Date.now() - startedAt > this.waitTimeout) {
+                    clearInterval(timer);
+                    reject(new OnDemandError(`İlk segment ${Math.round(this.waitTimeout / 1000)} sn içinde oluşmadı`, 'START_TIMEOUT'));
+                }
+            }, 250);
+        });
+    }
+
+    /**
+     * idleTimeout boyunca segment istenmeyen isteğe bağlı yayınları durdurur
+     * (yönetici panelinden elle başlatılanlar dahil)
+     */
+    async stopIdleStreams() {
+        const { Stream } = require('../models');
+
+        for (const [streamName, streamInfo] of Object.entries(this.streamService.activeStreams)) {
+            if (!streamInfo.config.onDemand || streamInfo.stopping || this.starting.has(streamName)) {
+                continue;
+            }
+
+            const lastFetch = Math.max(this.lastFetch.get(streamName) || 0, streamInfo.startedAt.getTime());
+            if (Date.now() - lastFetch < this.idleTimeout) {
+                continue;
+            }
+
+            // Bir yayında oluşan hata diğer boştaki yayınların durdurulmasını engellemesin
+            try {
+                console.log(`[OnDemand] Stopping ${streamName}, no segment requests for ${Math.round(this.idleTimeout / 1000)}s`);
+                await this.streamService.stopStream(streamName);
+
+                const stream = await Stream.findOne({ where: { stream_name: streamName } });
+                if (stream) {
+                    await updateStreamStatus(stream, {
+                        status: 'stopped',
+                        last_stopped: new Date(),
+                        process_id: null,
+                        error_message: null
+                    });
+                }
+            } catch (error) {
+                console.error(`[OnDemand] Failed to stop idle stream ${streamName}:`, error.message);
+            }
+        }
+    }
+
+    startIdleJob() {
+        setInterval(() => {
+            this.stopIdleStreams().catch(error => console.error('On-demand idle check error:', error.message));
+        }, Math.min(this.idleTimeout, 10000)).unref();
+    }
+}
+
+// Singleton pattern
+let onDemandManagerInstance = null;
+
+module.exports = {
+    getOnDemandManager: () => {
+        if (!onDemandManagerInstance) {
+            onDemandManagerInstance = new OnDemandManager(getStreamService(), getEventBus());
+        }
+        return onDemandManagerInstance;
+    },
+    OnDemandManager,
+    OnDemandError
+};
@@ -0,0 +1,143 @@
+// services/playbackTokens.js
+// HLS oynatma URL'leri için HMAC imzalı, süreli token'lar
+// Token: base64url(JSON { s: yayın adı, e: bitiş (unix sn), ip? }) + '.' + base64url(HMAC-SHA256)
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.PLAYBACK_TOKEN_TTL_SECONDS) || 3600;
+const BIND_IP = process.env.PLAYBACK_TOKEN_BIND_IP === 'true';
+
+class PlaybackTokenError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PlaybackTokenError';
+        this.code = code;
+    }
+}
+
+let secret = null;
+
+function getSecret() {
+    if (!secret) {
+        secret = process.env.PLAYBACK_TOKEN_SECRET || process.env.SESSION_SECRET;
+        if (!secret) {
+            // Süreç yeniden başlayınca eski token'lar geçersiz olur
+            console.warn('[Playback] PLAYBACK_TOKEN_SECRET is not set, using a random per-process secret');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+    return secret;
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * Yayın için token üretir
+ * Dönen değer: { token, expiresAt }
+ */
+function signPlaybackToken(streamName, { ip, ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+    const claims = { s: streamName, e: expiresAt };
+    if (BIND_IP && ip) {
+        claims.ip = ip;
+    }
+
+    const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(expiresAt * 1000)
+    };
+}
+
+/**
+ * Token'ı doğrular - geçersizse PlaybackTokenError fırlatır
+ */
+function verifyPlaybackToken(token, { streamName, ip } = {}) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+        throw new PlaybackTokenError('Oynatma token\'ı gerekli', 'MISSING');
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        throw new PlaybackTokenError('Oynatma token\'ı geçersiz', 'INVALID');
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new PlaybackTokenError('Oynatma token\'ı okunamadı', 'INVALID');
+    }
+
+    if (!claims.e || claims.e * 1000 < Date.now()) {
+        throw new PlaybackTokenError('Oynatma token\'ının süresi dolmuş', 'EXPIRED');
+    }
+    if (streamName) {
+        assertTokenStream(claims, streamName);
+    }
+    if (claims.ip && claims.ip !== ip) {
+        throw new PlaybackTokenError('Token başka bir IP adresine ait', 'IP_MISMATCH');
+    }
+
+    return claims;
+}
+
+/**
+ * Doğrulanmış token'ın istenen yayına ait olduğunu kontrol eder
+ * (yayın adı token doğrulandıktan sonra çözülüyorsa ayrıca çağrılır)
+ */
+function assertTokenStream(claims, streamName) {
+    if (claims.s !== streamName) {
+        throw new PlaybackTokenError('Token bu yayın için geçerli değil', 'STREAM_MISMATCH');
+    }
+}
+
+/**
+ * URL'e token query parametresini ekler
+ */
+function appendToken(url, token) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Yayının HLS URL'ini imzalar
+ * Dönen değer: { url, token, expiresAt }
+ */
+function signHlsUrl(hlsUrl, streamName, options = {}) {
+    const { token, expiresAt } = signPlaybackToken(streamName, options);
+    return {
+        url: appendToken(hlsUrl, token),
+        token,
+        expiresAt
+    };
+}
+
+/**
+ * Playlist içindeki segment/variant URI'lerine token ekler
+ * (URI satırları ve #EXT-X-MEDIA / #EXT-X-MAP içindeki URI="..." öznitelikleri)
+ */
+function rewritePlaylist(content, token) {
+    return content.split('\n').map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) {
+            return line;
+        }
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${appendToken(uri, token)}"`);
+        }
+        return appendToken(trimmed, token);
+    }).join('\n');
+}
+
+module.exports = {
+    signPlaybackToken,
+    verifyPlaybackToken,
+    assertTokenStream,
+    signHlsUrl,
+    rewritePlaylist,
+    PlaybackTokenError
+};
@@ -0,0 +1,103 @@
+// services/probe.js
+// ffprobe ile kamera yayınının video codec bilgisini okur
+const { spawn } = require('child_process');
+const { maskRtspUrl } = require('./credentials');
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.PROBE_TIMEOUT_MS) || 10000;
+
+class ProbeError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'ProbeError';
+        this.code = code;
+    }
+}
+
+/**
+ * '25/1' gibi ffprobe frame rate değerini sayıya çevirir
+ */
+function parseFrameRate(value) {
+    if (!value) return null;
+
+    const [numerator, denominator] = String(value).split('/').map(Number);
+    if (!denominator) {
+        return numerator || null;
+    }
+    return Math.round((numerator / denominator) * 100) / 100;
+}
+
+/**
+ * RTSP yayınının ilk video akışını inceler
+ * Dönen değer: { codecName, profile, width, height, fps, pixFmt, hasAudio }
+ */
+function probeStream(url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const args = [
+            '-v', 'error',
+            '-rtsp_transport', 'tcp',
+            '-show_entries', 'stream=codec_type,codec_name,profile,width,height,avg_frame_rate,pix_fmt',
+            '-of', 'json',
+            url
+        ];
+
+        const probe = spawn('ffprobe', args);
+        let stdout = '';
+        let stderr = '';
+        let finished = false;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            error ? reject(error) : resolve(result);
+        };
+
+        const timer = setTimeout(() => {
+            probe.kill('SIGKILL');
+            finish(new ProbeError(`ffprobe ${timeoutMs}ms içinde yanıt vermedi`, 'PROBE_TIMEOUT'));
+        }, timeoutMs);
+
+        probe.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        probe.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        probe.on('error', (error) => {
+            finish(new ProbeError(`ffprobe çalıştırılamadı: ${error.message}`, 'PROBE_UNAVAILABLE'));
+        });
+
+        probe.on('close', (code) => {
+            if (code !== 0) {
+                return finish(new ProbeError(maskRtspUrl(stderr.trim().split('\n').pop()) || `ffprobe exited with code ${code}`, 'PROBE_FAILED'));
+            }
+
+            try {
+                const streams = JSON.parse(stdout).streams || [];
+                const stream = streams.find(entry => entry.codec_type === 'video');
+                if (!stream) {
+                    return finish(new ProbeError('Yayında video akışı bulunamadı', 'NO_VIDEO'));
+                }
+
+                finish(null, {
+                    codecName: stream.codec_name,
+                    profile: stream.profile || null,
+                    width: stream.width || null,
+                    height: stream.height || null,
+                    fps: parseFrameRate(stream.avg_frame_rate),
+                    pixFmt: stream.pix_fmt || null,
+                    hasAudio: streams.some(entry => entry.codec_type === 'audio')
+                });
+            } catch (error) {
+                finish(new ProbeError(`ffprobe çıktısı okunamadı: ${error.message}`, 'PROBE_FAILED'));
+            }
+        });
+    });
+}
+
+module.exports = {
+    probeStream,
+    ProbeError
+};
@@ -0,0 +1,518 @@
+// services/recording.js
+const { spawn } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+const { getStreamService } = require('./stream');
+const { maskRtspUrl } = require('./credentials');
+
+const RECORDING_FORMATS = {
+    ts: 'mpegts',
+    mp4: 'mp4'
+};
+
+// Kayıt dosya adı: 20250101-120000.ts (yerel saat, FFmpeg strftime)
+const RECORDING_FILE_PATTERN = /^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.(ts|mp4)$/;
+
+/**
+ * Parçalı (fragmented) MP4 dosyasında init bölümünün (ftyp + moov) uzunluğu
+ * HLS'te dosyanın kendisi EXT-X-MAP byte aralığıyla init segmenti olarak kullanılır.
+ * Parçalı değilse (moov sonda, eski kayıtlar) null döner
+ */
+function readInitSegmentLength(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const header = Buffer.alloc(16);
+        let offset = 0;
+
+        // Üst seviye kutular: ftyp, moov, (varsa free/sidx...), ilk moof
+        for (let i = 0; i < 16; i++) {
+            if (fs.readSync(fd, header, 0, 16, offset) < 8) return null;
+
+            const type = header.toString('latin1', 4, 8);
+            let size = header.readUInt32BE(0);
+            if (size === 1) {
+                size = Number(header.readBigUInt64BE(8));
+            }
+
+            if (type === 'moof') return offset > 0 ? offset : null;
+            if (type === 'mdat' || size < 8) return null;
+            offset += size;
+        }
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+class RecordingService {
+    constructor() {
+        this.activeRecordings = {};
+        this.recordingsPath = process.env.RECORDINGS_DIR
+            ? path.resolve(process.env.RECORDINGS_DIR)
+            : path.join(__dirname, '../../recordings');
+        this.segmentDuration = parseInt(process.env.RECORDING_SEGMENT_SECONDS) || 60;
+        this.format = RECORDING_FORMATS[process.env.RECORDING_FORMAT] ? process.env.RECORDING_FORMAT : 'ts';
+        this.retentionDays = parseFloat(process.env.RECORDING_RETENTION_DAYS) || 7;
+        this.maxDiskBytes = (parseFloat(process.env.RECORDING_MAX_DISK_GB) || 0) * 1024 * 1024 * 1024;
+        this.restartDelay = 10000;
+
+        // Kayıt klasörünü oluştur
+        if (!fs.existsSync(this.recordingsPath)) {
+            fs.mkdirSync(this.recordingsPath, { recursive: true });
+        }
+
+        // Retention job başlat
+        this.startRetentionJob();
+    }
+
+    /**
+     * Stream'in kayıt klasörü
+     */
+    getStreamDir(streamName) {
+        return path.join(this.recordingsPath, streamName);
+    }
+
+    /**
+     * Sürekli kayıt başlatır - HLS yayınından bağımsız, ayrı bir FFmpeg süreci kullanır
+     */
+    async startRecording(streamConfig) {
+        const { streamName } = streamConfig;
+
+        if (this.activeRecordings[streamName]) {
+            throw new Error('Bu yayın için kayıt zaten aktif');
+        }
+
+        const streamDir = this.getStreamDir(streamName);
+        if (!fs.existsSync(streamDir)) {
+            fs.mkdirSync(streamDir, { recursive: true });
+        }
+
+        const recording = {
+            streamName,
+            config: streamConfig,
+            startedAt: new Date(),
+            status: 'starting',
+            restarts: 0,
+            process: null,
+            pid: null,
+            restartTimer: null
+        };
+        this.activeRecordings[streamName] = recording;
+
+        this.spawnRecorder(recording);
+
+        return {
+            success: true,
+            streamName,
+            pid: recording.pid,
+            status: recording.status
+        };
+    }
+
+    /**
+     * Kayıt FFmpeg sürecini başlatır, süreç düşerse kayıt durdurulmadıkça yeniden başlatır
+     */
+    spawnRecorder(recording) {
+        const { streamName, config } = recording;
+        const audioEnabled = config.audioEnabled !== false;
+
+        // Şifre sadece spawn anında çözülür, URL saklanmaz
+        const rtspUrl = getStreamService().generateRTSPUrl(
+            config.brand, config.username, config.password, config.ip, config.port, config.channel || 1
+        );
+
+        const ffmpegArgs = [
+            '-loglevel', 'error',
+
+            '-rtsp_transport', 'tcp',
+            '-i', rtspUrl,
+
+            // Video yeniden kodlanmaz, ses konteyner uyumluluğu için AAC'ye çevrilir
+            '-map', '0:v',
+            ...(audioEnabled ? ['-map', '0:a?', '-c:a', 'aac', '-b:a', '64k'] : ['-an']),
+            '-c:v', 'copy',
+
+            // Zaman damgalı segmentler
+            '-f', 'segment',
+            '-segment_time', String(this.segmentDuration),
+            '-segment_format', RECORDING_FORMATS[this.format],
+            // MP4 segmentler parçalı yazılır: yazılırken okunabilir ve HLS (fMP4) ile oynatılabilir
+            ...(this.format === 'mp4'
+                ? ['-segment_format_options', 'movflags=+frag_keyframe+empty_moov+default_base_moof']
+                : []),
+            '-reset_timestamps', '1',
+            '-strftime', '1',
+            path.join(this.getStreamDir(streamName), `%Y%m%d-%H%M%S.${this.format}`)
+        ];
+
+        console.log(`[Recording ${streamName}] Starting recorder (${this.format}, ${this.segmentDuration}s segments)`);
+
+        const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
+        recording.process = ffmpegProcess;
+        recording.pid = ffmpegProcess.pid;
+        recording.status = 'recording';
+
+        ffmpegProcess.stderr.on('data', (data) => {
+            console.log(`[Recording ${streamName}] ${maskRtspUrl(data.toString())}`);
+        });
+
+        ffmpegProcess.on('close', (code) => {
+            console.log(`[Recording ${streamName}] recorder exited with code ${code}`);
+
+            // Kayıt durdurulduysa veya yerine yenisi geldiyse bir şey yapma
+            if (this.activeRecordings[streamName] !== recording || recording.stopping) {
+                return;
+            }
+
+            recording.status = 'error';
+            recording.exitCode = code;
+            recording.restartTimer = setTimeout(() => {
+                if (this.activeRecordings[streamName] === recording && !recording.stopping) {
+                    recording.restarts++;
+                    this.spawnRecorder(recording);
+                }
+            }, this.restartDelay);
+        });
+
+        ffmpegProcess.on('error', (error) => {
+            console.error(`[Recording ${streamName}] Process error:`, error);
+            recording.status = 'error';
+            recording.error = error.message;
+        });
+    }
+
+    /**
+     * Kaydı durdurur - mevcut dosyalar korunur
+     */
+    async stopRecording(streamName) {
+        const recording = this.activeRecordings[streamName];
+
+        if (!recording) {
+            throw new Error('Bu yayın için aktif kayıt bulunamadı');
+        }
+
+        recording.stopping = true;
+        clearTimeout(recording.restartTimer);
+
+        const recorder = recording.process;
+        if (recorder && recorder.exitCode === null) {
+            // 'q' ile FFmpeg son segmenti düzgün kapatır
+            try {
+                recorder.stdin.write('q');
+            } catch (e) {
+                recorder.kill('SIGTERM');
+            }
+
+            setTimeout(() => {
+                if (recorder.exitCode === null) {
+                    recorder.kill('SIGKILL');
+                }
+            }, 5000);
+        }
+
+        delete this.activeRecordings[streamName];
+        console.log(`[RecordingService] Recording ${streamName} stopped`);
+
+        return {
+            success: true,
+            message: 'Kayıt durduruldu'
+        };
+    }
+
+    isRecording(streamName) {
+        return !!this.activeRecordings[streamName];
+    }
+
+    getRecordingStatus(streamName) {
+        const recording = this.activeRecordings[streamName];
+        if (!recording) {
+            return null;
+        }
+
+        return {
+            streamName,
+            status: recording.status,
+            pid: recording.pid,
+            startedAt: recording.startedAt,
+            restarts: recording.restarts,
+            format: this.format,
+            segmentDuration: this.segmentDuration
+        };
+    }
+
+    /**
+     * Kayıt dosya adını başlangıç zamanına çevirir
+     */
+    parseRecordingTime(fileName) {
+        const match = fileName.match(RECORDING_FILE_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const [, year, month, day, hour, minute, second] = match.map(Number);
+        return new Date(year, month - 1, day, hour, minute, second);
+    }
+
+    /**
+     * Stream'in kayıtlarını zaman aralığına göre listeler
+     */
+    listRecordings(streamName, { from = null, to = null } = {}) {
+        const streamDir = this.getStreamDir(streamName);
+        if (!fs.existsSync(streamDir)) {
+            return [];
+        }
+
+        const recordings = [];
+
+        for (const fileName of fs.readdirSync(streamDir)) {
+            const startedAt = this.parseRecordingTime(fileName);
+            if (!startedAt) continue;
+
+            const stat = fs.statSync(path.join(streamDir, fileName));
+            const endedAt = stat.mtime > startedAt ? stat.mtime : startedAt;
+
+            // Aralıkla kesişmeyen kayıtları atla
+            if (from && endedAt < from) continue;
+            if (to && startedAt > to) continue;
+
+            recordings.push({
+                file: fileName,
+                format: path.extname(fileName).slice(1),
+                startedAt,
+                endedAt,
+                duration: Math.round((endedAt - startedAt) / 1000),
+                size: stat.size
+            });
+        }
+
+        return recordings.sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    /**
+     * Zaman aralığı için oynatılabilir segmentleri ve aradaki boşlukları hesaplar
+     * offset: segmentin VOD playlist içindeki başlangıç saniyesi
+     * Bir HLS playlist'i TS ve fMP4 segmentleri karıştıramadığı için sadece geçerli kayıt formatı oynatılır
+     */
+    buildTimeline(streamName, { from = null, to = null } = {}) {
+        const recording = this.activeRecordings[streamName];
+        const recordings = this.listRecordings(streamName, { from, to })
+            .filter(rec => rec.format === this.format && rec.duration > 0);
+
+        if (this.format === 'mp4') {
+            for (const rec of recordings) {
+                try {
+                    rec.initLength = readInitSegmentLength(path.join(this.getStreamDir(streamName), rec.file));
+                } catch (error) {
+                    rec.initLength = null;
+                }
+            }
+        }
+
+        // Hala yazılan son segment oynatma listesine alınmaz
+        if (recording && recordings.length > 0) {
+            const last = recordings[recordings.length - 1];
+            if (Date.now() - last.endedAt.getTime() < this.segmentDuration * 1000) {
+                recordings.pop();
+            }
+        }
+
+        const segments = [];
+        const gaps = [];
+        // Segment uçlarındaki birkaç saniyelik farklar boşluk sayılmaz
+        const gapTolerance = 3000;
+        let offset = 0;
+        let cursor = from;
+
+        for (const rec of recordings) {
+            // Parçalı olmayan MP4 (eski kayıt) HLS ile oynatılamaz
+            if (this.format === 'mp4' && !rec.initLength) continue;
+
+            if (cursor && rec.startedAt - cursor > gapTolerance) {
+                gaps.push({ start: cursor, end: rec.startedAt });
+            }
+
+            segments.push({
+                file: rec.file,
+                start: rec.startedAt,
+                end: rec.endedAt,
+                duration: rec.duration,
+                offset,
+                ...(this.format === 'mp4' ? { initLength: rec.initLength, size: rec.size } : {})
+            });
+
+            offset += rec.duration;
+            cursor = rec.endedAt;
+        }
+
+        if (to && cursor && to - cursor > gapTolerance) {
+            gaps.push({ start: cursor, end: to });
+        } else if (to && from && segments.length === 0) {
+            gaps.push({ start: from, end: to });
+        }
+
+        return {
+            from,
+            to,
+            totalDuration: offset,
+            segments,
+            gaps
+        };
+    }
+
+    /**
+     * Segmentlerden VOD HLS playlist'i oluşturur
+     * Her kayıt dosyası zaman damgası sıfırlanmış bağımsız bir dosya olduğu için
+     * segmentler arasına EXT-X-DISCONTINUITY eklenir
+     * fMP4 kayıtlarda dosyanın başı init segmenti (EXT-X-MAP), kalanı medya segmentidir (EXT-X-BYTERANGE)
+     */
+    buildPlaybackPlaylist(timeline, segmentUri) {
+        const targetDuration = Math.max(
+            this.segmentDuration,
+            ...timeline.segments.map(segment => Math.ceil(segment.duration))
+        );
+
+        const fragmented = timeline.segments.some(segment => segment.initLength);
+        const lines = [
+            '#EXTM3U',
+            `#EXT-X-VERSION:${fragmented ? 7 : 3}`,
+            '#EXT-X-PLAYLIST-TYPE:VOD',
+            `#EXT-X-TARGETDURATION:${targetDuration}`,
+            '#EXT-X-MEDIA-SEQUENCE:0'
+        ];
+
+        timeline.segments.forEach((segment, index) => {
+            if (index > 0) {
+                lines.push('#EXT-X-DISCONTINUITY');
+            }
+            if (segment.initLength) {
+                lines.push(`#EXT-X-MAP:URI="${segmentUri(segment.file)}",BYTERANGE="${segment.initLength}@0"`);
+            }
+            lines.push(`#EXT-X-PROGRAM-DATE-TIME:${segment.start.toISOString()}`);
+            lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+            if (segment.initLength) {
+                lines.push(`#EXT-X-BYTERANGE:${segment.size - segment.initLength}@${segment.initLength}`);
+            }
+            lines.push(segmentUri(segment.file));
+        });
+
+        lines.push('#EXT-X-ENDLIST');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Kayıt dosyasının tam yolunu döner - path traversal'a karşı dosya adını doğrular
+     */
+    getRecordingPath(streamName, fileName) {
+        if (!RECORDING_FILE_PATTERN.test(fileName)) {
+            return null;
+        }
+
+        const filePath = path.join(this.getStreamDir(streamName), fileName);
+        return fs.existsSync(filePath) ? filePath : null;
+    }
+
+    deleteRecording(streamName, fileName) {
+        const filePath = this.getRecordingPath(streamName, fileName);
+        if (!filePath) {
+            return false;
+        }
+
+        fs.unlinkSync(filePath);
+        return true;
+    }
+
+    /**
+     * Retention politikası: yaşa göre ve disk kotasına göre en eski kayıtları siler
+     */
+    applyRetentionPolicy() {
+        if (!fs.existsSync(this.recordingsPath)) {
+            return { deleted: 0 };
+        }
+
+        const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+        const files = [];
+
+        for (const streamName of fs.readdirSync(this.recordingsPath)) {
+            const streamDir = this.getStreamDir(streamName);
+            if (!fs.statSync(streamDir).isDirectory()) continue;
+
+            for (const fileName of fs.readdirSync(streamDir)) {
+                const startedAt = this.parseRecordingTime(fileName);
+                if (!startedAt) continue;
+
+                const filePath = path.join(streamDir, fileName);
+                const stat = fs.statSync(filePath);
+                files.push({ filePath, mtime: stat.mtimeMs, size: stat.size });
+            }
+        }
+
+        files.sort((a, b) => a.mtime - b.mtime);
+
+        let totalSize = files.reduce((sum, file) => sum + file.size, 0);
+        let deleted = 0;
+
+        for (const file of files) {
+            const tooOld = file.mtime < cutoff;
+            const overQuota = this.maxDiskBytes > 0 && totalSize > this.maxDiskBytes;
+
+            if (!tooOld && !overQuota) break;
+
+            // Son 30 saniyede yazılan dosya muhtemelen hala açık
+            if (Date.now() - file.mtime < 30000) continue;
+
+            try {
+                fs.unlinkSync(file.filePath);
+                totalSize -= file.size;
+                deleted++;
+            } catch (error) {
+                console.error(`Retention delete error for ${file.filePath}:`, error);
+            }
+        }
+
+        if (deleted > 0) {
+            console.log(`[RecordingService] Retention removed ${deleted} recordings`);
+        }
+
+        return { deleted, totalSize };
+    }
+
+    /**
+     * Periyodik retention kontrolü başlat
+     */
+    startRetentionJob() {
+        // Her 10 dakikada bir retention kontrolü yap
+        setInterval(() => {
+            try {
+                this.applyRetentionPolicy();
+            } catch (error) {
+                console.error('Recording retention error:', error);
+            }
+        }, 10 * 60 * 1000);
+    }
+
+    /**
+     * Tüm kayıtları durdurur (graceful shutdown için)
+     */
+    async stopAllRecordings() {
+        const streamNames = Object.keys(this.activeRecordings);
+        await Promise.all(streamNames.map(streamName => {
+            return this.stopRecording(streamName).catch(error => {
+                console.error(`Error stopping recording ${streamName}:`, error);
+            });
+        }));
+        console.log('[RecordingService] All recordings stopped');
+    }
+}
+
+// Singleton pattern
+let recordingServiceInstance = null;
+
+module.exports = {
+    getRecordingService: () => {
+        if (!recordingServiceInstance) {
+            recordingServiceInstance = new RecordingService();
+        }
+        return recordingServiceInstance;
+    },
+    RecordingService
+};
@@ -0,0 +1,432 @@
+// services/scheduler.js
+// Zamanlamalar: yayınları haftalık zaman aralıklarına göre başlatıp durdurur,
+// kategorilerin herkese açıklığını (is_public) aralıklara göre değiştirir
+// Saatler sunucunun yerel saat dilimine (TZ) göre yorumlanır
+const { getStreamService } = require('./stream');
+const { getEventBus } = require('./events');
+const { startManagedStream, updateStreamStatus } = require('./streamLifecycle');
+
+// Sonraki geçiş bu kadar gün ilerisine kadar aranır (haftalık aralıklar için bir hafta yeterli)
+const LOOKAHEAD_DAYS = 8;
+const TARGET_TYPES = ['stream', 'category'];
+
+class ScheduleValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleValidationError';
+        this.code = 'INVALID_SCHEDULE';
+    }
+}
+
+// 'HH:MM' veya 'HH:MM:SS' => gün başından itibaren saniye
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value == null ? '' : value).trim());
+    if (!match) return null;
+
+    const [hours, minutes, seconds] = [match[1], match[2], match[3] || 0].map(Number);
+    if (hours > 23 || minutes > 59 || seconds > 59) return null;
+    return hours * 3600 + minutes * 60 + seconds;
+}
+
+function formatTime(seconds) {
+    return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+        .map(part => String(part).padStart(2, '0'))
+        .join(':');
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Yaz saati geçişlerinde de doğru gün başını verir (24 saat eklemek yerine)
+function addDays(day, days) {
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate() + days);
+}
+
+function atTime(day, seconds) {
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, 0, seconds);
+}
+
+function dateKey(day) {
+    return [day.getFullYear(), day.getMonth() + 1, day.getDate()]
+        .map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0'))
+        .join('-');
+}
+
+function parseDateKey(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    if (!match) return null;
+
+    const day = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return dateKey(day) === value ? day : null;
+}
+
+/**
+ * Veritabanı kaydını hesaplamalarda kullanılan biçime çevirir (saatler saniye olarak)
+ */
+function normalizeSchedule(schedule) {
+    return {
+        id: schedule.id,
+        name: schedule.name,
+        targetType: schedule.target_type,
+        targetId: schedule.target_id,
+        windows: (schedule.windows || []).map(window => ({
+            day: Number(window.day_of_week),
+            start: parseTime(window.start_time),
+            end: parseTime(window.end_time)
+        })),
+        exceptions: (schedule.exceptions || []).map(exception => ({
+            date: exception.date,
+            isOpen: !!exception.is_open,
+            start: exception.start_time == null ? null : parseTime(exception.start_time),
+            end: exception.end_time == null ? null : parseTime(exception.end_time)
+        }))
+    };
+}
+
+/**
+ * Günde başlayan açık aralıklar [başlangıç, bitiş)
+ *  - istisna varsa o günün tek kuralı istisnadır
+ *  - gece yarısını geçen haftalık aralık ertesi güne taşar; ertesi gün istisnaysa gece yarısında kesilir
+ */
+function dayIntervals(schedule, day) {
+    const nextDay = addDays(day, 1);
+    const exception = schedule.exceptions.find(item => item.date === dateKey(day));
+
+    if (exception) {
+        if (!exception.isOpen) return [];
+        if (exception.start === null) return [[day, nextDay]];
+        return [[atTime(day, exception.start), atTime(day, exception.end)]];
+    }
+
+    const nextDayException = schedule.exceptions.some(item => item.date === dateKey(nextDay));
+
+    return schedule.windows
+        .filter(window => window.day === day.getDay())
+        .map(window => {
+            if (window.end > window.start) {
+                return [atTime(day, window.start), atTime(day, window.end)];
+            }
+            return [atTime(day, window.start), nextDayException ? nextDay : atTime(nextDay, window.end)];
+        });
+}
+
+function isOpenAt(schedule, date) {
+    const today = startOfDay(date);
+    return [addDays(today, -1), today].some(day =>
+        dayIntervals(schedule, day).some(([start, end]) => start <= date && date < end));
+}
+
+/**
+ * from sonrasındaki ilk açılış/kapanış zamanı: { at, open } - öngörülebilir değişiklik yoksa null
+ */
+function nextTransition(schedule, from = new Date()) {
+    const open = isOpenAt(schedule, from);
+    const today = startOfDay(from);
+    const candidates = [];
+
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+        dayIntervals(schedule, addDays(today, offset)).forEach(interval => candidates.push(...interval));
+    }
+    // Haftalık aralıkları değiştirmeyen (tüm gün açık programda kapalı gün gibi) uzak istisnalar
+    schedule.exceptions.forEach(exception => {
+        const day = parseDateKey(exception.date);
+        if (!day) return;
+        candidates.push(day, addDays(day, 1));
+        dayIntervals(schedule, day).forEach(interval => candidates.push(...interval));
+    });
+
+    const boundaries = candidates
+        .filter(at => at > from)
+        .sort((a, b) => a - b);
+
+    for (const at of boundaries) {
+        if (isOpenAt(schedule, at) !== open) {
+            return { at, open: !open };
+        }
+    }
+    return null;
+}
+
+/**
+ * Yönetici panelinden gelen zamanlamayı doğrular ve kaydedilecek biçime çevirir
+ * windows: [{ day_of_week, start_time, end_time }]
+ * exceptions: [{ date, is_open, start_time, end_time, description }]
+ */
+function parseSchedulePayload(body) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (name.length < 2) {
+        throw new ScheduleValidationError('Zamanlama adı en az 2 karakter olmalıdır');
+    }
+    if (!TARGET_TYPES.includes(body.target_type)) {
+        throw new ScheduleValidationError('Zamanlama bir yayına veya kategoriye bağlanmalıdır');
+    }
+    if (!body.target_id) {
+        throw new ScheduleValidationError('Zamanlamanın uygulanacağı yayın/kategori seçilmelidir');
+    }
+
+    const windows = (Array.isArray(body.windows) ? body.windows : []).map(window => {
+        const day = parseInt(window.day_of_week);
+        const start = parseTime(window.start_time);
+        const end = parseTime(window.end_time);
+
+        if (isNaN(day) || day < 0 || day > 6) {
+            throw new ScheduleValidationError('Geçersiz gün');
+        }
+        if (start === null || end === null) {
+            throw new ScheduleValidationError('Zaman aralıkları SS:DD biçiminde olmalıdır');
+        }
+        // Bitişi başlangıçtan önce olan aralık gece yarısını geçer; eşit saatler belirsiz (boş mu tüm gün mü)
+        if (start === end) {
+            throw new ScheduleValidationError('Aralığın başlangıç ve bitiş saati aynı olamaz');
+        }
+        return { day_of_week: day, start_time: formatTime(start), end_time: formatTime(end) };
+    });
+
+    const dates = new Set();
+    const exceptions = (Array.isArray(body.exceptions) ? body.exceptions : []).map(exception => {
+        if (!parseDateKey(exception.date)) {
+            throw new ScheduleValidationError('İstisna tarihi YYYY-AA-GG biçiminde olmalıdır');
+        }
+        if (dates.has(exception.date)) {
+            throw new ScheduleValidationError(`${exception.date} için birden fazla istisna tanımlanmış`);
+        }
+        dates.add(exception.date);
+
+        const isOpen = exception.is_open === true || exception.is_open === 'true' || exception.is_open === '1';
+        const hasTimes = !!(exception.start_time || exception.end_time);
+        let start = null;
+        let end = null;
+
+        // Kapalı istisna her zaman tüm gündür
+        if (isOpen && hasTimes) {
+            start = parseTime(exception.start_time);
+            end = parseTime(exception.end_time);
+            if (start === null || end === null) {
+                throw new ScheduleValidationError(`${exception.date} istisnasının saatleri SS:DD biçiminde olmalıdır`);
+            }
+            if (end <= start) {
+                throw new ScheduleValidationError(`${exception.date} istisnasının bitiş saati başlangıçtan sonra olmalıdır`);
+            }
+        }
+
+        return {
+            date: exception.date,
+            is_open: isOpen,
+            start_time: start === null ? null : formatTime(start),
+            end_time: end === null ? null : formatTime(end),
+            description: exception.description ? String(exception.description).trim().slice(0, 255) || null : null
+        };
+    });
+
+    return {
+        name,
+        target_type: body.target_type,
+        target_id: body.target_id,
+        is_active: body.is_active !== false && body.is_active !== 'false',
+        windows,
+        exceptions
+    };
+}
+
+/**
+ * Aktif zamanlamaları bellekte tutar ve periyodik olarak uygular
+ * Sadece açık/kapalı durumu değişince işlem yapılır; böylece yöneticinin aralık içinde
+ * elle durdurduğu yayın bir sonraki açılışa kadar durdurulmuş kalır
+ */
+class StreamScheduler {
+    constructor(streamService, eventBus) {
+        this.streamService = streamService;
+        this.eventBus = eventBus;
+        // Başlatılan yayının hls_url'i için (app.js ayarlar)
+        this.serverHost = '';
+        // 'stream:id' / 'category:id' => normalize edilmiş zamanlama
+        this.schedules = new Map();
+        // Anahtar => son uygulanan durum (true = açık)
+        this.applied = new Map();
+        this.ticking = false;
+        this.timer = null;
+
+        this.interval = Math.max(5, parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 30) * 1000;
+
+        // Değişen zamanlama bir sonraki turu beklemeden yeniden uygulanır
+        eventBus.on('event', ({ type, data }) => {
+            if (!/^schedule\.(created|updated|deleted)$/.test(type)) return;
+
+            this.applied.delete(this.key(data.targetType, data.targetId));
+            this.reload()
+                .then(() => this.timer && this.tick())
+                .catch(error => console.error('Schedule reload error:', error.message));
+        });
+    }
+
+    setServerHost(serverHost) {
+        this.serverHost = serverHost;
+    }
+
+    key(targetType, targetId) {
+        return `${targetType}:${targetId}`;
+    }
+
+    async reload() {
+        const { Schedule, ScheduleWindow, ScheduleException } = require('../models');
+
+        const schedules = await Schedule.findAll({
+            where: { is_active: true },
+            include: [
+                { model: ScheduleWindow, as: 'windows' },
+                { model: ScheduleException, as: 'exceptions' }
+            ]
+        });
+
+        this.schedules = new Map(schedules.map(schedule => {
+            const normalized = normalizeSchedule(schedule);
+            return [this.key(normalized.targetType, normalized.targetId), normalized];
+        }));
+
+        // Silinen/pasifleştirilen zamanlamaların durumu unutulur
+        for (const key of this.applied.keys()) {
+            if (!this.schedules.has(key)) {
+                this.applied.delete(key);
+            }
+        }
+    }
+
+    async start() {
+        await this.reload();
+        console.log(`[Scheduler] ${this.schedules.size} active schedule(s) loaded`);
+
+        await this.tick();
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('Scheduler tick error:', error.message));
+        }, this.interval);
+        this.timer.unref();
+    }
+
+    async tick(now = new Date()) {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            for (const [key, schedule] of this.schedules) {
+                const open = isOpenAt(schedule, now);
+                if (this.applied.get(key) === open) continue;
+
+                // Başarısız uygulama her turda tekrarlanmaz, hata durumu yayın kaydına yazılır
+                this.applied.set(key, open);
+                try {
+                    if (schedule.targetType === 'stream') {
+                        await this.applyStream(schedule, open);
+                    } else {
+                        await this.applyCategory(schedule, open);
+                    }
+                } catch (error) {
+                    console.error(`[Scheduler] Failed to apply "${schedule.name}": ${error.message}`);
+                }
+
+                this.eventBus.publish('schedule.transition', {
+                    id: schedule.id,
+                    name: schedule.name,
+                    targetType: schedule.targetType,
+                    targetId: schedule.targetId,
+                    open
+                });
+            }
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    async applyStream(schedule, open) {
+        const { Stream, Camera } = require('../models');
+
+        const stream = await Stream.findByPk(schedule.targetId, {
+            include: [{ model: Camera, as: 'camera' }]
+        });
+        if (!stream) return;
+
+        const streamName = stream.stream_name;
+
+        if (!open) {
+            if (!this.streamService.isStreamActive(streamName)) return;
+
+            console.log(`[Scheduler] Stopping ${streamName} (${schedule.name})`);
+            await this.streamService.stopStream(streamName);
+            await updateStreamStatus(stream, {
+                status: 'stopped',
+                last_stopped: new Date(),
+                process_id: null,
+                error_message: null
+            });
+            return;
+        }
+
+        // İsteğe bağlı yayınlar açık aralıkta ilk izleyiciyle başlar
+        if (stream.on_demand || !stream.is_active || !stream.camera || !stream.camera.is_active) return;
+
+        // Supervisor'ın vazgeçtiği (süreci ölmüş) kayıt varsa temizle
+        const current = this.streamService.getStreamStatus(streamName);
+        if (current && current.status === 'error') {
+            await this.streamService.stopStream(streamName);
+        }
+        if (this.streamService.isStreamActive(streamName)) return;
+
+        console.log(`[Scheduler] Starting ${streamName} (${schedule.name})`);
+        await startManagedStream(stream, { serverHost: this.serverHost });
+    }
+
+    async applyCategory(schedule, open) {
+        const { Category } = require('../models');
+
+        const category = await Category.findByPk(schedule.targetId);
+        if (!category || category.is_public === open) return;
+
+        console.log(`[Scheduler] Category ${category.name} is now ${open ? 'public' : 'hidden'} (${schedule.name})`);
+        await category.update({ is_public: open });
+
+        // Erişim önbelleği ve yönetici paneli kategori değişikliğini bu olayla öğrenir
+        this.eventBus.publish('category.updated', { id: category.id, name: category.name });
+    }
+
+    getSchedule(targetType, targetId) {
+        return this.schedules.get(this.key(targetType, targetId)) || null;
+    }
+
+    /**
+     * Zamanlaması olmayan yayın/kategori her zaman açıktır
+     */
+    isOpen(targetType, targetId, at = new Date()) {
+        const schedule = this.getSchedule(targetType, targetId);
+        return !schedule || isOpenAt(schedule, at);
+    }
+
+    getNextTransition(targetType, targetId, from = new Date()) {
+        const schedule = this.getSchedule(targetType, targetId);
+        return schedule ? nextTransition(schedule, from) : null;
+    }
+
+    // Zamanlaması şu an kapalı olan yayınlar (herkese açık listelerde gösterilmez)
+    closedStreamIds(at = new Date()) {
+        return [...this.schedules.values()]
+            .filter(schedule => schedule.targetType === 'stream' && !isOpenAt(schedule, at))
+            .map(schedule => schedule.targetId);
+    }
+}
+
+// Singleton pattern
+let streamSchedulerInstance = null;
+
+module.exports = {
+    getStreamScheduler: () => {
+        if (!streamSchedulerInstance) {
+            streamSchedulerInstance = new StreamScheduler(getStreamService(), getEventBus());
+        }
+        return streamSchedulerInstance;
+    },
+    StreamScheduler,
+    ScheduleValidationError,
+    normalizeSchedule,
+    parseSchedulePayload,
+    isOpenAt,
+    nextTransition
+};
@@ -0,0 +1,153 @@
+// services/sessions.js
+// express-session için MySQL (Sequelize) oturum deposu ve kullanıcı oturumlarının yönetimi
+const crypto = require('crypto');
+const session = require('express-session');
+const { Op } = require('sequelize');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+// Her istekte veritabanına yazmamak için son görülme en fazla bu aralıkta güncellenir
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * Promise sonucunu express-session callback'ine bağlar
+ */
+function callbackify(promise, callback) {
+    promise.then(
+        result => callback && callback(null, result),
+        error => callback && callback(error)
+    );
+}
+
+/**
+ * Oturum kimliğinin istemciye gösterilen özeti - sid'in kendisi hiçbir zaman dışarı verilmez
+ */
+function publicSessionId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+}
+
+class SequelizeSessionStore extends session.Store {
+    constructor() {
+        super();
+        // sid => son touch zamanı
+        this.lastTouched = new Map();
+
+        setInterval(() => {
+            this.prune().catch(error => console.error('Session prune error:', error.message));
+        }, PRUNE_INTERVAL_MS).unref();
+    }
+
+    get model() {
+        return require('../models').Session;
+    }
+
+    expiresAt(sess) {
+        return sess.cookie && sess.cookie.expires
+            ? new Date(sess.cookie.expires)
+            : new Date(Date.now() + DEFAULT_TTL_MS);
+    }
+
+    get(sid, callback) {
+        callbackify((async () => {
+            const row = await this.model.findByPk(sid);
+            if (!row) {
+                return null;
+            }
+            if (new Date(row.expires_at) < new Date()) {
+                await row.destroy();
+                return null;
+            }
+            return JSON.parse(row.data);
+        })(), callback);
+    }
+
+    set(sid, sess, callback) {
+        const client = sess.client || {};
+        this.lastTouched.set(sid, Date.now());
+
+        callbackify(this.model.upsert({
+            sid,
+            user_id: sess.userId || null,
+            data: JSON.stringify(sess),
+            expires_at: this.expiresAt(sess),
+            ip_address: client.ip || null,
+            user_agent: client.userAgent ? String(client.userAgent).slice(0, 255) : null,
+            last_seen_at: new Date()
+        }), callback);
+    }
+
+    touch(sid, sess, callback) {
+        const last = this.lastTouched.get(sid) || 0;
+        if (Date.now() - last < TOUCH_INTERVAL_MS) {
+            return callback && callback(null);
+        }
+        this.lastTouched.set(sid, Date.now());
+
+        callbackify(this.model.update(
+            { expires_at: this.expiresAt(sess), last_seen_at: new Date() },
+            { where: { sid } }
+        ), callback);
+    }
+
+    destroy(sid, callback) {
+        this.lastTouched.delete(sid);
+        callbackify(this.model.destroy({ where: { sid } }), callback);
+    }
+
+    /**
+     * Kullanıcının süresi dolmamış oturumları (en son görülen önce)
+     */
+    async listUserSessions(userId) {
+        const rows = await this.model.findAll({
+            where: { user_id: userId, expires_at: { [Op.gt]: new Date() } },
+            attributes: ['sid', 'ip_address', 'user_agent', 'last_seen_at', 'created_at', 'expires_at'],
+            order: [['last_seen_at', 'DESC']]
+        });
+
+        return rows.map(row => ({
+            sid: row.sid,
+            id: publicSessionId(row.sid),
+            ip_address: row.ip_address,
+            user_agent: row.user_agent,
+            last_seen_at: row.last_seen_at,
+            created_at: row.created_at,
+            expires_at: row.expires_at
+        }));
+    }
+
+    /**
+     * Kullanıcının tüm oturumlarını kapatır (zorla çıkış) - exceptSid verilirse o oturum korunur
+     * Dönen değer: kapatılan oturum sayısı
+     */
+    async destroyUserSessions(userId, { exceptSid = null } = {}) {
+        const where = { user_id: userId };
+        if (exceptSid) {
+            where.sid = { [Op.ne]: exceptSid };
+        }
+        return this.model.destroy({ where });
+    }
+
+    async prune() {
+        await this.model.destroy({ where: { expires_at: { [Op.lt]: new Date() } } });
+
+        for (const [sid, at] of this.lastTouched) {
+            if (Date.now() - at > DEFAULT_TTL_MS) {
+                this.lastTouched.delete(sid);
+            }
+        }
+    }
+}
+
+// Singleton pattern
+let sessionStoreInstance = null;
+
+module.exports = {
+    getSessionStore: () => {
+        if (!sessionStoreInstance) {
+            sessionStoreInstance = new SequelizeSessionStore();
+        }
+        return sessionStoreInstance;
+    },
+    publicSessionId,
+    SequelizeSessionStore
+};
@@ -0,0 +1,270 @@
+// services/snapshots.js
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { getStreamService } = require('./stream');
+const { getEventBus } = require('./events');
+const { maskRtspUrl } = require('./credentials');
+
+class SnapshotError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'SnapshotError';
+        this.code = code;
+    }
+}
+
+/**
+ * FFmpeg ile verilen girdiden tek kare alır (JPEG buffer)
+ */
+function grabFrame(inputArgs, { timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const args = [
+            '-v', 'error',
+            ...inputArgs,
+            '-frames:v', '1',
+            '-f', 'image2pipe',
+            '-vcodec', 'mjpeg',
+            'pipe:1'
+        ];
+
+        const ffmpeg = spawn('ffmpeg', args);
+        const chunks = [];
+        let stderr = '';
+        let finished = false;
+
+        const finish = (error, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            error ? reject(error) : resolve(result);
+        };
+
+        const timer = setTimeout(() => {
+            ffmpeg.kill('SIGKILL');
+            finish(new SnapshotError(`FFmpeg ${timeoutMs}ms içinde kare alamadı`, 'CAPTURE_TIMEOUT'));
+        }, timeoutMs);
+
+        ffmpeg.stdout.on('data', (data) => {
+            chunks.push(data);
+        });
+
+        ffmpeg.stderr.on('data', (data) => {
+            stderr += data.toString();
+        });
+
+        ffmpeg.on('error', (error) => {
+            finish(new SnapshotError(`FFmpeg çalıştırılamadı: ${error.message}`, 'FFMPEG_UNAVAILABLE'));
+        });
+
+        ffmpeg.on('close', (code) => {
+            const frame = Buffer.concat(chunks);
+            if (code !== 0 || frame.length === 0) {
+                const reason = maskRtspUrl(stderr.trim().split('\n').pop()) || `ffmpeg exited with code ${code}`;
+                return finish(new SnapshotError(reason, 'CAPTURE_FAILED'));
+            }
+            finish(null, frame);
+        });
+    });
+}
+
+/**
+ * Yayınların son karesinden JPEG görüntü ve küçük önizleme (thumbnail) üretir
+ *  - çalışan yayınlarda kare FFmpeg'in yazdığı son HLS segmentinden alınır (kameraya ek bağlantı açılmaz)
+ *  - çalışmayan yayınlarda istek üzerine doğrudan RTSP'den alınır
+ * Görüntüler bellekte tutulur ve en fazla refreshSeconds aralıkla yenilenir
+ */
+class SnapshotService {
+    constructor(streamService, eventBus) {
+        this.streamService = streamService;
+        // streamName => { image, thumbnail, capturedAt, source }
+        this.cache = new Map();
+        // streamName => { error, at } - kamera cevap vermiyorsa her istekte yeniden denenmez
+        this.failures = new Map();
+        // streamName => devam eden yakalama (aynı anda gelen istekler tek FFmpeg'i paylaşır)
+        this.inFlight = new Map();
+
+        this.refreshSeconds = Math.max(5, parseInt(process.env.SNAPSHOT_REFRESH_SECONDS) || 30);
+        this.timeoutMs = parseInt(process.env.SNAPSHOT_TIMEOUT_MS) || 10000;
+        this.width = parseInt(process.env.SNAPSHOT_WIDTH) || 1280;
+        this.thumbnailWidth = parseInt(process.env.SNAPSHOT_THUMBNAIL_WIDTH) || 320;
+        this.quality = parseInt(process.env.SNAPSHOT_JPEG_QUALITY) || 80;
+
+        // Kamera bağlantı bilgileri değişen veya silinen yayının eski görüntüsü gösterilmez
+        eventBus.on('event', ({ type, data }) => {
+            if ((type === 'stream.updated' || type === 'stream.deleted') && data.streamName) {
+                this.forget(data.streamName);
+            }
+        });
+
+        this.startRefreshJob();
+    }
+
+    isStreaming(streamName) {
+        const status = this.streamService.getStreamStatus(streamName);
+        return !!status && status.status === 'streaming';
+    }
+
+    /**
+     * Yayının en son tamamlanmış segmentleri (eskiden yeniye) - playlist'te listelenen segmentler tamamen yazılmıştır
+     * Adaptive modda master playlist'teki ilk varyant kullanılır
+     */
+    recentSegments(streamName, count) {
+        const publicPath = this.streamService.publicPath;
+
+        const readPlaylist = (fileName) => {
+            const filePath = path.join(publicPath, path.basename(fileName));
+            if (!fs.existsSync(filePath)) return [];
+            return fs.readFileSync(filePath, 'utf8').split('\n').map(line => line.trim());
+        };
+
+        let lines = readPlaylist(`${streamName}.m3u8`);
+        if (lines.some(line => line.startsWith('#EXT-X-STREAM-INF'))) {
+            const variant = lines.find(line => line && !line.startsWith('#'));
+            lines = variant ? readPlaylist(variant) : [];
+        }
+
+        return lines
+            .filter(line => line && !line.startsWith('#'))
+            .slice(-count)
+            .map(segment => path.join(publicPath, path.basename(segment)));
+    }
+
+    latestSegment(streamName) {
+        return this.recentSegments(streamName, 1)[0] || null;
+    }
+
+    async captureFromOutput(streamName) {
+        const segment = this.latestSegment(streamName);
+        if (!segment || !fs.existsSync(segment)) {
+            throw new SnapshotError('Yayının henüz tamamlanmış bir segmenti yok', 'NOT_AVAILABLE');
+        }
+        return grabFrame(['-i', segment], { timeoutMs: this.timeoutMs });
+    }
+
+    // Stream modeli camera dahil edilmiş olmalı (marka şablonu için)
+    async captureFromRtsp(stream) {
+        const url = stream.generateRTSPUrl(stream.source_variant || 'main');
+        return grabFrame(['-rtsp_transport', 'tcp', '-i', url], { timeoutMs: this.timeoutMs });
+    }
+
+    async render(frame) {
+        const [image, thumbnail] = await Promise.all([
+            sharp(frame).resize({ width: this.width, withoutEnlargement: true }).jpeg({ quality: this.quality }).toBuffer(),
+            sharp(frame).resize({ width: this.thumbnailWidth, withoutEnlargement: true }).jpeg({ quality: this.quality }).toBuffer()
+        ]);
+        return { image, thumbnail };
+    }
+
+    /**
+     * Görüntüyü yeniden üretip önbelleğe yazar
+     * source: 'output' (çalışan yayının segmenti) veya 'rtsp' (stream modeli gerekir)
+     */
+    refresh(streamName, source, stream = null) {
+        if (this.inFlight.has(streamName)) {
+            return this.inFlight.get(streamName);
+        }
+
+        const failure = this.failures.get(streamName);
+        if (failure && Date.now() - failure.at < this.refreshSeconds * 1000) {
+            return Promise.reject(failure.error);
+        }
+
+        const capture = (async () => {
+            try {
+                const frame = source === 'rtsp'
+                    ? await this.captureFromRtsp(stream)
+                    : await this.captureFromOutput(streamName);
+                const entry = { ...(await this.render(frame)), capturedAt: new Date(), source };
+
+                this.cache.set(streamName, entry);
+                this.failures.delete(streamName);
+                return entry;
+            } catch (error) {
+                const snapshotError = error instanceof SnapshotError
+                    ? error
+                    : new SnapshotError(`Görüntü işlenemedi: ${error.message}`, 'CAPTURE_FAILED');
+                this.failures.set(streamName, { error: snapshotError, at: Date.now() });
+                throw snapshotError;
+            } finally {
+                this.inFlight.delete(streamName);
+            }
+        })();
+
+        this.inFlight.set(streamName, capture);
+        return capture;
+    }
+
+    /**
+     * Yayının güncel görüntüsü - önbellekteki görüntü yeterince yeniyse o döner
+     * allowRtsp false ise çalışmayan yayın için kameraya bağlanılmaz (sadece önbellek)
+     * Yenileme başarısız olursa eski görüntü döner, hiç görüntü yoksa hata fırlatır
+     */
+    async getSnapshot(stream, { allowRtsp = true } = {}) {
+        const streamName = stream.stream_name;
+        const cached = this.cache.get(streamName);
+
+        if (cached && Date.now() - cached.capturedAt.getTime() < this.refreshSeconds * 1000) {
+            return cached;
+        }
+
+        let source = null;
+        if (this.isStreaming(streamName)) {
+            source = 'output';
+        } else if (allowRtsp) {
+            source = 'rtsp';
+        }
+
+        if (!source) {
+            if (cached) return cached;
+            throw new SnapshotError('Yayın çalışmıyor, önizleme görüntüsü yok', 'NOT_AVAILABLE');
+        }
+
+        try {
+            return await this.refresh(streamName, source, stream);
+        } catch (error) {
+            if (cached) return cached;
+            throw error;
+        }
+    }
+
+    /**
+     * Yayının görüntüsünü önbellekten çıkarır
+     */
+    forget(streamName) {
+        this.cache.delete(streamName);
+        this.failures.delete(streamName);
+    }
+
+    // Çalışan yayınların görüntüleri arka planda sırayla yenilenir (aynı anda tek FFmpeg)
+    startRefreshJob() {
+        setInterval(async () => {
+            for (const streamName of Object.keys(this.streamService.activeStreams)) {
+                if (!this.isStreaming(streamName)) continue;
+
+                try {
+                    await this.refresh(streamName, 'output');
+                } catch (error) {
+                    if (error.code !== 'NOT_AVAILABLE') {
+                        console.warn(`Snapshot refresh failed for ${streamName}: ${error.message}`);
+                    }
+                }
+            }
+        }, this.refreshSeconds * 1000).unref();
+    }
+}
+
+// Singleton pattern
+let snapshotServiceInstance = null;
+
+module.exports = {
+    getSnapshotService: () => {
+        if (!snapshotServiceInstance) {
+            snapshotServiceInstance = new SnapshotService(getStreamService(), getEventBus());
+        }
+        return snapshotServiceInstance;
+    },
+    SnapshotService,
+    SnapshotError
+};
@@ -1,44 +1,62 @@
 // services/stream.js
 const { spawn } = require('child_process');
+const EventEmitter = require('events');
 const path = require('path');
 const fs = require('fs');
-
-class StreamService {
+const {
+    buildEncodingProfile,
+    buildAdaptiveProfile,
+    buildCopyProfile,
+    parseRenditions,
+    COPY_COMPATIBLE_CODECS
+} = require('./encodingProfile');
+const { probeStream } = require('./probe');
+const { decryptSecret, maskRtspUrl } = require('./credentials');
+const { classifyFFmpegError, createFailure } = require('./ffmpegErrors');
+const { getDriverRegistry } = require('./driverRegistry');
+
+class StreamService extends EventEmitter {
     constructor() {
+        super();
         this.activeStreams = {};
+        this.supervisor = null;
+        this.healthMonitor = null;
         this.publicPath = path.join(__dirname, '../../public/stream');
+        this.segmentDuration = 2; // HLS segment süresi (sn)
 
         // Public klasörünü oluştur
         if (!fs.existsSync(this.publicPath)) {
             fs.mkdirSync(this.publicPath, { recursive: true });
         }
 
+        // Takılan (hang) FFmpeg süreçlerini yakalamak için limitler
+        this.stallTimeout = parseInt(process.env.STREAM_STALL_TIMEOUT_MS) || Math.max(15000, this.segmentDuration * 5000);
+        this.stallEvents = {};
+
+        // İlk segment bu süre içinde yazılmazsa başlatma başarısız sayılır
+        this.startTimeout = parseInt(process.env.STREAM_START_TIMEOUT_MS) || 20000;
+
         // Segment cleanup job başlat
         this.startCleanupJob();
+
+        // Watchdog başlat
+        this.startWatchdogJob();
     }
 
     /**
-     * RTSP URL oluşturur
+     * RTSP URL oluşturur - marka şablonları sürücü registry'sinden gelir
+     * Şifre burada çözülür; dönen URL sadece spawn argümanı olarak kullanılmalı, loglanmamalı
      */
-    generateRTSPUrl(brand, username, password, ip, port, channel) {
-        brand = brand.toLowerCase();
-
-        // URL encoding sorunlarını önlemek için şifreyi decode edin
-        const decodedPassword = decodeURIComponent(password);
-
-        if (brand === 'dahua') {
-            // Port 8080 genellikle web interface, RTSP için 554 deneyin
-            const rtspPort = port === 8080 ? 554 : port;
-            return `rtsp://${username}:${decodedPassword}@${ip}:${rtspPort}/cam/realmonitor?channel=${channel}&subtype=0`;
-        } else if (brand === 'samsung') {
-            return `rtsp://${username}:${decodedPassword}@${ip}:${port}/profile1/media.smp`;
-        } else if (brand === 'hikvision') {
-            return `rtsp://${username}:${decodedPassword}@${ip}:${port}/Streaming/Channels/${channel}01/`;
-        } else if (brand === 'axis') {
-            return `rtsp://${username}:${decodedPassword}@${ip}:${port}/axis-media/media.amp`;
-        } else {
-            return `rtsp://${username}:${decodedPassword}@${ip}:${port}/`;
-        }
+    generateRTSPUrl(brand, username, password, ip, port, channel, variant = 'main') {
+        return getDriverRegistry().buildRtspUrl({
+            brand,
+            username,
+            password: decryptSecret(password),
+            ip,
+            port,
+            channel,
+            variant
+        });
     }
 
     /**
@@ -61,45 +79,82 @@ class StreamService {
         }
 
         try {
-            // RTSP URL oluştur
-            const rtspUrl = this.generateRTSPUrl(brand, username, password, ip, port, channel);
+            // Birden fazla rendition seçildiyse master playlist + varyant playlist'ler üretilir
+            const adaptive = parseRenditions(streamConfig.renditions).length > 0;
+
+            // Encoding profili - geçersiz ayarlarda FFmpeg başlatılmadan hata fırlatır
+            let encoding = adaptive
+                ? buildAdaptiveProfile(streamConfig, { segmentDuration: this.segmentDuration })
+                : buildEncodingProfile(streamConfig, { segmentDuration: this.segmentDuration });
+
+            // Kamera yayınları (main/sub) için RTSP URL'leri
+            const sources = adaptive ? encoding.sources : [streamConfig.sourceVariant || 'main'];
+            const inputArgs = [];
+            const rtspUrls = sources.map(variant => {
+                const url = this.generateRTSPUrl(brand, username, password, ip, port, channel, variant);
+                inputArgs.push('-rtsp_transport', 'tcp', '-i', url);
+                return url;
+            });
+
+            // Kamera ses göndermiyorsa var_stream_map'teki ses FFmpeg'i düşürür - sadece sesi olan kaynaklar map edilir
+            if (adaptive && encoding.settings.audioEnabled) {
+                const audioSources = await this.resolveAudioSources(sources, rtspUrls);
+                encoding = buildAdaptiveProfile(streamConfig, { segmentDuration: this.segmentDuration, audioSources });
+            }
+            // Durum bilgisinde sadece maskelenmiş URL tutulur
+            const rtspUrl = maskRtspUrl(rtspUrls[0]);
 
-            // HLS çıktısı yolu
+            // Kopya modunda kamera codec'i kontrol edilir, uyumsuzsa yeniden kodlamaya düşülür
+            const videoMode = await this.resolveVideoMode(encoding.settings, rtspUrls[0], adaptive);
+            if (videoMode.mode === 'copy') {
+                encoding = buildCopyProfile(streamConfig, { segmentDuration: this.segmentDuration });
+            }
+
+            // Probe sırasında aynı yayın başka bir istekle başlatılmış olabilir
+            if (this.activeStreams[streamName]) {
+                throw new Error('Bu yayın zaten aktif');
+            }
+
+            // HLS çıktısı yolu - adaptive modda bu dosya master playlist'tir
             const hlsPath = path.join(this.publicPath, `${streamName}.m3u8`);
+            const outputArgs = adaptive
+                ? [
+                    '-master_pl_name', `${streamName}.m3u8`,
+                    '-var_stream_map', encoding.varStreamMap,
+                    '-hls_segment_filename', path.join(this.publicPath, `${streamName}_%v_%03d.ts`),
+                    path.join(this.publicPath, `${streamName}_%v.m3u8`)
+                ]
+                : [
+                    '-hls_segment_filename', path.join(this.publicPath, `${streamName}_%03d.ts`),
+                    hlsPath
+                ];
 
-            // 2 dakika delay için optimize edilmiş FFmpeg argümanları
             const ffmpegArgs = [
                 '-loglevel', 'error',
 
-                '-rtsp_transport', 'tcp',
-                '-i', rtspUrl,
-
-                // Video encoding - production ready
-                '-c:v', 'libx264',
-                '-preset', 'veryfast',
-                '-tune', 'zerolatency',
-                '-b:v', '800k',
-                '-maxrate', '1500k',
-                '-bufsize', '3000k',
-                '-r', '25',
-                '-s', '1280x720',
-                '-pix_fmt', 'yuv420p',
-
-                // Audio encoding
-                '-c:a', 'aac',
-                '-b:a', '128k',
-                '-ar', '44100',
-
-                // HLS - 2 dakika delay için
+                // İlerleme bilgisi (frame/fps/speed) stdout'a key=value olarak yazılır
+                '-progress', 'pipe:1',
+                '-nostats',
+
+                ...inputArgs,
+
+                // Video/audio encoding - stream ayarlarından
+                ...encoding.args,
+
+                // HLS
                 '-f', 'hls',
-                '-hls_time', '2',            // 2 sn segment
+                '-hls_time', String(this.segmentDuration),
                 '-hls_list_size', '6',       // sadece 12 sn 
-                '-hls_flags', 'delete_segments+append_list+omit_endlist',
-                '-hls_segment_filename', path.join(this.publicPath, `${streamName}_%03d.ts`),
-                hlsPath
+                '-hls_flags', 'delete_segments+append_list+omit_endlist+independent_segments',
+                ...outputArgs
             ];
 
-            console.log(`[${brand}] Starting FFmpeg for ${streamName}: ${rtspUrl}`);
+            const profileSummary = adaptive
+                ? `adaptive: ${encoding.settings.renditions.map(rendition => rendition.name).join('/')}`
+                : videoMode.mode === 'copy'
+                    ? `copy: ${videoMode.probe.codecName} ${videoMode.probe.width}x${videoMode.probe.height}`
+                    : `${encoding.settings.videoCodec} ${encoding.settings.resolution}@${encoding.settings.fps}fps ${encoding.settings.bitrate}`;
+            console.log(`[${brand}] Starting FFmpeg for ${streamName}: ${rtspUrls.map(maskRtspUrl).join(' + ')} (${profileSummary})`);
 
             // FFmpeg sürecini başlat
             const ffmpegProcess = spawn('ffmpeg', ffmpegArgs);
@@ -107,30 +162,84 @@ class StreamService {
             // Network optimization ekle
             this.setupNetworkOptimization(ffmpegProcess, streamName);
 
+            // Stream bilgilerini sakla
+            const streamInfo = {
+                process: ffmpegProcess,
+                pid: ffmpegProcess.pid,
+                status: 'starting',
+                startedAt: new Date(),
+                config: streamConfig,
+                encoding: encoding.settings,
+                progress: null,
+                stderrTail: [],
+                failure: null,
+                hlsUrl: `/static/stream/${streamName}.m3u8`,
+                rtspUrl: rtspUrl,
+                renditions: adaptive ? encoding.settings.renditions.map(rendition => rendition.name) : [],
+                mode: videoMode.mode,
+                modeReason: videoMode.reason,
+                probe: videoMode.probe
+            };
+            this.activeStreams[streamName] = streamInfo;
+
+            // Süreç hala bu stream kaydına mı ait? (durdurulmuş/yeniden başlatılmış olabilir)
+            const isCurrent = () => this.activeStreams[streamName] === streamInfo;
+
             // Process event handlers
+            ffmpegProcess.stdout.on('data', (data) => {
+                this.parseProgress(streamInfo, data.toString());
+            });
+
             ffmpegProcess.stderr.on('data', (data) => {
-                const output = data.toString();
+                // FFmpeg hata mesajlarında URL (ve şifre) geçebilir
+                const output = maskRtspUrl(data.toString());
                 console.log(`[FFmpeg ${streamName}] ${output}`);
 
-                // Stream başlatma başarılı mı kontrol et
-                if (output.includes('Opening') || output.includes('Stream mapping')) {
-                    if (this.activeStreams[streamName]) {
-                        this.activeStreams[streamName].status = 'streaming';
-                    }
+                // Hata sınıflandırması için son satırları sakla
+                output.split('\n').filter(line => line.trim()).forEach(line => {
+                    streamInfo.stderrTail.push(line.trim());
+                });
+                if (streamInfo.stderrTail.length > 20) {
+                    streamInfo.stderrTail.splice(0, streamInfo.stderrTail.length - 20);
                 }
             });
 
-            ffmpegProcess.on('close', (code) => {
+            // İlk segment yazılana kadar 'starting' durumunda kal
+            this.waitForFirstSegment(streamName, streamInfo);
+
+            ffmpegProcess.on('close', (code, signal) => {
                 console.log(`[FFmpeg ${streamName}] exited with code ${code}`);
+                clearInterval(streamInfo.startTimer);
+
+                if (isCurrent()) {
+                    streamInfo.status = code === 0 ? 'stopped' : 'error';
+                    streamInfo.exitCode = code;
+                    streamInfo.exitedAt = new Date();
 
-                if (this.activeStreams[streamName]) {
-                    this.activeStreams[streamName].status = code === 0 ? 'stopped' : 'error';
-                    this.activeStreams[streamName].exitCode = code;
+                    // Watchdog/başlatma timeout'u sebep belirlemediyse stderr'den çıkar
+                    if (code !== 0 && !streamInfo.failure) {
+                        streamInfo.failure = classifyFFmpegError(streamInfo.stderrTail, code);
+                    }
 
                     // Callback varsa çağır
-                    if (this.activeStreams[streamName].onClose) {
-                        this.activeStreams[streamName].onClose(code);
+                    if (streamInfo.onClose) {
+                        streamInfo.onClose(code, {
+                            signal,
+                            stall: streamInfo.stall || null,
+                            failure: streamInfo.failure
+                        });
                     }
+
+                    // Beklenmeyen çıkış - supervisor dinler
+                    this.emit('exit', {
+                        streamName,
+                        code,
+                        signal,
+                        stall: streamInfo.stall || null,
+                        failure: streamInfo.failure,
+                        startedAt: streamInfo.startedAt,
+                        exitedAt: streamInfo.exitedAt
+                    });
                 }
 
                 // Stream durduğunda segment'leri temizle
@@ -140,27 +249,24 @@ class StreamService {
             ffmpegProcess.on('error', (error) => {
                 console.error(`[FFmpeg ${streamName}] Process error:`, error);
 
-                if (this.activeStreams[streamName]) {
-                    this.activeStreams[streamName].status = 'error';
-                    this.activeStreams[streamName].error = error.message;
+                clearInterval(streamInfo.startTimer);
+
+                if (isCurrent()) {
+                    streamInfo.status = 'error';
+                    streamInfo.error = error.message;
+                    streamInfo.failure = createFailure('SPAWN_FAILED', 'FFmpeg başlatılamadı', {
+                        retryable: false,
+                        detail: error.message
+                    });
 
                     // Callback varsa çağır
-                    if (this.activeStreams[streamName].onError) {
-                        this.activeStreams[streamName].onError(error);
+                    if (streamInfo.onError) {
+                        streamInfo.onError(error, streamInfo.failure);
                     }
                 }
             });
 
-            // Stream bilgilerini sakla
-            this.activeStreams[streamName] = {
-                process: ffmpegProcess,
-                pid: ffmpegProcess.pid,
-                status: 'starting',
-                startedAt: new Date(),
-                config: streamConfig,
-                hlsUrl: `/static/stream/${streamName}.m3u8`,
-                rtspUrl: rtspUrl
-            };
+            this.emit('started', { streamName, pid: ffmpegProcess.pid });
 
             return {
                 success: true,
@@ -176,25 +282,156 @@ class StreamService {
         }
     }
 
+    /**
+     * Stream'in video işleme modunu belirler: adaptive, copy veya transcode
+     */
+    async resolveVideoMode(settings, rtspUrl, adaptive) {
+        if (adaptive) {
+            return { mode: 'adaptive', probe: null, reason: null };
+        }
+
+        if (settings.videoMode !== 'copy') {
+            return { mode: 'transcode', probe: null, reason: null };
+        }
+
+        try {
+            const probe = await probeStream(rtspUrl);
+
+            if (COPY_COMPATIBLE_CODECS.includes(probe.codecName)) {
+                return { mode: 'copy', probe, reason: null };
+            }
+
+            // H.265, MJPEG vb. tarayıcıda HLS ile oynatılamaz
+            return { mode: 'transcode', probe, reason: `Kamera ${probe.codecName} gönderiyor, yeniden kodlanıyor` };
+        } catch (error) {
+            console.warn(`[Probe] ${error.message}, falling back to transcode`);
+            return { mode: 'transcode', probe: null, reason: `Codec tespit edilemedi (${error.code || error.message})` };
+        }
+    }
+
+    /**
+     * Adaptive modda ses içeren kaynak yayınlar (main/sub)
+     * Probe başarısız olursa kaynak sessiz kabul edilir - ses kaybı yayının hiç başlamamasından iyidir
+     */
+    async resolveAudioSources(sources, rtspUrls) {
+        const results = await Promise.all(rtspUrls.map(async (url, index) => {
+            try {
+                return (await probeStream(url)).hasAudio;
+            } catch (error) {
+                console.warn(`[Probe] ${sources[index]}: ${error.message}, mapping video only`);
+                return false;
+            }
+        }));
+
+        return sources.filter((source, index) => results[index]);
+    }
+
+    /**
+     * İlk HLS segmenti yazılınca 'streaming' durumuna geçer,
+     * startTimeout içinde yazılmazsa süreci sonlandırır
+     */
+    waitForFirstSegment(streamName, streamInfo) {
+        const startedAt = streamInfo.startedAt.getTime();
+
+        streamInfo.startTimer = setInterval(() => {
+            if (this.activeStreams[streamName] !== streamInfo || streamInfo.status !== 'starting') {
+                clearInterval(streamInfo.startTimer);
+                return;
+            }
+
+            // Önceki süreçten kalan segment'ler sayılmaz
+            const { segmentAt } = this.getOutputFreshness(streamName);
+            if (segmentAt && segmentAt >= startedAt) {
+                clearInterval(streamInfo.startTimer);
+                streamInfo.status = 'streaming';
+                streamInfo.firstSegmentAt = new Date(segmentAt);
+
+                console.log(`[FFmpeg ${streamName}] first segment written after ${segmentAt - startedAt}ms`);
+                this.emit('firstSegment', { streamName, pid: streamInfo.pid, firstSegmentAt: streamInfo.firstSegmentAt });
+
+                if (streamInfo.onStreaming) {
+                    streamInfo.onStreaming(streamInfo);
+                }
+                return;
+            }
+
+            if (Date.now() - startedAt > this.startTimeout) {
+                clearInterval(streamInfo.startTimer);
+
+                // stderr'de bilinen bir sebep varsa onu kullan, yoksa genel timeout
+                const classified = classifyFFmpegError(streamInfo.stderrTail);
+                streamInfo.failure = classified.code !== 'FFMPEG_EXIT'
+                    ? classified
+                    : createFailure('START_TIMEOUT', `İlk segment ${Math.round(this.startTimeout / 1000)} sn içinde oluşmadı`, {
+                        detail: classified.detail
+                    });
+
+                console.warn(`[FFmpeg ${streamName}] start timeout (${streamInfo.failure.code}), killing PID ${streamInfo.pid}`);
+                streamInfo.process.kill('SIGKILL');
+            }
+        }, 500);
+    }
+
+    /**
+     * Yayının segment dosyaları: <ad>_<sıra>.ts, adaptive modda <ad>_<rendition>_<sıra>.ts
+     * Önek eşleşmesi yapılmaz - cam yayını cam_2'nin segmentlerini görmez
+     */
+    listSegmentFiles(streamName) {
+        const prefixes = this.getSegmentPrefixes(streamName);
+
+        return fs.readdirSync(this.publicPath)
+            .filter(file => prefixes.some(prefix =>
+                file.startsWith(prefix) && /^\d+\.ts$/.test(file.slice(prefix.length))))
+            .map(file => path.join(this.publicPath, file));
+    }
+
+    getSegmentPrefixes(streamName) {
+        const streamInfo = this.activeStreams[streamName];
+        const renditions = streamInfo ? streamInfo.renditions : [];
+
+        return renditions.length > 0
+            ? renditions.map(rendition => `${streamName}_${rendition}_`)
+            : [`${streamName}_`];
+    }
+
+    /**
+     * Dosya bu yayının çıktısı mı: <ad>.m3u8, segmentler ve adaptive modda <ad>_<rendition>.m3u8
+     * listSegmentFiles ile aynı kurallar - cam_2.m3u8 cam yayınına ait sayılmaz
+     */
+    isOutputFile(streamName, fileName) {
+        if (fileName === `${streamName}.m3u8`) {
+            return true;
+        }
+
+        const streamInfo = this.activeStreams[streamName];
+        if (streamInfo && streamInfo.renditions.some(rendition => fileName === `${streamName}_${rendition}.m3u8`)) {
+            return true;
+        }
+
+        return this.getSegmentPrefixes(streamName).some(prefix =>
+            fileName.startsWith(prefix) && /^\d+\.ts$/.test(fileName.slice(prefix.length)));
+    }
+
     /**
      * Segment cleanup işlemi
      */
     cleanupSegments(streamName) {
-        const segmentPattern = path.join(this.publicPath, `${streamName}_*.ts`);
-        const glob = require('glob');
+        // Adaptive modda her rendition kendi segment'lerini yazar
+        const streamInfo = this.activeStreams[streamName];
+        const keep = 25 * Math.max(1, streamInfo ? streamInfo.renditions.length : 1);
 
         try {
-            const segmentFiles = glob.sync(segmentPattern);
+            const segmentFiles = this.listSegmentFiles(streamName);
 
-            // En eski segment'leri sil (sadece son 25'ini koru)
-            if (segmentFiles.length > 25) {
+            // En eski segment'leri sil (rendition başına son 25'ini koru)
+            if (segmentFiles.length > keep) {
                 const filesToDelete = segmentFiles
                     .sort((a, b) => {
                         const aNum = parseInt(a.match(/_(\d+)\.ts$/)?.[1] || '0');
                         const bNum = parseInt(b.match(/_(\d+)\.ts$/)?.[1] || '0');
                         return aNum - bNum;
                     })
-                    .slice(0, -25); // Son 25'i koru
+                    .slice(0, -keep);
 
                 filesToDelete.forEach(file => {
                     if (fs.existsSync(file)) {
@@ -222,6 +459,155 @@ class StreamService {
         }, 30000);
     }
 
+    /**
+     * FFmpeg -progress çıktısını parse eder
+     * Bloklar "progress=continue" satırıyla biter: frame=..., fps=..., speed=1.01x
+     */
+    parseProgress(streamInfo, output) {
+        const pending = streamInfo.pendingProgress || {};
+
+        for (const line of output.split('\n')) {
+            const separator = line.indexOf('=');
+            if (separator === -1) continue;
+
+            const key = line.slice(0, separator).trim();
+            const value = line.slice(separator + 1).trim();
+
+            if (key !== 'progress') {
+                pending[key] = value;
+                continue;
+            }
+
+            const now = Date.now();
+            const previous = streamInfo.progress;
+            const frame = parseInt(pending.frame) || 0;
+
+            streamInfo.progress = {
+                frame,
+                fps: parseFloat(pending.fps) || 0,
+                speed: parseFloat(pending.speed) || 0,
+                bitrate: pending.bitrate || null,
+                outTime: pending.out_time || null,
+                updatedAt: now,
+                // Frame sayacının son arttığı an - stall tespiti için
+                frameChangedAt: !previous || frame > previous.frame ? now : previous.frameChangedAt
+            };
+
+            Object.keys(pending).forEach(k => delete pending[k]);
+        }
+
+        streamInfo.pendingProgress = pending;
+    }
+
+    /**
+     * Stream'in HLS çıktısının en son ne zaman güncellendiğini bulur
+     */
+    getOutputFreshness(streamName) {
+        let playlistAt = null;
+        let segmentAt = null;
+
+        try {
+            const hlsPath = path.join(this.publicPath, `${streamName}.m3u8`);
+            if (fs.existsSync(hlsPath)) {
+                playlistAt = fs.statSync(hlsPath).mtimeMs;
+            }
+
+            for (const file of this.listSegmentFiles(streamName)) {
+                const mtime = fs.statSync(file).mtimeMs;
+                if (!segmentAt || mtime > segmentAt) {
+                    segmentAt = mtime;
+                }
+            }
+        } catch (error) {
+            // Dosya cleanup sırasında silinmiş olabilir
+        }
+
+        return { playlistAt, segmentAt };
+    }
+
+    /**
+     * Çalışan stream takılmış mı kontrol eder - takıldıysa sebebini döner
+     */
+    detectStall(streamName, streamInfo) {
+        const now = Date.now();
+        const startedAt = streamInfo.startedAt.getTime();
+
+        // Başlangıçta ilk segment için süre tanı
+        if (now - startedAt < this.stallTimeout) {
+            return null;
+        }
+
+        const { playlistAt, segmentAt } = this.getOutputFreshness(streamName);
+        const lastOutputAt = Math.max(playlistAt || startedAt, segmentAt || startedAt);
+
+        if (now - lastOutputAt > this.stallTimeout) {
+            return {
+                reason: 'PLAYLIST_STALE',
+                message: `No new HLS segment for ${Math.round((now - lastOutputAt) / 1000)}s`,
+                lastSegmentAt: segmentAt ? new Date(segmentAt) : null
+            };
+        }
+
+        const progress = streamInfo.progress;
+        if (progress && now - progress.frameChangedAt > this.stallTimeout) {
+            return {
+                reason: 'NO_PROGRESS',
+                message: `Frame counter stuck at ${progress.frame} for ${Math.round((now - progress.frameChangedAt) / 1000)}s`,
+                lastSegmentAt: segmentAt ? new Date(segmentAt) : null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Takılan süreci öldürür - supervisor exit olayı ile yeniden başlatır
+     */
+    handleStall(streamName, streamInfo, stall) {
+        streamInfo.stall = {
+            ...stall,
+            detectedAt: new Date(),
+            pid: streamInfo.pid,
+            progress: streamInfo.progress
+        };
+
+        if (!this.stallEvents[streamName]) {
+            this.stallEvents[streamName] = [];
+        }
+        this.stallEvents[streamName].push(streamInfo.stall);
+        if (this.stallEvents[streamName].length > 20) {
+            this.stallEvents[streamName].shift();
+        }
+
+        console.warn(`[Watchdog] ${streamName} stalled (${stall.reason}: ${stall.message}), killing PID ${streamInfo.pid}`);
+        this.emit('stalled', { streamName, ...streamInfo.stall });
+
+        streamInfo.failure = createFailure(stall.reason, stall.message, {
+            detail: streamInfo.stderrTail.slice(-1)[0] || null
+        });
+        streamInfo.status = 'error';
+        streamInfo.process.kill('SIGKILL');
+    }
+
+    /**
+     * Periyodik watchdog kontrolü başlat
+     */
+    startWatchdogJob() {
+        // Her 5 saniyede bir HLS çıktısının tazeliğini kontrol et
+        setInterval(() => {
+            for (const [streamName, streamInfo] of Object.entries(this.activeStreams)) {
+                if (streamInfo.stall || !streamInfo.process || streamInfo.process.exitCode !== null) continue;
+                // Başlangıç aşamasını waitForFirstSegment yönetir
+                if (streamInfo.status !== 'streaming') continue;
+
+                const stall = this.detectStall(streamName, streamInfo);
+                if (stall) {
+                    this.handleStall(streamName, streamInfo, stall);
+                }
+            }
+        }, 5000);
+    }
+
     /**
      * Stream durdurur
      */
@@ -232,6 +618,8 @@ class StreamService {
 
         try {
             const streamInfo = this.activeStreams[streamName];
+            streamInfo.stopping = true;
+            clearInterval(streamInfo.startTimer);
 
             // FFmpeg sürecini durdur
             if (streamInfo.process && !streamInfo.process.killed) {
@@ -253,6 +641,12 @@ class StreamService {
                 fs.unlinkSync(hlsPath);
             }
 
+            // Adaptive moddaki varyant playlist'leri sil (sadece bu yayının rendition'ları)
+            streamInfo.renditions
+                .map(rendition => path.join(this.publicPath, `${streamName}_${rendition}.m3u8`))
+                .filter(file => fs.existsSync(file))
+                .forEach(file => fs.unlinkSync(file));
+
             // Segment'leri temizle
             this.cleanupSegments(streamName);
 
@@ -260,6 +654,7 @@ class StreamService {
             delete this.activeStreams[streamName];
 
             console.log(`[StreamService] Stream ${streamName} stopped and cleaned up`);
+            this.emit('stopped', { streamName });
 
             return {
                 success: true,
@@ -272,6 +667,45 @@ class StreamService {
         }
     }
 
+    /**
+     * Düşmüş bir stream'i aynı config ve callback'lerle yeniden başlatır
+     */
+    async restartStream(streamName) {
+        const previous = this.activeStreams[streamName];
+        if (!previous) {
+            throw new Error('Yayın bulunamadı veya aktif değil');
+        }
+
+        // Hala çalışan süreç varsa önce kapat
+        if (previous.process && previous.process.exitCode === null) {
+            previous.stopping = true;
+            previous.process.kill('SIGKILL');
+        }
+
+        delete this.activeStreams[streamName];
+
+        try {
+            const result = await this.startStream(previous.config);
+
+            this.setStreamCallbacks(streamName, previous);
+
+            if (previous.onRestart) {
+                previous.onRestart(result);
+            }
+
+            this.emit('restarted', { streamName, pid: result.pid });
+            return result;
+        } catch (error) {
+            // Başlatılamadıysa kaydı koru ki supervisor tekrar deneyebilsin
+            if (!this.activeStreams[streamName]) {
+                previous.status = 'error';
+                previous.error = error.message;
+                this.activeStreams[streamName] = previous;
+            }
+            throw error;
+        }
+    }
+
     /**
      * Network optimization
      */
@@ -305,7 +739,19 @@ class StreamService {
             pid: streamInfo.pid,
             startedAt: streamInfo.startedAt,
             hlsUrl: streamInfo.hlsUrl,
-            uptime: new Date() - streamInfo.startedAt
+            uptime: new Date() - streamInfo.startedAt,
+            encoding: streamInfo.encoding,
+            renditions: streamInfo.renditions,
+            mode: streamInfo.mode,
+            modeReason: streamInfo.modeReason,
+            probe: streamInfo.probe,
+            progress: streamInfo.progress,
+            lastStall: (this.stallEvents[streamName] || []).slice(-1)[0] || null,
+            failure: streamInfo.failure,
+            firstSegmentAt: streamInfo.firstSegmentAt || null,
+            supervision: this.supervisor ? this.supervisor.getState(streamName) : null,
+            // Görüntü sağlığı: siyah, donmuş, bulanık görüntü, sahne değişikliği
+            health: this.healthMonitor ? this.healthMonitor.getConditions(streamName) : []
         };
     }
 
@@ -322,7 +768,13 @@ class StreamService {
                 pid: streamInfo.pid,
                 startedAt: streamInfo.startedAt,
                 hlsUrl: streamInfo.hlsUrl,
-                uptime: new Date() - streamInfo.startedAt
+                uptime: new Date() - streamInfo.startedAt,
+                mode: streamInfo.mode,
+                probedCodec: streamInfo.probe ? streamInfo.probe.codecName : null,
+                progress: streamInfo.progress,
+                stallCount: (this.stallEvents[streamName] || []).length,
+                supervision: this.supervisor ? this.supervisor.getState(streamName) : null,
+                health: this.healthMonitor ? this.healthMonitor.getConditions(streamName) : []
             };
         }
 
@@ -351,6 +803,20 @@ class StreamService {
         console.log('[StreamService] All streams stopped');
     }
 
+    /**
+     * Supervisor durumunu status çıktılarına eklemek için kaydeder
+     */
+    setSupervisor(supervisor) {
+        this.supervisor = supervisor;
+    }
+
+    /**
+     * Görüntü sağlığı izleyicisini status çıktılarına eklemek için kaydeder
+     */
+    setHealthMonitor(healthMonitor) {
+        this.healthMonitor = healthMonitor;
+    }
+
     /**
      * Stream için callback ayarlar (database güncellemeleri için)
      */
@@ -358,6 +824,8 @@ class StreamService {
         if (this.activeStreams[streamName]) {
             this.activeStreams[streamName].onClose = callbacks.onClose;
             this.activeStreams[streamName].onError = callbacks.onError;
+            this.activeStreams[streamName].onRestart = callbacks.onRestart;
+            this.activeStreams[streamName].onStreaming = callbacks.onStreaming;
         }
     }
 }
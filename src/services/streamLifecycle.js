@@ -0,0 +1,127 @@
+// services/streamLifecycle.js
+// Stream kaydı (DB) ile StreamService süreci arasındaki durum senkronizasyonu
+const { getStreamService } = require('./stream');
+const { getStreamSupervisor } = require('./supervisor');
+const { classifyFFmpegError, createFailure, serializeFailure, parseFailure } = require('./ffmpegErrors');
+const { getEventBus } = require('./events');
+
+/**
+ * Database kaydını günceller ve yeni durumu admin paneline yayınlar
+ */
+async function updateStreamStatus(stream, values) {
+    await stream.update(values);
+
+    getEventBus().publish('stream.status', {
+        id: stream.id,
+        streamName: stream.stream_name,
+        status: stream.status,
+        failure: parseFailure(stream.error_message)
+    });
+}
+
+/**
+ * StreamService callback'leri beklemeden çağırır; hata burada yakalanmazsa unhandled rejection olur
+ */
+function catchCallbackErrors(stream, event, callback) {
+    return async (...args) => {
+        try {
+            await callback(...args);
+        } catch (error) {
+            console.error(`Stream ${event} callback error (${stream.stream_name}):`, error.message);
+        }
+    };
+}
+
+/**
+ * Süreç olaylarında database'i güncelleyen callback'leri bağlar
+ */
+function attachDatabaseCallbacks(stream) {
+    const streamService = getStreamService();
+    const supervisor = getStreamSupervisor();
+
+    streamService.setStreamCallbacks(stream.stream_name, {
+        onClose: catchCallbackErrors(stream, 'close', async (code, details = {}) => {
+            const state = supervisor.getState(stream.stream_name);
+            const failure = details.failure || classifyFFmpegError([], code);
+
+            await updateStreamStatus(stream, {
+                status: code === 0 ? 'stopped' : 'error',
+                last_stopped: new Date(),
+                error_message: code !== 0
+                    ? serializeFailure({ ...failure, flapping: state.flapping })
+                    : null,
+                process_id: null
+            });
+        }),
+        onError: catchCallbackErrors(stream, 'error', async (error, failure) => {
+            await updateStreamStatus(stream, {
+                status: 'error',
+                error_message: serializeFailure(failure || createFailure('SPAWN_FAILED', error.message)),
+                process_id: null
+            });
+        }),
+        onRestart: catchCallbackErrors(stream, 'restart', async (result) => {
+            // Yeni süreç de ilk segmenti yazana kadar 'starting'
+            await updateStreamStatus(stream, {
+                status: 'starting',
+                last_started: new Date(),
+                process_id: result.pid
+            });
+        }),
+        onStreaming: catchCallbackErrors(stream, 'streaming', async () => {
+            await updateStreamStatus(stream, {
+                status: 'streaming',
+                error_message: null
+            });
+        })
+    });
+}
+
+/**
+ * Stream'i başlatır, callback'leri bağlar ve database durumunu günceller
+ * (stream, camera include edilerek yüklenmiş olmalı)
+ */
+async function startManagedStream(stream, { serverHost = '' } = {}) {
+    const streamService = getStreamService();
+
+    // Database durumunu güncelle - starting
+    await updateStreamStatus(stream, {
+        status: 'starting',
+        last_started: new Date(),
+        error_message: null
+    });
+
+    try {
+        const result = await streamService.startStream(stream.toStreamConfig());
+
+        // Callback'leri ayarla - database güncellemeleri için
+        attachDatabaseCallbacks(stream);
+
+        // Süreç başladı - 'streaming' durumuna ilk segment yazılınca geçilir (onStreaming)
+        await stream.update({
+            process_id: result.pid,
+            hls_url: `${serverHost}${result.hlsUrl}`
+        });
+
+        return result;
+    } catch (error) {
+        // Stream başlatma hatası - database'i güncelle
+        await updateStreamStatus(stream, {
+            status: 'error',
+            error_message: serializeFailure(createFailure(
+                error.name === 'EncodingProfileError' ? 'INVALID_CONFIG' : 'START_FAILED',
+                error.message,
+                { retryable: false }
+            )),
+            process_id: null
+        });
+
+        throw error;
+    }
+}
+
+module.exports = {
+    startManagedStream,
+    updateStreamStatus,
+    attachDatabaseCallbacks
+};
@@ -0,0 +1,206 @@
+// services/supervisor.js
+const EventEmitter = require('events');
+const { getStreamService } = require('./stream');
+
+const HISTORY_LIMIT = 20;
+
+/**
+ * FFmpeg süreci beklenmedik şekilde kapanan stream'leri
+ * exponential backoff + jitter ile yeniden başlatır
+ */
+class StreamSupervisor extends EventEmitter {
+    constructor(streamService) {
+        super();
+        this.streamService = streamService;
+        this.states = {};
+
+        this.baseDelay = parseInt(process.env.SUPERVISOR_BASE_DELAY_MS) || 2000;
+        this.maxDelay = parseInt(process.env.SUPERVISOR_MAX_DELAY_MS) || 5 * 60 * 1000;
+        this.defaultMaxRestarts = 5;
+        // Bu süreden uzun çalışan stream düzgün kabul edilir, deneme sayacı sıfırlanır
+        this.stableAfter = 60 * 1000;
+        // flapWindow içinde flapThreshold kadar restart => flapping
+        this.flapWindow = 10 * 60 * 1000;
+        this.flapThreshold = 5;
+
+        this.streamService.on('exit', (event) => this.handleExit(event));
+        this.streamService.on('stopped', ({ streamName }) => this.reset(streamName));
+        this.streamService.setSupervisor(this);
+    }
+
+    getOrCreateState(streamName) {
+        if (!this.states[streamName]) {
+            this.states[streamName] = {
+                attempts: 0,
+                restartCount: 0,
+                history: [],
+                timer: null,
+                nextRestartAt: null,
+                flapping: false,
+                gaveUp: false
+            };
+        }
+        return this.states[streamName];
+    }
+
+    /**
+     * Deneme numarasına göre bekleme süresi: base * 2^attempt, üst sınırlı, %50-100 jitter
+     */
+    computeDelay(attempt) {
+        const exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    handleExit({ streamName, code, failure, startedAt, exitedAt }) {
+        const streamInfo = this.streamService.activeStreams[streamName];
+        if (!streamInfo || code === 0) {
+            return;
+        }
+
+        const state = this.getOrCreateState(streamName);
+        const maxRestarts = streamInfo.config.maxRestarts !== undefined && streamInfo.config.maxRestarts !== null
+            ? parseInt(streamInfo.config.maxRestarts)
+            : this.defaultMaxRestarts;
+
+        // Uzun süre sorunsuz çalıştıysa yeni bir arıza serisi başlar
+        if (exitedAt - startedAt >= this.stableAfter) {
+            state.attempts = 0;
+            state.gaveUp = false;
+        }
+
+        // Şifre hatası, yanlış RTSP yolu gibi durumlarda tekrar denemek anlamsız
+        if (failure && failure.retryable === false) {
+            state.gaveUp = true;
+            state.nextRestartAt = null;
+            state.lastFailure = failure.code;
+            console.warn(`[Supervisor] ${streamName} failed with non-retryable error ${failure.code}, not restarting`);
+            this.emit('gaveUp', { streamName, attempts: state.attempts, reason: failure.code });
+            return;
+        }
+
+        if (state.attempts >= maxRestarts) {
+            state.gaveUp = true;
+            state.nextRestartAt = null;
+            console.warn(`[Supervisor] ${streamName} reached max restarts (${maxRestarts}), giving up`);
+            this.emit('gaveUp', { streamName, attempts: state.attempts });
+            return;
+        }
+
+        const delay = this.computeDelay(state.attempts);
+        state.attempts++;
+        state.nextRestartAt = new Date(Date.now() + delay);
+
+        state.history.push({
+            exitedAt,
+            exitCode: code,
+            reason: failure ? failure.code : null,
+            attempt: state.attempts,
+            delay
+        });
+        if (state.history.length > HISTORY_LIMIT) {
+            state.history.shift();
+        }
+
+        this.updateFlapping(streamName, state);
+
+        console.log(`[Supervisor] ${streamName} exited with code ${code}, restart #${state.attempts} in ${delay}ms${state.flapping ? ' (flapping)' : ''}`);
+
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => this.restart(streamName), delay);
+    }
+
+    async restart(streamName) {
+        const state = this.getOrCreateState(streamName);
+        state.timer = null;
+        state.nextRestartAt = null;
+
+        // Bu arada elle durdurulmuş olabilir
+        if (!this.streamService.isStreamActive(streamName)) {
+            return;
+        }
+
+        try {
+            await this.streamService.restartStream(streamName);
+            state.restartCount++;
+            state.lastRestartAt = new Date();
+            this.emit('restarted', { streamName, attempt: state.attempts });
+        } catch (error) {
+            console.error(`[Supervisor] Restart failed for ${streamName}:`, error.message);
+
+            // Spawn aşamasında hata - süreç yok, exit olayı gelmeyecek
+            this.handleExit({
+                streamName,
+                code: -1,
+                failure: null,
+                startedAt: new Date(),
+                exitedAt: new Date()
+            });
+        }
+    }
+
+    updateFlapping(streamName, state) {
+        const windowStart = Date.now() - this.flapWindow;
+        const recentRestarts = state.history.filter(entry => entry.exitedAt.getTime() >= windowStart).length;
+        const wasFlapping = state.flapping;
+
+        state.flapping = recentRestarts >= this.flapThreshold;
+
+        if (state.flapping && !wasFlapping) {
+            this.emit('flapping', { streamName, restarts: recentRestarts });
+        }
+    }
+
+    /**
+     * Elle durdurulan stream'in bekleyen restart'ını iptal eder
+     */
+    reset(streamName) {
+        const state = this.states[streamName];
+        if (state) {
+            clearTimeout(state.timer);
+            delete this.states[streamName];
+        }
+    }
+
+    /**
+     * Status API'leri için supervisor durumu
+     */
+    getState(streamName) {
+        const state = this.states[streamName];
+        if (!state) {
+            return {
+                restartCount: 0,
+                attempts: 0,
+                flapping: false,
+                gaveUp: false,
+                lastFailure: null,
+                nextRestartAt: null,
+                lastRestartAt: null,
+                history: []
+            };
+        }
+
+        return {
+            restartCount: state.restartCount,
+            attempts: state.attempts,
+            flapping: state.flapping,
+            gaveUp: state.gaveUp,
+            lastFailure: state.lastFailure || null,
+            nextRestartAt: state.nextRestartAt,
+            lastRestartAt: state.lastRestartAt || null,
+            history: state.history
+        };
+    }
+}
+
+// Singleton pattern
+let supervisorInstance = null;
+
+module.exports = {
+    getStreamSupervisor: () => {
+        if (!supervisorInstance) {
+            supervisorInstance = new StreamSupervisor(getStreamService());
+        }
+        return supervisorInstance;
+    },
+    StreamSupervisor
+};
@@ -0,0 +1,140 @@
+// services/totp.js
+// RFC 6238 zaman tabanlı tek kullanımlık şifreler (Google Authenticator, Authy vb. ile uyumlu)
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Saat kaymasına karşı önceki/sonraki adım da kabul edilir
+const WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Geçersiz base32 karakteri');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Yeni gizli anahtar (160 bit, base32)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+function generateCode(secret, step = currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Kodu doğrular - eşleşen zaman adımını, geçersizse null döner
+ * lastStep verilirse aynı veya daha eski adımdaki kod tekrar kullanılamaz
+ */
+function verifyCode(secret, code, { lastStep = null } = {}) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+
+    const now = currentStep();
+    for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+        if (lastStep !== null && step <= lastStep) {
+            continue;
+        }
+        const expected = Buffer.from(generateCode(secret, step));
+        if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) {
+            return step;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Authenticator uygulamalarının okuduğu otpauth:// adresi
+ */
+function buildOtpauthUri(secret, accountName, issuer = 'Ark Stream') {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Kurtarma kodları - düz metin kullanıcıya bir kez gösterilir, özetleri saklanır
+ * Dönen değer: { codes, hashes }
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    const codes = [];
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
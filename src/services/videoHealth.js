@@ -0,0 +1,512 @@
+// services/videoHealth.js
+// Görüntü sağlığı izleme: çalışan her yayının FFmpeg'in yazdığı son HLS segmentleri periyodik olarak
+// blackdetect/freezedetect ile taranır, küçültülmüş gri karelerde netlik (Laplace varyansı) ve blok bazında
+// sahne farkı ölçülür (kameraya ek bağlantı açılmaz). Tespit edilen durumlar stream_conditions tablosuna
+// kaydedilir ve stream.healthChanged olayı olarak yayınlanır.
+// Ortam değişkenleri:
+//  VIDEO_HEALTH_INTERVAL_SECONDS       kontrol aralığı (varsayılan 30, 0 => kapalı)
+//  VIDEO_HEALTH_WINDOW_SEGMENTS        her kontrolde incelenen son segment sayısı (3)
+//  VIDEO_HEALTH_TIMEOUT_MS             analiz süreci zaman aşımı (20000)
+//  VIDEO_HEALTH_CONFIRM_CHECKS         durumun açılması/kapanması için ardışık kontrol sayısı (2)
+//  VIDEO_HEALTH_BLACK_PIXEL_THRESHOLD  blackdetect piksel eşiği (0.1)
+//  VIDEO_HEALTH_FREEZE_NOISE_DB        freezedetect gürültü toleransı, dB (-60)
+//  VIDEO_HEALTH_BLUR_RATIO             netlik referansın bu oranının altına düşerse bulanık (0.35)
+//  VIDEO_HEALTH_SCENE_CHANGE_RATIO     blokların bu oranı değişirse sahne değişmiş (0.5)
+// Geçersiz değerler uyarıyla birlikte varsayılana döner.
+const { spawn } = require('child_process');
+const { getStreamService } = require('./stream');
+const { getEventBus } = require('./events');
+const { getSnapshotService } = require('./snapshots');
+
+const CONDITIONS = ['black', 'frozen', 'blurred', 'scene_changed'];
+
+// Sahne karşılaştırması için kare bu boyutta bloklara bölünür (320x180 => 32x18 blok)
+const BLOCK_SIZE = 10;
+
+/**
+ * Sayısal ortam değişkenini okur; tanımsızsa varsayılan döner
+ * Geçersiz değer (yazım hatası, aralık dışı) sessizce 0'a dönmesin diye uyarı yazılıp varsayılan kullanılır
+ */
+function readNumberEnv(name, fallback, isValid = () => true) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') {
+        return fallback;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || !isValid(value)) {
+        console.warn(`[Health] Invalid ${name} value "${raw}", using default ${fallback}`);
+        return fallback;
+    }
+    return value;
+}
+
+const isNonNegativeInteger = value => Number.isInteger(value) && value >= 0;
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isPositive = value => value > 0;
+
+/**
+ * FFmpeg blackdetect/freezedetect çıktısından siyah ve donmuş sürelerin toplamını çıkarır
+ * Pencerenin sonunda devam eden aralık pencere sonunda bitmiş sayılır
+ */
+function parseDetectorLog(log, fallbackDuration) {
+    const durationMatch = log.match(/Duration:\s*(\d+):(\d+):([\d.]+)/);
+    // Girdinin başlangıç zamanı Duration satırında yazar (black_start/freeze_start ile karışmasın)
+    const startMatch = log.match(/Duration:[^\n]*?\bstart:\s*(-?[\d.]+)/);
+    const duration = durationMatch
+        ? parseInt(durationMatch[1]) * 3600 + parseInt(durationMatch[2]) * 60 + parseFloat(durationMatch[3])
+        : fallbackDuration;
+    const start = startMatch ? parseFloat(startMatch[1]) : 0;
+    const end = start + duration;
+
+    let black = 0;
+    for (const match of log.matchAll(/black_start:\s*([\d.]+)(?:\s+black_end:\s*([\d.]+))?/g)) {
+        black += (match[2] !== undefined ? parseFloat(match[2]) : end) - parseFloat(match[1]);
+    }
+
+    let frozen = 0;
+    let freezeStart = null;
+    for (const match of log.matchAll(/freezedetect\.freeze_(start|end):\s*([\d.]+)/g)) {
+        if (match[1] === 'start') {
+            freezeStart = parseFloat(match[2]);
+        } else if (freezeStart !== null) {
+            frozen += parseFloat(match[2]) - freezeStart;
+            freezeStart = null;
+        }
+    }
+    if (freezeStart !== null) {
+        frozen += end - freezeStart;
+    }
+
+    return {
+        duration,
+        black: Math.min(duration, Math.max(0, black)),
+        frozen: Math.min(duration, Math.max(0, frozen))
+    };
+}
+
+/**
+ * Netlik ölçüsü - Laplace filtresinin varyansı (bulanık veya kapatılmış görüntüde düşer)
+ */
+function frameSharpness(frame, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            const value = frame[i - width] + frame[i + width] + frame[i - 1] + frame[i + 1] - 4 * frame[i];
+            sum += value;
+            sumSquares += value * value;
+            count++;
+        }
+    }
+
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+}
+
+/**
+ * Karenin blok ortalamaları, genel parlaklık çıkarılmış (gün/gece ve pozlama değişimlerinden etkilenmez)
+ */
+function blockMeans(frame, width, height) {
+    const columns = Math.floor(width / BLOCK_SIZE);
+    const rows = Math.floor(height / BLOCK_SIZE);
+    const blocks = new Float32Array(columns * rows);
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            let sum = 0;
+            for (let y = row * BLOCK_SIZE; y < (row + 1) * BLOCK_SIZE; y++) {
+                for (let x = column * BLOCK_SIZE; x < (column + 1) * BLOCK_SIZE; x++) {
+                    sum += frame[y * width + x];
+                }
+            }
+            blocks[row * columns + column] = sum / (BLOCK_SIZE * BLOCK_SIZE);
+        }
+    }
+
+    const mean = blocks.reduce((total, value) => total + value, 0) / (blocks.length || 1);
+    return blocks.map(value => value - mean);
+}
+
+/**
+ * Referans sahneye göre belirgin şekilde değişen blokların oranı (0-1)
+ */
+function sceneDifference(reference, blocks, threshold = 25) {
+    let changed = 0;
+    for (let i = 0; i < blocks.length; i++) {
+        if (Math.abs(blocks[i] - reference[i]) > threshold) {
+            changed++;
+        }
+    }
+    return blocks.length ? changed / blocks.length : 0;
+}
+
+/**
+ * Çalışan yayınların görüntüsünü periyodik olarak inceler ve sağlık durumları üretir:
+ *  - black: görüntü siyah (blackdetect)
+ *  - frozen: görüntü donmuş (freezedetect)
+ *  - blurred: netlik yayının normal değerinin çok altında (odak bozuldu, lens kapatıldı/boyandı)
+ *  - scene_changed: sahne öğrenilen referanstan büyük ölçüde farklı (kamera çevrildi)
+ * Referans netlik ve sahne yayın her başladığında yeniden öğrenilir.
+ */
+class VideoHealthMonitor {
+    constructor(streamService, eventBus, snapshotService) {
+        this.streamService = streamService;
+        this.eventBus = eventBus;
+        this.snapshotService = snapshotService;
+        // streamName => analiz durumu
+        this.states = {};
+        this.running = false;
+
+        // 0 => analiz kapalı
+        this.intervalSeconds = readNumberEnv('VIDEO_HEALTH_INTERVAL_SECONDS', 30, isNonNegativeInteger);
+        this.windowSegments = readNumberEnv('VIDEO_HEALTH_WINDOW_SEGMENTS', 3, isPositiveInteger);
+        this.timeoutMs = readNumberEnv('VIDEO_HEALTH_TIMEOUT_MS', 20000, isPositiveInteger);
+        // Durum bu kadar ardışık kontrolde görülünce açılır, görülmeyince kapanır
+        this.confirmChecks = readNumberEnv('VIDEO_HEALTH_CONFIRM_CHECKS', 2, isPositiveInteger);
+        // Pencerenin bu oranı siyah/donmuşsa kontrol olumsuz sayılır
+        this.coverageRatio = 0.9;
+        this.blackPixelThreshold = readNumberEnv('VIDEO_HEALTH_BLACK_PIXEL_THRESHOLD', 0.1, value => value >= 0 && value <= 1);
+        // 0 dB de geçerli bir tolerans
+        this.freezeNoise = readNumberEnv('VIDEO_HEALTH_FREEZE_NOISE_DB', -60, value => value <= 0);
+        this.blurRatio = readNumberEnv('VIDEO_HEALTH_BLUR_RATIO', 0.35, isPositive);
+        this.sceneChangeRatio = readNumberEnv('VIDEO_HEALTH_SCENE_CHANGE_RATIO', 0.5, isPositive);
+        // Referans bu kadar sağlıklı kontrolden sonra hazır sayılır
+        this.baselineChecks = 3;
+        this.frameWidth = 320;
+        this.frameHeight = 180;
+
+        this.streamService.on('stopped', ({ streamName }) => {
+            this.forget(streamName)
+                .catch(error => console.error(`[Health ${streamName}] Could not close conditions: ${error.message}`));
+        });
+        this.streamService.setHealthMonitor(this);
+
+        if (this.intervalSeconds > 0) {
+            this.startCheckJob();
+        }
+    }
+
+    getOrCreateState(streamName) {
+        if (!this.states[streamName]) {
+            this.states[streamName] = {
+                streamName,
+                streamId: null,
+                lastSegment: null,
+                // Ardışık olumlu/olumsuz kontrol sayıları
+                hits: {},
+                misses: {},
+                // condition => { since, measurement, record, ready }
+                conditions: new Map(),
+                sharpness: null,
+                reference: null,
+                baselineSamples: 0
+            };
+        }
+        return this.states[streamName];
+    }
+
+    /**
+     * Son segmentleri FFmpeg analiz filtrelerinden geçirir
+     * Saniyede bir küçük gri kare de alınır (netlik ve sahne karşılaştırması için son kare kullanılır)
+     */
+    analyze(segments) {
+        return new Promise((resolve, reject) => {
+            const frameSize = this.frameWidth * this.frameHeight;
+            const filters = [
+                `blackdetect=d=0.5:pix_th=${this.blackPixelThreshold}`,
+                `freezedetect=n=${this.freezeNoise}dB:d=${this.streamService.segmentDuration}`,
+                'fps=1',
+                `scale=${this.frameWidth}:${this.frameHeight}`,
+                'format=gray'
+            ];
+
+            const ffmpeg = spawn('ffmpeg', [
+                '-hide_banner',
+                '-nostats',
+                '-loglevel', 'info',
+                '-i', `concat:${segments.join('|')}`,
+                '-map', '0:v:0',
+                '-vf', filters.join(','),
+                '-f', 'rawvideo',
+                '-pix_fmt', 'gray',
+                'pipe:1'
+            ]);
+
+            let output = Buffer.alloc(0);
+            let log = '';
+            let finished = false;
+
+            const finish = (error, result) => {
+                if (finished) return;
+                finished = true;
+                clearTimeout(timer);
+                error ? reject(error) : resolve(result);
+            };
+
+            const timer = setTimeout(() => {
+                ffmpeg.kill('SIGKILL');
+                finish(new Error(`analysis timed out after ${this.timeoutMs}ms`));
+            }, this.timeoutMs);
+
+            // Sadece son kare tutulur
+            ffmpeg.stdout.on('data', (chunk) => {
+                output = Buffer.concat([output, chunk]);
+                if (output.length > frameSize * 2) {
+                    output = output.subarray(output.length - frameSize * 2);
+                }
+            });
+
+            ffmpeg.stderr.on('data', (data) => {
+                log += data.toString();
+            });
+
+            ffmpeg.on('error', (error) => finish(error));
+
+            ffmpeg.on('close', (code) => {
+                if (code !== 0) {
+                    return finish(new Error(log.trim().split('\n').pop() || `ffmpeg exited with code ${code}`));
+                }
+
+                const frameCount = Math.floor(output.length / frameSize);
+                const frame = frameCount > 0
+                    ? output.subarray((frameCount - 1) * frameSize, frameCount * frameSize)
+                    : null;
+
+                finish(null, {
+                    ...parseDetectorLog(log, segments.length * this.streamService.segmentDuration),
+                    frame
+                });
+            });
+        });
+    }
+
+    /**
+     * Bir kontrolün sonucu: condition => ölçüm (görüldü), null (görülmedi) veya undefined (bilinmiyor)
+     * Siyah veya donmuş görüntüde netlik/sahne ölçülmez; referans sadece sorunsuz karelerle güncellenir
+     */
+    evaluate(state, sample) {
+        const observations = {};
+        const blackRatio = sample.duration > 0 ? sample.black / sample.duration : 0;
+        const frozenRatio = sample.duration > 0 ? sample.frozen / sample.duration : 0;
+
+        observations.black = blackRatio >= this.coverageRatio ? blackRatio : null;
+        // Siyah görüntü aynı zamanda donmuş görünür
+        observations.frozen = !observations.black && frozenRatio >= this.coverageRatio ? frozenRatio : null;
+
+        if (observations.black || observations.frozen || !sample.frame) {
+            return observations;
+        }
+
+        const sharpness = frameSharpness(sample.frame, this.frameWidth, this.frameHeight);
+        const blocks = blockMeans(sample.frame, this.frameWidth, this.frameHeight);
+
+        if (state.baselineSamples < this.baselineChecks) {
+            state.baselineSamples++;
+            state.sharpness = state.sharpness === null
+                ? sharpness
+                : state.sharpness + (sharpness - state.sharpness) / state.baselineSamples;
+            state.reference = state.reference
+                ? state.reference.map((value, i) => value + (blocks[i] - value) / state.baselineSamples)
+                : blocks;
+            return observations;
+        }
+
+        const sharpnessRatio = state.sharpness > 0 ? sharpness / state.sharpness : 1;
+        const change = sceneDifference(state.reference, blocks);
+        observations.blurred = sharpnessRatio < this.blurRatio ? sharpnessRatio : null;
+        observations.scene_changed = change >= this.sceneChangeRatio ? change : null;
+
+        // Işık ve mevsim gibi yavaş değişimlere uyum sağlamak için referans yavaşça güncellenir
+        if (!observations.blurred && !observations.scene_changed) {
+            state.sharpness += (sharpness - state.sharpness) * 0.1;
+            state.reference = state.reference.map((value, i) => value + (blocks[i] - value) * 0.1);
+        }
+
+        return observations;
+    }
+
+    async check(streamName) {
+        const segments = this.snapshotService.recentSegments(streamName, this.windowSegments);
+        const state = this.getOrCreateState(streamName);
+
+        // Son kontrolden beri yeni segment yazılmadıysa tekrar bakmaya gerek yok (takılma supervisor'ın işi)
+        if (segments.length === 0 || segments[segments.length - 1] === state.lastSegment) {
+            return;
+        }
+        state.lastSegment = segments[segments.length - 1];
+
+        const sample = await this.analyze(segments);
+        // Analiz sürerken yayın durmuş olabilir
+        if (this.states[streamName] !== state) {
+            return;
+        }
+
+        const observations = this.evaluate(state, sample);
+        for (const condition of CONDITIONS) {
+            const measurement = observations[condition];
+            if (measurement === undefined) continue;
+
+            if (measurement !== null) {
+                state.hits[condition] = (state.hits[condition] || 0) + 1;
+                state.misses[condition] = 0;
+                if (state.hits[condition] >= this.confirmChecks && !state.conditions.has(condition)) {
+                    this.raise(state, condition, measurement);
+                }
+            } else {
+                state.hits[condition] = 0;
+                state.misses[condition] = (state.misses[condition] || 0) + 1;
+                if (state.misses[condition] >= this.confirmChecks && state.conditions.has(condition)) {
+                    await this.resolve(state, condition);
+                }
+            }
+        }
+    }
+
+    raise(state, condition, measurement) {
+        const { Stream, StreamCondition } = require('../models');
+        const entry = {
+            since: new Date(),
+            measurement,
+            record: null
+        };
+        state.conditions.set(condition, entry);
+
+        console.warn(`[Health ${state.streamName}] Condition raised: ${condition} (${measurement.toFixed(2)})`);
+        this.eventBus.publish('stream.healthChanged', {
+            streamName: state.streamName,
+            condition,
+            active: true,
+            since: entry.since
+        });
+
+        // Kayıt arka planda yazılır, diğer kontroller beklemez
+        entry.ready = (async () => {
+            if (!state.streamId) {
+                const stream = await Stream.findOne({ where: { stream_name: state.streamName }, attributes: ['id'] });
+                if (!stream) return;
+                state.streamId = stream.id;
+            }
+
+            entry.record = await StreamCondition.create({
+                stream_id: state.streamId,
+                condition,
+                started_at: entry.since,
+                measurement
+            });
+        })().catch(error => {
+            console.error(`[Health ${state.streamName}] Could not save condition: ${error.message}`);
+        });
+    }
+
+    async resolve(state, condition) {
+        const entry = state.conditions.get(condition);
+        if (!entry) return;
+
+        state.conditions.delete(condition);
+        const endedAt = new Date();
+
+        console.log(`[Health ${state.streamName}] Condition cleared: ${condition}`);
+        this.eventBus.publish('stream.healthChanged', {
+            streamName: state.streamName,
+            condition,
+            active: false,
+            duration: Math.round((endedAt - entry.since) / 1000)
+        });
+
+        await entry.ready;
+        if (!entry.record) return;
+
+        try {
+            await entry.record.update({ ended_at: endedAt });
+        } catch (error) {
+            console.error(`[Health ${state.streamName}] Could not close condition: ${error.message}`);
+        }
+    }
+
+    /**
+     * Yayın durduğunda açık durumları kapatır ve öğrenilen referansı siler
+     */
+    async forget(streamName) {
+        const state = this.states[streamName];
+        if (!state) return;
+
+        delete this.states[streamName];
+        for (const condition of [...state.conditions.keys()]) {
+            await this.resolve(state, condition);
+        }
+    }
+
+    /**
+     * Status API'leri için yayının açık durumları
+     */
+    getConditions(streamName) {
+        const state = this.states[streamName];
+        if (!state) {
+            return [];
+        }
+
+        return [...state.conditions].map(([condition, entry]) => ({
+            condition,
+            since: entry.since,
+            measurement: entry.measurement
+        }));
+    }
+
+    /**
+     * Uygulama kapanırken açık kalan durumları kapatır (bitiş bilinmediği için başlangıç zamanı yazılır)
+     */
+    async closeStaleConditions() {
+        const { StreamCondition, sequelize } = require('../models');
+        const [count] = await StreamCondition.update(
+            { ended_at: sequelize.col('started_at') },
+            { where: { ended_at: null } }
+        );
+        return count;
+    }
+
+    // Çalışan yayınlar sırayla kontrol edilir (aynı anda tek FFmpeg)
+    startCheckJob() {
+        setInterval(async () => {
+            if (this.running) return;
+            this.running = true;
+
+            try {
+                for (const streamName of Object.keys(this.streamService.activeStreams)) {
+                    const status = this.streamService.getStreamStatus(streamName);
+                    if (!status || status.status !== 'streaming') continue;
+
+                    try {
+                        await this.check(streamName);
+                    } catch (error) {
+                        console.warn(`[Health ${streamName}] Check failed: ${error.message}`);
+                    }
+                }
+            } finally {
+                this.running = false;
+            }
+        }, this.intervalSeconds * 1000).unref();
+    }
+}
+
+// Singleton pattern
+let videoHealthMonitorInstance = null;
+
+module.exports = {
+    getVideoHealthMonitor: () => {
+        if (!videoHealthMonitorInstance) {
+            videoHealthMonitorInstance = new VideoHealthMonitor(getStreamService(), getEventBus(), getSnapshotService());
+        }
+        return videoHealthMonitorInstance;
+    },
+    VideoHealthMonitor,
+    CONDITIONS,
+    readNumberEnv,
+    parseDetectorLog,
+    frameSharpness,
+    blockMeans,
+    sceneDifference
+};
@@ -0,0 +1,248 @@
+// services/viewers.js
+const { Op } = require('sequelize');
+const { getStreamService } = require('./stream');
+
+/**
+ * HLS playlist/segment isteklerinden eşzamanlı izleyici sayısını hesaplar,
+ * dakikalık örneklerle saatlik istatistik (viewer_stats) tutar
+ */
+class ViewerTracker {
+    constructor(streamService) {
+        this.streamService = streamService;
+        // streamName => Map(viewerId => son istek zamanı)
+        this.sessions = {};
+        // streamName => o saatin özet bilgisi
+        this.buckets = {};
+
+        // hls.js playlist'i her segment süresinde yeniler; bu süre boyunca istek yoksa izleyici ayrılmış sayılır
+        this.idleTimeout = parseInt(process.env.VIEWER_IDLE_TIMEOUT_MS) || 20000;
+        this.sampleInterval = 60 * 1000;
+
+        this.streamService.on('stopped', ({ streamName }) => {
+            delete this.sessions[streamName];
+        });
+
+        this.startSamplingJob();
+    }
+
+    /**
+     * 'kamera1_720p_003.ts' gibi dosya adından aktif yayın adını bulur
+     * Dosya adı yayının çıktı adlarıyla tam eşleşmelidir; yine de birden fazla yayın eşleşirse en uzun ad seçilir
+     */
+    resolveStreamName(fileName) {
+        let match = null;
+
+        for (const streamName of Object.keys(this.streamService.activeStreams)) {
+            const matches = this.streamService.isOutputFile(streamName, fileName);
+            if (matches && (!match || streamName.length > match.length)) {
+                match = streamName;
+            }
+        }
+
+        return match;
+    }
+
+    /**
+     * Bir izleyicinin playlist/segment isteğini kaydeder
+     */
+    recordFetch(fileName, viewerId) {
+        const streamName = this.resolveStreamName(fileName);
+        if (!streamName) {
+            return null;
+        }
+
+        if (!this.sessions[streamName]) {
+            this.sessions[streamName] = new Map();
+        }
+        this.sessions[streamName].set(viewerId, Date.now());
+        this.getBucket(streamName).unique.add(viewerId);
+
+        return streamName;
+    }
+
+    /**
+     * Zaman aşımına uğramış izleyicileri temizler
+     */
+    prune() {
+        const threshold = Date.now() - this.idleTimeout;
+
+        for (const [streamName, viewers] of Object.entries(this.sessions)) {
+            for (const [viewerId, lastSeen] of viewers) {
+                if (lastSeen < threshold) {
+                    viewers.delete(viewerId);
+                }
+            }
+            if (viewers.size === 0) {
+                delete this.sessions[streamName];
+            }
+        }
+    }
+
+    getCount(streamName) {
+        const viewers = this.sessions[streamName];
+        if (!viewers) {
+            return 0;
+        }
+
+        const threshold = Date.now() - this.idleTimeout;
+        let count = 0;
+        for (const lastSeen of viewers.values()) {
+            if (lastSeen >= threshold) count++;
+        }
+        return count;
+    }
+
+    getCounts() {
+        const counts = {};
+        for (const streamName of Object.keys(this.sessions)) {
+            counts[streamName] = this.getCount(streamName);
+        }
+        return counts;
+    }
+
+    getBucket(streamName) {
+        const hour = new Date();
+        hour.setMinutes(0, 0, 0);
+
+        const bucket = this.buckets[streamName];
+        if (!bucket || bucket.hour.getTime() !== hour.getTime()) {
+            this.buckets[streamName] = {
+                hour,
+                peak: 0,
+                sum: 0,
+                samples: 0,
+                unique: new Set(),
+                baseUnique: 0,
+                seeded: false
+            };
+        }
+
+        return this.buckets[streamName];
+    }
+
+    /**
+     * Dakikalık örnek alır ve o saatin satırını günceller
+     */
+    async sample() {
+        const { Stream, ViewerStat } = require('../models');
+
+        this.prune();
+
+        const streamNames = Object.keys(this.streamService.activeStreams);
+        if (streamNames.length === 0) {
+            return;
+        }
+
+        const streams = await Stream.findAll({
+            where: { stream_name: streamNames },
+            attributes: ['id', 'stream_name']
+        });
+
+        for (const stream of streams) {
+            const count = this.getCount(stream.stream_name);
+            const bucket = this.getBucket(stream.stream_name);
+
+            // Uygulama saat ortasında yeniden başladıysa mevcut satırdan devam et
+            if (!bucket.seeded) {
+                const existing = await ViewerStat.findOne({
+                    where: { stream_id: stream.id, hour: bucket.hour }
+                });
+                if (existing) {
+                    bucket.peak = Math.max(bucket.peak, existing.peak_viewers);
+                    bucket.sum += existing.avg_viewers * existing.samples;
+                    bucket.samples += existing.samples;
+                    bucket.baseUnique = existing.unique_viewers;
+                }
+                bucket.seeded = true;
+            }
+
+            bucket.peak = Math.max(bucket.peak, count);
+            bucket.sum += count;
+            bucket.samples++;
+
+            await ViewerStat.upsert({
+                stream_id: stream.id,
+                hour: bucket.hour,
+                peak_viewers: bucket.peak,
+                avg_viewers: Math.round((bucket.sum / bucket.samples) * 100) / 100,
+                unique_viewers: Math.max(bucket.baseUnique, bucket.unique.size),
+                samples: bucket.samples
+            });
+        }
+    }
+
+    startSamplingJob() {
+        // Her dakika izleyici sayılarını kaydet
+        setInterval(async () => {
+            try {
+                await this.sample();
+            } catch (error) {
+                console.error('Viewer sampling error:', error);
+            }
+        }, this.sampleInterval);
+    }
+
+    /**
+     * Verilen aralıkta yayın başına zirve izleyici sayısı
+     */
+    async getPeaks({ from, to } = {}) {
+        const { Stream, ViewerStat } = require('../models');
+
+        const stats = await ViewerStat.findAll({
+            where: { hour: { [Op.between]: [from, to] } },
+            include: [{
+                model: Stream,
+                as: 'stream',
+                attributes: ['id', 'stream_name']
+            }],
+            order: [['peak_viewers', 'DESC'], ['hour', 'DESC']]
+        });
+
+        const peaks = {};
+        for (const stat of stats) {
+            if (!stat.stream) continue;
+
+            const entry = peaks[stat.stream_id] || {
+                streamId: stat.stream_id,
+                streamName: stat.stream.stream_name,
+                currentViewers: this.getCount(stat.stream.stream_name),
+                peakViewers: stat.peak_viewers,
+                peakAt: stat.hour,
+                uniqueViewers: 0
+            };
+            entry.uniqueViewers += stat.unique_viewers;
+            peaks[stat.stream_id] = entry;
+        }
+
+        return Object.values(peaks).sort((a, b) => b.peakViewers - a.peakViewers);
+    }
+
+    /**
+     * Tek yayının saatlik izleyici geçmişi
+     */
+    async getHistory(streamId, { from, to } = {}) {
+        const { ViewerStat } = require('../models');
+
+        return ViewerStat.findAll({
+            where: {
+                stream_id: streamId,
+                hour: { [Op.between]: [from, to] }
+            },
+            attributes: ['hour', 'peak_viewers', 'avg_viewers', 'unique_viewers'],
+            order: [['hour', 'ASC']]
+        });
+    }
+}
+
+// Singleton pattern
+let trackerInstance = null;
+
+module.exports = {
+    getViewerTracker: () => {
+        if (!trackerInstance) {
+            trackerInstance = new ViewerTracker(getStreamService());
+        }
+        return trackerInstance;
+    },
+    ViewerTracker
+};
@@ -0,0 +1,125 @@
+// Yayın ayarlarının doğrulanması ve FFmpeg argümanlarına çevrilmesi
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    resolveEncodingSettings,
+    buildEncodingArgs,
+    parseBitrate,
+    parseRenditions,
+    EncodingProfileError,
+    DEFAULT_PROFILE
+} = require('../src/services/encodingProfile');
+
+function assertProfileError(config, field) {
+    assert.throws(() => resolveEncodingSettings(config),
+        (error) => error instanceof EncodingProfileError && error.field === field);
+}
+
+describe('resolveEncodingSettings', () => {
+    test('boş ayarlar varsayılan profile çözülür', () => {
+        const settings = resolveEncodingSettings();
+
+        assert.strictEqual(settings.resolution, DEFAULT_PROFILE.resolution);
+        assert.strictEqual(settings.fps, DEFAULT_PROFILE.fps);
+        assert.strictEqual(settings.encoder, 'libx264');
+        assert.strictEqual(settings.preset, 'veryfast');
+        assert.strictEqual(settings.videoMode, 'transcode');
+        assert.strictEqual(settings.audioEnabled, true);
+        assert.strictEqual(settings.audioBitrate, '128k');
+    });
+
+    test('null ve boş değerler varsayılanı kullanır', () => {
+        const settings = resolveEncodingSettings({ resolution: '', fps: null, bitrate: undefined });
+        assert.strictEqual(settings.resolution, DEFAULT_PROFILE.resolution);
+        assert.strictEqual(settings.fps, DEFAULT_PROFILE.fps);
+        assert.strictEqual(settings.bitrate, DEFAULT_PROFILE.bitrate);
+    });
+
+    test('bitrate kbps\'e çevrilir, maxrate ve bufsize ondan hesaplanır', () => {
+        const settings = resolveEncodingSettings({ bitrate: '2M' });
+        assert.strictEqual(settings.bitrate, '2000k');
+        assert.strictEqual(settings.maxrate, '3000k');
+        assert.strictEqual(settings.bufsize, '6000k');
+    });
+
+    test('GOP verilmezse fps * segment süresi olur', () => {
+        assert.strictEqual(resolveEncodingSettings({ fps: 30 }).gop, 60);
+        assert.strictEqual(resolveEncodingSettings({ fps: 30 }, { segmentDuration: 4 }).gop, 120);
+        assert.strictEqual(resolveEncodingSettings({ fps: 30, gop: 15 }).gop, 15);
+    });
+
+    test('ses kapalıysa ses bitrate doğrulanmaz ve null döner', () => {
+        const settings = resolveEncodingSettings({ audioEnabled: 'false', audioBitrate: 'abc' });
+        assert.strictEqual(settings.audioEnabled, false);
+        assert.strictEqual(settings.audioBitrate, null);
+    });
+
+    test('form değerleri boolean olarak okunur', () => {
+        assert.strictEqual(resolveEncodingSettings({ audioEnabled: 'on' }).audioEnabled, true);
+        assert.strictEqual(resolveEncodingSettings({ audioEnabled: '0' }).audioEnabled, false);
+        assert.strictEqual(resolveEncodingSettings({ audioEnabled: '' }).audioEnabled, true);
+    });
+
+    test('codec ve preset büyük/küçük harf duyarsızdır', () => {
+        const settings = resolveEncodingSettings({ videoCodec: 'H264', preset: 'Medium' });
+        assert.strictEqual(settings.videoCodec, 'h264');
+        assert.strictEqual(settings.preset, 'medium');
+    });
+
+    test('geçersiz değerler ilgili alanla EncodingProfileError fırlatır', () => {
+        assertProfileError({ resolution: '1280*720' }, 'resolution');
+        assertProfileError({ resolution: '7680x4320' }, 'resolution');
+        assertProfileError({ resolution: '1279x720' }, 'resolution');
+        assertProfileError({ fps: 0 }, 'fps');
+        assertProfileError({ fps: 61 }, 'fps');
+        assertProfileError({ bitrate: '50k' }, 'bitrate');
+        assertProfileError({ bitrate: 'fast' }, 'bitrate');
+        assertProfileError({ videoCodec: 'h265' }, 'video_codec');
+        assertProfileError({ preset: 'turbo' }, 'preset');
+        assertProfileError({ gop: 0 }, 'gop');
+        assertProfileError({ gop: 601 }, 'gop');
+        assertProfileError({ videoMode: 'passthrough' }, 'video_mode');
+        assertProfileError({ audioBitrate: '16k' }, 'audio_bitrate');
+    });
+});
+
+describe('buildEncodingArgs', () => {
+    test('ayarlar FFmpeg argümanlarına çevrilir', () => {
+        const args = buildEncodingArgs(resolveEncodingSettings({ resolution: '640x480', fps: 15, bitrate: '500k' }));
+
+        assert.deepStrictEqual(args.slice(args.indexOf('-s'), args.indexOf('-s') + 2), ['-s', '640x480']);
+        assert.deepStrictEqual(args.slice(args.indexOf('-g'), args.indexOf('-g') + 2), ['-g', '30']);
+        assert.deepStrictEqual(args.slice(args.indexOf('-b:v'), args.indexOf('-b:v') + 2), ['-b:v', '500k']);
+        assert.ok(args.includes('-c:a'));
+    });
+
+    test('ses kapalıysa -an eklenir', () => {
+        const args = buildEncodingArgs(resolveEncodingSettings({ audioEnabled: false }));
+        assert.ok(args.includes('-an'));
+        assert.ok(!args.includes('-c:a'));
+    });
+});
+
+describe('parseBitrate', () => {
+    test('k, M ve birimsiz değerleri kbps\'e çevirir', () => {
+        assert.strictEqual(parseBitrate('800k'), 800);
+        assert.strictEqual(parseBitrate('1.5M'), 1500);
+        assert.strictEqual(parseBitrate('1200'), 1200);
+        assert.strictEqual(parseBitrate(640), 640);
+        assert.ok(Number.isNaN(parseBitrate('8 Mbps')));
+    });
+});
+
+describe('parseRenditions', () => {
+    test('tek kalite için adaptive mod kullanılmaz', () => {
+        assert.deepStrictEqual(parseRenditions('720p'), []);
+        assert.deepStrictEqual(parseRenditions(' 720P, 360p '), ['720p', '360p']);
+        assert.deepStrictEqual(parseRenditions(['main', 'sub']), ['main', 'sub']);
+    });
+
+    test('bilinmeyen ve tekrar eden kaliteler reddedilir', () => {
+        assert.throws(() => parseRenditions('720p,4k'), EncodingProfileError);
+        assert.throws(() => parseRenditions('720p,720p'), EncodingProfileError);
+    });
+});
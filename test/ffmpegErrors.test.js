@@ -0,0 +1,77 @@
+// FFmpeg stderr çıktısının hata sebeplerine çevrilmesi
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { classifyFFmpegError, serializeFailure, parseFailure, createFailure } = require('../src/services/ffmpegErrors');
+
+describe('classifyFFmpegError', () => {
+    const cases = [
+        ['[rtsp @ 0x55] method DESCRIBE failed: 401 Unauthorized', 'AUTH_FAILED', false],
+        ['[rtsp @ 0x55] method DESCRIBE failed: 404 Not Found', 'STREAM_NOT_FOUND', false],
+        ['rtsp://10.0.0.5:554/stream: Connection refused', 'CONNECTION_REFUSED', true],
+        ['rtsp://10.0.0.5:554/stream: No route to host', 'HOST_UNREACHABLE', true],
+        ['rtsp://camera.local:554/stream: Name or service not known', 'HOST_UNREACHABLE', true],
+        ['rtsp://10.0.0.5:554/stream: Connection timed out', 'TIMEOUT', true]
+    ];
+
+    for (const [line, code, retryable] of cases) {
+        test(`${code}: ${line}`, () => {
+            const failure = classifyFFmpegError(['ffmpeg version 6.0', line, 'Exiting normally'], 1);
+
+            assert.strictEqual(failure.code, code);
+            assert.strictEqual(failure.retryable, retryable);
+            assert.strictEqual(failure.detail, line);
+            assert.strictEqual(failure.exitCode, 1);
+        });
+    }
+
+    test('birden fazla kalıp eşleşirse listedeki ilk kalıp kazanır', () => {
+        const failure = classifyFFmpegError([
+            'Connection timed out',
+            'method DESCRIBE failed: 401 Unauthorized'
+        ], 1);
+        assert.strictEqual(failure.code, 'AUTH_FAILED');
+    });
+
+    test('tek metin olarak verilen stderr de okunur', () => {
+        const failure = classifyFFmpegError('line one\nConnection refused\n', 1);
+        assert.strictEqual(failure.code, 'CONNECTION_REFUSED');
+    });
+
+    test('bilinmeyen hata FFMPEG_EXIT olur ve son satırı taşır', () => {
+        const failure = classifyFFmpegError(['Input #0, rtsp', 'Invalid data found when processing input'], 69);
+
+        assert.strictEqual(failure.code, 'FFMPEG_EXIT');
+        assert.strictEqual(failure.retryable, true);
+        assert.strictEqual(failure.detail, 'Invalid data found when processing input');
+        assert.match(failure.message, /kod 69/);
+    });
+
+    test('boş çıktıda detay null olur', () => {
+        const failure = classifyFFmpegError([], 255);
+        assert.strictEqual(failure.code, 'FFMPEG_EXIT');
+        assert.strictEqual(failure.detail, null);
+    });
+});
+
+describe('serializeFailure / parseFailure', () => {
+    test('yapılandırılmış sebep kolon üzerinden aynen geri okunur', () => {
+        const failure = createFailure('TIMEOUT', 'zaman aşımı', { detail: 'timed out', exitCode: 1 });
+        const parsed = parseFailure(serializeFailure({ ...failure, flapping: true }));
+
+        assert.strictEqual(parsed.code, 'TIMEOUT');
+        assert.strictEqual(parsed.detail, 'timed out');
+        assert.strictEqual(parsed.exitCode, 1);
+        assert.strictEqual(parsed.flapping, true);
+    });
+
+    test('flapping yoksa alan yazılmaz', () => {
+        const parsed = JSON.parse(serializeFailure(createFailure('TIMEOUT', 'zaman aşımı')));
+        assert.ok(!('flapping' in parsed));
+    });
+
+    test('eski düz metin kayıtlar UNKNOWN olarak okunur', () => {
+        assert.deepStrictEqual(parseFailure('Application restart'), { code: 'UNKNOWN', message: 'Application restart' });
+        assert.strictEqual(parseFailure(null), null);
+    });
+});
@@ -0,0 +1,175 @@
+// Giriş koruması: IP hız sınırı, hesap/IP kilidi ve TOTP doğrulama
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const { LoginGuard } = require('../src/services/loginGuard');
+const {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require('../src/services/totp');
+
+describe('LoginGuard', () => {
+    let guard;
+    let now;
+
+    beforeEach((t) => {
+        guard = new LoginGuard();
+        now = Date.parse('2026-01-01T00:00:00Z');
+        t.mock.method(Date, 'now', () => now);
+    });
+
+    test('dakikada 10 denemeden sonra IP hız sınırına takılır', () => {
+        for (let i = 0; i < 10; i++) {
+            assert.strictEqual(guard.check('10.0.0.1', `user${i}`).allowed, true);
+        }
+
+        const result = guard.check('10.0.0.1', 'user10');
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.reason, 'rate');
+        assert.strictEqual(result.retryAfter, 60);
+
+        // Başka IP etkilenmez, pencere geçince tekrar denenebilir
+        assert.strictEqual(guard.check('10.0.0.2', 'user0').allowed, true);
+        now += 61 * 1000;
+        assert.strictEqual(guard.check('10.0.0.1', 'user0').allowed, true);
+    });
+
+    test('5 hatalı denemede hesap kilitlenir, kilit her hatada ikiye katlanır', () => {
+        for (let i = 0; i < 4; i++) {
+            guard.recordFailure(`10.0.1.${i}`, 'Admin');
+        }
+        assert.strictEqual(guard.check('10.0.2.1', 'admin').allowed, true);
+
+        guard.recordFailure('10.0.1.9', 'admin');
+        let result = guard.check('10.0.2.1', ' ADMIN ');
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.reason, 'account');
+        assert.strictEqual(result.retryAfter, 60);
+
+        guard.recordFailure('10.0.1.9', 'admin');
+        result = guard.check('10.0.2.2', 'admin');
+        assert.strictEqual(result.retryAfter, 120);
+
+        now += 121 * 1000;
+        assert.strictEqual(guard.check('10.0.2.3', 'admin').allowed, true);
+    });
+
+    test('kilit süresi üst sınırı aşmaz', () => {
+        for (let i = 0; i < 30; i++) {
+            guard.recordFailure(`10.0.3.${i}`, 'admin');
+        }
+        assert.strictEqual(guard.check('10.0.4.1', 'admin').retryAfter, 3600);
+    });
+
+    test('farklı hesaplara yapılan 20 hatalı deneme IP\'yi kilitler', () => {
+        for (let i = 0; i < 20; i++) {
+            guard.recordFailure('10.0.0.1', `user${i}`);
+        }
+
+        const result = guard.check('10.0.0.1', 'someone-else');
+        assert.strictEqual(result.allowed, false);
+        assert.strictEqual(result.reason, 'ip');
+    });
+
+    test('başarılı giriş hesap sayacını sıfırlar', () => {
+        for (let i = 0; i < 4; i++) {
+            guard.recordFailure(`10.0.1.${i}`, 'admin');
+        }
+        guard.recordSuccess('admin');
+        guard.recordFailure('10.0.1.9', 'admin');
+
+        assert.strictEqual(guard.check('10.0.2.1', 'admin').allowed, true);
+    });
+
+    test('son hatadan 24 saat sonra sayaç sıfırlanır ve kayıt temizlenir', () => {
+        for (let i = 0; i < 4; i++) {
+            guard.recordFailure(`10.0.1.${i}`, 'admin');
+        }
+        now += 24 * 60 * 60 * 1000 + 1;
+        guard.recordFailure('10.0.1.9', 'admin');
+        assert.strictEqual(guard.check('10.0.2.1', 'admin').allowed, true);
+
+        now += 24 * 60 * 60 * 1000 + 1;
+        guard.prune();
+        assert.strictEqual(guard.accounts.size, 0);
+        assert.strictEqual(guard.ips.size, 0);
+        assert.strictEqual(guard.attempts.size, 0);
+    });
+});
+
+describe('totp', () => {
+    // RFC 6238 Ek B - SHA1 anahtarı "12345678901234567890", 6 haneye kısaltılmış
+    const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+    const vectors = [
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1234567890, '005924'],
+        [2000000000, '279037']
+    ];
+
+    for (const [seconds, code] of vectors) {
+        test(`RFC 6238 test vektörü T=${seconds}`, () => {
+            assert.strictEqual(generateCode(RFC_SECRET, Math.floor(seconds / 30)), code);
+        });
+    }
+
+    test('bir adım önceki/sonraki kod kabul edilir, daha uzağı reddedilir', (t) => {
+        const now = 1234567890 * 1000;
+        t.mock.method(Date, 'now', () => now);
+        const step = Math.floor(now / 30000);
+
+        assert.strictEqual(verifyCode(RFC_SECRET, '005924'), step);
+        assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1)), step - 1);
+        assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1)), step + 1);
+        assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2)), null);
+    });
+
+    test('kullanılmış adımdaki kod tekrar kabul edilmez', (t) => {
+        const now = 1234567890 * 1000;
+        t.mock.method(Date, 'now', () => now);
+        const step = Math.floor(now / 30000);
+
+        assert.strictEqual(verifyCode(RFC_SECRET, '005924', { lastStep: step }), null);
+        assert.strictEqual(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { lastStep: step }), step + 1);
+    });
+
+    test('boşluklu kod okunur, biçimi bozuk kod reddedilir', (t) => {
+        t.mock.method(Date, 'now', () => 1234567890 * 1000);
+
+        assert.ok(verifyCode(RFC_SECRET, '005 924'));
+        assert.strictEqual(verifyCode(RFC_SECRET, '5924'), null);
+        assert.strictEqual(verifyCode(RFC_SECRET, 'abcdef'), null);
+        assert.strictEqual(verifyCode(RFC_SECRET, null), null);
+    });
+
+    test('üretilen gizli anahtar 160 bit base32\'dir ve kod üretir', () => {
+        const secret = generateSecret();
+        assert.match(secret, /^[A-Z2-7]{32}$/);
+        assert.match(generateCode(secret), /^\d{6}$/);
+    });
+
+    test('otpauth adresi uygulamaların beklediği parametreleri taşır', () => {
+        const uri = new URL(buildOtpauthUri('ABC', 'admin'));
+        assert.strictEqual(uri.protocol, 'otpauth:');
+        assert.strictEqual(uri.host, 'totp');
+        assert.strictEqual(decodeURIComponent(uri.pathname), '/Ark Stream:admin');
+        assert.strictEqual(uri.searchParams.get('secret'), 'ABC');
+        assert.strictEqual(uri.searchParams.get('digits'), '6');
+        assert.strictEqual(uri.searchParams.get('period'), '30');
+    });
+
+    test('kurtarma kodları özetleriyle eşleşir, yazım farkı önemsizdir', () => {
+        const { codes, hashes } = generateRecoveryCodes(3);
+
+        assert.strictEqual(codes.length, 3);
+        assert.strictEqual(new Set(codes).size, 3);
+        codes.forEach((code, index) => {
+            assert.match(code, /^[0-9a-f]{5}-[0-9a-f]{5}$/);
+            assert.strictEqual(hashRecoveryCode(code.toUpperCase().replace('-', ' ')), hashes[index]);
+        });
+    });
+});
@@ -0,0 +1,108 @@
+// Hareket algılama: bölge ayrıştırma, hassasiyet eşikleri ve kare karşılaştırma
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    parseMotionZones,
+    formatMotionZones,
+    motionThresholds,
+    compareFrames,
+    MotionConfigError
+} = require('../src/services/motion');
+
+describe('parseMotionZones', () => {
+    test('boş değer tüm görüntü demektir', () => {
+        assert.deepStrictEqual(parseMotionZones(''), []);
+        assert.deepStrictEqual(parseMotionZones(null), []);
+    });
+
+    test('; ve satır sonu ile ayrılmış bölgeler okunur', () => {
+        assert.deepStrictEqual(parseMotionZones('0,0,50,50; 50, 50, 50, 50\n10.5,20,30,40\n'), [
+            { x: 0, y: 0, width: 50, height: 50 },
+            { x: 50, y: 50, width: 50, height: 50 },
+            { x: 10.5, y: 20, width: 30, height: 40 }
+        ]);
+    });
+
+    test('biçimi bozuk bölge sıra numarasıyla reddedilir', () => {
+        assert.throws(() => parseMotionZones('0,0,50,50;0,0,50'),
+            (error) => error instanceof MotionConfigError && error.message.startsWith('2. bölge'));
+        assert.throws(() => parseMotionZones('a,0,50,50'), MotionConfigError);
+    });
+
+    test('görüntü dışına taşan veya boş bölge reddedilir', () => {
+        assert.throws(() => parseMotionZones('60,0,50,50'), MotionConfigError);
+        assert.throws(() => parseMotionZones('0,-1,50,50'), MotionConfigError);
+        assert.throws(() => parseMotionZones('0,0,0,50'), MotionConfigError);
+    });
+
+    test('formatMotionZones ile kaydedilen değer aynen geri okunur', () => {
+        const zones = parseMotionZones('0,0,50,50;25,25,10,10');
+        assert.strictEqual(formatMotionZones(zones), '0,0,50,50;25,25,10,10');
+        assert.deepStrictEqual(parseMotionZones(formatMotionZones(zones)), zones);
+    });
+});
+
+describe('motionThresholds', () => {
+    test('hassasiyet arttıkça eşikler düşer', () => {
+        const low = motionThresholds(1);
+        const high = motionThresholds(100);
+
+        assert.ok(high.pixel < low.pixel);
+        assert.ok(high.area < low.area);
+    });
+
+    test('geçersiz ve sınır dışı değerler kırpılır', () => {
+        assert.deepStrictEqual(motionThresholds('abc'), motionThresholds(50));
+        assert.deepStrictEqual(motionThresholds(500), motionThresholds(100));
+        assert.deepStrictEqual(motionThresholds(-5), motionThresholds(1));
+    });
+});
+
+describe('compareFrames', () => {
+    const width = 10;
+    const height = 10;
+
+    // Sol üst çeyreği (5x5) parlaklaştırılmış kare
+    function frames() {
+        const previous = new Uint8Array(width * height).fill(100);
+        const current = Uint8Array.from(previous);
+        for (let y = 0; y < 5; y++) {
+            for (let x = 0; x < 5; x++) {
+                current[y * width + x] = 200;
+            }
+        }
+        return { previous, current };
+    }
+
+    test('bölge yoksa tüm kare tek bölge olarak ölçülür', () => {
+        const { previous, current } = frames();
+        const result = compareFrames(previous, current, { width, height, zones: [], pixelThreshold: 30 });
+
+        assert.strictEqual(result.frame, 0.25);
+        assert.deepStrictEqual(result.zones, [0.25]);
+    });
+
+    test('her bölge kendi değişen piksel oranını alır', () => {
+        const { previous, current } = frames();
+        const zones = parseMotionZones('0,0,50,50;50,50,50,50;0,0,100,50');
+        const result = compareFrames(previous, current, { width, height, zones, pixelThreshold: 30 });
+
+        assert.deepStrictEqual(result.zones, [1, 0, 0.5]);
+    });
+
+    test('eşiğin altındaki parlaklık farkı değişim sayılmaz', () => {
+        const { previous, current } = frames();
+        const result = compareFrames(previous, current, { width, height, zones: [], pixelThreshold: 101 });
+
+        assert.strictEqual(result.frame, 0);
+    });
+
+    test('bir pikselden küçük bölge en az bir pikseli ölçer', () => {
+        const { previous, current } = frames();
+        const zones = parseMotionZones('0,0,1,1');
+        const result = compareFrames(previous, current, { width, height, zones, pixelThreshold: 30 });
+
+        assert.deepStrictEqual(result.zones, [1]);
+    });
+});
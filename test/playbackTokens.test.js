@@ -0,0 +1,106 @@
+// Oynatma token'ları: süre, IP ve yayın adı bağlama, playlist yeniden yazma
+process.env.PLAYBACK_TOKEN_SECRET = 'playback-token-test-secret';
+process.env.PLAYBACK_TOKEN_BIND_IP = 'true';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    signPlaybackToken,
+    verifyPlaybackToken,
+    assertTokenStream,
+    signHlsUrl,
+    rewritePlaylist,
+    PlaybackTokenError
+} = require('../src/services/playbackTokens');
+
+function assertTokenError(fn, code) {
+    assert.throws(fn, (error) => error instanceof PlaybackTokenError && error.code === code);
+}
+
+describe('verifyPlaybackToken', () => {
+    test('geçerli token yayın adı ve bitiş zamanını döner', () => {
+        const { token, expiresAt } = signPlaybackToken('cam1', { ip: '10.0.0.5', ttlSeconds: 60 });
+        const claims = verifyPlaybackToken(token, { streamName: 'cam1', ip: '10.0.0.5' });
+
+        assert.strictEqual(claims.s, 'cam1');
+        assert.strictEqual(claims.e * 1000, expiresAt.getTime());
+    });
+
+    test('süresi dolmuş token EXPIRED', () => {
+        const { token } = signPlaybackToken('cam1', { ip: '10.0.0.5', ttlSeconds: -1 });
+        assertTokenError(() => verifyPlaybackToken(token, { ip: '10.0.0.5' }), 'EXPIRED');
+    });
+
+    test('başka IP adresinden kullanılan token IP_MISMATCH', () => {
+        const { token } = signPlaybackToken('cam1', { ip: '10.0.0.5' });
+        assertTokenError(() => verifyPlaybackToken(token, { ip: '10.0.0.6' }), 'IP_MISMATCH');
+    });
+
+    test('IP verilmeden üretilen token her adresten kullanılabilir', () => {
+        const { token } = signPlaybackToken('cam1');
+        assert.strictEqual(verifyPlaybackToken(token, { ip: '10.0.0.6' }).s, 'cam1');
+    });
+
+    test('başka yayının token\'ı STREAM_MISMATCH', () => {
+        const { token } = signPlaybackToken('cam1', { ip: '10.0.0.5' });
+        assertTokenError(() => verifyPlaybackToken(token, { streamName: 'cam2', ip: '10.0.0.5' }), 'STREAM_MISMATCH');
+    });
+
+    test('eksik token MISSING', () => {
+        assertTokenError(() => verifyPlaybackToken(undefined), 'MISSING');
+        assertTokenError(() => verifyPlaybackToken('no-signature'), 'MISSING');
+    });
+
+    test('değiştirilmiş payload veya imza INVALID', () => {
+        const { token } = signPlaybackToken('cam1', { ip: '10.0.0.5' });
+        const [payload, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ s: 'cam2', e: 9999999999 })).toString('base64url');
+
+        assertTokenError(() => verifyPlaybackToken(`${forged}.${signature}`, { ip: '10.0.0.5' }), 'INVALID');
+        assertTokenError(() => verifyPlaybackToken(`${payload}.${signature.slice(1)}x`, { ip: '10.0.0.5' }), 'INVALID');
+    });
+});
+
+describe('assertTokenStream', () => {
+    test('sadece token\'daki yayın adını kabul eder', () => {
+        assert.doesNotThrow(() => assertTokenStream({ s: 'cam' }, 'cam'));
+        assertTokenError(() => assertTokenStream({ s: 'cam' }, 'cam_2'), 'STREAM_MISMATCH');
+    });
+});
+
+describe('signHlsUrl', () => {
+    test('mevcut query string korunarak token eklenir', () => {
+        const plain = signHlsUrl('/static/stream/cam1.m3u8', 'cam1');
+        const withQuery = signHlsUrl('/static/stream/cam1.m3u8?v=2', 'cam1');
+
+        assert.strictEqual(plain.url, `/static/stream/cam1.m3u8?token=${encodeURIComponent(plain.token)}`);
+        assert.ok(withQuery.url.startsWith('/static/stream/cam1.m3u8?v=2&token='));
+    });
+});
+
+describe('rewritePlaylist', () => {
+    test('segment ve varyant URI\'lerine token eklenir, etiketler korunur', () => {
+        const playlist = [
+            '#EXTM3U',
+            '#EXT-X-VERSION:7',
+            '#EXT-X-MAP:URI="init.mp4"',
+            '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",URI="cam1_audio.m3u8"',
+            '#EXTINF:2.000,',
+            'cam1_12.ts',
+            '',
+            'cam1_720p.m3u8?v=1'
+        ].join('\n');
+
+        const lines = rewritePlaylist(playlist, 'a b').split('\n');
+
+        assert.strictEqual(lines[0], '#EXTM3U');
+        assert.strictEqual(lines[1], '#EXT-X-VERSION:7');
+        assert.strictEqual(lines[2], '#EXT-X-MAP:URI="init.mp4?token=a%20b"');
+        assert.strictEqual(lines[3], '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",URI="cam1_audio.m3u8?token=a%20b"');
+        assert.strictEqual(lines[4], '#EXTINF:2.000,');
+        assert.strictEqual(lines[5], 'cam1_12.ts?token=a%20b');
+        assert.strictEqual(lines[6], '');
+        assert.strictEqual(lines[7], 'cam1_720p.m3u8?v=1&token=a%20b');
+    });
+});
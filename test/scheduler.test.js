@@ -0,0 +1,235 @@
+// Zamanlama hesapları: haftalık aralıklar, gece yarısını geçen aralıklar, istisnalar,
+// yaz saati geçişleri ve yönetici panelinden gelen verinin doğrulanması
+// Saatler yerel saat dilimine göre yorumlanır - yaz saati uygulayan bir dilim sabitlenir
+process.env.TZ = 'Europe/Berlin';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+    normalizeSchedule,
+    parseSchedulePayload,
+    isOpenAt,
+    nextTransition,
+    ScheduleValidationError
+} = require('../src/services/scheduler');
+
+// 2026-01-02 cuma; 2026-03-29 ve 2026-10-25 pazar (yaz saati başlangıcı/bitişi)
+const FRIDAY = 5;
+const SATURDAY = 6;
+const SUNDAY = 0;
+
+function schedule(windows, exceptions = []) {
+    return normalizeSchedule({
+        windows: windows.map(([day_of_week, start_time, end_time]) => ({ day_of_week, start_time, end_time })),
+        exceptions
+    });
+}
+
+const at = (month, date, hours, minutes = 0) => new Date(2026, month - 1, date, hours, minutes);
+
+describe('isOpenAt', () => {
+    test('aralık başlangıcı dahil, bitişi hariçtir', () => {
+        const officeHours = schedule([[FRIDAY, '09:00', '18:00']]);
+
+        assert.strictEqual(isOpenAt(officeHours, at(1, 2, 8, 59)), false);
+        assert.strictEqual(isOpenAt(officeHours, at(1, 2, 9)), true);
+        assert.strictEqual(isOpenAt(officeHours, at(1, 2, 17, 59)), true);
+        assert.strictEqual(isOpenAt(officeHours, at(1, 2, 18)), false);
+        // Başka gün
+        assert.strictEqual(isOpenAt(officeHours, at(1, 3, 10)), false);
+    });
+
+    test('gece yarısını geçen aralık ertesi sabaha taşar', () => {
+        const nightShift = schedule([[FRIDAY, '22:00', '06:00']]);
+
+        assert.strictEqual(isOpenAt(nightShift, at(1, 2, 21, 59)), false);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 2, 23)), true);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 0)), true);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 5, 59)), true);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 6)), false);
+    });
+
+    test('pazar gecesi aralığı pazartesiye taşar', () => {
+        const sundayNight = schedule([[SUNDAY, '23:00', '02:00']]);
+
+        assert.strictEqual(isOpenAt(sundayNight, at(1, 5, 1)), true);
+        assert.strictEqual(isOpenAt(sundayNight, at(1, 5, 2)), false);
+    });
+
+    test('kapalı istisna o günün aralıklarını kapatır', () => {
+        const officeHours = schedule([[FRIDAY, '09:00', '18:00']], [
+            { date: '2026-01-02', is_open: false }
+        ]);
+
+        assert.strictEqual(isOpenAt(officeHours, at(1, 2, 12)), false);
+        // Sonraki hafta etkilenmez
+        assert.strictEqual(isOpenAt(officeHours, at(1, 9, 12)), true);
+    });
+
+    test('saatsiz açık istisna tüm gün açıktır', () => {
+        const closedSaturday = schedule([[FRIDAY, '09:00', '18:00']], [
+            { date: '2026-01-03', is_open: true, start_time: null, end_time: null }
+        ]);
+
+        assert.strictEqual(isOpenAt(closedSaturday, at(1, 3, 0)), true);
+        assert.strictEqual(isOpenAt(closedSaturday, at(1, 3, 23, 59)), true);
+        assert.strictEqual(isOpenAt(closedSaturday, at(1, 4, 0)), false);
+    });
+
+    test('ertesi günün istisnası gece aralığını gece yarısında keser', () => {
+        const nightShift = schedule([[FRIDAY, '22:00', '06:00']], [
+            { date: '2026-01-03', is_open: false }
+        ]);
+
+        assert.strictEqual(isOpenAt(nightShift, at(1, 2, 23, 59)), true);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 0)), false);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 5)), false);
+    });
+
+    test('ertesi günün saatli açık istisnası gece aralığının yerine geçer', () => {
+        const nightShift = schedule([[FRIDAY, '22:00', '06:00']], [
+            { date: '2026-01-03', is_open: true, start_time: '10:00', end_time: '12:00' }
+        ]);
+
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 2)), false);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 11)), true);
+        assert.strictEqual(isOpenAt(nightShift, at(1, 3, 12)), false);
+    });
+
+    test('yaz saatine geçilen gecede aralık yerel saatte biter', () => {
+        // 29 Mart 02:00 => 03:00, gece aralığı gerçekte 7 saat sürer
+        const nightShift = schedule([[SATURDAY, '22:00', '06:00']]);
+
+        assert.strictEqual(isOpenAt(nightShift, at(3, 29, 5, 30)), true);
+        assert.strictEqual(isOpenAt(nightShift, at(3, 29, 6)), false);
+    });
+
+    test('kış saatine geçilen gecede aralık yerel saatte biter', () => {
+        // 25 Ekim 03:00 => 02:00, gece aralığı gerçekte 9 saat sürer
+        const nightShift = schedule([[SATURDAY, '22:00', '06:00']]);
+
+        assert.strictEqual(isOpenAt(nightShift, at(10, 25, 5, 30)), true);
+        assert.strictEqual(isOpenAt(nightShift, at(10, 25, 6)), false);
+    });
+});
+
+describe('nextTransition', () => {
+    test('kapalıyken sonraki açılışı, açıkken kapanışı döner', () => {
+        const officeHours = schedule([[FRIDAY, '09:00', '18:00']]);
+
+        assert.deepStrictEqual(nextTransition(officeHours, at(1, 2, 7)), { at: at(1, 2, 9), open: true });
+        assert.deepStrictEqual(nextTransition(officeHours, at(1, 2, 10)), { at: at(1, 2, 18), open: false });
+        // Haftalık tekrar
+        assert.deepStrictEqual(nextTransition(officeHours, at(1, 2, 19)), { at: at(1, 9, 9), open: true });
+    });
+
+    test('gece aralığının kapanışı ertesi gündedir', () => {
+        const nightShift = schedule([[FRIDAY, '22:00', '06:00']]);
+
+        assert.deepStrictEqual(nextTransition(nightShift, at(1, 2, 23)), { at: at(1, 3, 6), open: false });
+    });
+
+    test('istisnanın kestiği gece aralığı gece yarısında kapanır', () => {
+        const nightShift = schedule([[FRIDAY, '22:00', '06:00']], [
+            { date: '2026-01-03', is_open: false }
+        ]);
+
+        assert.deepStrictEqual(nextTransition(nightShift, at(1, 2, 23)), { at: at(1, 3, 0), open: false });
+    });
+
+    test('bitişik aralıklar tek açık süre sayılır', () => {
+        const continuous = schedule([[FRIDAY, '18:00', '00:00'], [SATURDAY, '00:00', '06:00']]);
+
+        assert.deepStrictEqual(nextTransition(continuous, at(1, 2, 20)), { at: at(1, 3, 6), open: false });
+    });
+
+    test('yaz saati geçişinde sonraki açılış yerel saatte kalır', () => {
+        const sundayMorning = schedule([[SUNDAY, '09:00', '10:00']]);
+
+        const transition = nextTransition(sundayMorning, at(3, 28, 12));
+        assert.deepStrictEqual(transition, { at: at(3, 29, 9), open: true });
+        assert.strictEqual(transition.at.getHours(), 9);
+        // Geçiş gecesi bir saat kısa
+        assert.strictEqual(transition.at - at(3, 28, 12), 20 * 3600 * 1000);
+    });
+
+    test('kış saati geçişinde sonraki açılış yerel saatte kalır', () => {
+        const sundayMorning = schedule([[SUNDAY, '09:00', '10:00']]);
+
+        const transition = nextTransition(sundayMorning, at(10, 24, 12));
+        assert.strictEqual(transition.at.getHours(), 9);
+        assert.strictEqual(transition.at - at(10, 24, 12), 22 * 3600 * 1000);
+    });
+
+    test('haftalık aralık yoksa uzak istisna bulunur', () => {
+        const holiday = schedule([], [{ date: '2026-02-14', is_open: true, start_time: '10:00', end_time: '14:00' }]);
+
+        assert.deepStrictEqual(nextTransition(holiday, at(1, 2, 12)), { at: at(2, 14, 10), open: true });
+    });
+
+    test('değişiklik yoksa null döner', () => {
+        assert.strictEqual(nextTransition(schedule([]), at(1, 2, 12)), null);
+    });
+});
+
+describe('parseSchedulePayload', () => {
+    const base = { name: 'Mesai', target_type: 'stream', target_id: 1 };
+
+    function assertInvalid(body, pattern) {
+        assert.throws(() => parseSchedulePayload({ ...base, ...body }), error =>
+            error instanceof ScheduleValidationError && error.code === 'INVALID_SCHEDULE' && pattern.test(error.message));
+    }
+
+    test('saatleri SS:DD:ss biçimine çevirir', () => {
+        const payload = parseSchedulePayload({
+            ...base,
+            windows: [{ day_of_week: '5', start_time: '9:00', end_time: '18:30' }]
+        });
+
+        assert.deepStrictEqual(payload.windows, [{ day_of_week: 5, start_time: '09:00:00', end_time: '18:30:00' }]);
+        assert.strictEqual(payload.is_active, true);
+    });
+
+    test('gece yarısını geçen aralık kabul edilir', () => {
+        const payload = parseSchedulePayload({
+            ...base,
+            windows: [{ day_of_week: 5, start_time: '22:00', end_time: '06:00' }]
+        });
+
+        assert.deepStrictEqual(payload.windows[0], { day_of_week: 5, start_time: '22:00:00', end_time: '06:00:00' });
+    });
+
+    test('başlangıç ve bitişi aynı aralık reddedilir', () => {
+        assertInvalid({ windows: [{ day_of_week: 1, start_time: '08:00', end_time: '08:00' }] }, /aynı olamaz/);
+        assertInvalid({ windows: [{ day_of_week: 1, start_time: '00:00', end_time: '00:00:00' }] }, /aynı olamaz/);
+    });
+
+    test('geçersiz gün ve saat reddedilir', () => {
+        assertInvalid({ windows: [{ day_of_week: 7, start_time: '08:00', end_time: '09:00' }] }, /gün/);
+        assertInvalid({ windows: [{ day_of_week: 1, start_time: '24:00', end_time: '09:00' }] }, /SS:DD/);
+    });
+
+    test('açık istisnanın bitişi başlangıçtan sonra olmalıdır', () => {
+        assertInvalid({
+            exceptions: [{ date: '2026-01-03', is_open: true, start_time: '22:00', end_time: '06:00' }]
+        }, /bitiş saati/);
+    });
+
+    test('kapalı istisnanın saatleri yok sayılır', () => {
+        const payload = parseSchedulePayload({
+            ...base,
+            exceptions: [{ date: '2026-01-03', is_open: false, start_time: '10:00', end_time: '12:00' }]
+        });
+
+        assert.strictEqual(payload.exceptions[0].start_time, null);
+        assert.strictEqual(payload.exceptions[0].end_time, null);
+    });
+
+    test('geçersiz ve tekrarlanan istisna tarihleri reddedilir', () => {
+        assertInvalid({ exceptions: [{ date: '2026-02-30', is_open: false }] }, /YYYY-AA-GG/);
+        assertInvalid({
+            exceptions: [{ date: '2026-01-03', is_open: false }, { date: '2026-01-03', is_open: true }]
+        }, /birden fazla/);
+    });
+});
@@ -0,0 +1,83 @@
+// /static altındaki HLS dosyaları: stream klasörü sadece token zincirinden sunulur,
+// ./ ve // içeren yollar genel public bağlantısına düşüp zinciri atlayamaz
+process.env.PLAYBACK_TOKEN_SECRET = 'static-routes-test-secret';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const express = require('express');
+
+const { getStreamService } = require('../src/services/stream');
+const { signPlaybackToken } = require('../src/services/playbackTokens');
+const staticRoutes = require('../src/routers/static');
+
+const STREAM_DIR = path.join(__dirname, '../public/stream');
+const STREAM_NAME = 'static_route_test';
+const SEGMENT = `${STREAM_NAME}_7.ts`;
+const PLAYLIST = `${STREAM_NAME}.m3u8`;
+
+const app = express();
+app.use('/static', staticRoutes);
+
+let server;
+let token;
+
+before(() => {
+    fs.writeFileSync(path.join(STREAM_DIR, SEGMENT), 'segment-data');
+    fs.writeFileSync(path.join(STREAM_DIR, PLAYLIST), `#EXTM3U\n#EXTINF:2.0,\n${SEGMENT}\n`);
+    getStreamService().activeStreams[STREAM_NAME] = { renditions: [], config: { onDemand: false } };
+    token = encodeURIComponent(signPlaybackToken(STREAM_NAME).token);
+    server = app.listen(0);
+});
+
+after(() => {
+    server.close();
+    delete getStreamService().activeStreams[STREAM_NAME];
+    fs.rmSync(path.join(STREAM_DIR, SEGMENT), { force: true });
+    fs.rmSync(path.join(STREAM_DIR, PLAYLIST), { force: true });
+});
+
+// supertest URL'i normalize edebilir - yol olduğu gibi gönderilir
+function get(rawPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ port: server.address().port, path: rawPath }, (res) => {
+            let body = '';
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body }));
+        }).on('error', reject);
+    });
+}
+
+test('token olmadan segment ve playlist 403 döner', async () => {
+    assert.strictEqual((await get(`/static/stream/${SEGMENT}`)).status, 403);
+    assert.strictEqual((await get(`/static/stream/${PLAYLIST}`)).status, 403);
+});
+
+test('geçerli token ile segment sunulur', async () => {
+    const response = await get(`/static/stream/${SEGMENT}?token=${token}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body, 'segment-data');
+});
+
+test('playlist segment URI\'lerine token eklenerek sunulur', async () => {
+    const response = await get(`/static/stream/${PLAYLIST}?token=${token}`);
+    assert.strictEqual(response.status, 200);
+    assert.ok(response.body.includes(`${SEGMENT}?token=${token}`));
+});
+
+for (const prefix of ['/static/./stream', '/static//stream', '/static/assets/../stream', '/static/%2e/stream', '/static/./stream/.']) {
+    test(`${prefix}/ yolu token zincirini atlayamaz`, async () => {
+        for (const file of [SEGMENT, PLAYLIST]) {
+            // Ya token zincirine girer (403) ya da genel bağlantıda reddedilir (404) - dosya asla sunulmaz
+            const response = await get(`${prefix}/${file}`);
+            assert.ok([403, 404].includes(response.status), `${prefix}/${file} => ${response.status}`);
+        }
+    });
+}
+
+test('stream dışındaki public dosyalar sunulmaya devam eder', async () => {
+    const response = await get('/static/index.html');
+    assert.strictEqual(response.status, 200);
+});
@@ -0,0 +1,172 @@
+// Supervisor: exponential backoff ile yeniden başlatma, vazgeçme ve flapping tespiti
+const { describe, test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+
+const { StreamSupervisor } = require('../src/services/supervisor');
+
+// StreamService yerine: sadece supervisor'ın kullandığı alanlar
+class FakeStreamService extends EventEmitter {
+    constructor() {
+        super();
+        this.activeStreams = {};
+        this.restarted = [];
+    }
+
+    setSupervisor() {}
+
+    isStreamActive(streamName) {
+        return !!this.activeStreams[streamName];
+    }
+
+    async restartStream(streamName) {
+        this.restarted.push(streamName);
+    }
+}
+
+let streamService;
+let supervisor;
+
+beforeEach(() => {
+    streamService = new FakeStreamService();
+    supervisor = new StreamSupervisor(streamService);
+    supervisor.baseDelay = 1000;
+    supervisor.maxDelay = 60000;
+});
+
+function exit(streamName, { code = 1, failure = null, ranFor = 1000 } = {}) {
+    const exitedAt = new Date();
+    supervisor.handleExit({ streamName, code, failure, startedAt: new Date(exitedAt - ranFor), exitedAt });
+}
+
+describe('computeDelay', () => {
+    test('her denemede iki katına çıkar ve üst sınırı aşmaz', (t) => {
+        t.mock.method(Math, 'random', () => 1);
+        assert.deepStrictEqual([0, 1, 2, 3].map(attempt => supervisor.computeDelay(attempt)), [1000, 2000, 4000, 8000]);
+        assert.strictEqual(supervisor.computeDelay(20), 60000);
+    });
+
+    test('jitter gecikmeyi yarısına kadar düşürebilir', (t) => {
+        t.mock.method(Math, 'random', () => 0);
+        assert.strictEqual(supervisor.computeDelay(3), 4000);
+    });
+});
+
+describe('handleExit', () => {
+    test('beklenmedik çıkışta gecikmeyle yeniden başlatır', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        t.mock.method(Math, 'random', () => 1);
+        streamService.activeStreams.cam1 = { config: {} };
+
+        exit('cam1');
+        const state = supervisor.getState('cam1');
+        assert.strictEqual(state.attempts, 1);
+        assert.strictEqual(state.history[0].delay, 1000);
+
+        t.mock.timers.tick(999);
+        assert.deepStrictEqual(streamService.restarted, []);
+        t.mock.timers.tick(1);
+        await new Promise(resolve => setImmediate(resolve));
+        assert.deepStrictEqual(streamService.restarted, ['cam1']);
+        assert.strictEqual(supervisor.getState('cam1').restartCount, 1);
+    });
+
+    test('normal kapanış ve durdurulmuş yayın yeniden başlatılmaz', () => {
+        exit('gone');
+        streamService.activeStreams.cam1 = { config: {} };
+        exit('cam1', { code: 0 });
+
+        assert.strictEqual(supervisor.getState('gone').attempts, 0);
+        assert.strictEqual(supervisor.getState('cam1').attempts, 0);
+    });
+
+    test('maxRestarts aşılınca vazgeçer ve gaveUp yayınlar', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        streamService.activeStreams.cam1 = { config: { maxRestarts: 2 } };
+        const gaveUp = [];
+        supervisor.on('gaveUp', event => gaveUp.push(event));
+
+        exit('cam1');
+        exit('cam1');
+        exit('cam1');
+
+        const state = supervisor.getState('cam1');
+        assert.strictEqual(state.attempts, 2);
+        assert.strictEqual(state.gaveUp, true);
+        assert.strictEqual(state.nextRestartAt, null);
+        assert.deepStrictEqual(gaveUp, [{ streamName: 'cam1', attempts: 2 }]);
+    });
+
+    test('tekrar denenemeyecek hatada hemen vazgeçer', () => {
+        streamService.activeStreams.cam1 = { config: {} };
+        const gaveUp = [];
+        supervisor.on('gaveUp', event => gaveUp.push(event));
+
+        exit('cam1', { failure: { code: 'AUTH_FAILED', retryable: false } });
+
+        assert.strictEqual(supervisor.getState('cam1').lastFailure, 'AUTH_FAILED');
+        assert.deepStrictEqual(gaveUp, [{ streamName: 'cam1', attempts: 0, reason: 'AUTH_FAILED' }]);
+    });
+
+    test('uzun süre çalıştıktan sonraki çıkışta deneme sayacı sıfırlanır', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        t.mock.method(Math, 'random', () => 1);
+        streamService.activeStreams.cam1 = { config: {} };
+
+        exit('cam1');
+        exit('cam1');
+        assert.strictEqual(supervisor.getState('cam1').attempts, 2);
+
+        exit('cam1', { ranFor: supervisor.stableAfter });
+        const state = supervisor.getState('cam1');
+        assert.strictEqual(state.attempts, 1);
+        assert.strictEqual(state.history[state.history.length - 1].delay, 1000);
+    });
+
+    test('pencere içinde eşik kadar restart flapping olarak işaretlenir', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        streamService.activeStreams.cam1 = { config: { maxRestarts: 10 } };
+        const flapping = [];
+        supervisor.on('flapping', event => flapping.push(event));
+
+        for (let i = 0; i < supervisor.flapThreshold - 1; i++) {
+            exit('cam1');
+        }
+        assert.strictEqual(supervisor.getState('cam1').flapping, false);
+
+        exit('cam1');
+        exit('cam1');
+        assert.strictEqual(supervisor.getState('cam1').flapping, true);
+        // Olay sadece flapping'e geçişte bir kez yayınlanır
+        assert.deepStrictEqual(flapping, [{ streamName: 'cam1', restarts: supervisor.flapThreshold }]);
+    });
+
+    test('pencere dışında kalan restart\'lar sayılmaz', (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        streamService.activeStreams.cam1 = { config: { maxRestarts: 10 } };
+
+        for (let i = 0; i < supervisor.flapThreshold; i++) {
+            exit('cam1');
+        }
+        const state = supervisor.states.cam1;
+        state.history.forEach(entry => {
+            entry.exitedAt = new Date(Date.now() - supervisor.flapWindow - 1000);
+        });
+
+        exit('cam1');
+        assert.strictEqual(supervisor.getState('cam1').flapping, false);
+    });
+
+    test('elle durdurulan yayının bekleyen restart\'ı iptal edilir', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        streamService.activeStreams.cam1 = { config: {} };
+
+        exit('cam1');
+        streamService.emit('stopped', { streamName: 'cam1' });
+        t.mock.timers.tick(supervisor.maxDelay);
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.deepStrictEqual(streamService.restarted, []);
+        assert.strictEqual(supervisor.getState('cam1').attempts, 0);
+    });
+});
@@ -0,0 +1,106 @@
+// Görüntü sağlığı: FFmpeg blackdetect/freezedetect çıktısının okunması
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseDetectorLog, readNumberEnv } = require('../src/services/videoHealth');
+
+const HEADER = [
+    'Input #0, hls, from \'concat:cam1_10.ts|cam1_11.ts|cam1_12.ts\':',
+    '  Duration: 00:00:06.00, start: 20.000000, bitrate: 812 kb/s'
+].join('\n');
+
+describe('parseDetectorLog', () => {
+    test('tamamlanmış siyah ve donmuş aralıklar toplanır', () => {
+        const log = [
+            HEADER,
+            '[blackdetect @ 0x5581] black_start:20.5 black_end:21.5 black_duration:1',
+            '[blackdetect @ 0x5581] black_start:23 black_end:24 black_duration:1',
+            '[freezedetect @ 0x5582] lavfi.freezedetect.freeze_start: 21',
+            '[freezedetect @ 0x5582] lavfi.freezedetect.freeze_duration: 2.5',
+            '[freezedetect @ 0x5582] lavfi.freezedetect.freeze_end: 23.5'
+        ].join('\n');
+
+        assert.deepStrictEqual(parseDetectorLog(log, 99), { duration: 6, black: 2, frozen: 2.5 });
+    });
+
+    test('pencere sonunda devam eden aralık pencere sonunda bitmiş sayılır', () => {
+        const log = [
+            HEADER,
+            '[blackdetect @ 0x5581] black_start:24',
+            '[freezedetect @ 0x5582] lavfi.freezedetect.freeze_start: 22'
+        ].join('\n');
+
+        assert.deepStrictEqual(parseDetectorLog(log, 99), { duration: 6, black: 2, frozen: 4 });
+    });
+
+    test('Duration satırı yoksa verilen süre ve sıfır başlangıç kullanılır', () => {
+        const log = [
+            '[blackdetect @ 0x5581] black_start:1',
+            '[freezedetect @ 0x5582] lavfi.freezedetect.freeze_start: 3'
+        ].join('\n');
+
+        assert.deepStrictEqual(parseDetectorLog(log, 6), { duration: 6, black: 5, frozen: 3 });
+    });
+
+    test('saat ve dakika içeren süre okunur', () => {
+        const log = '  Duration: 01:02:03.50, start: 0.000000, bitrate: 800 kb/s';
+        assert.strictEqual(parseDetectorLog(log, 6).duration, 3723.5);
+    });
+
+    test('başlangıcı eşleşmeyen freeze_end yok sayılır', () => {
+        const log = `${HEADER}\n[freezedetect @ 0x5582] lavfi.freezedetect.freeze_end: 22`;
+        assert.strictEqual(parseDetectorLog(log, 99).frozen, 0);
+    });
+
+    test('toplam süre pencereyi aşmaz', () => {
+        const log = [
+            HEADER,
+            '[blackdetect @ 0x5581] black_start:20 black_end:26',
+            '[blackdetect @ 0x5581] black_start:20 black_end:26'
+        ].join('\n');
+
+        assert.strictEqual(parseDetectorLog(log, 99).black, 6);
+    });
+
+    test('tespit yoksa sıfır döner', () => {
+        assert.deepStrictEqual(parseDetectorLog(HEADER, 99), { duration: 6, black: 0, frozen: 0 });
+    });
+});
+
+describe('readNumberEnv', () => {
+    const NAME = 'VIDEO_HEALTH_TEST_VALUE';
+
+    function withEnv(t, value) {
+        t.mock.method(console, 'warn', () => {});
+        if (value === undefined) {
+            delete process.env[NAME];
+        } else {
+            process.env[NAME] = value;
+        }
+        t.after(() => delete process.env[NAME]);
+    }
+
+    test('tanımsızsa varsayılan döner', t => {
+        withEnv(t, undefined);
+        assert.strictEqual(readNumberEnv(NAME, 30), 30);
+        assert.strictEqual(console.warn.mock.callCount(), 0);
+    });
+
+    test('açıkça verilen 0 kullanılır', t => {
+        withEnv(t, '0');
+        assert.strictEqual(readNumberEnv(NAME, -60, value => value <= 0), 0);
+        assert.strictEqual(console.warn.mock.callCount(), 0);
+    });
+
+    test('yazım hatası varsayılana döner ve uyarı yazar', t => {
+        withEnv(t, '3O');
+        assert.strictEqual(readNumberEnv(NAME, 30), 30);
+        assert.strictEqual(console.warn.mock.callCount(), 1);
+    });
+
+    test('doğrulamadan geçmeyen değer varsayılana döner', t => {
+        withEnv(t, '2.5');
+        assert.strictEqual(readNumberEnv(NAME, 3, Number.isInteger), 3);
+        assert.strictEqual(console.warn.mock.callCount(), 1);
+    });
+});